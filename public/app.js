@@ -122,6 +122,19 @@ class F95Scraper {
             refreshAfterScrapeBtn.addEventListener('click', () => this.loadGames());
         }
 
+        const trashBtn = document.getElementById('trashBtn');
+        if (trashBtn) {
+            trashBtn.addEventListener('click', () => this.toggleTrash());
+        }
+
+        // Reload the games list when an engine/status filter changes
+        ['engineFilter', 'statusFilter'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.addEventListener('change', () => this.loadGames());
+            }
+        });
+
         // Add manual status refresh functionality
         this.addStatusRefreshButton();
     }
@@ -228,6 +241,16 @@ class F95Scraper {
                         authColor = 'text-warning';
                         authText = 'Session Expired';
                         break;
+                    case 'two_step_required':
+                        authIcon = 'fas fa-mobile-alt';
+                        authColor = 'text-warning';
+                        authText = '2FA Secret Needed';
+                        break;
+                    case 'two_step_failed':
+                        authIcon = 'fas fa-mobile-alt';
+                        authColor = 'text-danger';
+                        authText = '2FA Failed';
+                        break;
                     case 'error':
                         authIcon = 'fas fa-exclamation-triangle';
                         authColor = 'text-danger';
@@ -235,6 +258,10 @@ class F95Scraper {
                         break;
                 }
             }
+
+            // The local store needs no setup; Sheets needs credentials
+            const localStore = status.services.storage === 'local';
+            const storageReady = localStore || status.services.sheets === 'operational';
             
             statusPanel.innerHTML = `
                 <div class="row text-center">
@@ -261,9 +288,9 @@ class F95Scraper {
                     </div>
                     <div class="col-md-3">
                         <div class="status-item">
-                            <i class="fas fa-table fa-2x ${status.services.sheets === 'operational' ? 'text-success' : 'text-warning'}"></i>
-                            <h6 class="mt-2">Google Sheets</h6>
-                            <small class="text-muted">${status.services.sheets}</small>
+                            <i class="fas ${localStore ? 'fa-hdd' : 'fa-table'} fa-2x ${storageReady ? 'text-success' : 'text-warning'}"></i>
+                            <h6 class="mt-2">${localStore ? 'Local Storage' : 'Google Sheets'}</h6>
+                            <small class="text-muted">${localStore ? 'operational' : status.services.sheets}</small>
                         </div>
                     </div>
                 </div>
@@ -272,7 +299,7 @@ class F95Scraper {
             // Show warnings if services need configuration
             const needsConfig = [];
             if (status.services.ai !== 'operational') needsConfig.push('AI Service');
-            if (status.services.sheets !== 'operational') needsConfig.push('Google Sheets');
+            if (!storageReady) needsConfig.push('Google Sheets');
             if (status.services.f95zone_auth && status.services.f95zone_auth.status === 'not_configured') {
                 needsConfig.push('F95Zone Authentication');
             }
@@ -399,17 +426,15 @@ class F95Scraper {
                     } else if (data.status === 'error') {
                         isCompleted = true;
                         this.displayError(data.message);
+                        this.handleErrorCode(data.code);
                         progressContainer.classList.add('hidden');
                         progressContainer.classList.remove('show');
                         closeEventSource();
                     }
                     
-                    // Refresh status if authentication-related messages are detected
-                    if (data.message && (
-                        data.message.toLowerCase().includes('authentication') ||
-                        data.message.toLowerCase().includes('login') ||
-                        data.message.toLowerCase().includes('authenticating')
-                    )) {
+                    // Refresh status while the server is authenticating
+                    if (data.status === 'progress' && data.message &&
+                        data.message.toLowerCase().includes('authenticating')) {
                         this.checkStatus();
                     }
                 } catch (parseError) {
@@ -431,7 +456,7 @@ class F95Scraper {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ url, sessionId })
+                body: JSON.stringify({ url, sessionId, mode: document.getElementById('fetchMode').value })
             });            const data = await response.json();
 
             // Handle immediate errors (before SSE processing)
@@ -439,7 +464,8 @@ class F95Scraper {
                 // Handle errors
                 isCompleted = true;
                 closeEventSource();
-                throw new Error(data.error || 'Unknown error occurred');
+                this.handleErrorCode(data.code);
+                throw new Error(data.details || data.error || 'Unknown error occurred');
             }
             // If successful, SSE will handle the completion
         } catch (error) {
@@ -455,6 +481,16 @@ class F95Scraper {
             scrapeBtn.innerHTML = '<i class="fas fa-magic me-2"></i>Extract Game Data';        }
     }
 
+    // Reacts to the machine-readable code of a failed scrape
+    handleErrorCode(code) {
+        if (code === 'AUTH_REQUIRED') {
+            this.checkStatus();
+        } else if (code === 'CLOUDFLARE_CHALLENGE') {
+            // Challenges need a real browser, so preselect it for the retry
+            document.getElementById('fetchMode').value = 'browser';
+        }
+    }
+
     updateProgress(percent, text) {
         const progressBar = document.querySelector('.progress-bar');
         const progressContainer = document.querySelector('.progress[role="progressbar"]');
@@ -491,11 +527,12 @@ class F95Scraper {
                     ${this.createLazyImage(data.data.cover_image, 'Game Cover', 'cover-image img-fluid')}
                 </div>
                 <div class="col-md-9">
-                    <h5 class="text-primary">${data.data.game_name}</h5>
+                    <h5 class="text-primary">${data.data.game_name} ${this.renderPrefixBadges(data.data)}</h5>
                     <p><strong>Version:</strong> ${data.data.version}</p>
                     <p><strong>Developer:</strong> ${data.data.developer}</p>
                     <p><strong>Total Size:</strong> ${data.data.total_size_gb} GB</p>
                     <p><strong>Game Number:</strong> #${data.gameNumber} ${data.isUpdate ? '<span class="badge bg-info">Updated</span>' : '<span class="badge bg-success">New</span>'}</p>
+                    ${data.isUpdate ? this.renderUpdateChanges(data.changes) : ''}
                     ${data.data.tags && data.data.tags.length > 0 ? 
                         `<div class="mb-2">${data.data.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}</div>` : ''
                     }
@@ -538,10 +575,10 @@ class F95Scraper {
         const gameNumber = button.getAttribute('data-game-number');
         const gameName = button.getAttribute('data-game-name');
         
-        // Show confirmation dialog
-        const confirmed = confirm(`Are you sure you want to delete "${gameName}" (Game #${gameNumber})?\n\nThis action cannot be undone.`);
+        // Deleted games go to the trash; the optional reason is shown there
+        const reason = prompt(`Move "${gameName}" (Game #${gameNumber}) to the trash?\n\nIt can be restored from the Trash list. Reason (optional):`, '');
         
-        if (!confirmed) {
+        if (reason === null) {
             return;
         }
         
@@ -551,7 +588,9 @@ class F95Scraper {
         
         try {
             const response = await fetch(`/api/games/${gameNumber}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reason })
             });
             
             const data = await response.json();
@@ -567,6 +606,9 @@ class F95Scraper {
                     gameCard.remove();
                     // Refresh the games list to update counts
                     this.loadGames();
+                    if (!document.getElementById('trashContainer').classList.contains('hidden')) {
+                        this.loadTrash();
+                    }
                 }, 300);
                 
                 // Show success message
@@ -585,6 +627,157 @@ class F95Scraper {
         }
     }
 
+    toggleTrash() {
+        const trashContainer = document.getElementById('trashContainer');
+        const hidden = trashContainer.classList.toggle('hidden');
+        if (!hidden) {
+            this.loadTrash();
+        }
+    }
+
+    // Deleted games with a Restore button each, newest first
+    async loadTrash() {
+        const trashContainer = document.getElementById('trashContainer');
+        trashContainer.innerHTML = '<div class="text-center text-muted"><i class="fas fa-spinner fa-spin me-1"></i>Loading trash...</div>';
+
+        try {
+            const response = await fetch('/api/trash');
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.details || data.error || 'Failed to load the trash');
+            }
+
+            const retention = data.purge && data.purge.retention_days
+                ? `Deleted games are purged after ${data.purge.retention_days} days.`
+                : 'Deleted games are kept until purged.';
+
+            if (data.items.length === 0) {
+                trashContainer.innerHTML = `<div class="alert alert-secondary mb-0"><i class="fas fa-trash me-2"></i>The trash is empty. ${retention}</div>`;
+                return;
+            }
+
+            trashContainer.innerHTML = `
+                <div class="alert alert-secondary mb-0">
+                    <h6><i class="fas fa-trash me-2"></i>Trash (${data.count})</h6>
+                    <p class="small text-muted mb-2">${retention}</p>
+                    <ul class="list-group">
+                        ${data.items.map(item => `
+                            <li class="list-group-item d-flex justify-content-between align-items-center">
+                                <div>
+                                    <strong>${item.game.game_name || 'Unknown Game'}</strong>
+                                    <span class="text-muted">#${item.game.game_number} ${item.game.version || ''}</span><br>
+                                    <small class="text-muted">Deleted ${new Date(item.deleted_at).toLocaleString()}${item.reason ? ` - ${item.reason}` : ''}</small>
+                                </div>
+                                <button class="btn btn-success btn-sm restore-game-btn" data-trash-id="${item.trash_id}">
+                                    <i class="fas fa-undo me-1"></i>Restore
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+
+            trashContainer.querySelectorAll('.restore-game-btn').forEach(button => {
+                button.addEventListener('click', (e) => this.handleRestoreGame(e));
+            });
+        } catch (error) {
+            console.error('Error loading trash:', error);
+            trashContainer.innerHTML = `
+                <div class="alert alert-danger mb-0">
+                    <i class="fas fa-exclamation-triangle me-2"></i>
+                    Error loading the trash: ${error.message}
+                </div>
+            `;
+        }
+    }
+
+    async handleRestoreGame(e) {
+        e.preventDefault();
+
+        const button = e.target.closest('.restore-game-btn');
+        const trashId = button.getAttribute('data-trash-id');
+
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Restoring...';
+
+        try {
+            const response = await fetch(`/api/trash/${encodeURIComponent(trashId)}/restore`, { method: 'POST' });
+            const data = await response.json();
+
+            // 409: the game was added again after it was deleted
+            if (!response.ok || !data.success) {
+                throw new Error(data.details || data.error || 'Failed to restore game');
+            }
+
+            this.loadTrash();
+            this.loadGames();
+        } catch (error) {
+            console.error('Error restoring game:', error);
+            button.disabled = false;
+            button.innerHTML = '<i class="fas fa-undo me-1"></i>Restore';
+            alert(`Failed to restore game: ${error.message}`);
+        }
+    }
+
+    async handleCheckLinks(e) {
+        e.preventDefault();
+
+        const button = e.target.closest('.check-links-btn');
+        const gameNumber = button.getAttribute('data-game-number');
+
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Checking...';
+
+        try {
+            const response = await fetch(`/api/games/${gameNumber}/links/health`, { method: 'POST' });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.details || data.error || 'Failed to check links');
+            }
+
+            this.loadGames();
+        } catch (error) {
+            console.error('Error checking links:', error);
+            button.disabled = false;
+            button.innerHTML = '<i class="fas fa-heartbeat me-1"></i>Check Links';
+            alert(`Failed to check links: ${error.message}`);
+        }
+    }
+
+    async handleCheckAllLinks(button) {
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Checking links...';
+
+        try {
+            const response = await fetch('/api/links/health', { method: 'POST' });
+            const data = await response.json();
+
+            // 409 means a run is already going - just wait for it
+            if (!response.ok && response.status !== 409) {
+                throw new Error(data.details || data.error || 'Failed to start link check');
+            }
+
+            // Poll until the background run finishes
+            let status;
+            do {
+                await new Promise(resolve => setTimeout(resolve, 3000));
+                status = await (await fetch('/api/links/health')).json();
+                const run = status.current;
+                if (run) {
+                    button.innerHTML = `<i class="fas fa-spinner fa-spin me-1"></i>Checked ${run.games_checked}/${run.games_total}`;
+                }
+            } while (status.running);
+
+            this.loadGames();
+        } catch (error) {
+            console.error('Error checking all links:', error);
+            button.disabled = false;
+            button.innerHTML = '<i class="fas fa-heartbeat me-1"></i>Check All Links';
+            alert(`Failed to check links: ${error.message}`);
+        }
+    }
+
     showDeleteSuccessMessage(gameName, gameNumber) {
         // Create a temporary success message
         const alertDiv = document.createElement('div');
@@ -592,8 +785,8 @@ class F95Scraper {
         alertDiv.style.cssText = 'top: 20px; right: 20px; z-index: 1050; max-width: 300px;';
         alertDiv.innerHTML = `
             <i class="fas fa-check-circle me-2"></i>
-            <strong>Game Deleted!</strong><br>
-            "${gameName}" (Game #${gameNumber}) has been removed.
+            <strong>Moved to Trash</strong><br>
+            "${gameName}" (Game #${gameNumber}) can be restored from the Trash list.
             <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
         `;
         
@@ -619,11 +812,29 @@ class F95Scraper {
                 </div>
             `;
             
-            const response = await fetch('/api/games');
+            const params = new URLSearchParams();
+            const engineFilter = document.getElementById('engineFilter');
+            const statusFilter = document.getElementById('statusFilter');
+            if (engineFilter && engineFilter.value) params.set('engine', engineFilter.value);
+            if (statusFilter && statusFilter.value) params.set('status', statusFilter.value);
+
+            const query = params.toString();
+            const response = await fetch(`/api/games${query ? `?${query}` : ''}`);
             const data = await response.json();
+
+            if (data.filters) {
+                this.populateFilterOptions(data.filters);
+            }
             
             if (data.success && data.games.length > 0) {
                 this.displayGames(data.games);
+            } else if (data.success && query) {
+                gamesContainer.innerHTML = `
+                    <div class="text-center text-muted">
+                        <i class="fas fa-filter fa-3x mb-3"></i>
+                        <h5>No games match the selected filters</h5>
+                    </div>
+                `;
             } else {
                 gamesContainer.innerHTML = `
                     <div class="text-center text-muted">
@@ -644,6 +855,90 @@ class F95Scraper {
         }
     }
 
+    populateFilterOptions(filters) {
+        const fill = (id, values) => {
+            const select = document.getElementById(id);
+            if (!select || !Array.isArray(values) || select.options.length > 1) return;
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                select.appendChild(option);
+            });
+        };
+
+        fill('engineFilter', filters.engines);
+        fill('statusFilter', filters.statuses);
+    }
+
+    // Badges for the engine and development status prefixes
+    renderPrefixBadges(game) {
+        const statusColors = {
+            'Completed': 'bg-success',
+            'Ongoing': 'bg-primary',
+            'On Hold': 'bg-warning text-dark',
+            'Abandoned': 'bg-danger'
+        };
+
+        let badges = '';
+        if (game.engine) {
+            badges += `<span class="badge bg-secondary me-1">${game.engine}</span>`;
+        }
+        if (game.status) {
+            badges += `<span class="badge ${statusColors[game.status] || 'bg-secondary'} me-1">${game.status}</span>`;
+        }
+        return badges;
+    }
+
+    // What an update changed compared with the row already in the sheet
+    renderUpdateChanges(changes) {
+        if (!changes) {
+            return '';
+        }
+        if (!changes.changed) {
+            return '<p class="update-changes text-muted small">No changes since the last scrape.</p>';
+        }
+
+        const items = [];
+        if (changes.version) {
+            items.push(`<li><strong>Version:</strong> ${changes.version.before || 'unknown'} → ${changes.version.after || 'unknown'}</li>`);
+        }
+        if (changes.status) {
+            items.push(`<li><strong>Status:</strong> ${changes.status.before || 'unknown'} → ${changes.status.after || 'unknown'}</li>`);
+        }
+        if (changes.size) {
+            const deltaGb = changes.size.delta_bytes / (1024 * 1024 * 1024);
+            items.push(`<li><strong>Size:</strong> ${changes.size.before_gb || '0.00'} GB → ${changes.size.after_gb || '0.00'} GB (${deltaGb >= 0 ? '+' : ''}${deltaGb.toFixed(2)} GB)</li>`);
+        }
+
+        const describeLink = link => [link.provider, link.platform].filter(Boolean).join(' ') || link.url;
+        if (changes.links.added.length > 0) {
+            items.push(`<li><strong>Links added:</strong> ${changes.links.added.map(describeLink).join(', ')}</li>`);
+        }
+        if (changes.links.removed.length > 0) {
+            items.push(`<li><strong>Links removed:</strong> ${changes.links.removed.map(describeLink).join(', ')}</li>`);
+        }
+        if (changes.tags.added.length > 0) {
+            items.push(`<li><strong>Tags added:</strong> ${changes.tags.added.map(tag => `<span class="tag">${tag}</span>`).join('')}</li>`);
+        }
+        if (changes.tags.removed.length > 0) {
+            items.push(`<li><strong>Tags removed:</strong> ${changes.tags.removed.map(tag => `<span class="tag tag-removed">${tag}</span>`).join('')}</li>`);
+        }
+        if (changes.fields.length > 0) {
+            items.push(`<li><strong>Also changed:</strong> ${changes.fields.map(field => field.replace(/_/g, ' ')).join(', ')}</li>`);
+        }
+
+        return `<ul class="update-changes small">${items.join('')}</ul>`;
+    }
+
+    renderLinkHealthBadge(game) {
+        const health = game.link_health;
+        if (!health || !health.all_dead) {
+            return '';
+        }
+        return `<span class="badge bg-danger me-1" title="All ${health.total} download links were found dead">All links dead</span>`;
+    }
+
     displayGames(games) {
         const gamesContainer = document.getElementById('gamesContainer');
         
@@ -667,6 +962,8 @@ class F95Scraper {
                                     <div>
                                         <h6 class="card-title text-primary mb-1">
                                             #${game.game_number || 'N/A'} - ${game.game_name || 'Unknown Game'}
+                                            ${this.renderPrefixBadges(game)}
+                                            ${this.renderLinkHealthBadge(game)}
                                         </h6>
                                         <p class="card-text small text-muted mb-2">
                                             <strong>Version:</strong> ${game.version || 'Unknown'} | 
@@ -688,15 +985,19 @@ class F95Scraper {
                                             Delete
                                         </button>
                                         ${game.download_links && game.download_links.length > 0 ? 
-                                            `<div class="dropdown">
+                                            `<button class="btn btn-outline-secondary btn-sm mb-2 check-links-btn" data-game-number="${game.game_number}">
+                                                <i class="fas fa-heartbeat me-1"></i>
+                                                Check Links
+                                            </button>
+                                            <div class="dropdown">
                                                 <button class="btn btn-success btn-sm dropdown-toggle" type="button" data-bs-toggle="dropdown">
                                                     <i class="fas fa-download me-1"></i>
                                                     Downloads
                                                 </button>
                                                 <ul class="dropdown-menu">
                                                     ${game.download_links.map(link => 
-                                                        `<li><a class="dropdown-item" href="${link.url}" target="_blank">
-                                                            <i class="fas fa-cloud-download-alt me-2"></i>
+                                                        `<li><a class="dropdown-item ${link.health_status === 'dead' ? 'text-decoration-line-through text-muted' : ''}" href="${link.url}" target="_blank" title="${link.health_reason || ''}">
+                                                            <i class="fas ${link.health_status === 'dead' ? 'fa-unlink' : 'fa-cloud-download-alt'} me-2"></i>
                                                             ${link.provider} (${link.platform})
                                                         </a></li>`
                                                     ).join('')}
@@ -714,10 +1015,16 @@ class F95Scraper {
           gamesContainer.innerHTML = `
             <div class="d-flex justify-content-between align-items-center mb-3">
                 <h6 class="mb-0">Total Games: ${games.length}</h6>
-                <a id="download-sheet" href="/api/download" class="btn btn-success btn-sm">
-                    <i class="fas fa-file-excel me-1"></i>
-                    Download Excel
-                </a>
+                <div>
+                    <button id="check-all-links" class="btn btn-outline-secondary btn-sm me-1">
+                        <i class="fas fa-heartbeat me-1"></i>
+                        Check All Links
+                    </button>
+                    <a id="download-sheet" href="/api/download" class="btn btn-success btn-sm">
+                        <i class="fas fa-file-excel me-1"></i>
+                        Download Excel
+                    </a>
+                </div>
             </div>
             ${gamesHtml}
         `;
@@ -730,6 +1037,16 @@ class F95Scraper {
             button.addEventListener('click', (e) => this.handleDeleteGame(e));
         });
 
+        const checkLinksButtons = gamesContainer.querySelectorAll('.check-links-btn');
+        checkLinksButtons.forEach(button => {
+            button.addEventListener('click', (e) => this.handleCheckLinks(e));
+        });
+
+        const checkAllLinksBtn = document.getElementById('check-all-links');
+        if (checkAllLinksBtn) {
+            checkAllLinksBtn.addEventListener('click', () => this.handleCheckAllLinks(checkAllLinksBtn));
+        }
+
         const downloadSheetBtn = document.getElementById('download-sheet');
 
         const downloadLink = async() => {
@@ -4,10 +4,20 @@ import helmet from 'helmet';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { ScraperService } from './services/scraperService.js';
+import { ScraperService, FETCH_MODES } from './services/scraperService.js';
 import { AIService } from './services/aiService.js';
-import { GoogleSheetsService } from './services/googleSheetsService.js';
+import { createGameStore } from './services/storage.js';
+import { LinkHealthService, summarizeLinks } from './services/linkHealthService.js';
+import { GamePipeline } from './services/gamePipeline.js';
+import { JobQueue } from './services/jobQueue.js';
+import { UpdateScheduler } from './services/updateScheduler.js';
+import { NotificationService } from './services/notificationService.js';
+import { TrashPurger } from './services/trashPurger.js';
+import { ENGINE_PREFIXES, GAME_STATUSES } from './services/threadParser.js';
 import { Logger } from './utils/logger.js';
+import { AppError, ERROR_CODES, getErrorCode, getErrorStatus } from './utils/errors.js';
+import { getIngestBodyLimit, getIngestConfig, isAllowedIngestOrigin } from './utils/ingest.js';
+import { getThreadId } from './utils/links.js';
 
 // ES module compatibility
 const __filename = fileURLToPath(import.meta.url);
@@ -23,18 +33,74 @@ const PORT = process.env.PORT || 3000;
 const logger = new Logger();
 
 // Initialize services with error handling
-let scraperService, aiService, googleSheetsService;
+let scraperService, aiService, gameStore, linkHealthService, snapshotStore, gamePipeline, jobQueue, updateScheduler, notificationService, trashPurger;
 
 try {
   scraperService = new ScraperService();
   aiService = new AIService();
-  googleSheetsService = new GoogleSheetsService();
+  gameStore = createGameStore();
+  linkHealthService = new LinkHealthService({
+    sheetsService: gameStore,
+    sizeResolvers: scraperService.sizeResolvers
+  });
+  snapshotStore = scraperService.snapshotStore;
+  gamePipeline = new GamePipeline({
+    scraperService,
+    aiService,
+    sheetsService: gameStore,
+    snapshotStore
+  });
+  jobQueue = new JobQueue({
+    runner: async (url, { mode }) => {
+      const { gameNumber, data, isUpdate } = await gamePipeline.scrape(url, { mode });
+      return { game_number: gameNumber, game_name: data.game_name, version: data.version, is_update: isUpdate };
+    }
+  });
+  updateScheduler = new UpdateScheduler({
+    scraperService,
+    sheetsService: gameStore,
+    gamePipeline
+  });
+  notificationService = new NotificationService();
+  notificationService.attach(gameStore);
+  trashPurger = new TrashPurger({ sheetsService: gameStore });
   logger.info('All services initialized successfully');
 } catch (error) {
   logger.error('Failed to initialize services:', error);
   process.exit(1);
 }
 
+// Friendlier scrape failure messages, by error code
+const SCRAPE_ERROR_DETAILS = {
+  [ERROR_CODES.AUTH_REQUIRED]: 'Authentication required or failed. Please check your F95Zone credentials in the .env file.',
+  [ERROR_CODES.TIMEOUT]: 'Request timed out. The page may be temporarily unavailable.',
+  [ERROR_CODES.NOT_FOUND]: 'Thread not found. Please check the URL.',
+  [ERROR_CODES.RATE_LIMITED]: 'F95Zone is rate limiting requests. Please wait a few minutes and try again.',
+  [ERROR_CODES.CLOUDFLARE_CHALLENGE]: 'F95Zone answered with a Cloudflare challenge. Try again with the browser fetch mode.',
+  [ERROR_CODES.DDOS_GUARD_CHALLENGE]: 'F95Zone answered with a DDoS-Guard check that did not clear. Please try again later.',
+  [ERROR_CODES.SITE_MAINTENANCE]: 'F95Zone is down for maintenance. Please try again later.',
+  [ERROR_CODES.AGE_GATE]: 'F95Zone showed an age confirmation page that could not be passed.'
+};
+
+// Returns { error, details } when url cannot be scraped, null when it can
+function describeInvalidScrapeUrl(url) {
+  if (!url) {
+    return { error: 'URL is required', details: 'Please provide a valid F95Zone URL' };
+  }
+  if (typeof url !== 'string') {
+    return { error: 'Invalid URL format', details: 'URL must be a string' };
+  }
+  try {
+    new URL(url);
+  } catch (urlError) {
+    return { error: 'Invalid URL format', details: 'Please provide a valid URL' };
+  }
+  if (!url.includes('f95zone.to')) {
+    return { error: 'Invalid domain', details: 'Please provide an F95Zone URL (f95zone.to)' };
+  }
+  return null;
+}
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -45,310 +111,1199 @@ app.use(helmet({
     }
   }
 }));
+// Chrome asks before a public page (the ingest bookmarklet on f95zone.to) may call a local server
+app.use('/api/ingest-html', (req, res, next) => {
+  if (req.get('Access-Control-Request-Private-Network') === 'true') {
+    res.set('Access-Control-Allow-Private-Network', 'true');
+  }
+  next();
+});
 app.use(cors());
+// The ingest route parses with its own limit first; the parsers below skip bodies already read
+const ingestConfig = getIngestConfig();
+app.use('/api/ingest-html', express.json({ limit: getIngestBodyLimit(ingestConfig) }));
+app.use('/api/ingest-html', express.urlencoded({ extended: true, limit: getIngestBodyLimit(ingestConfig) }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Serves files from public/ folder
-app.use(express.static(path.join(__dirname, '..', 'public')));
+// Serves files from public/ folder
+app.use(express.static(path.join(__dirname, '..', 'public')));
+
+// Routes
+// Root route serves index.html
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
+});
+
+// Main scraping endpoint
+app.post('/api/scrape', async (req, res) => {
+  try {    const { url, sessionId, mode } = req.body;
+    
+    // Input validation
+    const urlProblem = describeInvalidScrapeUrl(url);
+    if (urlProblem) {
+      if (sessionId) errorProgress(sessionId, urlProblem.error, ERROR_CODES.INVALID_REQUEST);
+      return res.status(400).json({ 
+        error: urlProblem.error,
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: urlProblem.details
+      });
+    }
+
+    if (mode !== undefined && !FETCH_MODES.includes(mode)) {
+      if (sessionId) errorProgress(sessionId, 'Invalid fetch mode', ERROR_CODES.INVALID_REQUEST);
+      return res.status(400).json({ 
+        error: 'Invalid fetch mode',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: `mode must be one of: ${FETCH_MODES.join(', ')}`
+      });
+    }
+
+    logger.info(`Starting scrape for URL: ${url}`);
+
+    // Step 1: Scrape the F95Zone page with retry logic
+    if (sessionId) sendProgress(sessionId, 1, 6, 'Scraping F95Zone page...');
+    let pageData;
+    try {
+      pageData = await scraperService.scrapePageWithRetry(url, scraperService.retryPolicy.maxAttempts, { mode });
+      logger.info(`Page scraped successfully (${pageData.fetch_mode})`);
+    } catch (scrapeError) {
+      logger.error('Scraping failed:', scrapeError);
+      
+      const code = getErrorCode(scrapeError);
+      const errorDetails = SCRAPE_ERROR_DETAILS[code] || scrapeError.message;
+      
+      if (sessionId) errorProgress(sessionId, `Failed to scrape page: ${errorDetails}`, code);
+      return res.status(getErrorStatus(scrapeError)).json({ 
+        error: 'Failed to scrape page',
+        code,
+        details: errorDetails
+      });
+    }
+
+    await respondWithPipelineResult(res, sessionId, pageData, url);
+  } catch (error) {
+    logger.error('Unexpected scraping error:', error);
+    const { sessionId } = req.body;
+    if (sessionId) errorProgress(sessionId, 'An unexpected error occurred during processing', ERROR_CODES.INTERNAL_ERROR);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: ERROR_CODES.INTERNAL_ERROR,
+      details: 'An unexpected error occurred during processing',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Steps 2-7 of a scrape, shared by /api/scrape and /api/ingest-html: runs the pipeline on
+// pageData and answers the request
+async function respondWithPipelineResult(res, sessionId, pageData, url) {
+  // Steps 2-6: AI extraction, existing game lookup, download sizes and the sheet write
+  let gameNumber, finalData, isUpdate, changes;
+  try {
+    ({ gameNumber, data: finalData, isUpdate, changes } = await gamePipeline.process(pageData, url, {
+      onProgress: (step, message) => {
+        if (sessionId) sendProgress(sessionId, step, 6, message);
+      }
+    }));
+  } catch (pipelineError) {
+    const code = getErrorCode(pipelineError);
+    if (pipelineError.stage === 'save') {
+      if (sessionId) errorProgress(sessionId, `Failed to save game data: ${pipelineError.message}`, code);
+      return res.status(getErrorStatus(pipelineError)).json({ 
+        error: 'Failed to save game data',
+        code,
+        details: pipelineError.message,
+        extractedData: pipelineError.extractedData // Still return the extracted data
+      });
+    }
+    if (sessionId) errorProgress(sessionId, `AI extraction failed: ${pipelineError.message}`, code);
+    return res.status(getErrorStatus(pipelineError)).json({ 
+      error: 'Failed to extract game data',
+      code,
+      details: pipelineError.message,
+      snapshotId: pageData.snapshot_id || null
+    });
+  }
+
+  // Step 7: Generate download URL
+  let downloadUrl;
+  try {
+    downloadUrl = await gameStore.exportSheet();
+  } catch (exportError) {
+    logger.warn('Could not generate download URL:', exportError.message);
+    downloadUrl = null;
+  }
+  
+  const responseData = {
+    success: true,
+    gameNumber,
+    data: finalData,
+    downloadUrl,
+    isUpdate,
+    changes, // field-level summary of an update, null for new games
+    snapshotId: pageData.snapshot_id || null,
+    message: isUpdate ? 
+      `Game #${gameNumber} updated successfully!` : 
+      'Game data extracted and saved successfully!'
+  };
+
+  if (sessionId) completeProgress(sessionId, responseData);
+  
+  res.json(responseData);
+}
+
+// Runs the scrape pipeline on thread HTML captured by the user's own browser, for pages
+// Puppeteer cannot get through. Body: { url, html, sessionId }
+app.post('/api/ingest-html', async (req, res) => {
+  const { url, html, sessionId } = req.body || {};
+
+  try {
+    const origin = req.get('Origin');
+    if (!isAllowedIngestOrigin(origin, { ...ingestConfig, selfOrigin: `${req.protocol}://${req.get('host')}` })) {
+      logger.warn(`Rejected HTML ingest from origin ${origin}`);
+      return res.status(403).json({ 
+        error: 'Origin not allowed',
+        code: ERROR_CODES.ORIGIN_NOT_ALLOWED,
+        details: `Pages can only be sent from ${ingestConfig.allowedOrigins.join(', ')}. Add others to INGEST_ALLOWED_ORIGINS`
+      });
+    }
+
+    if (ingestConfig.token && req.get('X-Ingest-Token') !== ingestConfig.token) {
+      return res.status(401).json({ 
+        error: 'Invalid ingest token',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'Send the value of INGEST_TOKEN in the X-Ingest-Token header'
+      });
+    }
+
+    if (typeof url !== 'string' || !/^https:\/\/(?:www\.)?f95zone\.to\//i.test(url) || !getThreadId(url)) {
+      if (sessionId) errorProgress(sessionId, 'Invalid thread URL', ERROR_CODES.INVALID_REQUEST);
+      return res.status(400).json({ 
+        error: 'Invalid thread URL',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'url must be an F95Zone thread URL (https://f95zone.to/threads/...)'
+      });
+    }
+
+    if (typeof html !== 'string' || !html.trim()) {
+      if (sessionId) errorProgress(sessionId, 'HTML is required', ERROR_CODES.INVALID_REQUEST);
+      return res.status(400).json({ 
+        error: 'HTML is required',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'Send the page as html, e.g. document.documentElement.outerHTML'
+      });
+    }
+
+    const htmlBytes = Buffer.byteLength(html);
+    if (htmlBytes > ingestConfig.maxBytes) {
+      if (sessionId) errorProgress(sessionId, 'HTML too large', ERROR_CODES.PAYLOAD_TOO_LARGE);
+      return res.status(413).json({ 
+        error: 'HTML too large',
+        code: ERROR_CODES.PAYLOAD_TOO_LARGE,
+        details: `${htmlBytes} bytes sent, the limit is ${ingestConfig.maxBytes} (INGEST_MAX_HTML_BYTES)`
+      });
+    }
+
+    logger.info(`Ingesting browser-captured HTML for ${url}`);
+
+    // Step 1: Build pageData from the submitted page instead of fetching it
+    if (sessionId) sendProgress(sessionId, 1, 6, 'Reading submitted page...');
+    let pageData;
+    try {
+      pageData = await scraperService.ingestPageHtml(url, html);
+    } catch (ingestError) {
+      logger.error('HTML ingest failed:', ingestError);
+      const code = getErrorCode(ingestError);
+      if (sessionId) errorProgress(sessionId, `Failed to read page: ${ingestError.message}`, code);
+      return res.status(getErrorStatus(ingestError)).json({ 
+        error: 'Failed to read page',
+        code,
+        details: ingestError.message
+      });
+    }
+
+    await respondWithPipelineResult(res, sessionId, pageData, url);
+  } catch (error) {
+    logger.error('Unexpected ingest error:', error);
+    if (sessionId) errorProgress(sessionId, 'An unexpected error occurred during processing', ERROR_CODES.INTERNAL_ERROR);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: ERROR_CODES.INTERNAL_ERROR,
+      details: 'An unexpected error occurred during processing',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Queue a batch scrape. Body: { urls: [...], mode }. Answers at once with the job;
+// poll GET /api/jobs/:id for per-URL results
+app.post('/api/jobs', (req, res) => {
+  try {
+    const { urls, mode } = req.body || {};
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({ 
+        error: 'URLs are required',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'Please provide urls as a non-empty array of F95Zone thread URLs'
+      });
+    }
+
+    // The same thread twice in one job would be scraped and saved twice
+    const seen = new Set();
+    const unique = [];
+    const invalid = [];
+    for (const [index, url] of urls.entries()) {
+      const problem = describeInvalidScrapeUrl(url);
+      if (problem) {
+        invalid.push({ index, url, error: problem.details });
+        continue;
+      }
+      const key = getThreadId(url) || url.trim();
+      if (!seen.has(key)) {
+        seen.add(key);
+        unique.push(url.trim());
+      }
+    }
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid URLs',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: `${invalid.length} of ${urls.length} URLs cannot be scraped`,
+        invalid
+      });
+    }
+
+    if (unique.length > jobQueue.maxUrls) {
+      return res.status(400).json({ 
+        error: 'Too many URLs',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: `A job can hold at most ${jobQueue.maxUrls} URLs (JOB_MAX_URLS)`
+      });
+    }
+
+    if (mode !== undefined && !FETCH_MODES.includes(mode)) {
+      return res.status(400).json({ 
+        error: 'Invalid fetch mode',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: `mode must be one of: ${FETCH_MODES.join(', ')}`
+      });
+    }
+
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
+      });
+    }
+
+    const job = jobQueue.create(unique, { mode });
+
+    res.status(202).json({ 
+      success: true,
+      job,
+      duplicatesRemoved: urls.length - unique.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating job:', error);
+    res.status(500).json({ 
+      error: 'Failed to create job',
+      code: getErrorCode(error),
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Recent jobs, newest first, without per-URL items
+app.get('/api/jobs', (req, res) => {
+  res.json({ 
+    success: true,
+    jobs: jobQueue.listJobs(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Items that ran out of attempts (failed with retryable errors, or kept crashing the server)
+app.get('/api/jobs/dead-letters', (req, res) => {
+  const items = jobQueue.listDeadLetters();
+  res.json({ 
+    success: true,
+    items,
+    count: items.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Body: { items: [{ jobId, index }] }, or no items for all of them
+function getDeadLetterTargets(body) {
+  const items = body && body.items;
+  if (items === undefined) {
+    return null;
+  }
+  if (!Array.isArray(items) || items.some(item => !item || typeof item.jobId !== 'string' || !Number.isInteger(item.index))) {
+    throw new AppError('items must be a list of { jobId, index }', { code: ERROR_CODES.INVALID_REQUEST, status: 400 });
+  }
+  return items;
+}
+
+// Run dead-letter items again with fresh attempts
+app.post('/api/jobs/dead-letters/requeue', (req, res) => {
+  try {
+    const requeued = jobQueue.requeueDeadLetters(getDeadLetterTargets(req.body));
+    res.json({ 
+      success: true,
+      requeued,
+      count: requeued.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to requeue items',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
+
+// Give up on dead-letter items; they stay in their job as failed
+app.post('/api/jobs/dead-letters/discard', (req, res) => {
+  try {
+    const discarded = jobQueue.discardDeadLetters(getDeadLetterTargets(req.body));
+    res.json({ 
+      success: true,
+      discarded,
+      count: discarded.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to discard items',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
+
+// One job with the status, result or error of every URL
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    res.json({ 
+      success: true,
+      job: jobQueue.getJob(req.params.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to get job',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
+
+// Cancel the URLs of a job that have not started yet
+app.delete('/api/jobs/:id', (req, res) => {
+  try {
+    res.json({ 
+      success: true,
+      job: jobQueue.cancel(req.params.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to cancel job',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
+
+// Get all games from sheet
+app.get('/api/games', async (req, res) => {
+  try {
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
+      });
+    }
+
+    // Optional filters, e.g. /api/games?status=Abandoned,On%20Hold&engine=Unity
+    const { engine, status } = req.query;
+    const games = await gameStore.getAllGames({ engine, status });
+    
+    if (!Array.isArray(games)) {
+      throw new Error('Invalid response from Google Sheets service');
+    }
+
+    res.json({ 
+      success: true, 
+      games: games.map(game => ({ ...game, link_health: summarizeLinks(game.download_links) })),
+      count: games.length,
+      filters: {
+        engines: ENGINE_PREFIXES,
+        statuses: GAME_STATUSES
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching games:', error);
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to fetch games',
+      code: getErrorCode(error),
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Download sheet as Excel
+app.get('/api/download', async (req, res) => {
+  try {
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
+      });
+    }
+
+    const downloadUrl = await gameStore.exportSheet();
+    
+    if (!downloadUrl || typeof downloadUrl !== 'string') {
+      throw new Error('Failed to generate download URL');
+    }
+
+    res.json({ 
+      success: true, 
+      downloadUrl,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error generating download:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate download',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// All games as a JSON file; the download link of the local store
+app.get('/api/export', async (req, res) => {
+  try {
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
+      });
+    }
+
+    const games = await gameStore.getAllGames();
+    res.attachment('games.json');
+    res.json({ 
+      exported_at: new Date().toISOString(),
+      storage: gameStore.backend,
+      count: games.length,
+      games
+    });
+  } catch (error) {
+    logger.error('Error exporting games:', error);
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to export games',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
+
+// Health check
+app.get('/api/health', async (req, res) => {
+  try {
+    // Check F95Zone authentication status
+    const f95zoneAuthStatus = await scraperService.getAuthenticationStatus();
+    
+    res.json({ 
+      status: 'OK', 
+      timestamp: new Date().toISOString(),
+      services: {
+        scraper: 'operational',
+        page_pool: scraperService.getPagePoolStats(),
+        ai: aiService.isConfigured() ? 'operational' : 'needs_api_key',
+        storage: gameStore.backend,
+        sheets: gameStore.backend !== 'sheets' ? 'not_used' : gameStore.isConfigured() ? 'operational' : 'needs_credentials',
+        f95zone_auth: f95zoneAuthStatus
+      }
+    });
+  } catch (error) {
+    logger.error('Health check error:', error);
+    res.status(500).json({ 
+      status: 'ERROR',
+      error: 'Failed to check service health',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Delete game endpoint
+app.delete('/api/games/:gameNumber', async (req, res) => {
+  try {
+    // A game number, or a Game ID as id:<id>
+    const gameNumber = await gameStore.resolveGameNumber(req.params.gameNumber);
+    
+    // Validate game number
+    if (!gameNumber) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid game number or ID' 
+      });
+    }
+
+    logger.info(`Delete request received for game number: ${gameNumber}`);
+    
+    // Moves the row to the Trash sheet. Optional reason in the body or ?reason=
+    const reason = String((req.body && req.body.reason) || req.query.reason || '').trim();
+    const result = await gameStore.deleteGame(gameNumber, { reason });
+    
+    res.json({ 
+      success: true, 
+      message: `Game ${gameNumber} moved to the trash`,
+      gameNumber: result.gameNumber,
+      gameId: result.gameId,
+      trashId: result.trashId
+    });
+    
+  } catch (error) {
+    logger.error('Error deleting game:', error);
+    const code = getErrorCode(error);
+    res.status(getErrorStatus(error)).json({ 
+      success: false, 
+      error: code === ERROR_CODES.INTERNAL_ERROR ? 'Internal server error' : error.message,
+      code
+    });
+  }
+});
+
+// Deleted games, newest first
+app.get('/api/trash', async (req, res) => {
+  try {
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
+      });
+    }
+
+    const items = await gameStore.listTrash();
+    res.json({ 
+      success: true,
+      items,
+      count: items.length,
+      purge: trashPurger.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error reading the trash:', error);
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to read the trash',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
+
+// Put a deleted game back in the games sheet
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
+      });
+    }
+
+    // Numbered like a new row, so it waits for running scrape saves
+    const result = await gamePipeline.enqueueSave(() => gameStore.restoreFromTrash(req.params.id));
+    res.json({ 
+      success: true,
+      message: `Game restored as #${result.gameNumber}`,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error restoring game:', error);
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to restore game',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
+
+// Purge now instead of waiting for the schedule. Body: { olderThanDays }, default TRASH_RETENTION_DAYS
+app.post('/api/trash/purge', async (req, res) => {
+  try {
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
+      });
+    }
+
+    const requested = req.body && req.body.olderThanDays !== undefined ? Number(req.body.olderThanDays) : null;
+    if (requested !== null && (!Number.isFinite(requested) || requested < 0)) {
+      return res.status(400).json({ 
+        error: 'Invalid olderThanDays',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'olderThanDays must be a non-negative number'
+      });
+    }
+    // A retention of 0 means keep forever, so emptying the trash has to be asked for explicitly
+    if (requested === null && trashPurger.retentionDays === 0) {
+      return res.status(400).json({ 
+        error: 'olderThanDays required',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'TRASH_RETENTION_DAYS is 0 (keep forever); pass olderThanDays to purge'
+      });
+    }
+
+    const result = await trashPurger.purge({ olderThanDays: requested ?? trashPurger.retentionDays });
+    res.json({ 
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error purging the trash:', error);
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to purge the trash',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
+
+// Link health for one game: the saved results, or with check a fresh check that is saved
+// when save is set
+async function respondWithLinkHealth(req, res, { check, save }) {
+  try {
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
+      });
+    }
+
+    // A game number, or a Game ID as id:<id>
+    const gameNumber = await gameStore.resolveGameNumber(req.params.gameNumber);
+    if (!gameNumber) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid game number or ID' 
+      });
+    }
+
+    const game = await gameStore.getGame(gameNumber);
+    if (!game) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Game #${gameNumber} not found` 
+      });
+    }
+
+    const result = check
+      ? await linkHealthService.checkGame(game, { save })
+      : { game_number: gameNumber, game_name: game.game_name, links: game.download_links, summary: summarizeLinks(game.download_links) };
+
+    res.json({ 
+      success: true, 
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error checking link health:', error);
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to check link health',
+      code: getErrorCode(error),
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// The last saved link health of one game. ?cached=false checks now without saving
+app.get('/api/games/:gameNumber/links/health', (req, res) => {
+  return respondWithLinkHealth(req, res, { check: req.query.cached === 'false', save: false });
+});
 
-// Routes
-// Root route serves index.html
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
+// Checks a game's links now and saves the results on them
+app.post('/api/games/:gameNumber/links/health', (req, res) => {
+  return respondWithLinkHealth(req, res, { check: true, save: true });
 });
 
-// Main scraping endpoint
-app.post('/api/scrape', async (req, res) => {
-  try {    const { url, sessionId } = req.body;
-    
-    // Input validation
-    if (!url) {
-      if (sessionId) errorProgress(sessionId, 'URL is required');
-      return res.status(400).json({ 
-        error: 'URL is required',
-        details: 'Please provide a valid F95Zone URL'
+// Earlier versions of a game from the History sheet, oldest first, ending with the current row
+app.get('/api/games/:gameNumber/history', async (req, res) => {
+  try {
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
       });
     }
 
-    if (typeof url !== 'string') {
-      if (sessionId) errorProgress(sessionId, 'Invalid URL format');
+    // A game number, or a Game ID as id:<id>
+    const gameNumber = await gameStore.resolveGameNumber(req.params.gameNumber);
+    if (!gameNumber) {
       return res.status(400).json({ 
-        error: 'Invalid URL format',
-        details: 'URL must be a string'
+        success: false, 
+        error: 'Invalid game number or ID' 
       });
     }
 
-    // Basic URL validation
-    try {
-      new URL(url);
-    } catch (urlError) {
-      if (sessionId) errorProgress(sessionId, 'Invalid URL format');
-      return res.status(400).json({ 
-        error: 'Invalid URL format',
-        details: 'Please provide a valid URL'
+    const history = await gameStore.getGameHistory(gameNumber);
+    res.json({ 
+      success: true, 
+      ...history,
+      count: history.timeline.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error reading game history:', error);
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to read game history',
+      code: getErrorCode(error),
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Start a background link health check over all games (or body.gameNumbers)
+app.post('/api/links/health', async (req, res) => {
+  try {
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
       });
     }
 
-    // Check if it's an F95Zone URL
-    if (!url.includes('f95zone.to')) {
-      if (sessionId) errorProgress(sessionId, 'Invalid domain - must be F95Zone URL');
-      return res.status(400).json({ 
-        error: 'Invalid domain',
-        details: 'Please provide an F95Zone URL (f95zone.to)'
+    if (linkHealthService.getStatus().running) {
+      return res.status(409).json({ 
+        error: 'A link health check is already running',
+        run: linkHealthService.getStatus().current
       });
-    }    logger.info(`Starting scrape for URL: ${url}`);
+    }
 
-    // Step 1: Scrape the F95Zone page with retry logic
-    if (sessionId) sendProgress(sessionId, 1, 6, 'Scraping F95Zone page...');
-    let pageData;
-    try {
-      pageData = await scraperService.scrapePageWithRetry(url);
-      logger.info('Page scraped successfully');
-    } catch (scrapeError) {
-      logger.error('Scraping failed:', scrapeError);
-      
-      // Provide more specific error messages
-      let errorDetails = scrapeError.message;
-      if (scrapeError.message.includes('authentication')) {
-        errorDetails = 'Authentication required or failed. Please check your F95Zone credentials in the .env file.';
-      } else if (scrapeError.message.includes('timeout')) {
-        errorDetails = 'Request timed out. The page may be temporarily unavailable.';
-      } else if (scrapeError.message.includes('navigation')) {
-        errorDetails = 'Failed to navigate to the page. Please check the URL.';      }
-      
-      if (sessionId) errorProgress(sessionId, `Failed to scrape page: ${errorDetails}`);
-      return res.status(500).json({ 
-        error: 'Failed to scrape page',
-        details: errorDetails
+    const gameNumbers = req.body && Array.isArray(req.body.gameNumbers) ? req.body.gameNumbers : null;
+    const run = linkHealthService.startBulkCheck({ gameNumbers });
+
+    res.status(202).json({ 
+      success: true, 
+      run,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error starting link health check:', error);
+    res.status(500).json({ 
+      error: 'Failed to start link health check',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Progress of the running (or last) bulk link health check
+app.get('/api/links/health', (req, res) => {
+  res.json({ 
+    success: true, 
+    ...linkHealthService.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Turn the scheduled update check on or off for one game. Body: { tracked: true|false }
+app.put('/api/games/:gameNumber/tracking', async (req, res) => {
+  try {
+    const tracked = req.body ? req.body.tracked : undefined;
+
+    if (typeof tracked !== 'boolean') {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'Send a game number (or id:<Game ID>) and { "tracked": true } or { "tracked": false }'
       });
     }
 
-    // Step 2: Extract structured data using AI
-    if (sessionId) sendProgress(sessionId, 2, 6, 'Extracting game data with AI...');
-    let gameData;
-    try {
-      gameData = await aiService.extractGameData(pageData, url);
-      logger.info('Game data extracted with AI');    } catch (aiError) {
-      logger.error('AI extraction failed:', aiError);
-      if (sessionId) errorProgress(sessionId, `AI extraction failed: ${aiError.message}`);
-      return res.status(500).json({ 
-        error: 'Failed to extract game data',
-        details: aiError.message
+    if (!gameStore.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
       });
     }
 
-    // Step 3: Check if game already exists (by URL or name) AFTER getting game data
-    if (sessionId) sendProgress(sessionId, 3, 6, 'Checking for existing game...');
-    let existingGame;
-    let isUpdate = false;
-    try {
-      existingGame = await googleSheetsService.checkGameExists(url, gameData.game_name);
-      if (existingGame) {
-        isUpdate = true;
-        const matchTypeText = existingGame.matchType === 'url' ? 'URL' : 'game name';
-        logger.info(`Found existing game #${existingGame.game_number} by ${matchTypeText}: ${existingGame.game_name}`);
-        if (sessionId) sendProgress(sessionId, 3, 6, `Found existing game, will update #${existingGame.game_number}...`);
-      }
-    } catch (checkError) {
-      logger.warn('Could not check for existing game:', checkError.message);
+    // A game number, or a Game ID as id:<id>
+    const gameNumber = await gameStore.resolveGameNumber(req.params.gameNumber);
+    if (!gameNumber) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'Send a game number (or id:<Game ID>) and { "tracked": true } or { "tracked": false }'
+      });
     }
 
-    // Step 4: Get download sizes
-    if (sessionId) sendProgress(sessionId, 4, 6, 'Calculating download sizes...');
-    let sizeData;
-    try {
-      sizeData = await scraperService.getDownloadSizes(gameData.download_links);
-      logger.info('Download sizes calculated');
-    } catch (sizeError) {
-      logger.warn('Could not calculate download sizes:', sizeError.message);
-      // Continue with default size data
-      sizeData = {
-        total_size_bytes: 0,
-        total_size_gb: '0.00',
-        individual_sizes: []
-      };    }
-
-    // Step 5: Combine all data
-    if (sessionId) sendProgress(sessionId, 5, 6, 'Preparing data for Google Sheets...');
-    const finalData = {
-      ...gameData,
-      total_size_gb: sizeData.total_size_gb,
-      total_size_bytes: sizeData.total_size_bytes,
-      individual_sizes: sizeData.individual_sizes,
-      extracted_date: new Date().toISOString()    };
-
-    // Step 6: Save or Update in Google Sheets
-    if (sessionId) sendProgress(sessionId, 6, 6, isUpdate ? 'Updating existing game...' : 'Saving new game...');
-    let gameNumber;
-    try {
-      if (isUpdate) {
-        gameNumber = await googleSheetsService.updateGameData(existingGame, finalData);
-        logger.info(`Game updated in Google Sheets with number: ${gameNumber}`);
-      } else {
-        gameNumber = await googleSheetsService.addGameData(finalData);
-        logger.info(`Game saved to Google Sheets with number: ${gameNumber}`);
-      }
-    } catch (sheetError) {
-      logger.error('Failed to save to Google Sheets:', sheetError);
-      if (sessionId) errorProgress(sessionId, `Failed to save to Google Sheets: ${sheetError.message}`);
-      return res.status(500).json({ 
-        error: 'Failed to save to Google Sheets',
-        details: sheetError.message,
-        extractedData: finalData // Still return the extracted data
-      });
-    }    // Step 7: Generate download URL
-    let downloadUrl;
-    try {
-      downloadUrl = await googleSheetsService.exportSheet();
-    } catch (exportError) {
-      logger.warn('Could not generate download URL:', exportError.message);
-      downloadUrl = null;    }
-    
-    const responseData = {
+    await gameStore.setTracked(gameNumber, tracked);
+    res.json({ 
       success: true,
       gameNumber,
-      data: finalData,
-      downloadUrl,
-      isUpdate,
-      message: isUpdate ? 
-        `Game #${gameNumber} updated successfully!` : 
-        'Game data extracted and saved successfully!'
-    };
+      tracked,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating tracking flag:', error);
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to update tracking',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
 
-    if (sessionId) completeProgress(sessionId, responseData);
-    
-    res.json(responseData);
+// Schedule and progress of the update checker
+app.get('/api/updates', async (req, res) => {
+  try {
+    res.json({ 
+      success: true,
+      ...(await updateScheduler.getStatus()),
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    logger.error('Unexpected scraping error:', error);
-    const { sessionId } = req.body;
-    if (sessionId) errorProgress(sessionId, 'An unexpected error occurred during processing');
+    logger.error('Error reading update check status:', error);
     res.status(500).json({ 
-      error: 'Internal server error',
-      details: 'An unexpected error occurred during processing',
-      timestamp: new Date().toISOString()
+      error: 'Failed to read update check status',
+      code: getErrorCode(error),
+      details: error.message
     });
   }
 });
 
-// Get all games from sheet
-app.get('/api/games', async (req, res) => {
+// Check tracked games for new versions now. Body: { gameNumbers } to check only some
+app.post('/api/updates/run', (req, res) => {
   try {
-    if (!googleSheetsService.isConfigured()) {
+    if (!gameStore.isConfigured()) {
       return res.status(503).json({ 
         error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
         details: 'Please configure Google Sheets credentials'
       });
     }
 
-    const games = await googleSheetsService.getAllGames();
-    
-    if (!Array.isArray(games)) {
-      throw new Error('Invalid response from Google Sheets service');
+    if (updateScheduler.currentRun) {
+      return res.status(409).json({ 
+        error: 'An update check is already running',
+        run: updateScheduler.currentRun
+      });
     }
 
-    res.json({ 
-      success: true, 
-      games,
-      count: games.length,
+    const gameNumbers = req.body && Array.isArray(req.body.gameNumbers) ? req.body.gameNumbers : null;
+    const run = updateScheduler.startRun({ trigger: 'manual', gameNumbers });
+
+    res.status(202).json({ 
+      success: true,
+      run,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Error fetching games:', error);
+    logger.error('Error starting update check:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch games',
+      error: 'Failed to start update check',
+      code: getErrorCode(error),
       details: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Download sheet as Excel
-app.get('/api/download', async (req, res) => {
+// Past update checks, newest first
+app.get('/api/updates/runs', async (req, res) => {
   try {
-    if (!googleSheetsService.isConfigured()) {
-      return res.status(503).json({ 
-        error: 'Google Sheets not configured',
-        details: 'Please configure Google Sheets credentials'
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+    if (isNaN(limit) || limit < 0) {
+      return res.status(400).json({ 
+        error: 'Invalid limit',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'limit must be a non-negative number (0 for all)'
       });
     }
 
-    const downloadUrl = await googleSheetsService.exportSheet();
-    
-    if (!downloadUrl || typeof downloadUrl !== 'string') {
-      throw new Error('Failed to generate download URL');
+    const runs = await updateScheduler.getHistory({ limit });
+    res.json({ 
+      success: true,
+      runs,
+      count: runs.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error reading update check history:', error);
+    res.status(500).json({ 
+      error: 'Failed to read update check history',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/updates/runs/:id', async (req, res) => {
+  try {
+    const run = await updateScheduler.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ 
+        error: 'Update check not found',
+        code: ERROR_CODES.NOT_FOUND,
+        details: `No update check with ID ${req.params.id}`
+      });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    logger.error('Error reading update check:', error);
+    res.status(500).json({ 
+      error: 'Failed to read update check',
+      code: getErrorCode(error),
+      details: error.message
+    });
+  }
+});
+
+// Configured webhook targets (secrets masked)
+app.get('/api/notifications', (req, res) => {
+  res.json({ 
+    success: true,
+    enabled: notificationService.isEnabled(),
+    targets: notificationService.getTargets(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Delivery log, newest first. ?status=delivered|failed, ?limit (0 for all)
+app.get('/api/notifications/deliveries', async (req, res) => {
+  try {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+    if (isNaN(limit) || limit < 0) {
+      return res.status(400).json({ 
+        error: 'Invalid limit',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'limit must be a non-negative number (0 for all)'
+      });
     }
 
+    const deliveries = await notificationService.getDeliveries({ limit, status: req.query.status || null });
     res.json({ 
-      success: true, 
-      downloadUrl,
+      success: true,
+      deliveries,
+      count: deliveries.length,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Error generating download:', error);
+    logger.error('Error reading notification log:', error);
     res.status(500).json({ 
-      error: 'Failed to generate download',
-      details: error.message,
-      timestamp: new Date().toISOString()
+      error: 'Failed to read notification log',
+      code: getErrorCode(error),
+      details: error.message
     });
   }
 });
 
-// Health check
-app.get('/api/health', async (req, res) => {
+// Send a sample version change to every target and answer with the outcome (after retries)
+app.post('/api/notifications/test', async (req, res) => {
   try {
-    // Check F95Zone authentication status
-    const f95zoneAuthStatus = await scraperService.getAuthenticationStatus();
-    
+    if (!notificationService.isEnabled()) {
+      return res.status(400).json({ 
+        error: 'No webhooks configured',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'Set NOTIFY_WEBHOOKS to one or more webhook URLs'
+      });
+    }
+
+    const deliveries = await notificationService.sendTest();
     res.json({ 
-      status: 'OK', 
-      timestamp: new Date().toISOString(),
-      services: {
-        scraper: 'operational',
-        ai: aiService.isConfigured() ? 'operational' : 'needs_api_key',
-        sheets: googleSheetsService.isConfigured() ? 'operational' : 'needs_credentials',
-        f95zone_auth: f95zoneAuthStatus
-      }
+      success: deliveries.every(entry => entry.status === 'delivered'),
+      deliveries,
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Health check error:', error);
+    logger.error('Error sending test notification:', error);
     res.status(500).json({ 
-      status: 'ERROR',
-      error: 'Failed to check service health',
-      timestamp: new Date().toISOString()
+      error: 'Failed to send test notification',
+      code: getErrorCode(error),
+      details: error.message
     });
   }
 });
 
-// Delete game endpoint
-app.delete('/api/games/:gameNumber', async (req, res) => {
+// Archived scrape snapshots, newest first. ?thread=<id> limits to one thread
+app.get('/api/snapshots', async (req, res) => {
   try {
-    const gameNumber = req.params.gameNumber;
-    
-    // Validate game number
-    if (!gameNumber || isNaN(gameNumber)) {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+    if (isNaN(limit) || limit < 0) {
       return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid game number' 
+        error: 'Invalid limit',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'limit must be a non-negative number (0 for all)'
       });
     }
 
-    logger.info(`Delete request received for game number: ${gameNumber}`);
-    
-    // Call the delete method
-    const result = await googleSheetsService.deleteGame(gameNumber);
-    
+    const snapshots = await snapshotStore.list({ threadId: req.query.thread || null, limit });
     res.json({ 
       success: true, 
-      message: `Game ${gameNumber} deletion requested`,
-      gameNumber: parseInt(gameNumber)
+      snapshots,
+      count: snapshots.length,
+      enabled: snapshotStore.enabled,
+      retention: snapshotStore.retention,
+      timestamp: new Date().toISOString()
     });
-    
   } catch (error) {
-    logger.error('Error deleting game:', error);
+    logger.error('Error listing snapshots:', error);
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to list snapshots',
+      code: getErrorCode(error),
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Download one snapshot as stored (.json.gz), or decompressed with ?format=json
+app.get('/api/snapshots/:threadId/:snapshotId', async (req, res) => {
+  try {
+    const { threadId, snapshotId } = req.params;
+
+    if (req.query.format === 'json') {
+      return res.json({ success: true, snapshot: await snapshotStore.read(threadId, snapshotId) });
+    }
+
+    const { data } = await snapshotStore.readCompressed(threadId, snapshotId);
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="f95zone-${threadId}-${snapshotId}.json.gz"`
+    });
+    res.send(data);
+  } catch (error) {
+    logger.error('Error reading snapshot:', error);
+    res.status(getErrorStatus(error)).json({ 
+      error: 'Failed to read snapshot',
+      code: getErrorCode(error),
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Apply the retention policy now instead of waiting for the next save
+app.post('/api/snapshots/prune', async (req, res) => {
+  try {
+    const result = await snapshotStore.prune();
+    res.json({ 
+      success: true, 
+      ...result,
+      retention: snapshotStore.retention,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error pruning snapshots:', error);
     res.status(500).json({ 
-      success: false, 
-      error: 'Internal server error' 
+      error: 'Failed to prune snapshots',
+      code: getErrorCode(error),
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Re-run extraction on archived pages instead of scraping again. Body: one of
+// { gameNumber }, { snapshotId } or { all: true }, plus apply to write the result
+app.post('/api/reextract', async (req, res) => {
+  const { gameNumber, snapshotId, all, apply = false, sessionId } = req.body || {};
+
+  try {
+    const targets = [gameNumber !== undefined, snapshotId !== undefined, all === true].filter(Boolean).length;
+    if (targets !== 1) {
+      if (sessionId) errorProgress(sessionId, 'Specify one of gameNumber, snapshotId or all', ERROR_CODES.INVALID_REQUEST);
+      return res.status(400).json({ 
+        error: 'Invalid re-extraction target',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'Provide exactly one of gameNumber, snapshotId or all: true'
+      });
+    }
+
+    if (gameNumber !== undefined && isNaN(gameNumber)) {
+      if (sessionId) errorProgress(sessionId, 'Invalid game number', ERROR_CODES.INVALID_REQUEST);
+      return res.status(400).json({ 
+        error: 'Invalid game number',
+        code: ERROR_CODES.INVALID_REQUEST,
+        details: 'gameNumber must be a number'
+      });
+    }
+
+    if ((gameNumber !== undefined || all || apply) && !gameStore.isConfigured()) {
+      if (sessionId) errorProgress(sessionId, 'Google Sheets not configured', ERROR_CODES.NOT_CONFIGURED);
+      return res.status(503).json({ 
+        error: 'Google Sheets not configured',
+        code: ERROR_CODES.NOT_CONFIGURED,
+        details: 'Please configure Google Sheets credentials'
+      });
+    }
+
+    if (all) {
+      const summary = await gamePipeline.reextractAll({
+        apply: apply === true,
+        onProgress: (step, total, message) => {
+          if (sessionId) sendProgress(sessionId, step, total, message);
+        }
+      });
+      const responseData = { 
+        success: true, 
+        ...summary,
+        timestamp: new Date().toISOString()
+      };
+      if (sessionId) completeProgress(sessionId, responseData);
+      return res.json(responseData);
+    }
+
+    if (sessionId) sendProgress(sessionId, 1, 1, 'Re-extracting from snapshot...');
+    const result = await gamePipeline.reextract(
+      gameNumber !== undefined ? { gameNumber: parseInt(gameNumber, 10) } : { snapshotId },
+      { apply: apply === true }
+    );
+    const responseData = { 
+      success: true, 
+      ...result,
+      timestamp: new Date().toISOString()
+    };
+    if (sessionId) completeProgress(sessionId, responseData);
+    res.json(responseData);
+  } catch (error) {
+    logger.error('Re-extraction failed:', error);
+    const code = getErrorCode(error);
+    if (sessionId) errorProgress(sessionId, `Re-extraction failed: ${error.message}`, code);
+    res.status(getErrorStatus(error)).json({ 
+      error: error.stage === 'save' ? 'Failed to save game data' : 'Failed to re-extract game data',
+      code,
+      details: error.message,
+      timestamp: new Date().toISOString()
     });
   }
 });
@@ -448,13 +1403,14 @@ function completeProgress(sessionId, data = null) {
 }
 
 // Helper function to send error progress
-function errorProgress(sessionId, error) {
+function errorProgress(sessionId, error, code = ERROR_CODES.INTERNAL_ERROR) {
   const res = progressSessions.get(sessionId);
   if (res && !res.destroyed) {
     try {
       const errorData = {
         progress: 0,
         message: error,
+        code,
         status: 'error',
         timestamp: new Date().toISOString()
       };
@@ -470,6 +1426,16 @@ function errorProgress(sessionId, error) {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  // A body over the parser's limit, e.g. a page over INGEST_MAX_HTML_BYTES sent to /api/ingest-html
+  if (error.type === 'entity.too.large') {
+    logger.warn(`Rejected ${error.length} byte body for ${req.path}, the limit is ${error.limit}`);
+    return res.status(413).json({ 
+      error: req.path === '/api/ingest-html' ? 'HTML too large' : 'Request body too large',
+      code: ERROR_CODES.PAYLOAD_TOO_LARGE,
+      details: `${error.length} bytes sent, the limit is ${error.limit}`
+    });
+  }
+
   logger.error('Unhandled error:', error);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -478,6 +1444,15 @@ app.use((error, req, res, next) => {
 app.listen(PORT, () => {
   logger.info(`🚀 F95Zone Scraper Server running on http://localhost:${PORT}`);
   logger.info('📝 Open the web interface to start scraping!');
+
+  // Snapshots may have aged out while the server was down
+  snapshotStore.prune().catch(error => logger.warn('Snapshot pruning failed:', error.message));
+
+  // Pick up batch jobs the last run did not finish
+  jobQueue.load().catch(error => logger.error('Could not restore jobs:', error));
+
+  updateScheduler.start();
+  trashPurger.start();
 }).on('error', (error) => {
   logger.error('Failed to start server:', error);
   if (error.code === 'EADDRINUSE') {
@@ -490,6 +1465,9 @@ app.listen(PORT, () => {
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM signal. Starting graceful shutdown...');
   try {
+    updateScheduler.stop();
+    trashPurger.stop();
+    await jobQueue.shutdown();
     await scraperService.close();
     logger.info('Scraper service closed successfully');
   } catch (error) {
@@ -501,6 +1479,9 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('Received SIGINT signal. Starting graceful shutdown...');
   try {
+    updateScheduler.stop();
+    trashPurger.stop();
+    await jobQueue.shutdown();
     await scraperService.close();
     logger.info('Scraper service closed successfully');
   } catch (error) {
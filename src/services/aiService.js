@@ -1,9 +1,27 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { Logger } from '../utils/logger.js';
+import { detectProvider, isMaskedLink } from '../utils/links.js';
+import { getRateLimiter } from '../utils/rateLimiter.js';
+import { createRetryPolicy, getRetryAfter, withRetry } from '../utils/retry.js';
+import { AppError, AIInvalidJSONError, ERROR_CODES, RateLimitedError } from '../utils/errors.js';
+import {
+  ThreadParser,
+  ENGINE_PREFIXES,
+  GAME_STATUSES,
+  normalizeEngine,
+  normalizeStatus,
+  extractTitlePrefixes
+} from './threadParser.js';
+
+// Rate limiter key for Gemini requests
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com';
 
 export class AIService {
   constructor() {
     this.logger = new Logger();
+    this.threadParser = new ThreadParser();
+    this.rateLimiter = getRateLimiter();
+    this.retryPolicy = createRetryPolicy();
     
     try {
       this.genAI = process.env.GOOGLE_GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GOOGLE_GEMINI_API_KEY) : null;
@@ -34,7 +52,14 @@ export class AIService {
 
     if (!originalUrl || typeof originalUrl !== 'string') {
       throw new Error('Invalid original URL provided');
-    }    const prompt = `
+    }
+
+    // Fields read straight from the first post's DOM are trusted over anything the model infers
+    const overview = pageData.overview || this.threadParser.parse(pageData.html);
+    const trustedFields = this.getTrustedFields(overview);
+    const pageContent = overview && overview.first_post_text ? overview.first_post_text : (pageData.content || '');
+
+    const prompt = `
 You are a data extraction specialist for F95Zone adult game pages. Extract structured game information from the provided web page content.
 
 IMPORTANT: Extract ALL information accurately and return ONLY valid JSON.
@@ -51,6 +76,8 @@ Extract the following data:
 - version: Current version (look for v1.0, Version 1.2, etc.)
 - developer: Game developer/creator name
 - release_date: Release or update date if mentioned
+- engine: Game engine from the thread title prefix, one of: ${ENGINE_PREFIXES.join(', ')} (null if not shown)
+- status: Development status from the thread title prefix, one of: ${GAME_STATUSES.join(', ')} (Ongoing when no status prefix is shown)
 - cover_image: Direct URL to the main game cover/preview image (IMPORTANT: Prefer original images over thumbnails - avoid URLs containing "/thumb/")
 - description: Brief game description (max 200 chars)
 - tags: Array of game tags/genres mentioned
@@ -77,10 +104,13 @@ Pay special attention to:
 - File size information (GB/MB) near download links
 - Platform-specific downloads (PC, Mac, Android)
 
+${trustedFields ? `Verified thread data (parsed directly from the first post - treat these values as ground truth and do not contradict them):
+${JSON.stringify(trustedFields)}
+` : ''}
 Page Content:
 Title: ${pageData.title || 'No title'}
 URL: ${originalUrl}
-Content: ${(pageData.content || '').substring(0, 8000)}
+Content: ${pageContent.substring(0, 8000)}
 
 Images found: ${JSON.stringify((pageData.images || []).slice(0, 10))}
 Links found: ${JSON.stringify((pageData.links || []).slice(0, 20))}
@@ -90,17 +120,24 @@ Return only valid JSON with the structure above.`;
     try {
       this.logger.info('Starting AI extraction...');
       
-      const result = await this.model.generateContent({
-        contents: [{
-          role: 'user',
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.1,
-          maxOutputTokens: 2000,
-        }
+      // Gemini answers 429/503 when busy; those are retried with backoff
+      const result = await withRetry(async () => {
+        await this.rateLimiter.acquire(GEMINI_API_URL);
+        return await this.model.generateContent({
+          contents: [{
+            role: 'user',
+            parts: [{
+              text: prompt
+            }]
+          }],
+          generationConfig: {
+            temperature: 0.1,
+            maxOutputTokens: 2000,
+          }
+        });
+      }, {
+        policy: this.retryPolicy,
+        onRetry: (error, attempt, delay) => this.logger.warn(`AI request failed (${error.message}), retry ${attempt} in ${delay}ms`)
       });
 
       if (!result || !result.response) {
@@ -128,30 +165,99 @@ Return only valid JSON with the structure above.`;
         gameData = JSON.parse(cleanedJson);
       } catch (parseError) {
         this.logger.warn('AI response was not valid JSON, falling back to regex extraction');
-        throw new Error(`Invalid JSON from AI: ${parseError.message}`);
+        throw new AIInvalidJSONError(`Invalid JSON from AI: ${parseError.message}`, { cause: parseError });
       }
       
       // Add original URL
       gameData.original_url = originalUrl;
       
       // Validate and clean the data
-      const validatedData = this.validateAndCleanGameData(gameData);
+      const validatedData = this.validateAndCleanGameData(this.applyThreadOverview(gameData, overview));
+      validatedData.download_links = this.applyResolvedLinks(validatedData.download_links, pageData.links);
       this.logger.info('AI extraction completed successfully');
       return validatedData;
 
-    } catch (error) {
-      this.logger.error('Error extracting game data with Google Gemini:', error);
+    } catch (caught) {
+      this.logger.error('Error extracting game data with Google Gemini:', caught);
+      const error = caught.status === 429 ?
+        new RateLimitedError('Google Gemini rate limit reached', { retryAfter: getRetryAfter(caught), cause: caught }) :
+        caught;
       
       // Fallback extraction using regex patterns
       this.logger.info('Attempting fallback extraction...');
       try {
-        return this.fallbackExtraction(pageData, originalUrl);
+        return this.applyThreadOverview(this.fallbackExtraction(pageData, originalUrl), overview);
       } catch (fallbackError) {
         this.logger.error('Fallback extraction also failed:', fallbackError);
-        throw new Error(`AI extraction failed: ${error.message}. Fallback also failed: ${fallbackError.message}`);
+        // Keep the code of the AI failure (e.g. AI_INVALID_JSON) so clients see why the model output was unusable
+        throw new AppError(`AI extraction failed: ${error.message}. Fallback also failed: ${fallbackError.message}`, {
+          code: error instanceof AppError ? error.code : ERROR_CODES.AI_EXTRACTION_FAILED,
+          status: error instanceof AppError ? error.status : 502,
+          cause: error
+        });
       }    }
   }
 
+  getTrustedFields(overview) {
+    if (!overview) {
+      return null;
+    }
+
+    const { first_post_text, ...fields } = overview;
+    const trusted = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) continue;
+      trusted[key] = value;
+    }
+    return Object.keys(trusted).length > 0 ? trusted : null;
+  }
+
+  // Overwrite model output with the values parsed from the thread itself
+  applyThreadOverview(gameData, overview) {
+    if (!overview || !gameData || typeof gameData !== 'object') {
+      return gameData;
+    }
+
+    const merged = { ...gameData };
+    const version = overview.version || overview.title_version;
+    const developer = overview.developer || overview.title_developer;
+
+    if (overview.title) merged.game_name = overview.title;
+    if (version) merged.version = version;
+    if (developer) merged.developer = developer;
+    if (overview.release_date) merged.release_date = overview.release_date;
+    if (overview.thread_updated) merged.thread_updated = overview.thread_updated;
+    if (overview.genre && overview.genre.length > 0) merged.tags = overview.genre;
+    if (overview.engine) merged.engine = overview.engine;
+    if (overview.status) {
+      merged.status = overview.status;
+    } else if (overview.prefixes && overview.prefixes.length > 0) {
+      // The title has prefixes but none of them is a status: the game is still in development
+      merged.status = 'Ongoing';
+    }
+
+    return merged;
+  }
+
+  // Point download links at the real host URLs found while scraping, keeping masked_url as provenance.
+  // The model may echo either the resolved URL or the original masked one.
+  applyResolvedLinks(downloadLinks, pageLinks) {
+    if (!Array.isArray(downloadLinks)) {
+      return [];
+    }
+
+    const resolvedLinks = (pageLinks || []).filter(link => link && link.masked_url);
+    return downloadLinks.map(link => {
+      const pageLink = resolvedLinks.find(candidate => candidate.href === link.url || candidate.masked_url === link.url);
+      const updated = pageLink ? { ...link, url: pageLink.href, masked_url: pageLink.masked_url } : link;
+
+      if (!updated.provider || updated.provider === 'Unknown') {
+        return { ...updated, provider: detectProvider(updated.url) };
+      }
+      return updated;
+    });
+  }
+
   convertThumbnailToOriginal(imageUrl) {
     if (!imageUrl || typeof imageUrl !== 'string') {
       return imageUrl;
@@ -180,11 +286,14 @@ Return only valid JSON with the structure above.`;
         version: (data.version && typeof data.version === 'string') ? data.version.trim() : 'Unknown',
         developer: (data.developer && typeof data.developer === 'string') ? data.developer.trim() : 'Unknown',
         release_date: (data.release_date && typeof data.release_date === 'string') ? data.release_date.trim() : null,
+        thread_updated: (data.thread_updated && typeof data.thread_updated === 'string') ? data.thread_updated.trim() : null,
         cover_image: (data.cover_image && typeof data.cover_image === 'string' && data.cover_image.startsWith('http')) ? this.convertThumbnailToOriginal(data.cover_image.trim()) : null,
         description: (data.description && typeof data.description === 'string') ? data.description.trim().substring(0, 500) : '',
         tags: Array.isArray(data.tags) ? data.tags.filter(tag => tag && typeof tag === 'string').map(tag => tag.trim()) : [],
         download_links: Array.isArray(data.download_links) ? data.download_links : [],
         file_size: (data.file_size && typeof data.file_size === 'string') ? data.file_size.trim() : null,
+        engine: normalizeEngine(data.engine),
+        status: normalizeStatus(data.status) || 'Ongoing',
         original_url: (data.original_url && typeof data.original_url === 'string') ? data.original_url.trim() : ''
       };
 
@@ -195,7 +304,8 @@ Return only valid JSON with the structure above.`;
           provider: (link.provider && typeof link.provider === 'string') ? link.provider.trim() : 'Unknown',
           url: (link.url && typeof link.url === 'string') ? link.url.trim() : '',
           platform: (link.platform && typeof link.platform === 'string') ? link.platform.trim() : 'PC',
-          version: (link.version && typeof link.version === 'string') ? link.version.trim() : cleaned.version
+          version: (link.version && typeof link.version === 'string') ? link.version.trim() : cleaned.version,
+          ...(typeof link.masked_url === 'string' && link.masked_url ? { masked_url: link.masked_url.trim() } : {})
         }))
         .filter(link => link.url && link.url.startsWith('http'));
 
@@ -209,11 +319,14 @@ Return only valid JSON with the structure above.`;
         version: 'Unknown',
         developer: 'Unknown',
         release_date: null,
+        thread_updated: null,
         cover_image: null,
         description: '',
         tags: [],
         download_links: [],
         file_size: null,
+        engine: null,
+        status: 'Ongoing',
         original_url: data.original_url || ''
       };
     }
@@ -242,6 +355,9 @@ Return only valid JSON with the structure above.`;
       // Extract download links
       const downloadLinks = this.extractDownloadLinks(pageData.links || [], version);
 
+      // Engine and status prefixes from the title
+      const prefixes = extractTitlePrefixes(title);
+
       const result = {
         game_name: gameName.trim(),
         version,
@@ -252,6 +368,8 @@ Return only valid JSON with the structure above.`;
         tags: [],
         download_links: downloadLinks,
         file_size: null,
+        engine: prefixes.engine,
+        status: prefixes.status || 'Ongoing',
         original_url: originalUrl
       };
 
@@ -286,6 +404,7 @@ Return only valid JSON with the structure above.`;
       return links
         .filter(link => 
           link && link.href && (
+            isMaskedLink(link.href) ||
             link.href.includes('mega.nz') ||
             link.href.includes('drive.google.com') ||
             link.href.includes('mediafire.com') ||
@@ -294,23 +413,13 @@ Return only valid JSON with the structure above.`;
             (link.text && link.text.toLowerCase().includes('pc'))
           )
         )
-        .map(link => {
-          let provider = 'Unknown';
-          const href = link.href;
-          
-          if (href.includes('mega.nz')) provider = 'MEGA';
-          else if (href.includes('drive.google.com')) provider = 'Google Drive';
-          else if (href.includes('mediafire.com')) provider = 'MediaFire';
-          else if (href.includes('gofile.io')) provider = 'GoFile';
-          else if (href.includes('pixeldrain.com')) provider = 'PixelDrain';
-          
-          return {
-            provider,
-            url: href,
-            platform: 'PC',
-            version
-          };
-        });
+        .map(link => ({
+          provider: detectProvider(link.href),
+          url: link.href,
+          platform: 'PC',
+          version,
+          ...(link.masked_url ? { masked_url: link.masked_url } : {})
+        }));
     } catch (error) {
       this.logger.warn('Error extracting download links:', error);
       return [];
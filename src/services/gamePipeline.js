@@ -0,0 +1,247 @@
+import { Logger } from '../utils/logger.js';
+import { getThreadId } from '../utils/links.js';
+import { diffGames, summarizeUpdate } from '../utils/gameDiff.js';
+import { NotFoundError, getErrorCode } from '../utils/errors.js';
+
+// Turns a snapshot's stored content back into the pageData a scrape returns
+export function snapshotToPageData(snapshot) {
+  const content = snapshot.content || {};
+  return {
+    title: content.title || snapshot.title || '',
+    url: content.final_url || snapshot.url,
+    content: content.text || '',
+    html: content.html || '',
+    images: content.images || [],
+    links: content.links || [],
+    fetch_mode: content.fetch_mode || snapshot.fetch_mode || null,
+    snapshot_id: `${snapshot.thread_id}/${snapshot.id}`
+  };
+}
+
+// Everything that happens to a page after it is fetched: AI extraction, the existing-game
+// lookup, download sizes and the sheet write. /api/scrape feeds it fresh pages and
+// /api/reextract feeds it archived snapshots.
+//
+// Failures are rethrown with error.stage ('fetch', 'extract' or 'save') so callers can tell
+// which step failed; save failures also carry the record in error.extractedData.
+export class GamePipeline {
+  constructor({ scraperService, aiService, sheetsService, snapshotStore = scraperService.snapshotStore }) {
+    this.logger = new Logger();
+    this.scraperService = scraperService;
+    this.aiService = aiService;
+    this.sheetsService = sheetsService;
+    this.snapshotStore = snapshotStore;
+    // Sheet writes run one at a time: new rows are numbered from the last row, and two
+    // scrapes of the same thread must not both add it
+    this.saveQueue = Promise.resolve();
+    this.savesCompleted = 0;
+  }
+
+  enqueueSave(task) {
+    const run = this.saveQueue.then(task, task);
+    this.saveQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Step 1 and the rest of the pipeline, for callers that only have a URL (batch jobs)
+  async scrape(url, { mode, onProgress = () => {} } = {}) {
+    onProgress(1, 'Scraping F95Zone page...');
+    let pageData;
+    try {
+      pageData = await this.scraperService.scrapePageWithRetry(url, this.scraperService.retryPolicy.maxAttempts, { mode });
+    } catch (error) {
+      error.stage = 'fetch';
+      throw error;
+    }
+    return await this.process(pageData, url, { onProgress });
+  }
+
+  // onProgress(step, message) follows the /api/scrape steps 2-6
+  async process(pageData, url, { onProgress = () => {} } = {}) {
+    onProgress(2, 'Extracting game data with AI...');
+    const gameData = await this.extractGameData(pageData, url);
+
+    onProgress(3, 'Checking for existing game...');
+    const savesBeforeCheck = this.savesCompleted;
+    let existingGame = null;
+    try {
+      existingGame = await this.sheetsService.checkGameExists(url, gameData.game_name);
+      if (existingGame) {
+        const matchTypeText = { url: 'URL', id: 'thread ID' }[existingGame.matchType] || 'game name';
+        this.logger.info(`Found existing game #${existingGame.game_number} by ${matchTypeText}: ${existingGame.game_name}`);
+        onProgress(3, `Found existing game, will update #${existingGame.game_number}...`);
+      }
+    } catch (checkError) {
+      this.logger.warn('Could not check for existing game:', checkError.message);
+    }
+
+    onProgress(4, 'Calculating download sizes...');
+    const finalData = await this.addDownloadSizes(gameData, pageData);
+
+    onProgress(5, 'Preparing game data for saving...');
+    onProgress(6, existingGame ? 'Updating existing game...' : 'Saving new game...');
+    const gameNumber = await this.enqueueSave(async () => {
+      // Another scrape may have added this game since the lookup
+      if (!existingGame && this.savesCompleted !== savesBeforeCheck) {
+        existingGame = await this.sheetsService.checkGameExists(url, gameData.game_name).catch(() => null);
+      }
+      return await this.saveGameData(existingGame, finalData);
+    });
+
+    // Updates report what they changed against the row as it was before the write
+    const changes = existingGame ? summarizeUpdate(existingGame, this.sheetsService.mergeGameData(existingGame, finalData)) : null;
+    return { gameNumber, data: finalData, isUpdate: !!existingGame, changes };
+  }
+
+  async extractGameData(pageData, url) {
+    try {
+      const gameData = await this.aiService.extractGameData(pageData, url);
+      this.logger.info('Game data extracted with AI');
+      return gameData;
+    } catch (error) {
+      this.logger.error('AI extraction failed:', error);
+      error.stage = 'extract';
+      throw error;
+    }
+  }
+
+  async addDownloadSizes(gameData, pageData) {
+    let sizeData;
+    try {
+      sizeData = await this.scraperService.getDownloadSizes(gameData.download_links, {
+        pageLinks: pageData.links,
+        fileSizeText: gameData.file_size
+      });
+      this.logger.info('Download sizes calculated');
+    } catch (sizeError) {
+      this.logger.warn('Could not calculate download sizes:', sizeError.message);
+      // Continue with default size data
+      sizeData = {
+        total_size_bytes: 0,
+        total_size_gb: '0.00',
+        individual_sizes: []
+      };
+    }
+
+    return {
+      ...gameData,
+      total_size_gb: sizeData.total_size_gb,
+      total_size_bytes: sizeData.total_size_bytes,
+      individual_sizes: sizeData.individual_sizes,
+      extracted_date: new Date().toISOString()
+    };
+  }
+
+  async saveGameData(existingGame, finalData) {
+    try {
+      let gameNumber;
+      if (existingGame) {
+        gameNumber = await this.sheetsService.updateGameData(existingGame, finalData);
+        this.logger.info(`Game updated with number: ${gameNumber}`);
+      } else {
+        gameNumber = await this.sheetsService.addGameData(finalData);
+        this.logger.info(`Game saved with number: ${gameNumber}`);
+      }
+      this.savesCompleted++;
+      return gameNumber;
+    } catch (error) {
+      this.logger.error('Failed to save game data:', error);
+      error.stage = 'save';
+      error.extractedData = finalData;
+      throw error;
+    }
+  }
+
+  // Newest snapshot of the thread a sheet row points at
+  async findLatestSnapshot(game) {
+    const threadId = getThreadId(game.original_url) || this.snapshotStore.getSnapshotKey(game.original_url);
+    const [record] = await this.snapshotStore.list({ threadId, limit: 1 });
+    if (!record) {
+      throw new NotFoundError(`No snapshot stored for game #${game.game_number} (${game.original_url || 'no URL'})`);
+    }
+    return await this.snapshotStore.read(record.thread_id, record.id);
+  }
+
+  // Runs extraction on an archived page instead of scraping it again. target is
+  // { gameNumber } (its newest snapshot) or { snapshotId: '<thread>/<id>' }.
+  // Returns the record the sheet would hold and a field-level diff against the current row;
+  // with apply it is written the same way a scrape writes it.
+  async reextract({ gameNumber = null, snapshotId = null, game = null }, { apply = false } = {}) {
+    const sheetsConfigured = this.sheetsService.isConfigured();
+    let current = game;
+    if (!current && gameNumber !== null) {
+      current = await this.sheetsService.getGame(gameNumber);
+      if (!current) {
+        throw new NotFoundError(`Game #${gameNumber} not found`);
+      }
+    }
+
+    let snapshot;
+    if (snapshotId) {
+      const [threadId, id] = String(snapshotId).split('/');
+      snapshot = await this.snapshotStore.read(threadId, id);
+    } else {
+      snapshot = await this.findLatestSnapshot(current);
+    }
+
+    const pageData = snapshotToPageData(snapshot);
+    const gameData = await this.extractGameData(pageData, snapshot.url);
+
+    if (!current && sheetsConfigured) {
+      current = await this.sheetsService.checkGameExists(snapshot.url, gameData.game_name);
+    }
+
+    const finalData = await this.addDownloadSizes(gameData, pageData);
+    const proposed = current ? this.sheetsService.mergeGameData(current, finalData) : finalData;
+    const changes = diffGames(current, proposed);
+
+    const result = {
+      game_number: current ? parseInt(current.game_number, 10) : null,
+      snapshot_id: pageData.snapshot_id,
+      captured_at: snapshot.captured_at,
+      url: snapshot.url,
+      is_new: !current,
+      changes,
+      applied: false,
+      data: proposed
+    };
+
+    if (apply && changes.length > 0) {
+      result.game_number = await this.enqueueSave(() => this.saveGameData(current, finalData));
+      result.applied = true;
+    }
+
+    return result;
+  }
+
+  // Re-extracts every sheet row that has a snapshot. One failure does not stop the run;
+  // games without a snapshot are reported as skipped.
+  async reextractAll({ apply = false, onProgress = () => {} } = {}) {
+    const games = await this.sheetsService.getAllGames();
+    const results = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const [index, game] of games.entries()) {
+      onProgress(index + 1, games.length, `Re-extracting #${game.game_number} ${game.game_name}...`);
+      try {
+        results.push(await this.reextract({ game }, { apply }));
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          skipped.push({ game_number: parseInt(game.game_number, 10), reason: error.message });
+        } else {
+          this.logger.warn(`Re-extraction of game #${game.game_number} failed: ${error.message}`);
+          failed.push({ game_number: parseInt(game.game_number, 10), error: error.message, code: getErrorCode(error) });
+        }
+      }
+    }
+
+    return {
+      results,
+      skipped,
+      failed,
+      changed: results.filter(result => result.changes.length > 0).length,
+      applied: results.filter(result => result.applied).length
+    };
+  }
+}
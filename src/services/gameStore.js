@@ -0,0 +1,236 @@
+import { EventEmitter } from 'events';
+import { NotFoundError } from '../utils/errors.js';
+import { getThreadId } from '../utils/links.js';
+
+// Permanent ID of a game: the Game ID cell, else its F95Zone thread ID. Game Number is only
+// the display order.
+export function gameIdFor(game) {
+  return String((game && (game.game_id || getThreadId(game.original_url))) || '');
+}
+
+// Games are tracked by the update checker unless their Tracked cell says otherwise
+export function isTracked(game) {
+  const value = String((game && game.tracked) ?? '').trim().toLowerCase();
+  return !['no', 'false', '0'].includes(value);
+}
+
+// 'v0.8' and '0.8' are the same version
+export function normalizeVersion(value) {
+  return String(value || '').trim().replace(/^v(?=\d)/i, '').toLowerCase();
+}
+
+// Blank until someone sets the flag; true/false and Yes/No are written as Yes/No
+export function trackedCell(value) {
+  if (value === undefined || value === null || value === '') return '';
+  return isTracked({ tracked: value }) ? 'Yes' : 'No';
+}
+
+// One point of a game's version timeline; replacedAt is null for the current row
+export function timelineEntry(record, replacedAt) {
+  return {
+    game_name: record.game_name || null,
+    version: record.version || null,
+    status: record.status || null,
+    total_size_gb: record.total_size_gb || null,
+    total_size_bytes: parseInt(record.total_size_bytes, 10) || 0,
+    download_links: Array.isArray(record.download_links) ? record.download_links : [],
+    extracted_date: record.extracted_date || null,
+    replaced_at: replacedAt
+  };
+}
+
+// Where games are saved. Adapters (GoogleSheetsService, LocalGameStore) implement:
+//   isConfigured()
+//   getAllGames(filters), getLastGameNumber()
+//   addGameData(data), updateGameData(existingGame, data)
+//   updateDownloadLinks(n, links), setTracked(n, tracked), updateThreadUpdated(n, date)
+//   getGameHistory(n)
+//   deleteGame(n, { reason }), listTrash(), restoreFromTrash(trashId), purgeTrash({ olderThanDays })
+//   exportSheet() - a URL the games can be downloaded from
+// Games are returned as plain objects with string values, the way a sheet row reads back.
+// Emits 'gameChanged' when updateGameData rewrites a game with a new version or status.
+export class GameStore extends EventEmitter {
+  constructor() {
+    super();
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Runs writes one at a time. A write finds its game's row (or array index) and then writes
+  // to it; a delete in between would shift the rows and send the write to the wrong game.
+  enqueueWrite(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async getGame(gameNumber) {
+    const games = await this.getAllGames();
+    return games.find(game => parseInt(game.game_number, 10) === parseInt(gameNumber, 10)) || null;
+  }
+
+  // A route's game reference to its game number: digits are a game number, 'id:<Game ID>'
+  // or any other text a Game ID (thread IDs are digits too, hence the prefix). Null if empty.
+  async resolveGameNumber(ref) {
+    const value = String(ref ?? '').trim();
+    if (/^\d+$/.test(value)) {
+      return parseInt(value, 10);
+    }
+
+    const gameId = value.replace(/^id:/i, '').trim();
+    if (!gameId) {
+      return null;
+    }
+    const game = (await this.getAllGames()).find(candidate => candidate.game_id === gameId);
+    if (!game) {
+      throw new NotFoundError(`No game with ID ${gameId}`);
+    }
+    return parseInt(game.game_number, 10);
+  }
+
+  // Saves link check results onto the game's links as they are now. Only links whose URL is
+  // still there get a result, so links a scrape replaced during the check are kept as they are.
+  async saveLinkHealth(gameNumber, checkedLinks) {
+    const game = await this.getGame(gameNumber);
+    if (!game) {
+      throw new NotFoundError(`Game #${gameNumber} not found`);
+    }
+
+    const results = new Map(checkedLinks.filter(link => link && link.url).map(link => [link.url, link]));
+    const current = Array.isArray(game.download_links) ? game.download_links : [];
+    const links = current.map(link => {
+      const result = link && results.get(link.url);
+      return result
+        ? { ...link, health_status: result.health_status, health_reason: result.health_reason, last_checked: result.last_checked }
+        : link;
+    });
+
+    if (current.some(link => link && results.has(link.url))) {
+      await this.updateDownloadLinks(gameNumber, links);
+    }
+    return links;
+  }
+
+  // Tells listeners (notifications) which of version and status moved; a listener error never fails the update
+  emitGameChanged(gameNumber, existingGame, mergedData) {
+    const changes = [];
+    if (normalizeVersion(existingGame.version) !== normalizeVersion(mergedData.version)) changes.push('version');
+    if (String(existingGame.status || '').trim() !== String(mergedData.status || '').trim()) changes.push('status');
+    if (changes.length === 0) {
+      return;
+    }
+
+    try {
+      this.emit('gameChanged', {
+        game_number: parseInt(gameNumber, 10),
+        game_id: gameIdFor(mergedData) || null,
+        game_name: mergedData.game_name,
+        original_url: mergedData.original_url || null,
+        cover_image: mergedData.cover_image || null,
+        previous: { version: existingGame.version || null, status: existingGame.status || null },
+        current: { version: mergedData.version || null, status: mergedData.status || null },
+        changes,
+        changed_at: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.warn(`gameChanged listener failed for game #${gameNumber}: ${error.message}`);
+    }
+  }
+
+  // Merge data: use new data where available, fall back to existing data
+  mergeGameData(existingGame, newGameData) {
+    return {
+      game_name: newGameData.game_name || existingGame.game_name,
+      version: newGameData.version || existingGame.version,
+      developer: newGameData.developer || existingGame.developer,
+      release_date: newGameData.release_date || existingGame.release_date,
+      original_url: newGameData.original_url || existingGame.original_url, // Update to new URL
+      cover_image: newGameData.cover_image || existingGame.cover_image,
+      description: newGameData.description || existingGame.description,
+      tags: newGameData.tags && newGameData.tags.length > 0 ? newGameData.tags : existingGame.tags,
+      total_size_gb: newGameData.total_size_gb || existingGame.total_size_gb,
+      total_size_bytes: newGameData.total_size_bytes || existingGame.total_size_bytes,
+      download_links: newGameData.download_links && newGameData.download_links.length > 0 ? newGameData.download_links : existingGame.download_links,
+      individual_sizes: newGameData.individual_sizes && newGameData.individual_sizes.length > 0 ? newGameData.individual_sizes : existingGame.individual_sizes,
+      extracted_date: new Date().toISOString(), // Always update extraction date
+      engine: newGameData.engine || existingGame.engine,
+      status: newGameData.status || existingGame.status,
+      thread_updated: newGameData.thread_updated || existingGame.thread_updated,
+      tracked: newGameData.tracked ?? existingGame.tracked, // only changed on request
+      game_id: gameIdFor(existingGame) || gameIdFor(newGameData) // never changes once set
+    };
+  }
+
+  // filters: { engine, status } - comma-separated values, matched case-insensitively
+  matchesFilters(game, filters = {}) {
+    return ['engine', 'status'].every(field => {
+      if (!filters[field]) return true;
+      const wanted = String(filters[field]).split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+      return wanted.length === 0 || wanted.includes(String(game[field] || '').toLowerCase());
+    });
+  }
+
+  // Normalize game name by removing version info and common prefixes/suffixes
+  normalizeGameName(name) {
+    if (!name || typeof name !== 'string') return '';
+
+    return name
+      .toLowerCase()
+      .trim()
+      // Remove version patterns like v1.0, version 1.2, ep 1, episode 1, etc.
+      .replace(/\s*\b(v|ver|version|ep|episode|chapter|ch|part|pt|release|r)\s*[\d.]+\w*\b/gi, '')
+      // Remove common prefixes
+      .replace(/^(the\s+|a\s+|an\s+)/i, '')
+      // Remove parentheses and brackets content (often contains version info)
+      .replace(/\s*[\[\(].*?[\]\)]\s*/g, ' ')
+      // Remove extra whitespace
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  async checkGameExists(gameUrl, gameName = null) {
+    if (!gameUrl || typeof gameUrl !== 'string') {
+      this.logger.warn('Invalid game URL provided for existence check');
+      return null;
+    }
+
+    try {
+      const games = await this.getAllGames();
+
+      // The same thread under another URL form (with or without the slug, a different mirror)
+      const gameId = gameIdFor({ original_url: gameUrl });
+      let existingGame = gameId ? games.find(game => game.game_id === gameId) : null;
+      if (existingGame && existingGame.original_url !== gameUrl) {
+        this.logger.info(`Found thread ID match for game: ${existingGame.game_name}`);
+        return { ...existingGame, matchType: 'id' };
+      }
+
+      // First, check by exact URL match
+      existingGame = games.find(game => game.original_url === gameUrl);
+      if (existingGame) {
+        this.logger.info(`Found exact URL match for game: ${existingGame.game_name}`);
+        return { ...existingGame, matchType: 'url' };
+      }
+
+      // If no URL match and we have a game name, check by normalized name
+      if (gameName) {
+        const normalizedNewName = this.normalizeGameName(gameName);
+        if (normalizedNewName) {
+          existingGame = games.find(game => {
+            const normalizedExistingName = this.normalizeGameName(game.game_name);
+            return normalizedExistingName === normalizedNewName;
+          });
+
+          if (existingGame) {
+            this.logger.info(`Found name match for game: "${gameName}" matches existing "${existingGame.game_name}"`);
+            return { ...existingGame, matchType: 'name' };
+          }
+        }
+      }
+
+      return null;
+    } catch (error) {
+      this.logger.error('Error checking if game exists:', error);
+      return null;
+    }
+  }
+}
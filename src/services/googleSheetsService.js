@@ -1,19 +1,94 @@
 import { google } from 'googleapis';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { Logger } from '../utils/logger.js';
+import { AppError, ConflictError, NotFoundError, RateLimitedError, SheetsPermissionError } from '../utils/errors.js';
+import { GameStore, gameIdFor, timelineEntry, trackedCell } from './gameStore.js';
+import { SHEET_HEADERS, columnLetter, headerKey } from '../utils/gameSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export class GoogleSheetsService {
+const LAST_COLUMN = columnLetter(SHEET_HEADERS.length - 1);
+
+// Game columns copied to the History sheet, after its own Game ID, Game Number and Recorded At
+const HISTORY_COLUMNS = SHEET_HEADERS.filter(header => header !== 'Game Number' && header !== 'Game ID');
+
+// Rows replaced by updateGameData: the game's permanent ID, its number at the time and when
+// the row was replaced, followed by the row as it was
+export const HISTORY_HEADERS = ['Game ID', 'Game Number', 'Recorded At', ...HISTORY_COLUMNS];
+
+const HISTORY_LAST_COLUMN = columnLetter(HISTORY_HEADERS.length - 1);
+
+// Deleted games: an ID for the trash entry, when and why the game was deleted, then its row
+export const TRASH_HEADERS = ['Trash ID', 'Deleted At', 'Reason', ...SHEET_HEADERS];
+const TRASH_FIELDS = 3;
+
+const TRASH_LAST_COLUMN = columnLetter(TRASH_HEADERS.length - 1);
+
+// Settings kept by the service itself, one Key/Value row each
+export const META_HEADERS = ['Key', 'Value'];
+const LAST_NUMBER_KEY = 'Last Game Number';
+
+// Sheet row to a game object keyed by headerKey, with the JSON and tag cells parsed
+function rowToGame(headers, row) {
+  const game = {};
+  headers.forEach((header, index) => {
+    const key = headerKey(header);
+    let value = row[index] || '';
+
+    // Parse JSON fields
+    if (key === 'download_links' || key === 'individual_sizes') {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        value = [];
+      }
+    }
+
+    // Parse tags
+    if (key === 'tags') {
+      value = value ? value.split(', ').filter(tag => tag.trim()) : [];
+    }
+
+    game[key] = value;
+  });
+  return game;
+}
+
+// Maps googleapis failures to typed errors; errors that are already typed pass through
+function toSheetsError(error, action) {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error.code === 'ENOTFOUND') {
+    return new Error('Network error: Unable to reach Google Sheets API');
+  } else if (error.code === 403) {
+    return new SheetsPermissionError('Permission denied: Service account may not have access to the spreadsheet', { cause: error });
+  } else if (error.code === 404) {
+    return new NotFoundError('Spreadsheet not found: Check if the GOOGLE_SHEET_ID is correct', { cause: error });
+  } else if (error.code === 429) {
+    return new RateLimitedError('Google Sheets quota exceeded, try again in a minute', { cause: error });
+  }
+  return new Error(`Failed to ${action}: ${error.message}`);
+}
+
+// Games stored in a Google Sheet, with History and Trash tabs next to the games tab
+export class GoogleSheetsService extends GameStore {
   constructor() {
+    super();
     this.logger = new Logger();
+    this.backend = 'sheets';
     this.sheets = null;
     this.auth = null;
     this.spreadsheetId = process.env.GOOGLE_SHEET_ID;
     this.sheetName = process.env.GOOGLE_SHEET_NAME;
+    this.historySheetName = process.env.GOOGLE_HISTORY_SHEET_NAME || 'History';
+    this.trashSheetName = process.env.GOOGLE_TRASH_SHEET_NAME || 'Trash';
+    this.metaSheetName = process.env.GOOGLE_META_SHEET_NAME || 'Meta';
+    this.readySheets = new Set(); // extra tabs already checked by ensureSheet
     this.initialize();
   }
   async initialize() {
@@ -78,41 +153,122 @@ export class GoogleSheetsService {
         range: `${this.sheetName}!A1:Z1`
       });
 
-      if (!response.data.values || response.data.values.length === 0) {
-        // Add headers
-        const headers = [
-          'Game Number',
-          'Game Name',
-          'Version',
-          'Developer',
-          'Release Date',
-          'Original URL',
-          'Cover Image',
-          'Description',
-          'Tags',
-          'Total Size (GB)',
-          'Total Size (Bytes)',
-          'Download Links',
-          'Individual Sizes',
-          'Extracted Date'
-        ];
+      const existingHeaders = response.data.values && response.data.values[0] ? response.data.values[0] : [];
 
+      if (existingHeaders.length === 0) {
+        // Add headers
         await this.sheets.spreadsheets.values.update({
           spreadsheetId: this.spreadsheetId,
           range: `${this.sheetName}!A1`,
           valueInputOption: 'RAW',
           resource: {
-            values: [headers]
+            values: [SHEET_HEADERS]
           }
         });
 
         this.logger.info('Headers added to Google Sheet');
+      } else if (existingHeaders.length < SHEET_HEADERS.length) {
+        // Sheet was created by an older version - append the newer columns
+        const missingHeaders = SHEET_HEADERS.slice(existingHeaders.length);
+
+        await this.sheets.spreadsheets.values.update({
+          spreadsheetId: this.spreadsheetId,
+          range: `${this.sheetName}!${columnLetter(existingHeaders.length)}1`,
+          valueInputOption: 'RAW',
+          resource: {
+            values: [missingHeaders]
+          }
+        });
+
+        this.logger.info(`Added missing columns to Google Sheet: ${missingHeaders.join(', ')}`);
+
+        if (missingHeaders.includes('Game ID')) {
+          await this.backfillGameIds();
+        }
       }
     } catch (error) {
       this.logger.error('Error ensuring headers:', error);
       throw error;
     }
   }
+  // Gives rows saved before the Game ID column existed their permanent ID
+  async backfillGameIds() {
+    const idColumn = columnLetter(SHEET_HEADERS.indexOf('Game ID'));
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!A:${LAST_COLUMN}`
+    });
+
+    const values = response.data.values || [];
+    if (values.length <= 1) {
+      return;
+    }
+
+    const ids = values.slice(1).map(row => [gameIdFor(rowToGame(SHEET_HEADERS, row)) || crypto.randomUUID()]);
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!${idColumn}2:${idColumn}${ids.length + 1}`,
+      valueInputOption: 'RAW',
+      resource: {
+        values: ids
+      }
+    });
+    this.logger.info(`Assigned game IDs to ${ids.length} existing rows`);
+  }
+
+  // Numeric sheetId of a tab, needed for row deletes
+  async getSheetId(title) {
+    const spreadsheet = await this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId,
+      fields: 'sheets.properties'
+    });
+    const sheet = (spreadsheet.data.sheets || []).find(candidate => candidate.properties.title === title);
+    if (!sheet) {
+      throw new NotFoundError(`Sheet "${title}" not found in the spreadsheet`);
+    }
+    return sheet.properties.sheetId;
+  }
+
+  // Creates a tab such as History the first time it is needed and writes its header row
+  async ensureSheet(title, headers) {
+    if (this.readySheets.has(title)) {
+      return;
+    }
+
+    const spreadsheet = await this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId,
+      fields: 'sheets.properties'
+    });
+    const exists = (spreadsheet.data.sheets || []).some(sheet => sheet.properties.title === title);
+    if (!exists) {
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: {
+          requests: [{ addSheet: { properties: { title } } }]
+        }
+      });
+      this.logger.info(`Created "${title}" sheet`);
+    }
+
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${title}!A1:${columnLetter(headers.length - 1)}1`
+    });
+    const existingHeaders = response.data.values && response.data.values[0] ? response.data.values[0] : [];
+    if (existingHeaders.length < headers.length) {
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${title}!${columnLetter(existingHeaders.length)}1`,
+        valueInputOption: 'RAW',
+        resource: {
+          values: [headers.slice(existingHeaders.length)]
+        }
+      });
+    }
+
+    this.readySheets.add(title);
+  }
+
   async getLastGameNumber() {
     if (!this.isConfigured()) {
       this.logger.warn('Google Sheets not configured for getting last game number');
@@ -125,31 +281,76 @@ export class GoogleSheetsService {
         range: `${this.sheetName}!A:A`
       });
 
-      if (!response || !response.data || !response.data.values || response.data.values.length <= 1) {
-        this.logger.info('No existing games found, starting from 0');
-        return 0;
-      }
+      // Numbers are never given out twice: deleted games keep theirs in the trash, and a
+      // purge leaves the highest one it removed in the Meta sheet
+      await this.ensureSheet(this.trashSheetName, TRASH_HEADERS);
+      const trashColumn = columnLetter(TRASH_FIELDS);
+      const trash = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.trashSheetName}!${trashColumn}:${trashColumn}`
+      });
+      const rows = [
+        ...(response.data.values || []).slice(1), // Skip header
+        ...(trash.data.values || []).slice(1)
+      ];
 
       // Get all game numbers and find the highest
-      const gameNumbers = response.data.values
-        .slice(1) // Skip header
+      const gameNumbers = rows
         .map(row => {
           const num = parseInt(row[0]);
           return isNaN(num) ? 0 : num;
         })
         .filter(num => num > 0);
 
-      const lastNumber = gameNumbers.length > 0 ? Math.max(...gameNumbers) : 0;
+      const lastNumber = Math.max(0, ...gameNumbers, await this.readNumberMark());
+      if (lastNumber === 0) {
+        this.logger.info('No existing games found, starting from 0');
+      }
       this.logger.debug(`Last game number found: ${lastNumber}`);
       return lastNumber;
     } catch (error) {
+      // Guessing 0 here would save the next game over a number that is already taken
       this.logger.error('Error getting last game number:', error);
-      if (error.code === 404) {
-        this.logger.warn('Spreadsheet or sheet not found, returning 0');
-      }
-      return 0;
+      throw toSheetsError(error, 'read the last game number');
+    }
+  }
+  // Highest game number a purge has removed, 0 if nothing was purged yet
+  async readNumberMark() {
+    await this.ensureSheet(this.metaSheetName, META_HEADERS);
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.metaSheetName}!A:B`
+    });
+    const row = (response.data.values || []).find(candidate => candidate[0] === LAST_NUMBER_KEY);
+    return row ? parseInt(row[1], 10) || 0 : 0;
+  }
+
+  async writeNumberMark(gameNumber) {
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.metaSheetName}!A:A`
+    });
+    const rowIndex = (response.data.values || []).findIndex(row => row[0] === LAST_NUMBER_KEY);
+    const values = [[LAST_NUMBER_KEY, String(gameNumber)]];
+
+    if (rowIndex === -1) {
+      await this.sheets.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.metaSheetName}!A:B`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: { values }
+      });
+    } else {
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.metaSheetName}!A${rowIndex + 1}:B${rowIndex + 1}`,
+        valueInputOption: 'RAW',
+        resource: { values }
+      });
     }
   }
+
   async addGameData(gameData) {
     if (!this.isConfigured()) {
       throw new Error('Google Sheets not configured');
@@ -160,60 +361,45 @@ export class GoogleSheetsService {
     }
 
     try {
-      await this.ensureHeaders();
-      const gameNumber = (await this.getLastGameNumber()) + 1;
+      return await this.enqueueWrite(async () => {
+        await this.ensureHeaders();
+        const gameNumber = (await this.getLastGameNumber()) + 1;
 
-      // Validate required fields
-      const gameName = gameData.game_name || 'Unknown Game';
-      const version = gameData.version || 'Unknown';
+        // Validate required fields
+        const gameName = gameData.game_name || 'Unknown Game';
+        const version = gameData.version || 'Unknown';
       
-      this.logger.info(`Adding game #${gameNumber}: ${gameName}`);
-
-      const row = [
-        gameNumber,
-        gameName,
-        version,
-        gameData.developer || 'Unknown',
-        gameData.release_date || '',
-        gameData.original_url || '',
-        gameData.cover_image || '',
-        gameData.description || '',
-        Array.isArray(gameData.tags) ? gameData.tags.join(', ') : '',
-        gameData.total_size_gb || '0.00',
-        gameData.total_size_bytes || 0,
-        JSON.stringify(gameData.download_links || []),
-        JSON.stringify(gameData.individual_sizes || []),
-        gameData.extracted_date || new Date().toISOString()
-      ];
-
-      const response = await this.sheets.spreadsheets.values.append({
-        spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A:N`,
-        valueInputOption: 'RAW',
-        insertDataOption: 'INSERT_ROWS',
-        resource: {
-          values: [row]
-        }
-      });
+        this.logger.info(`Adding game #${gameNumber}: ${gameName}`);
+
+        const row = this.buildRow(gameNumber, {
+          ...gameData,
+          game_id: gameIdFor(gameData) || crypto.randomUUID(), // pages outside a thread have no thread ID
+          game_name: gameName,
+          version,
+          extracted_date: gameData.extracted_date || new Date().toISOString()
+        });
 
-      if (!response || !response.data) {
-        throw new Error('Invalid response from Google Sheets API');
-      }
+        const response = await this.sheets.spreadsheets.values.append({
+          spreadsheetId: this.spreadsheetId,
+          range: `${this.sheetName}!A:${LAST_COLUMN}`,
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          resource: {
+            values: [row]
+          }
+        });
 
-      this.logger.info(`Game #${gameNumber} added to Google Sheets successfully: ${gameName}`);
-      return gameNumber;
+        if (!response || !response.data) {
+          throw new Error('Invalid response from Google Sheets API');
+        }
 
+        this.logger.info(`Game #${gameNumber} added to Google Sheets successfully: ${gameName}`);
+        return gameNumber;
+      });
     } catch (error) {
       this.logger.error('Error adding game data to Google Sheets:', error);
       
-      if (error.code === 'ENOTFOUND') {
-        throw new Error('Network error: Unable to reach Google Sheets API');
-      } else if (error.code === 403) {
-        throw new Error('Permission denied: Service account may not have access to the spreadsheet');
-      } else if (error.code === 404) {
-        throw new Error('Spreadsheet not found: Check if the GOOGLE_SHEET_ID is correct');      } else {
-        throw new Error(`Failed to add game data: ${error.message}`);
-      }
+      throw toSheetsError(error, 'add game data');
     }
   }
 
@@ -227,103 +413,166 @@ export class GoogleSheetsService {
     }
 
     try {
-      await this.ensureHeaders();
-
-      // Keep the original game number
-      const gameNumber = existingGame.game_number;
-      const gameName = newGameData.game_name || existingGame.game_name || 'Unknown Game';
-      const version = newGameData.version || existingGame.version || 'Unknown';
-
-      this.logger.info(`Updating game #${gameNumber}: ${gameName} (${existingGame.version || 'Unknown'} → ${version})`);
-
-      // Merge data: use new data where available, fall back to existing data
-      const mergedData = {
-        game_name: newGameData.game_name || existingGame.game_name,
-        version: newGameData.version || existingGame.version,
-        developer: newGameData.developer || existingGame.developer,
-        release_date: newGameData.release_date || existingGame.release_date,
-        original_url: newGameData.original_url || existingGame.original_url, // Update to new URL
-        cover_image: newGameData.cover_image || existingGame.cover_image,
-        description: newGameData.description || existingGame.description,
-        tags: newGameData.tags && newGameData.tags.length > 0 ? newGameData.tags : existingGame.tags,
-        total_size_gb: newGameData.total_size_gb || existingGame.total_size_gb,
-        total_size_bytes: newGameData.total_size_bytes || existingGame.total_size_bytes,
-        download_links: newGameData.download_links && newGameData.download_links.length > 0 ? newGameData.download_links : existingGame.download_links,
-        individual_sizes: newGameData.individual_sizes && newGameData.individual_sizes.length > 0 ? newGameData.individual_sizes : existingGame.individual_sizes,
-        extracted_date: new Date().toISOString() // Always update extraction date
-      };
+      return await this.enqueueWrite(async () => {
+        await this.ensureHeaders();
 
-      const row = [
-        gameNumber, // Keep original game number
-        mergedData.game_name,
-        mergedData.version,
-        mergedData.developer || 'Unknown',
-        mergedData.release_date || '',
-        mergedData.original_url || '',
-        mergedData.cover_image || '',
-        mergedData.description || '',
-        Array.isArray(mergedData.tags) ? mergedData.tags.join(', ') : '',
-        mergedData.total_size_gb || '0.00',
-        mergedData.total_size_bytes || 0,
-        JSON.stringify(mergedData.download_links || []),
-        JSON.stringify(mergedData.individual_sizes || []),
-        mergedData.extracted_date
-      ];
+        // Keep the original game number
+        const gameNumber = existingGame.game_number;
+        const gameName = newGameData.game_name || existingGame.game_name || 'Unknown Game';
+        const version = newGameData.version || existingGame.version || 'Unknown';
 
-      // Find the row to update by getting all data and finding the matching game number
-      const allData = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A:N`
-      });
+        this.logger.info(`Updating game #${gameNumber}: ${gameName} (${existingGame.version || 'Unknown'} → ${version})`);
 
-      if (!allData.data.values || allData.data.values.length <= 1) {
-        throw new Error('No data found in spreadsheet');
-      }
+        const mergedData = this.mergeGameData(existingGame, newGameData);
+
+        const row = this.buildRow(gameNumber, mergedData); // Keep original game number
+
+        // Find the row to update by getting all data and finding the matching game number
+        const allData = await this.sheets.spreadsheets.values.get({
+          spreadsheetId: this.spreadsheetId,
+          range: `${this.sheetName}!A:${LAST_COLUMN}`
+        });
+
+        if (!allData.data.values || allData.data.values.length <= 1) {
+          throw new Error('No data found in spreadsheet');
+        }
 
-      // Find the row index (1-based, +1 for header)
-      const dataRows = allData.data.values.slice(1);
-      const rowIndex = dataRows.findIndex(row => parseInt(row[0]) === parseInt(gameNumber));
+        // Find the row index (1-based, +1 for header)
+        const dataRows = allData.data.values.slice(1);
+        const rowIndex = dataRows.findIndex(row => parseInt(row[0]) === parseInt(gameNumber));
       
-      if (rowIndex === -1) {
-        throw new Error(`Game #${gameNumber} not found in spreadsheet`);
-      }
+        if (rowIndex === -1) {
+          throw new NotFoundError(`Game #${gameNumber} not found in spreadsheet`);
+        }
+
+        // Convert to 1-based index and add 2 (1 for 0-based to 1-based, 1 for header)
+        const sheetRowIndex = rowIndex + 2;
 
-      // Convert to 1-based index and add 2 (1 for 0-based to 1-based, 1 for header)
-      const sheetRowIndex = rowIndex + 2;
+        // Keep the row being replaced, unless the rewrite only moves the extraction date
+        await this.recordHistory(allData.data.values[0], dataRows[rowIndex], row);
 
-      // Update the specific row
-      const updateResponse = await this.sheets.spreadsheets.values.update({
+        // Update the specific row
+        const updateResponse = await this.sheets.spreadsheets.values.update({
+          spreadsheetId: this.spreadsheetId,
+          range: `${this.sheetName}!A${sheetRowIndex}:${LAST_COLUMN}${sheetRowIndex}`,
+          valueInputOption: 'RAW',
+          resource: {
+            values: [row]
+          }
+        });
+
+        if (!updateResponse || !updateResponse.data) {
+          throw new Error('Invalid response from Google Sheets API');
+        }
+
+        this.logger.info(`Game #${gameNumber} updated in Google Sheets successfully: ${gameName}`);
+        this.emitGameChanged(gameNumber, existingGame, mergedData);
+        return gameNumber;
+      });
+    } catch (error) {
+      this.logger.error('Error updating game data in Google Sheets:', error);
+      
+      throw toSheetsError(error, 'update game data');
+    }
+  }
+
+  // Appends storedRow (raw cells) to the History sheet when newRow differs from it. A failed
+  // append is logged and does not stop the update.
+  async recordHistory(headers, storedRow, newRow) {
+    const extractedIndex = SHEET_HEADERS.indexOf('Extracted Date');
+    const changed = newRow.some((value, index) =>
+      index !== extractedIndex && String(value ?? '') !== String(storedRow[index] ?? ''));
+    if (!changed) {
+      return;
+    }
+
+    try {
+      await this.ensureSheet(this.historySheetName, HISTORY_HEADERS);
+      const stored = rowToGame(headers, storedRow);
+      const cells = HISTORY_COLUMNS.map(header => storedRow[SHEET_HEADERS.indexOf(header)] ?? '');
+
+      await this.sheets.spreadsheets.values.append({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A${sheetRowIndex}:N${sheetRowIndex}`,
+        range: `${this.historySheetName}!A:${HISTORY_LAST_COLUMN}`,
         valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
         resource: {
-          values: [row]
+          values: [[gameIdFor(stored), storedRow[0], new Date().toISOString(), ...cells]]
         }
       });
+    } catch (error) {
+      this.logger.warn(`Could not record history for game #${storedRow[0]}: ${error.message}`);
+    }
+  }
 
-      if (!updateResponse || !updateResponse.data) {
-        throw new Error('Invalid response from Google Sheets API');
-      }
+  // Versions of a game, oldest first, ending with the current row. History rows are matched by
+  // game ID, so they stay attached to the game when it is renumbered.
+  async getGameHistory(gameNumber) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Sheets not configured');
+    }
 
-      this.logger.info(`Game #${gameNumber} updated in Google Sheets successfully: ${gameName}`);
-      return gameNumber;
+    const game = await this.getGame(gameNumber);
+    if (!game) {
+      throw new NotFoundError(`Game #${gameNumber} not found`);
+    }
+
+    try {
+      await this.ensureSheet(this.historySheetName, HISTORY_HEADERS);
+      const response = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.historySheetName}!A:${HISTORY_LAST_COLUMN}`
+      });
 
+      const values = response.data.values || [];
+      const gameId = gameIdFor(game);
+      const records = values.slice(1)
+        .map(row => rowToGame(values[0], row))
+        .filter(record => gameId
+          ? record.game_id === gameId
+          : !record.game_id && parseInt(record.game_number, 10) === parseInt(game.game_number, 10))
+        .sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
+
+      return {
+        game_id: gameId || null,
+        game_number: parseInt(game.game_number, 10),
+        timeline: [
+          ...records.map(record => timelineEntry(record, record.recorded_at)),
+          timelineEntry(game, null)
+        ]
+      };
     } catch (error) {
-      this.logger.error('Error updating game data in Google Sheets:', error);
-      
-      if (error.code === 'ENOTFOUND') {
-        throw new Error('Network error: Unable to reach Google Sheets API');
-      } else if (error.code === 403) {
-        throw new Error('Permission denied: Service account may not have access to the spreadsheet');
-      } else if (error.code === 404) {
-        throw new Error('Spreadsheet not found: Check if the GOOGLE_SHEET_ID is correct');
-      } else {
-        throw new Error(`Failed to update game data: ${error.message}`);
-      }
+      this.logger.error(`Error reading history for game #${gameNumber}:`, error);
+      throw toSheetsError(error, 'read game history');
     }
   }
 
-  async getAllGames() {
+  // Row values in SHEET_HEADERS order
+  buildRow(gameNumber, data) {
+    return [
+      gameNumber,
+      data.game_name,
+      data.version,
+      data.developer || 'Unknown',
+      data.release_date || '',
+      data.original_url || '',
+      data.cover_image || '',
+      data.description || '',
+      Array.isArray(data.tags) ? data.tags.join(', ') : '',
+      data.total_size_gb || '0.00',
+      data.total_size_bytes || 0,
+      JSON.stringify(data.download_links || []),
+      JSON.stringify(data.individual_sizes || []),
+      data.extracted_date,
+      data.engine || '',
+      data.status || '',
+      data.thread_updated || '',
+      trackedCell(data.tracked),
+      gameIdFor(data)
+    ];
+  }
+
+  async getAllGames(filters = {}) {
     if (!this.isConfigured()) {
       throw new Error('Google Sheets not configured');
     }
@@ -331,7 +580,7 @@ export class GoogleSheetsService {
     try {
       const response = await this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A:N`
+        range: `${this.sheetName}!A:${LAST_COLUMN}`
       });
 
       if (!response.data.values || response.data.values.length <= 1) {
@@ -341,37 +590,68 @@ export class GoogleSheetsService {
       const headers = response.data.values[0];
       const rows = response.data.values.slice(1);
 
-      return rows.map(row => {
-        const game = {};
-        headers.forEach((header, index) => {
-          const key = header.toLowerCase().replace(/\s+/g, '_').replace(/[()]/g, '');
-          let value = row[index] || '';
-          
-          // Parse JSON fields
-          if (key === 'download_links' || key === 'individual_sizes') {
-            try {
-              value = JSON.parse(value);
-            } catch {
-              value = [];
-            }
-          }
-          
-          // Parse tags
-          if (key === 'tags') {
-            value = value ? value.split(', ').filter(tag => tag.trim()) : [];
-          }
-          
-          game[key] = value;
-        });
-        
-        return game;
-      });
+      return rows
+        .map(row => {
+          const game = rowToGame(headers, row);
+          game.game_id = gameIdFor(game);
+          return game;
+        })
+        .filter(game => this.matchesFilters(game, filters));
 
     } catch (error) {
       this.logger.error('Error getting all games:', error);
-      throw error;
+      throw toSheetsError(error, 'read games');
+    }
+  }
+  // Rewrites only the Download Links cell, e.g. after a link health check
+  async updateDownloadLinks(gameNumber, downloadLinks) {
+    await this.updateGameCell(gameNumber, 'Download Links', JSON.stringify(downloadLinks || []));
+    this.logger.debug(`Updated download links for game #${gameNumber}`);
+  }
+
+  // Turns the scheduled update check on or off for one game
+  async setTracked(gameNumber, tracked) {
+    await this.ensureHeaders();
+    await this.updateGameCell(gameNumber, 'Tracked', tracked ? 'Yes' : 'No');
+    this.logger.info(`Update checks ${tracked ? 'enabled' : 'disabled'} for game #${gameNumber}`);
+  }
+
+  // Records a newer Thread Updated date without touching the rest of the row
+  async updateThreadUpdated(gameNumber, threadUpdated) {
+    await this.ensureHeaders();
+    await this.updateGameCell(gameNumber, 'Thread Updated', threadUpdated || '');
+  }
+
+  // Writes one cell of a game's row; header is a SHEET_HEADERS entry
+  async updateGameCell(gameNumber, header, value) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Sheets not configured');
     }
+
+    await this.enqueueWrite(async () => {
+      const response = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.sheetName}!A:A`
+      });
+
+      const rows = response.data.values || [];
+      const rowIndex = rows.findIndex((row, index) => index > 0 && parseInt(row[0]) === parseInt(gameNumber));
+      if (rowIndex === -1) {
+        throw new NotFoundError(`Game #${gameNumber} not found in spreadsheet`);
+      }
+
+      const column = columnLetter(SHEET_HEADERS.indexOf(header));
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.sheetName}!${column}${rowIndex + 1}`,
+        valueInputOption: 'RAW',
+        resource: {
+          values: [[value]]
+        }
+      });
+    });
   }
+
   async exportSheet() {
     if (!this.isConfigured()) {
       throw new Error('Google Sheets not configured');
@@ -392,132 +672,186 @@ export class GoogleSheetsService {
       this.logger.error('Error generating export URL:', error);
       throw new Error(`Failed to generate export URL: ${error.message}`);
     }
-  }  // Normalize game name by removing version info and common prefixes/suffixes
-  normalizeGameName(name) {
-    if (!name || typeof name !== 'string') return '';
-    
-    return name
-      .toLowerCase()
-      .trim()
-      // Remove version patterns like v1.0, version 1.2, ep 1, episode 1, etc.
-      .replace(/\s*\b(v|ver|version|ep|episode|chapter|ch|part|pt|release|r)\s*[\d.]+\w*\b/gi, '')
-      // Remove common prefixes
-      .replace(/^(the\s+|a\s+|an\s+)/i, '')
-      // Remove parentheses and brackets content (often contains version info)
-      .replace(/\s*[\[\(].*?[\]\)]\s*/g, ' ')
-      // Remove extra whitespace
-      .replace(/\s+/g, ' ')
-      .trim();
   }
 
-  async checkGameExists(gameUrl, gameName = null) {
-    if (!gameUrl || typeof gameUrl !== 'string') {
-      this.logger.warn('Invalid game URL provided for existence check');
-      return null;
+  // Moves the game's row to the Trash sheet; other games keep their numbers and IDs
+  async deleteGame(gameNumber, { reason = '' } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Sheets not configured');
     }
 
     try {
-      const games = await this.getAllGames();
-      
-      // First, check by exact URL match
-      let existingGame = games.find(game => game.original_url === gameUrl);
-      if (existingGame) {
-        this.logger.info(`Found exact URL match for game: ${existingGame.game_name}`);
-        return { ...existingGame, matchType: 'url' };
-      }
+      return await this.enqueueWrite(async () => {
+        this.logger.info(`Attempting to delete game #${gameNumber}`);
 
-      // If no URL match and we have a game name, check by normalized name
-      if (gameName) {
-        const normalizedNewName = this.normalizeGameName(gameName);
-        if (normalizedNewName) {
-          existingGame = games.find(game => {
-            const normalizedExistingName = this.normalizeGameName(game.game_name);
-            return normalizedExistingName === normalizedNewName;
-          });
-          
-          if (existingGame) {
-            this.logger.info(`Found name match for game: "${gameName}" matches existing "${existingGame.game_name}"`);
-            return { ...existingGame, matchType: 'name' };
-          }
+        const response = await this.sheets.spreadsheets.values.get({
+          spreadsheetId: this.spreadsheetId,
+          range: `${this.sheetName}!A:${LAST_COLUMN}`
+        });
+
+        const rows = response.data.values || [];
+        const rowIndex = rows.findIndex((row, index) => index > 0 && parseInt(row[0], 10) === parseInt(gameNumber, 10));
+        if (rowIndex === -1) {
+          throw new NotFoundError(`Game #${gameNumber} not found`);
         }
-      }
 
-      return null;
+        const game = rowToGame(rows[0], rows[rowIndex]);
+        const gameId = gameIdFor(game) || crypto.randomUUID();
+        const cells = SHEET_HEADERS.map((header, index) => header === 'Game ID' ? gameId : rows[rowIndex][index] ?? '');
+        const trashId = crypto.randomUUID();
+
+        // Copy first: if the delete fails the game is in both sheets rather than in neither
+        await this.ensureSheet(this.trashSheetName, TRASH_HEADERS);
+        await this.sheets.spreadsheets.values.append({
+          spreadsheetId: this.spreadsheetId,
+          range: `${this.trashSheetName}!A:${TRASH_LAST_COLUMN}`,
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          resource: {
+            values: [[trashId, new Date().toISOString(), reason || '', ...cells]]
+          }
+        });
+        await this.deleteRows(this.sheetName, [rowIndex]);
+
+        this.logger.info(`Moved "${game.game_name || 'Unknown'}" (#${gameNumber}, ID ${gameId}) to the trash`);
+        return {
+          success: true,
+          deletedGameName: game.game_name || 'Unknown',
+          gameNumber: parseInt(gameNumber, 10),
+          gameId,
+          trashId
+        };
+      });
     } catch (error) {
-      this.logger.error('Error checking if game exists:', error);
-      return null;
+      this.logger.error(`Error deleting game #${gameNumber}:`, error.message);
+      throw toSheetsError(error, 'delete game');
     }
   }
 
-        async deleteGame(gameNumber) {
-      try {
-          this.logger.info(`Attempting to delete game #${gameNumber}`);
-          
-          // Get all data to find the row and renumber games
-          const response = await this.sheets.spreadsheets.values.get({
-              spreadsheetId: this.spreadsheetId,
-              range: `${this.sheetName}!A:N`, // Get all data
-          });
-
-          const rows = response.data.values;
-          if (!rows || rows.length <= 1) {
-              throw new Error('No data found in spreadsheet');
+  // Removes rows (0-based indexes, header = 0) from a tab; bottom-up so indexes stay valid
+  async deleteRows(title, rowIndexes) {
+    if (rowIndexes.length === 0) {
+      return;
+    }
+
+    const sheetId = await this.getSheetId(title);
+    await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      resource: {
+        requests: [...rowIndexes].sort((a, b) => b - a).map(rowIndex => ({
+          deleteDimension: {
+            range: { sheetId, dimension: 'ROWS', startIndex: rowIndex, endIndex: rowIndex + 1 }
           }
+        }))
+      }
+    });
+  }
 
-          const headers = rows[0];
-          const dataRows = rows.slice(1);
+  // Trash rows with their sheet row index, newest first
+  async readTrash() {
+    await this.ensureSheet(this.trashSheetName, TRASH_HEADERS);
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.trashSheetName}!A:${TRASH_LAST_COLUMN}`
+    });
+
+    const values = response.data.values || [];
+    return values.slice(1)
+      .map((row, index) => {
+        const { trash_id: trashId, deleted_at: deletedAt, reason, ...game } = rowToGame(values[0], row);
+        return { rowIndex: index + 1, cells: row, item: { trash_id: trashId, deleted_at: deletedAt, reason, game } };
+      })
+      .filter(entry => entry.item.trash_id)
+      .sort((a, b) => b.item.deleted_at.localeCompare(a.item.deleted_at));
+  }
 
-          // Find the row with the game number to delete
-          let rowToDeleteIndex = -1;
-          for (let i = 0; i < dataRows.length; i++) {
-              if (dataRows[i][0] === gameNumber.toString()) {
-                  rowToDeleteIndex = i;
-                  break;
-              }
-          }
+  async listTrash() {
+    if (!this.isConfigured()) {
+      throw new Error('Google Sheets not configured');
+    }
 
-          if (rowToDeleteIndex === -1) {
-              throw new Error(`Game #${gameNumber} not found`);
-          }
+    try {
+      return (await this.readTrash()).map(entry => entry.item);
+    } catch (error) {
+      this.logger.error('Error reading the trash:', error);
+      throw toSheetsError(error, 'read the trash');
+    }
+  }
 
-          // Remove the row from our data array
-          const gameName = dataRows[rowToDeleteIndex][1] || 'Unknown';
-          dataRows.splice(rowToDeleteIndex, 1);
+  // Puts a deleted game back under its old number, or the next free one if that was taken.
+  // Fails with a conflict when the game has been added again since it was deleted.
+  async restoreFromTrash(trashId) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Sheets not configured');
+    }
 
-          // Renumber all remaining games
-          for (let i = 0; i < dataRows.length; i++) {
-              dataRows[i][0] = (i + 1).toString(); // New game number (1-based)
-          }
+    try {
+      return await this.enqueueWrite(async () => {
+        const entry = (await this.readTrash()).find(candidate => candidate.item.trash_id === trashId);
+        if (!entry) {
+          throw new NotFoundError(`No trash entry with ID ${trashId}`);
+        }
+
+        const { game } = entry.item;
+        const games = await this.getAllGames();
+        const current = games.find(candidate => candidate.game_id === game.game_id);
+        if (current) {
+          throw new ConflictError(`"${game.game_name}" is already in the sheet as #${current.game_number}`);
+        }
 
-          // Clear the entire data range and rewrite with renumbered data
-          await this.sheets.spreadsheets.values.clear({
-              spreadsheetId: this.spreadsheetId,
-              range: `${this.sheetName}!A2:N` // Clear all data but keep headers
-          });
-
-          // Write the renumbered data back
-          if (dataRows.length > 0) {
-              await this.sheets.spreadsheets.values.update({
-                  spreadsheetId: this.spreadsheetId,
-                  range: `${this.sheetName}!A2:N`,
-                  valueInputOption: 'RAW',
-                  resource: {
-                      values: dataRows
-                  }
-              });
+        const oldNumber = parseInt(game.game_number, 10);
+        const numberTaken = games.some(candidate => parseInt(candidate.game_number, 10) === oldNumber);
+        const gameNumber = oldNumber > 0 && !numberTaken ? oldNumber : (await this.getLastGameNumber()) + 1;
+
+        await this.ensureHeaders();
+        const cells = SHEET_HEADERS.map((header, index) => entry.cells[TRASH_FIELDS + index] ?? '');
+        cells[0] = String(gameNumber);
+        await this.sheets.spreadsheets.values.append({
+          spreadsheetId: this.spreadsheetId,
+          range: `${this.sheetName}!A:${LAST_COLUMN}`,
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          resource: {
+            values: [cells]
           }
+        });
+        await this.deleteRows(this.trashSheetName, [entry.rowIndex]);
 
-          this.logger.info(`Successfully deleted "${gameName}" (was #${gameNumber}) and renumbered ${dataRows.length} remaining games`);
-          return { 
-              success: true, 
-              deletedGameName: gameName,
-              originalNumber: gameNumber,
-              remainingGames: dataRows.length 
-          };
-
-      } catch (error) {
-          this.logger.error(`Error deleting game #${gameNumber}:`, error.message);
-          throw error;
-      }
+        this.logger.info(`Restored "${game.game_name}" from the trash as #${gameNumber}`);
+        return { gameNumber, gameId: game.game_id, gameName: game.game_name };
+      });
+    } catch (error) {
+      this.logger.error(`Error restoring ${trashId} from the trash:`, error.message);
+      throw toSheetsError(error, 'restore game');
+    }
+  }
+
+  // Permanently removes trash entries deleted more than olderThanDays days ago
+  async purgeTrash({ olderThanDays }) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Sheets not configured');
     }
+
+    try {
+      return await this.enqueueWrite(async () => {
+        const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+        const expired = (await this.readTrash()).filter(entry => Date.parse(entry.item.deleted_at) < cutoff);
+
+        // Remember the numbers before they leave the sheet so they are not given out again
+        const highest = Math.max(0, ...expired.map(entry => parseInt(entry.item.game.game_number, 10) || 0));
+        if (highest > (await this.readNumberMark())) {
+          await this.writeNumberMark(highest);
+        }
+        await this.deleteRows(this.trashSheetName, expired.map(entry => entry.rowIndex));
+
+        if (expired.length > 0) {
+          this.logger.info(`Purged ${expired.length} games deleted more than ${olderThanDays} days ago`);
+        }
+        return { purged: expired.length, items: expired.map(entry => entry.item) };
+      });
+    } catch (error) {
+      this.logger.error('Error purging the trash:', error);
+      throw toSheetsError(error, 'purge the trash');
+    }
+  }
 }
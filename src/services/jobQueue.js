@@ -0,0 +1,447 @@
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+import { computeBackoff, createRetryPolicy, isRetryableError } from '../utils/retry.js';
+import { AppError, ERROR_CODES, NotFoundError, getErrorCode } from '../utils/errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILE_VERSION = 1;
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'cancelled'];
+export const JOB_ITEM_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'dead', 'cancelled'];
+
+// Failures that may clear on their own; anything else (a missing thread, unusable AI output,
+// no sheet access) fails the item straight away
+const RETRYABLE_JOB_CODES = [
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.CLOUDFLARE_CHALLENGE,
+  ERROR_CODES.DDOS_GUARD_CHALLENGE,
+  ERROR_CODES.SITE_MAINTENANCE,
+  ERROR_CODES.AI_EXTRACTION_FAILED
+];
+
+export function isRetryableJobError(error) {
+  return RETRYABLE_JOB_CODES.includes(getErrorCode(error)) || (!(error instanceof AppError) && isRetryableError(error));
+}
+
+function parseLimit(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Queue for batch scrapes. A job is a list of URLs; items from every job share one FIFO
+// queue and at most `concurrency` run at once, so a large import cannot starve the browser
+// pool. runner(url, options) does the work and its return value is stored as the item's result.
+//
+// Jobs are saved to filePath (JOB_STORE_FILE) after every change; pass filePath: null to keep
+// them in memory only. Items with retryable errors are retried with backoff. An item that has
+// used maxAttempts, counting runs cut short by a crash, moves to the dead-letter list until
+// it is requeued.
+export class JobQueue {
+  constructor({
+    runner,
+    filePath = process.env.JOB_STORE_FILE || path.join(__dirname, '..', '..', 'data', 'jobs.json'),
+    concurrency = process.env.JOB_CONCURRENCY,
+    maxUrls = process.env.JOB_MAX_URLS,
+    historyLimit = process.env.JOB_HISTORY_LIMIT,
+    maxAttempts = process.env.JOB_MAX_ATTEMPTS,
+    retryDelay = process.env.JOB_RETRY_DELAY
+  } = {}) {
+    if (typeof runner !== 'function') {
+      throw new Error('Job queue needs a runner');
+    }
+    this.logger = new Logger();
+    this.runner = runner;
+    this.filePath = filePath;
+    this.concurrency = parseLimit(concurrency, 2);
+    this.maxUrls = parseLimit(maxUrls, 500);
+    this.historyLimit = parseLimit(historyLimit, 50); // finished jobs kept for GET /api/jobs
+    this.retryPolicy = createRetryPolicy({
+      maxAttempts: parseLimit(maxAttempts, 5),
+      baseDelay: parseLimit(retryDelay, 60000),
+      maxDelay: 60 * 60 * 1000
+    });
+    this.jobs = new Map();
+    this.pending = []; // [{ job, item }] in arrival order
+    this.active = 0;
+    this.timer = null;
+    this.stopped = false;
+    this.writeQueue = Promise.resolve();
+    this.writePending = null;
+  }
+
+  // Restores saved jobs. Items that were running when the process stopped go back in the
+  // queue, or to the dead-letter list when they have no attempts left.
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const saved = await readJsonFile(this.filePath, null);
+    if (!saved) {
+      return;
+    }
+    if (saved.version !== FILE_VERSION || !Array.isArray(saved.jobs)) {
+      throw new Error(`Unsupported job store version: ${saved.version}`);
+    }
+
+    const restored = new Map();
+    let resumed = 0;
+    for (const job of saved.jobs) {
+      for (const item of job.items) {
+        if (item.status !== 'running') continue;
+        if (item.attempts >= this.retryPolicy.maxAttempts) {
+          this.markDead(item, `Interrupted ${item.attempts} times`);
+        } else {
+          item.status = 'queued';
+          item.next_attempt_at = null;
+          resumed++;
+        }
+      }
+      restored.set(job.id, job);
+      this.finishIfDone(job);
+    }
+
+    // Jobs created before loading finished stay after the restored ones
+    for (const [id, job] of this.jobs) {
+      restored.set(id, job);
+    }
+    const loadedPending = saved.jobs.flatMap(job =>
+      job.items.filter(item => item.status === 'queued').map(item => ({ job, item }))
+    );
+    this.jobs = restored;
+    this.pending = [...loadedPending, ...this.pending];
+
+    this.logger.info(`Restored ${saved.jobs.length} jobs, ${loadedPending.length} URLs queued (${resumed} interrupted)`);
+    await this.persist();
+    this.pump();
+  }
+
+  // Adds a job and starts it in the background. options are passed to the runner.
+  create(urls, options = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      created_at: now,
+      started_at: null,
+      finished_at: null,
+      options,
+      items: urls.map((url, index) => ({
+        index,
+        url,
+        status: 'queued',
+        attempts: 0,
+        next_attempt_at: null,
+        started_at: null,
+        finished_at: null,
+        result: null,
+        error: null,
+        code: null,
+        dead_reason: null
+      }))
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(...job.items.map(item => ({ job, item })));
+    this.logger.info(`Job ${job.id} queued with ${urls.length} URLs`);
+
+    this.trimHistory();
+    this.persist();
+    this.pump();
+    return this.describe(job);
+  }
+
+  getJob(id) {
+    return this.describe(this.findJob(id));
+  }
+
+  findJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new NotFoundError(`Job ${id} not found`);
+    }
+    return job;
+  }
+
+  // Newest first, without the per-URL items
+  listJobs() {
+    return [...this.jobs.values()]
+      .reverse()
+      .map(job => {
+        const { items, ...summary } = this.describe(job);
+        return summary;
+      });
+  }
+
+  // Drops the job's queued items; URLs already running are left to finish
+  cancel(id) {
+    const job = this.findJob(id);
+
+    const finishedAt = new Date().toISOString();
+    this.pending = this.pending.filter(entry => {
+      if (entry.job !== job) return true;
+      entry.item.status = 'cancelled';
+      entry.item.finished_at = finishedAt;
+      entry.item.next_attempt_at = null;
+      return false;
+    });
+    this.finishIfDone(job);
+    this.persist();
+    return this.describe(job);
+  }
+
+  // Items that ran out of attempts, oldest job first
+  listDeadLetters() {
+    return [...this.jobs.values()].flatMap(job =>
+      job.items
+        .filter(item => item.status === 'dead')
+        .map(item => ({
+          job_id: job.id,
+          index: item.index,
+          url: item.url,
+          attempts: item.attempts,
+          error: item.error,
+          code: item.code,
+          reason: item.dead_reason,
+          dead_at: item.finished_at
+        }))
+    );
+  }
+
+  // Puts dead items back in the queue with fresh attempts. targets: [{ jobId, index }], or
+  // null for every dead item. Returns the requeued entries.
+  requeueDeadLetters(targets = null) {
+    const requeued = [];
+    for (const { job, item } of this.findDeadItems(targets)) {
+      Object.assign(item, {
+        status: 'queued',
+        attempts: 0,
+        next_attempt_at: null,
+        finished_at: null,
+        error: null,
+        code: null,
+        dead_reason: null
+      });
+      if (job.finished_at) {
+        job.status = 'running';
+        job.finished_at = null;
+      }
+      this.pending.push({ job, item });
+      requeued.push({ job_id: job.id, index: item.index, url: item.url });
+    }
+
+    if (requeued.length > 0) {
+      this.logger.info(`Requeued ${requeued.length} dead-letter URLs`);
+      this.persist();
+      this.pump();
+    }
+    return requeued;
+  }
+
+  // Gives up on dead items for good: they are marked failed and leave the list
+  discardDeadLetters(targets = null) {
+    const discarded = [];
+    for (const { job, item } of this.findDeadItems(targets)) {
+      item.status = 'failed';
+      discarded.push({ job_id: job.id, index: item.index, url: item.url });
+    }
+    if (discarded.length > 0) {
+      this.persist();
+    }
+    return discarded;
+  }
+
+  findDeadItems(targets) {
+    if (targets === null) {
+      return [...this.jobs.values()].flatMap(job =>
+        job.items.filter(item => item.status === 'dead').map(item => ({ job, item }))
+      );
+    }
+
+    return targets.map(({ jobId, index }) => {
+      const job = this.findJob(jobId);
+      const item = job.items[parseInt(index, 10)];
+      if (!item || item.status !== 'dead') {
+        throw new NotFoundError(`Job ${jobId} has no dead-letter item ${index}`);
+      }
+      return { job, item };
+    });
+  }
+
+  pump() {
+    if (this.stopped) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    while (this.active < this.concurrency) {
+      const position = this.pending.findIndex(({ item }) => !item.next_attempt_at || Date.parse(item.next_attempt_at) <= now);
+      if (position === -1) break;
+
+      const [{ job, item }] = this.pending.splice(position, 1);
+      this.active++;
+      this.runItem(job, item).finally(() => {
+        this.active--;
+        this.pump();
+      });
+    }
+
+    // Wake up for the next item that is backing off
+    const waiting = this.pending.filter(({ item }) => item.next_attempt_at).map(({ item }) => Date.parse(item.next_attempt_at));
+    if (this.active < this.concurrency && waiting.length > 0) {
+      this.timer = setTimeout(() => this.pump(), Math.max(0, Math.min(...waiting) - now));
+      this.timer.unref();
+    }
+  }
+
+  async runItem(job, item) {
+    if (!job.started_at) {
+      job.started_at = new Date().toISOString();
+    }
+    job.status = 'running';
+    item.status = 'running';
+    item.attempts++;
+    item.next_attempt_at = null;
+    item.started_at = new Date().toISOString();
+    // Saved before the run so a crash during it still counts as an attempt
+    await this.persist();
+
+    let result;
+    let failure = null;
+    try {
+      result = await this.runner(item.url, job.options);
+    } catch (error) {
+      failure = error;
+    }
+    if (this.stopped) {
+      return;
+    }
+
+    if (!failure) {
+      item.status = 'succeeded';
+      item.result = result;
+      item.error = null;
+      item.code = null;
+    } else {
+      this.recordFailure(job, item, failure);
+    }
+
+    if (item.status !== 'queued') {
+      item.finished_at = new Date().toISOString();
+    }
+    this.finishIfDone(job);
+    await this.persist();
+  }
+
+  recordFailure(job, item, error) {
+    item.error = error.message;
+    item.code = getErrorCode(error);
+
+    if (!isRetryableJobError(error)) {
+      this.logger.warn(`Job ${job.id}: ${item.url} failed: ${error.message}`);
+      item.status = 'failed';
+      return;
+    }
+    if (item.attempts >= this.retryPolicy.maxAttempts) {
+      this.logger.warn(`Job ${job.id}: ${item.url} moved to the dead-letter list after ${item.attempts} attempts: ${error.message}`);
+      this.markDead(item, `Failed ${item.attempts} times`);
+      return;
+    }
+
+    const delay = Math.max(computeBackoff(item.attempts, this.retryPolicy), error.retryAfter || 0);
+    this.logger.warn(`Job ${job.id}: ${item.url} failed (${error.message}), retrying in ${Math.round(delay / 1000)}s`);
+    item.status = 'queued';
+    item.next_attempt_at = new Date(Date.now() + delay).toISOString();
+    this.pending.push({ job, item });
+  }
+
+  markDead(item, reason) {
+    item.status = 'dead';
+    item.dead_reason = reason;
+    item.next_attempt_at = null;
+    item.finished_at = new Date().toISOString();
+  }
+
+  finishIfDone(job) {
+    if (job.finished_at || job.items.some(item => item.status === 'queued' || item.status === 'running')) {
+      return;
+    }
+    job.status = job.items.some(item => item.status === 'cancelled') ? 'cancelled' : 'completed';
+    job.finished_at = new Date().toISOString();
+
+    const { counts } = this.describe(job);
+    this.logger.info(`Job ${job.id} ${job.status}: ${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.dead} dead`);
+  }
+
+  // Jobs holding dead letters are kept until those are requeued or discarded
+  trimHistory() {
+    const finished = [...this.jobs.values()].filter(job => job.finished_at && !job.items.some(item => item.status === 'dead'));
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.historyLimit))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  // Stops starting work and puts running items back in the queue without using up an
+  // attempt, so a normal shutdown is not mistaken for a crash
+  async shutdown() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    for (const job of this.jobs.values()) {
+      for (const item of job.items) {
+        if (item.status === 'running') {
+          item.status = 'queued';
+          item.attempts = Math.max(0, item.attempts - 1);
+        }
+      }
+    }
+    await this.persist();
+  }
+
+  // Writes are queued one at a time; changes made while one is waiting share it
+  persist() {
+    if (!this.filePath) {
+      return Promise.resolve();
+    }
+    if (!this.writePending) {
+      this.writePending = this.writeQueue.then(async () => {
+        this.writePending = null;
+        await writeJsonFile(this.filePath, {
+          version: FILE_VERSION,
+          saved_at: new Date().toISOString(),
+          jobs: [...this.jobs.values()]
+        });
+      }).catch(error => {
+        this.logger.warn(`Could not save jobs to ${this.filePath}: ${error.message}`);
+      });
+      this.writeQueue = this.writePending;
+    }
+    return this.writePending;
+  }
+
+  describe(job) {
+    const counts = Object.fromEntries(JOB_ITEM_STATUSES.map(status => [status, 0]));
+    for (const item of job.items) {
+      counts[item.status]++;
+    }
+
+    return {
+      id: job.id,
+      status: job.status,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      options: job.options,
+      total: job.items.length,
+      counts,
+      items: job.items.map(item => ({ ...item }))
+    };
+  }
+}
@@ -0,0 +1,301 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { Logger } from '../utils/logger.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { getRateLimiter } from '../utils/rateLimiter.js';
+import { createDefaultSizeResolvers } from './sizeResolvers.js';
+
+export const LINK_STATUSES = ['alive', 'dead', 'unknown'];
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+const MAX_PAGE_BYTES = 256 * 1024; // enough to see a host's "file removed" notice
+
+// Per-host rules. Hosts with a size resolver are asked through their API first;
+// apiOnly hosts render their pages with JavaScript, so the page itself tells us nothing.
+export const HOST_RULES = [
+  { name: 'MEGA', hosts: ['mega.nz', 'mega.co.nz', 'mega.io'], apiOnly: true },
+  { name: 'GoFile', hosts: ['gofile.io'], apiOnly: true },
+  { name: 'PixelDrain', hosts: ['pixeldrain.com', 'pixeldra.in'] },
+  {
+    name: 'Google Drive',
+    hosts: ['drive.google.com', 'docs.google.com'],
+    signatures: [/the file you have requested does not exist/i, /file is in the owner's trash/i]
+  },
+  {
+    name: 'MediaFire',
+    hosts: ['mediafire.com'],
+    signatures: [/file (?:has been )?removed/i, /invalid or deleted file/i],
+    deadUrls: [/\/error\.php/i]
+  },
+  { name: 'WorkUpload', hosts: ['workupload.com'], signatures: [/file not found/i, /datei nicht gefunden/i] },
+  { name: 'UploadHaven', hosts: ['uploadhaven.com'], signatures: [/file (?:was )?not found/i, /has been (?:removed|deleted)/i] },
+  { name: 'Rapidgator', hosts: ['rapidgator.net'], signatures: [/file not found/i] },
+  { name: 'KatFile', hosts: ['katfile.com'], signatures: [/file not found/i, /file has been removed/i] },
+  { name: 'MixDrop', hosts: ['mixdrop.co', 'mixdrop.ag'], signatures: [/can't find the (?:file|video)/i] }
+];
+
+// Counts per status; all_dead flags games that can no longer be downloaded
+export function summarizeLinks(links) {
+  const summary = { total: 0, alive: 0, dead: 0, unknown: 0, unchecked: 0, all_dead: false, last_checked: null };
+
+  for (const link of Array.isArray(links) ? links : []) {
+    summary.total++;
+    if (LINK_STATUSES.includes(link.health_status)) {
+      summary[link.health_status]++;
+    } else {
+      summary.unchecked++;
+    }
+    if (link.last_checked && (!summary.last_checked || link.last_checked > summary.last_checked)) {
+      summary.last_checked = link.last_checked;
+    }
+  }
+
+  summary.all_dead = summary.total > 0 && summary.dead === summary.total;
+  return summary;
+}
+
+// Checks stored download links for takedowns and records the result on each link
+export class LinkHealthService {
+  constructor({
+    sheetsService = null,
+    sizeResolvers = createDefaultSizeResolvers(),
+    rules = HOST_RULES,
+    concurrency = process.env.LINK_CHECK_CONCURRENCY,
+    timeout = process.env.LINK_CHECK_TIMEOUT,
+    rateLimiter = getRateLimiter()
+  } = {}) {
+    this.logger = new Logger();
+    this.sheetsService = sheetsService;
+    this.sizeResolvers = sizeResolvers;
+    this.rules = rules;
+    this.concurrency = Math.max(1, parseInt(concurrency, 10) || 4);
+    this.timeout = parseInt(timeout, 10) || 15000;
+    this.rateLimiter = rateLimiter;
+    this.currentRun = null;
+    this.lastRun = null;
+  }
+
+  findRule(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return null;
+    }
+    return this.rules.find(rule => rule.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) || null;
+  }
+
+  // Returns { status, reason, http_status } for a single URL; never throws
+  async checkUrl(url) {
+    if (!url || typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+      return { status: 'unknown', reason: 'Invalid URL', http_status: null };
+    }
+
+    const rule = this.findRule(url);
+
+    // Host API first: a size means the file is there, a not-found error means it is gone
+    const resolver = this.sizeResolvers ? this.sizeResolvers.findResolver(url) : null;
+    if (resolver) {
+      try {
+        const size = await resolver.getSize(url);
+        if (size) {
+          return { status: 'alive', reason: `${resolver.name} API reports the file`, http_status: null };
+        }
+      } catch (error) {
+        const httpStatus = error.response ? error.response.status : null;
+        if (error.notFound || httpStatus === 404 || httpStatus === 410) {
+          return { status: 'dead', reason: `${resolver.name} API: file not found`, http_status: httpStatus };
+        }
+        if (rule && rule.apiOnly) {
+          return { status: 'unknown', reason: `${resolver.name} API error: ${error.message}`, http_status: httpStatus };
+        }
+      }
+    }
+
+    if (rule && rule.apiOnly) {
+      return { status: 'unknown', reason: `${rule.name} links can only be checked through its API`, http_status: null };
+    }
+
+    return await this.checkPage(url, rule);
+  }
+
+  async checkPage(url, rule) {
+    let response;
+    try {
+      await this.rateLimiter.acquire(url);
+      response = await axios.get(url, {
+        timeout: this.timeout,
+        maxRedirects: 5,
+        responseType: 'stream',
+        validateStatus: () => true,
+        headers: { 'User-Agent': USER_AGENT }
+      });
+    } catch (error) {
+      if (error.code === 'ENOTFOUND') {
+        return { status: 'dead', reason: 'Host no longer exists', http_status: null };
+      }
+      return { status: 'unknown', reason: error.code === 'ECONNABORTED' ? 'Timed out' : error.message, http_status: null };
+    }
+
+    const httpStatus = response.status;
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+    const contentType = String(response.headers['content-type'] || '');
+    let body = '';
+    if (contentType.includes('text') || contentType.includes('json')) {
+      body = await this.readStart(response.data);
+    } else {
+      response.data.destroy(); // a file download started - the link works
+    }
+
+    if (httpStatus === 404 || httpStatus === 410) {
+      return { status: 'dead', reason: `HTTP ${httpStatus}`, http_status: httpStatus };
+    }
+    if (httpStatus >= 400) {
+      // 403/429/5xx are usually rate limits or outages, not takedowns
+      return { status: 'unknown', reason: `HTTP ${httpStatus}`, http_status: httpStatus };
+    }
+
+    if (rule) {
+      if ((rule.deadUrls || []).some(pattern => pattern.test(finalUrl))) {
+        return { status: 'dead', reason: `${rule.name} redirected to an error page`, http_status: httpStatus };
+      }
+      const signature = (rule.signatures || []).find(pattern => pattern.test(body));
+      if (signature) {
+        return { status: 'dead', reason: `${rule.name} page: "${body.match(signature)[0]}"`, http_status: httpStatus };
+      }
+    }
+
+    return { status: 'alive', reason: `HTTP ${httpStatus}`, http_status: httpStatus };
+  }
+
+  // Reads the first MAX_PAGE_BYTES of a response stream as text
+  readStart(stream) {
+    return new Promise(resolve => {
+      const chunks = [];
+      let length = 0;
+      const finish = () => resolve(Buffer.concat(chunks).toString('utf8'));
+
+      stream.on('data', chunk => {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= MAX_PAGE_BYTES) {
+          stream.destroy();
+          finish();
+        }
+      });
+      stream.on('end', finish);
+      stream.on('error', finish);
+      stream.on('close', finish);
+    });
+  }
+
+  // Checks every link with bounded concurrency; returns the links with health fields set
+  async checkLinks(links) {
+    const list = Array.isArray(links) ? links : [];
+    return await mapWithConcurrency(list, this.concurrency, async link => {
+      const result = await this.checkUrl(link && link.url);
+      return {
+        ...link,
+        health_status: result.status,
+        health_reason: result.reason,
+        last_checked: new Date().toISOString()
+      };
+    });
+  }
+
+  // With save, the results go onto the game's links as stored when the check ends, not
+  // onto the game as passed in: a scrape may have changed its links in the meantime
+  async checkGame(game, { save = true } = {}) {
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    this.logger.info(`Checking ${(game.download_links || []).length} links for game #${game.game_number}`);
+    let links = await this.checkLinks(game.download_links);
+
+    if (save && this.sheetsService && links.length > 0) {
+      links = await this.sheetsService.saveLinkHealth(game.game_number, links);
+    }
+
+    return {
+      game_number: parseInt(game.game_number, 10),
+      game_name: game.game_name,
+      links,
+      summary: summarizeLinks(links)
+    };
+  }
+
+  // Starts a background check over all games (or the given game numbers)
+  startBulkCheck({ gameNumbers = null } = {}) {
+    if (!this.sheetsService) {
+      throw new Error('Link health service has no sheets service');
+    }
+    if (this.currentRun) {
+      throw new Error('A link health check is already running');
+    }
+
+    const run = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      games_total: 0,
+      games_checked: 0,
+      links_checked: 0,
+      dead_links: 0,
+      all_dead_games: [],
+      errors: []
+    };
+    this.currentRun = run;
+
+    this.runBulkCheck(run, gameNumbers)
+      .catch(error => {
+        this.logger.error('Link health run failed:', error);
+        run.status = 'failed';
+        run.errors.push({ game_number: null, error: error.message });
+      })
+      .finally(() => {
+        if (run.status === 'running') run.status = 'completed';
+        run.finished_at = new Date().toISOString();
+        this.lastRun = run;
+        this.currentRun = null;
+      });
+
+    return run;
+  }
+
+  async runBulkCheck(run, gameNumbers) {
+    const wanted = Array.isArray(gameNumbers) ? gameNumbers.map(n => parseInt(n, 10)) : null;
+    const games = (await this.sheetsService.getAllGames())
+      .filter(game => !wanted || wanted.includes(parseInt(game.game_number, 10)))
+      .filter(game => Array.isArray(game.download_links) && game.download_links.length > 0);
+
+    run.games_total = games.length;
+    this.logger.info(`Link health run ${run.id}: checking ${games.length} games`);
+
+    for (const game of games) {
+      try {
+        const result = await this.checkGame(game);
+        run.links_checked += result.summary.total;
+        run.dead_links += result.summary.dead;
+        if (result.summary.all_dead) {
+          run.all_dead_games.push(result.game_number);
+        }
+      } catch (error) {
+        this.logger.warn(`Link health check failed for game #${game.game_number}: ${error.message}`);
+        run.errors.push({ game_number: parseInt(game.game_number, 10), error: error.message });
+      }
+      run.games_checked++;
+    }
+
+    this.logger.info(`Link health run ${run.id} finished: ${run.dead_links}/${run.links_checked} links dead`);
+  }
+
+  getStatus() {
+    return {
+      running: !!this.currentRun,
+      current: this.currentRun,
+      last: this.lastRun
+    };
+  }
+}
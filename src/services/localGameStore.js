@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Logger } from '../utils/logger.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+import { GameStore, gameIdFor, timelineEntry, trackedCell } from './gameStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// A game as the Sheets adapter reads it back: every value a string except the parsed lists
+function toRecord(gameNumber, data) {
+  return {
+    game_number: String(gameNumber),
+    game_name: data.game_name || '',
+    version: data.version || '',
+    developer: data.developer || 'Unknown',
+    release_date: data.release_date || '',
+    original_url: data.original_url || '',
+    cover_image: data.cover_image || '',
+    description: data.description || '',
+    tags: Array.isArray(data.tags) ? data.tags.map(String).filter(tag => tag.trim()) : [],
+    total_size_gb: String(data.total_size_gb || '0.00'),
+    total_size_bytes: String(data.total_size_bytes || 0),
+    download_links: structuredClone(data.download_links || []),
+    individual_sizes: structuredClone(data.individual_sizes || []),
+    extracted_date: data.extracted_date || '',
+    engine: data.engine || '',
+    status: data.status || '',
+    thread_updated: data.thread_updated || '',
+    tracked: trackedCell(data.tracked),
+    game_id: gameIdFor(data)
+  };
+}
+
+// Numbers are never given out twice: deleted games keep theirs in the trash, and a purge
+// leaves the highest one it removed in last_game_number
+function lastGameNumber({ games, trash, last_game_number: purged }) {
+  return [...games, ...trash.map(entry => entry.game)]
+    .reduce((last, game) => Math.max(last, parseInt(game.game_number, 10) || 0), purged);
+}
+
+// Games, replaced versions and the trash in one JSON file (STORAGE_FILE), for running
+// without a Google account. The file is read once and rewritten after every change.
+export class LocalGameStore extends GameStore {
+  constructor({
+    file = process.env.STORAGE_FILE || path.join(__dirname, '..', '..', 'data', 'games.json')
+  } = {}) {
+    super();
+    this.logger = new Logger();
+    this.backend = 'local';
+    this.file = file;
+    this.loading = null; // { games, history, trash, last_game_number } once read
+    this.saveQueue = Promise.resolve();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = readJsonFile(this.file, null).then(saved => ({
+        games: (saved && saved.games) || [],
+        history: (saved && saved.history) || [],
+        trash: (saved && saved.trash) || [],
+        last_game_number: (saved && saved.last_game_number) || 0 // highest number a purge removed
+      }));
+    }
+    return this.loading;
+  }
+
+  // Writes are chained so two changes never write the same temp file at once
+  async save(data) {
+    const write = this.saveQueue.then(() => writeJsonFile(this.file, data));
+    this.saveQueue = write.catch(() => {});
+    return write;
+  }
+
+  // Runs task on a copy of the data and keeps the copy only once the file is written, so a
+  // failed write leaves the store as it was. Changes run one at a time (enqueueWrite).
+  change(task) {
+    return this.enqueueWrite(async () => {
+      const data = await this.load();
+      const draft = structuredClone(data);
+      const result = await task(draft);
+      await this.save(draft);
+      Object.assign(data, draft);
+      return result;
+    });
+  }
+
+  async getAllGames(filters = {}) {
+    const { games } = await this.load();
+    return structuredClone(games).filter(game => this.matchesFilters(game, filters));
+  }
+
+  async getLastGameNumber() {
+    return lastGameNumber(await this.load());
+  }
+
+  async addGameData(gameData) {
+    if (!gameData || typeof gameData !== 'object') {
+      throw new Error('Invalid game data provided');
+    }
+
+    const gameName = gameData.game_name || 'Unknown Game';
+    const gameNumber = await this.change(async data => {
+      const gameNumber = lastGameNumber(data) + 1;
+      this.logger.info(`Adding game #${gameNumber}: ${gameName}`);
+      data.games.push(toRecord(gameNumber, {
+        ...gameData,
+        game_id: gameIdFor(gameData) || crypto.randomUUID(), // pages outside a thread have no thread ID
+        game_name: gameName,
+        version: gameData.version || 'Unknown',
+        extracted_date: gameData.extracted_date || new Date().toISOString()
+      }));
+      return gameNumber;
+    });
+
+    this.logger.info(`Game #${gameNumber} added to the local store: ${gameName}`);
+    return gameNumber;
+  }
+
+  async updateGameData(existingGame, newGameData) {
+    if (!existingGame || !newGameData || typeof newGameData !== 'object') {
+      throw new Error('Invalid game data provided for update');
+    }
+
+    const gameNumber = existingGame.game_number;
+    const mergedData = this.mergeGameData(existingGame, newGameData);
+    const record = toRecord(gameNumber, mergedData);
+
+    await this.change(async ({ games, history }) => {
+      const index = this.indexOf(games, gameNumber);
+      if (index === -1) {
+        throw new NotFoundError(`Game #${gameNumber} not found`);
+      }
+
+      this.logger.info(`Updating game #${gameNumber}: ${record.game_name} (${existingGame.version || 'Unknown'} → ${record.version})`);
+      this.recordHistory(history, games[index], record);
+      games[index] = record;
+    });
+
+    this.logger.info(`Game #${gameNumber} updated in the local store: ${record.game_name}`);
+    this.emitGameChanged(gameNumber, existingGame, mergedData);
+    return gameNumber;
+  }
+
+  indexOf(games, gameNumber) {
+    return games.findIndex(game => parseInt(game.game_number, 10) === parseInt(gameNumber, 10));
+  }
+
+  // Keeps the replaced game, unless the rewrite only moves the extraction date
+  recordHistory(history, stored, record) {
+    const comparable = game => JSON.stringify({ ...game, extracted_date: null });
+    if (comparable(stored) === comparable(record)) {
+      return;
+    }
+
+    history.push({
+      game_id: gameIdFor(stored),
+      game_number: stored.game_number,
+      recorded_at: new Date().toISOString(),
+      game: stored
+    });
+  }
+
+  async getGameHistory(gameNumber) {
+    const game = await this.getGame(gameNumber);
+    if (!game) {
+      throw new NotFoundError(`Game #${gameNumber} not found`);
+    }
+
+    const { history } = await this.load();
+    const records = history
+      .filter(entry => entry.game_id === game.game_id)
+      .sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
+
+    return {
+      game_id: game.game_id || null,
+      game_number: parseInt(game.game_number, 10),
+      timeline: [
+        ...records.map(entry => timelineEntry(entry.game, entry.recorded_at)),
+        timelineEntry(game, null)
+      ]
+    };
+  }
+
+  async updateDownloadLinks(gameNumber, downloadLinks) {
+    await this.updateGameField(gameNumber, 'download_links', structuredClone(downloadLinks || []));
+    this.logger.debug(`Updated download links for game #${gameNumber}`);
+  }
+
+  async setTracked(gameNumber, tracked) {
+    await this.updateGameField(gameNumber, 'tracked', tracked ? 'Yes' : 'No');
+    this.logger.info(`Update checks ${tracked ? 'enabled' : 'disabled'} for game #${gameNumber}`);
+  }
+
+  async updateThreadUpdated(gameNumber, threadUpdated) {
+    await this.updateGameField(gameNumber, 'thread_updated', threadUpdated || '');
+  }
+
+  // Changes one field without a history entry, like a single-cell write in the sheet
+  async updateGameField(gameNumber, key, value) {
+    await this.change(async ({ games }) => {
+      const index = this.indexOf(games, gameNumber);
+      if (index === -1) {
+        throw new NotFoundError(`Game #${gameNumber} not found`);
+      }
+
+      games[index][key] = value;
+    });
+  }
+
+  // Moves the game to the trash; other games keep their numbers and IDs
+  async deleteGame(gameNumber, { reason = '' } = {}) {
+    this.logger.info(`Attempting to delete game #${gameNumber}`);
+
+    const { game, trashId } = await this.change(async ({ games, trash }) => {
+      const index = this.indexOf(games, gameNumber);
+      if (index === -1) {
+        throw new NotFoundError(`Game #${gameNumber} not found`);
+      }
+
+      const [game] = games.splice(index, 1);
+      game.game_id = gameIdFor(game) || crypto.randomUUID();
+      const trashId = crypto.randomUUID();
+      trash.push({ trash_id: trashId, deleted_at: new Date().toISOString(), reason: reason || '', game });
+      return { game, trashId };
+    });
+
+    this.logger.info(`Moved "${game.game_name || 'Unknown'}" (#${gameNumber}, ID ${game.game_id}) to the trash`);
+    return {
+      success: true,
+      deletedGameName: game.game_name || 'Unknown',
+      gameNumber: parseInt(gameNumber, 10),
+      gameId: game.game_id,
+      trashId
+    };
+  }
+
+  // Trash entries, newest first
+  async listTrash() {
+    const { trash } = await this.load();
+    return structuredClone(trash).sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+  }
+
+  // Puts a deleted game back under its old number, or the next free one if that was taken.
+  // Fails with a conflict when the game has been added again since it was deleted.
+  async restoreFromTrash(trashId) {
+    const { game, gameNumber } = await this.change(async data => {
+      const { games, trash } = data;
+      const index = trash.findIndex(entry => entry.trash_id === trashId);
+      if (index === -1) {
+        throw new NotFoundError(`No trash entry with ID ${trashId}`);
+      }
+
+      const { game } = trash[index];
+      const current = games.find(candidate => candidate.game_id === game.game_id);
+      if (current) {
+        throw new ConflictError(`"${game.game_name}" is already in the store as #${current.game_number}`);
+      }
+
+      const oldNumber = parseInt(game.game_number, 10);
+      const gameNumber = oldNumber > 0 && this.indexOf(games, oldNumber) === -1
+        ? oldNumber
+        : lastGameNumber(data) + 1;
+
+      trash.splice(index, 1);
+      games.push({ ...game, game_number: String(gameNumber) });
+      return { game, gameNumber };
+    });
+
+    this.logger.info(`Restored "${game.game_name}" from the trash as #${gameNumber}`);
+    return { gameNumber, gameId: game.game_id, gameName: game.game_name };
+  }
+
+  // Permanently removes trash entries deleted more than olderThanDays days ago
+  async purgeTrash({ olderThanDays }) {
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    const expired = await this.change(async data => {
+      const expired = data.trash.filter(entry => Date.parse(entry.deleted_at) < cutoff);
+      data.trash = data.trash.filter(entry => !expired.includes(entry));
+      data.last_game_number = expired.reduce((last, entry) => Math.max(last, parseInt(entry.game.game_number, 10) || 0), data.last_game_number);
+      return expired;
+    });
+
+    if (expired.length > 0) {
+      this.logger.info(`Purged ${expired.length} games deleted more than ${olderThanDays} days ago`);
+    }
+    return { purged: expired.length, items: structuredClone(expired) };
+  }
+
+  // Served by GET /api/export
+  async exportSheet() {
+    return '/api/export';
+  }
+}
@@ -0,0 +1,266 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+import { createRetryPolicy, isRetryableError, withRetry } from '../utils/retry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const NOTIFICATION_FORMATS = ['json', 'discord'];
+
+const DISCORD_HOSTS = ['discord.com', 'discordapp.com', 'canary.discord.com', 'ptb.discord.com'];
+const DISCORD_COLOR = 0x5865f2;
+
+function parseLimit(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function isDiscordWebhook(url) {
+  return DISCORD_HOSTS.includes(url.hostname) && url.pathname.startsWith('/api/webhooks/');
+}
+
+// NOTIFY_WEBHOOKS: comma-separated URLs, each optionally prefixed with its format, e.g.
+// "discord:https://discord.com/api/webhooks/1/abc, json:http://localhost:9000/hook".
+// Without a prefix Discord webhook URLs get embeds and everything else plain JSON.
+export function parseWebhookTargets(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  const targets = [];
+
+  for (const raw of entries.map(entry => String(entry).trim()).filter(Boolean)) {
+    const match = raw.match(/^(\w+):(https?:\/\/.+)$/i);
+    const format = match ? match[1].toLowerCase() : null;
+    const urlString = match ? match[2] : raw;
+
+    let url;
+    try {
+      url = new URL(urlString);
+    } catch {
+      throw new Error(`Invalid webhook URL in NOTIFY_WEBHOOKS: ${raw}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Webhook URLs must be http or https: ${raw}`);
+    }
+    if (format && !NOTIFICATION_FORMATS.includes(format)) {
+      throw new Error(`Unknown webhook format "${format}", use one of ${NOTIFICATION_FORMATS.join(', ')}`);
+    }
+
+    targets.push({
+      id: targets.length + 1,
+      url: url.toString(),
+      format: format || (isDiscordWebhook(url) ? 'discord' : 'json')
+    });
+  }
+
+  return targets;
+}
+
+// Webhook URLs carry their secret in the path, so only the origin is shown in logs and responses
+export function maskWebhookUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname.length > 1 ? `${parsed.origin}/…` : parsed.origin;
+  } catch {
+    return '…';
+  }
+}
+
+function describeChange(from, to) {
+  return `${from || 'unknown'} → ${to || 'unknown'}`;
+}
+
+// Request body for one target. Events are { type, id, created_at, data } with data as
+// emitted by the sheets service ('gameChanged').
+export function buildWebhookPayload(format, event) {
+  if (format !== 'discord') {
+    return { event: event.type, id: event.id, created_at: event.created_at, data: event.data };
+  }
+
+  const game = event.data;
+  const fields = [];
+  if (game.changes.includes('version')) {
+    fields.push({ name: 'Version', value: describeChange(game.previous.version, game.current.version), inline: true });
+  }
+  if (game.changes.includes('status')) {
+    fields.push({ name: 'Status', value: describeChange(game.previous.status, game.current.status), inline: true });
+  }
+
+  const embed = {
+    title: `${game.game_name || `Game #${game.game_number}`}${game.current.version ? ` ${game.current.version}` : ''}`.slice(0, 256),
+    color: DISCORD_COLOR,
+    fields,
+    footer: { text: `Game #${game.game_number}` },
+    timestamp: game.changed_at || event.created_at
+  };
+  if (game.original_url) {
+    embed.url = game.original_url;
+    embed.description = `[Open thread](${game.original_url})`;
+  }
+  // Discord only loads images from http(s) URLs
+  if (/^https?:\/\//i.test(game.cover_image || '')) {
+    embed.thumbnail = { url: game.cover_image };
+  }
+
+  return { username: 'F95Zone Scraper', embeds: [embed] };
+}
+
+// Sends game change events to the webhooks in NOTIFY_WEBHOOKS. Each delivery is retried on
+// network errors, 429 and 5xx answers (NOTIFY_MAX_ATTEMPTS in total) and the outcome is kept
+// in a delivery log (NOTIFY_LOG_FILE, newest first, NOTIFY_LOG_LIMIT entries).
+export class NotificationService {
+  constructor({
+    targets = process.env.NOTIFY_WEBHOOKS,
+    logFile = process.env.NOTIFY_LOG_FILE || path.join(__dirname, '..', '..', 'data', 'notifications.json'),
+    logLimit = process.env.NOTIFY_LOG_LIMIT,
+    maxAttempts = process.env.NOTIFY_MAX_ATTEMPTS,
+    retryDelay = process.env.NOTIFY_RETRY_DELAY,
+    timeout = process.env.NOTIFY_TIMEOUT,
+    http = axios
+  } = {}) {
+    this.logger = new Logger();
+    this.targets = [];
+    try {
+      this.targets = parseWebhookTargets(targets);
+    } catch (error) {
+      this.logger.error(`${error.message}, notifications are off`);
+    }
+    this.logFile = logFile;
+    this.logLimit = parseLimit(logLimit, 100);
+    this.retryPolicy = createRetryPolicy({
+      maxAttempts: parseLimit(maxAttempts, 4),
+      baseDelay: parseLimit(retryDelay, 2000),
+      maxDelay: 60000
+    });
+    this.timeout = parseLimit(timeout, 10000);
+    this.http = http;
+    this.deliveries = null; // loaded on first use, newest first
+    this.pending = new Set();
+    this.saveQueue = Promise.resolve();
+  }
+
+  isEnabled() {
+    return this.targets.length > 0;
+  }
+
+  // Forwards the sheets service's 'gameChanged' events
+  attach(sheetsService) {
+    sheetsService.on('gameChanged', change => {
+      this.notify('game.updated', change);
+    });
+  }
+
+  // Delivers one event to every target in the background. The returned promise settles
+  // with the log entries once all deliveries are done; it never rejects.
+  notify(type, data) {
+    if (!this.isEnabled()) {
+      return Promise.resolve([]);
+    }
+
+    const event = { type, id: crypto.randomUUID(), created_at: new Date().toISOString(), data };
+    const delivery = Promise.all(this.targets.map(target => this.deliver(target, event)));
+    this.pending.add(delivery);
+    delivery.finally(() => this.pending.delete(delivery));
+    return delivery;
+  }
+
+  // Waits for deliveries that are still being sent or retried
+  async flush() {
+    await Promise.all([...this.pending]);
+    await this.saveQueue;
+  }
+
+  async deliver(target, event) {
+    const entry = {
+      id: crypto.randomUUID(),
+      event: event.type,
+      event_id: event.id,
+      game_number: event.data && event.data.game_number !== undefined ? event.data.game_number : null,
+      target_id: target.id,
+      target: maskWebhookUrl(target.url),
+      format: target.format,
+      status: 'pending',
+      attempts: 0,
+      status_code: null,
+      error: null,
+      created_at: event.created_at,
+      finished_at: null
+    };
+
+    try {
+      const response = await withRetry(async attempt => {
+        entry.attempts = attempt;
+        return this.http.post(target.url, buildWebhookPayload(target.format, event), {
+          timeout: this.timeout,
+          headers: { 'Content-Type': 'application/json', 'User-Agent': 'f95zone-scraper' }
+        });
+      }, {
+        policy: this.retryPolicy,
+        shouldRetry: isRetryableError,
+        onRetry: (error, attempt, delay) => {
+          this.logger.warn(`Webhook ${entry.target} failed (attempt ${attempt}): ${error.message}, retrying in ${delay}ms`);
+        }
+      });
+      entry.status = 'delivered';
+      entry.status_code = response.status;
+    } catch (error) {
+      entry.status = 'failed';
+      entry.status_code = error.response ? error.response.status : null;
+      entry.error = error.message;
+      this.logger.error(`Webhook ${entry.target} failed after ${entry.attempts} attempts: ${error.message}`);
+    }
+
+    entry.finished_at = new Date().toISOString();
+    await this.saveDelivery(entry);
+    return entry;
+  }
+
+  async loadDeliveries() {
+    if (!this.deliveries) {
+      const saved = this.logFile ? await readJsonFile(this.logFile, null) : null;
+      this.deliveries = saved && Array.isArray(saved.deliveries) ? saved.deliveries : [];
+    }
+    return this.deliveries;
+  }
+
+  // Writes are chained so parallel deliveries don't write the same temp file at once
+  saveDelivery(entry) {
+    this.saveQueue = this.saveQueue.then(async () => {
+      const deliveries = await this.loadDeliveries();
+      deliveries.unshift(entry);
+      deliveries.splice(this.logLimit);
+
+      if (this.logFile) {
+        await writeJsonFile(this.logFile, { deliveries });
+      }
+    }).catch(error => {
+      this.logger.warn(`Could not save the notification log: ${error.message}`);
+    });
+    return this.saveQueue;
+  }
+
+  async getDeliveries({ limit = 20, status = null } = {}) {
+    const deliveries = (await this.loadDeliveries()).filter(entry => !status || entry.status === status);
+    return limit > 0 ? deliveries.slice(0, limit) : deliveries;
+  }
+
+  getTargets() {
+    return this.targets.map(target => ({ id: target.id, url: maskWebhookUrl(target.url), format: target.format }));
+  }
+
+  // Sends a made-up version change to every target, to check the webhook setup
+  sendTest() {
+    return this.notify('test', {
+      game_number: 0,
+      game_name: 'Test Game',
+      original_url: 'https://f95zone.to/threads/test-game.0/',
+      cover_image: null,
+      previous: { version: 'v0.7', status: 'Ongoing' },
+      current: { version: 'v0.8', status: 'Ongoing' },
+      changes: ['version'],
+      changed_at: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,124 @@
+import * as cheerio from 'cheerio';
+import { ThreadParser, BLOCK_TAGS } from './threadParser.js';
+
+// Same link selection as the page.evaluate() code in ScraperService.scrapePage
+const DOWNLOAD_HOSTS = [
+  'mega.nz',
+  'drive.google.com',
+  'mediafire.com',
+  'uploadhaven.com',
+  'gofile.io',
+  'pixeldrain.com',
+  'workupload.com',
+  'rapidgator.net',
+  'katfile.com',
+  'mixdrop.co',
+  'anonfiles.com'
+];
+const SPOILER_HOSTS = DOWNLOAD_HOSTS.slice(0, 7);
+const LINK_TEXT_HINTS = ['download', 'pc', 'windows', 'mac', 'android'];
+
+function toAbsolute(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+function isInline(node) {
+  return node.type !== 'tag' || (!BLOCK_TAGS.has(node.name) && node.name !== 'br');
+}
+
+function nodeText($, node) {
+  return node.type === 'text' ? node.data : $(node).text();
+}
+
+// Text of the line a link sits on, like getLinkContext() in the browser path
+function getLinkContext($, link, fallbackElement) {
+  let node = link;
+  while (node.parent && node.parent.type === 'tag' && node.parent.name !== 'body' && isInline(node.parent)) {
+    node = node.parent;
+  }
+
+  const parts = [nodeText($, node)];
+  for (let prev = node.prev; prev && isInline(prev); prev = prev.prev) {
+    parts.unshift(nodeText($, prev));
+  }
+  for (let next = node.next; next && isInline(next); next = next.next) {
+    parts.push(nodeText($, next));
+  }
+
+  const line = parts.join('').replace(/\s+/g, ' ').trim();
+  const linkText = $(link).text().trim();
+  if (line && line !== linkText) {
+    return line.substring(0, 200);
+  }
+  return fallbackElement ? $(fallbackElement).text().trim().substring(0, 200) : '';
+}
+
+// Builds the same pageData shape as the Puppeteer scrape from raw HTML
+export function buildPageDataFromHtml(html, url) {
+  if (!html || typeof html !== 'string') {
+    throw new Error('No HTML to build page data from');
+  }
+
+  const $ = cheerio.load(html);
+  const body = $('body');
+
+  const data = {
+    title: $('title').first().text().trim() || 'No title',
+    url,
+    content: body.length > 0 ? new ThreadParser().extractText($, body) : '',
+    html,
+    images: [],
+    links: []
+  };
+
+  $('img').each((_, img) => {
+    const src = toAbsolute($(img).attr('src') || $(img).attr('data-src'), url);
+    if (src) {
+      data.images.push({
+        src,
+        alt: $(img).attr('alt') || '',
+        title: $(img).attr('title') || ''
+      });
+    }
+  });
+
+  $('a').each((_, link) => {
+    const href = toAbsolute($(link).attr('href'), url);
+    if (!href) return;
+
+    const text = $(link).text().trim();
+    const lowerText = text.toLowerCase();
+    if (href.includes('/masked/') ||
+        DOWNLOAD_HOSTS.some(host => href.includes(host)) ||
+        LINK_TEXT_HINTS.some(hint => lowerText.includes(hint))) {
+      data.links.push({
+        href,
+        text,
+        title: $(link).attr('title') || '',
+        context: getLinkContext($, link, link.parent)
+      });
+    }
+  });
+
+  // Download links inside spoilers are listed again, as in the browser path
+  $('.bbCodeSpoiler-content, .spoiler-content, [data-spoiler]').each((_, spoiler) => {
+    $(spoiler).find('a').each((_, link) => {
+      const href = toAbsolute($(link).attr('href'), url);
+      if (!href || !(href.includes('/masked/') || SPOILER_HOSTS.some(host => href.includes(host)))) return;
+
+      data.links.push({
+        href,
+        text: $(link).text().trim(),
+        title: $(link).attr('title') || '',
+        context: getLinkContext($, link, spoiler),
+        fromSpoiler: true
+      });
+    });
+  });
+
+  return data;
+}
@@ -0,0 +1,178 @@
+import { Logger } from '../utils/logger.js';
+
+// Bounded pool of Puppeteer pages. All pages come from the same browser context,
+// so they share the authenticated F95Zone cookies; callers queue when every page is busy.
+export class PagePool {
+  constructor({ createPage, size, acquireTimeout } = {}) {
+    if (typeof createPage !== 'function') {
+      throw new Error('PagePool requires a createPage function');
+    }
+
+    this.logger = new Logger();
+    this.createPage = createPage;
+    this.size = Math.max(1, parseInt(size, 10) || 3);
+    this.acquireTimeout = parseInt(acquireTimeout, 10) || 120000;
+    this.idle = [];
+    this.busy = new Set();
+    this.pending = 0; // pages currently being created
+    this.resetting = 0; // released pages still being reset or closed; they keep their slot
+    this.waiters = [];
+    this.closed = false;
+  }
+
+  async acquire() {
+    if (this.closed) {
+      throw new Error('Page pool is closed');
+    }
+
+    while (this.idle.length > 0) {
+      const page = this.idle.pop();
+      if (!this.isUsable(page)) {
+        continue;
+      }
+      this.busy.add(page);
+      return page;
+    }
+
+    if (this.busy.size + this.pending + this.resetting < this.size) {
+      return await this.openPage();
+    }
+
+    this.logger.debug(`All ${this.size} pages busy, queueing request (${this.waiters.length + 1} waiting)`);
+    return await new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(entry => entry !== waiter);
+        reject(new Error(`Timed out after ${this.acquireTimeout}ms waiting for a free browser page`));
+      }, this.acquireTimeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  async release(page, { discard = false } = {}) {
+    if (!page || !this.busy.has(page)) {
+      return;
+    }
+
+    this.busy.delete(page);
+    this.resetting++;
+
+    try {
+      if (!discard && !this.closed && this.isUsable(page)) {
+        try {
+          await this.resetPage(page);
+        } catch (error) {
+          this.logger.warn(`Error resetting pooled page, discarding it: ${error.message}`);
+          discard = true;
+        }
+      } else {
+        discard = true;
+      }
+
+      if (discard) {
+        await this.destroyPage(page);
+      }
+    } finally {
+      this.resetting--;
+    }
+
+    this.dispatch(discard ? null : page);
+  }
+
+  // Hand a freed page (or a freed slot) to the next waiter in line
+  dispatch(page) {
+    if (this.closed) {
+      if (page) {
+        this.destroyPage(page);
+      }
+      return;
+    }
+
+    const waiter = this.waiters.shift();
+    if (!waiter) {
+      if (page) {
+        this.idle.push(page);
+      }
+      return;
+    }
+
+    clearTimeout(waiter.timer);
+    if (page) {
+      this.busy.add(page);
+      waiter.resolve(page);
+    } else {
+      this.openPage().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  async openPage() {
+    this.pending++;
+    try {
+      const page = await this.createPage();
+      if (this.closed) {
+        await this.destroyPage(page);
+        throw new Error('Page pool is closed');
+      }
+      this.busy.add(page);
+      return page;
+    } catch (error) {
+      // Let the next waiter try with the slot we failed to fill
+      setImmediate(() => {
+        if (!this.closed && this.waiters.length > 0 && this.busy.size + this.pending + this.resetting < this.size) {
+          this.dispatch(null);
+        }
+      });
+      throw error;
+    } finally {
+      this.pending--;
+    }
+  }
+
+  async resetPage(page) {
+    // Drop listeners and DOM left behind by the previous scrape
+    if (typeof page.removeAllListeners === 'function') {
+      page.removeAllListeners('request');
+      page.removeAllListeners('response');
+      page.removeAllListeners('dialog');
+    }
+    await page.goto('about:blank', { waitUntil: 'domcontentloaded', timeout: 5000 });
+  }
+
+  isUsable(page) {
+    return !!page && !(typeof page.isClosed === 'function' && page.isClosed());
+  }
+
+  async destroyPage(page) {
+    try {
+      if (this.isUsable(page)) {
+        await page.close();
+      }
+    } catch (error) {
+      this.logger.warn(`Error closing pooled page: ${error.message}`);
+    }
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      busy: this.busy.size,
+      idle: this.idle.length,
+      waiting: this.waiters.length
+    };
+  }
+
+  async close() {
+    this.closed = true;
+
+    for (const waiter of this.waiters) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Page pool is closed'));
+    }
+    this.waiters = [];
+
+    const pages = [...this.idle, ...this.busy];
+    this.idle = [];
+    this.busy.clear();
+    await Promise.all(pages.map(page => this.destroyPage(page)));
+  }
+}
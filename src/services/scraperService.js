@@ -1,6 +1,31 @@
 import puppeteer from 'puppeteer';
 import axios from 'axios';
 import { Logger } from '../utils/logger.js';
+import { SessionStore } from './sessionStore.js';
+import { SnapshotStore } from './snapshotStore.js';
+import { PagePool } from './pagePool.js';
+import { createDefaultSizeResolvers } from './sizeResolvers.js';
+import { findSizeForPlatform } from '../utils/sizeParser.js';
+import { getThreadId, isMaskedLink, parseMaskedResponse } from '../utils/links.js';
+import { buildPageDataFromHtml } from './pageDataParser.js';
+import { BLOCK_POLICIES, createBlockError, detectBlockPage } from '../utils/blockPages.js';
+import { getRateLimiter } from '../utils/rateLimiter.js';
+import { generateTotp, secondsRemaining } from '../utils/totp.js';
+import { createRetryPolicy, computeBackoff, getRequestTimeout, getRetryAfter, withRetry } from '../utils/retry.js';
+import {
+  AppError,
+  AuthRequiredError,
+  ERROR_CODES,
+  NotFoundError,
+  RateLimitedError,
+  TimeoutError
+} from '../utils/errors.js';
+
+const F95ZONE_BASE_URL = 'https://f95zone.to';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// 'http' fetches with axios + cheerio, 'browser' uses Puppeteer, 'auto' tries HTTP first
+export const FETCH_MODES = ['auto', 'http', 'browser'];
 
 export class ScraperService {
   constructor() {
@@ -8,6 +33,36 @@ export class ScraperService {
     this.browser = null;
     this.isAuthenticated = false;
     this.authPage = null; // Keep a page for authentication state
+    this.sessionStore = new SessionStore();
+    this.sessionSource = null; // 'restored' or 'login'
+    this.sessionCreatedAt = null;
+    this.authPromise = null; // Shared by concurrent scrapes waiting on the same login
+    this.twoStepStatus = null; // 'not_required', 'required', 'passed' or 'failed' after a login attempt
+    this.twoStepError = null;
+    this.totpMinValidity = 5; // seconds a code must stay valid for before it is submitted
+    this.pagePool = null;
+    this.pagePoolSize = parseInt(process.env.PAGE_POOL_SIZE, 10) || 3;
+    this.sizeResolvers = createDefaultSizeResolvers();
+    this.fetchMode = FETCH_MODES.includes(process.env.SCRAPE_MODE) ? process.env.SCRAPE_MODE : 'auto';
+    this.rateLimiter = getRateLimiter(); // every request to F95Zone and file hosts waits its turn here
+    this.timeout = getRequestTimeout();
+    this.retryPolicy = createRetryPolicy({ baseDelay: 2000 });
+    this.blockPolicies = this.createBlockPolicies();
+    this.blockPollInterval = 1000;
+    this.snapshotStore = new SnapshotStore();
+  }
+
+  // CHALLENGE_WAIT_TIMEOUT overrides how long challenge pages get to clear in the browser
+  createBlockPolicies() {
+    const challengeWait = parseInt(process.env.CHALLENGE_WAIT_TIMEOUT, 10);
+    if (!Number.isFinite(challengeWait) || challengeWait < 0) {
+      return BLOCK_POLICIES;
+    }
+    return {
+      ...BLOCK_POLICIES,
+      cloudflare: { ...BLOCK_POLICIES.cloudflare, waitForClear: challengeWait },
+      'ddos-guard': { ...BLOCK_POLICIES['ddos-guard'], waitForClear: challengeWait }
+    };
   }
   async initBrowser() {
     try {
@@ -47,6 +102,9 @@ export class ScraperService {
           ]
         });
         this.logger.info('Browser initialized successfully');
+
+        // Pick up a previously saved session so we don't have to log in again
+        await this.restoreSession();
       }
       return this.browser;
     } catch (error) {
@@ -67,27 +125,21 @@ export class ScraperService {
       this.logger.info('Attempting F95Zone authentication...');
       
       const browser = await this.initBrowser();
+
+      // initBrowser may already have restored a saved session
+      if (this.isAuthenticated && this.authPage) {
+        this.logger.info('Using restored F95Zone session');
+        return true;
+      }
+
       this.authPage = await browser.newPage();
-        // Set modern user agent and realistic headers
-      await this.authPage.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      
-      // Add comprehensive headers to avoid bot detection
-      await this.authPage.setExtraHTTPHeaders({
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'none'
-      });
+      await this.preparePage(this.authPage);
       
       // Navigate to login page
+      await this.rateLimiter.acquire(F95ZONE_BASE_URL);
       await this.authPage.goto('https://f95zone.to/login/', { 
         waitUntil: 'networkidle2',
-        timeout: 30000 
+        timeout: this.timeout 
       });
       
       // Wait for login form
@@ -109,12 +161,19 @@ export class ScraperService {
       await new Promise(resolve => setTimeout(resolve, 1000));
       
       // Submit the form with more specific selectors
+      await this.rateLimiter.acquire(F95ZONE_BASE_URL);
       await Promise.all([
-        this.authPage.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }),
+        this.authPage.waitForNavigation({ waitUntil: 'networkidle2', timeout: this.timeout }),
         this.authPage.click('.button--primary[type="submit"], button.button--primary, input.button--primary[type="submit"], button[type="submit"], input[type="submit"]')
       ]);
         // Wait for page to fully load after submission
       await new Promise(resolve => setTimeout(resolve, 2000));
+
+      if (!await this.completeTwoStep(this.authPage)) {
+        await this.authPage.close();
+        this.authPage = null;
+        return false;
+      }
       
       // Enhanced login success detection
       const currentUrl = this.authPage.url();
@@ -144,7 +203,10 @@ export class ScraperService {
       
       if (isLoggedIn) {
         this.isAuthenticated = true;
+        this.sessionSource = 'login';
+        this.sessionCreatedAt = new Date().toISOString();
         this.logger.info('F95Zone authentication successful');
+        await this.persistSession();
         return true;
       } else {
         // DEBUG: Take screenshot to see what went wrong
@@ -171,6 +233,288 @@ export class ScraperService {
       return false;
     }
   }
+
+  // Reads XenForo's two-step verification form, or returns null when the page is not one
+  async getTwoStepForm(page) {
+    return await page.evaluate(() => {
+      const codeInput = document.querySelector('form input[name="code"]');
+      if (!codeInput && !window.location.pathname.includes('/two-step')) {
+        return null;
+      }
+      const providerInput = document.querySelector('input[name="provider"]');
+      const totpLink = document.querySelector('a[href*="provider=totp"]');
+      const errorPanel = document.querySelector('.blockMessage--error, .errorPanel, .alert--error');
+      return {
+        provider: providerInput ? providerInput.value : new URL(window.location.href).searchParams.get('provider'),
+        hasCode: !!codeInput,
+        hasTrust: !!document.querySelector('input[name="trust"]'),
+        totpLink: totpLink ? totpLink.href : null,
+        error: errorPanel ? errorPanel.innerText.trim() : null
+      };
+    });
+  }
+
+  // Answers the two-step page with a code from F95ZONE_TOTP_SECRET. Returns false when the
+  // account needs a code we cannot provide or the code is rejected; twoStepStatus says which.
+  async completeTwoStep(page) {
+    this.twoStepError = null;
+    let form = await this.getTwoStepForm(page);
+    if (!form) {
+      this.twoStepStatus = 'not_required';
+      return true;
+    }
+
+    const secret = process.env.F95ZONE_TOTP_SECRET;
+    if (!secret) {
+      return this.failTwoStep('required', 'F95Zone account requires two-step verification - set F95ZONE_TOTP_SECRET');
+    }
+
+    this.logger.info('F95Zone requested two-step verification');
+
+    // XenForo opens the account's preferred method first, which may be email
+    if (form.provider && form.provider !== 'totp') {
+      if (!form.totpLink) {
+        return this.failTwoStep('failed', `Authenticator app verification is not enabled on this account (offered: ${form.provider})`);
+      }
+      await this.rateLimiter.acquire(F95ZONE_BASE_URL);
+      await page.goto(form.totpLink, { waitUntil: 'networkidle2', timeout: this.timeout });
+      form = await this.getTwoStepForm(page);
+    }
+
+    if (!form || !form.hasCode) {
+      return this.failTwoStep('failed', 'Two-step verification form has no code field');
+    }
+
+    let code;
+    try {
+      // A code about to roll over may be stale by the time F95Zone checks it
+      const remaining = secondsRemaining();
+      if (remaining < this.totpMinValidity) {
+        await new Promise(resolve => setTimeout(resolve, remaining * 1000 + 500));
+      }
+      code = generateTotp(secret);
+    } catch (error) {
+      return this.failTwoStep('failed', `Invalid F95ZONE_TOTP_SECRET: ${error.message}`);
+    }
+
+    await page.type('input[name="code"]', code, { delay: 80 });
+    if (form.hasTrust) {
+      // "Don't ask again on this device" keeps restored sessions free of the prompt
+      await page.evaluate(() => {
+        const trust = document.querySelector('input[name="trust"]');
+        if (trust && !trust.checked) trust.click();
+      });
+    }
+
+    await this.rateLimiter.acquire(F95ZONE_BASE_URL);
+    await Promise.all([
+      // A rejected code is answered in place, without navigating
+      page.waitForNavigation({ waitUntil: 'networkidle2', timeout: this.timeout }).catch(() => null),
+      page.click('.button--primary[type="submit"], button.button--primary, button[type="submit"], input[type="submit"]')
+    ]);
+
+    const after = await this.getTwoStepForm(page);
+    if (after) {
+      return this.failTwoStep('failed', `Two-step code was rejected${after.error ? `: ${after.error}` : ''}`);
+    }
+
+    this.twoStepStatus = 'passed';
+    this.logger.info('F95Zone two-step verification passed');
+    return true;
+  }
+
+  failTwoStep(status, message) {
+    this.twoStepStatus = status;
+    this.twoStepError = message;
+    this.logger.error(message);
+    return false;
+  }
+
+  async preparePage(page) {
+    // Set modern user agent and realistic headers
+    await page.setUserAgent(USER_AGENT);
+
+    // Add comprehensive headers to avoid bot detection
+    await page.setExtraHTTPHeaders({
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'DNT': '1',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+      'Sec-Fetch-Dest': 'document',
+      'Sec-Fetch-Mode': 'navigate',
+      'Sec-Fetch-Site': 'none'
+    });
+  }
+
+  async persistSession() {
+    if (!this.authPage) {
+      return false;
+    }
+
+    try {
+      const cookies = await this.authPage.cookies(F95ZONE_BASE_URL);
+      return await this.sessionStore.save(cookies, {
+        username: process.env.F95ZONE_USERNAME,
+        createdAt: this.sessionCreatedAt
+      });
+    } catch (error) {
+      this.logger.warn('Could not persist F95Zone session:', error.message);
+      return false;
+    }
+  }
+
+  async restoreSession() {
+    const username = process.env.F95ZONE_USERNAME;
+    if (!username || !process.env.F95ZONE_PASSWORD || !this.browser) {
+      return false;
+    }
+
+    try {
+      const session = await this.sessionStore.load();
+      if (!session) {
+        return false;
+      }
+
+      if (session.username && session.username !== username) {
+        this.logger.info('Stored F95Zone session belongs to a different account, ignoring it');
+        await this.sessionStore.clear();
+        return false;
+      }
+
+      const isValid = await this.validateSessionCookies(session.cookies);
+      if (!isValid) {
+        this.logger.info('Stored F95Zone session has expired, a full login will be required');
+        await this.sessionStore.clear();
+        return false;
+      }
+
+      const page = await this.browser.newPage();
+      await this.preparePage(page);
+      await page.setCookie(...session.cookies);
+
+      this.authPage = page;
+      this.isAuthenticated = true;
+      this.sessionSource = 'restored';
+      this.sessionCreatedAt = session.createdAt || session.savedAt || null;
+      this.logger.info(`Restored F95Zone session from disk (created ${this.sessionCreatedAt || 'at an unknown time'})`);
+      return true;
+    } catch (error) {
+      this.logger.warn('Could not restore F95Zone session:', error.message);
+      return false;
+    }
+  }
+
+  // Cheap logged-in check: XenForo marks the <html> tag with data-logged-in="true"
+  async validateSessionCookies(cookies) {
+    if (!Array.isArray(cookies) || cookies.length === 0) {
+      return false;
+    }
+
+    const cookieHeader = this.buildCookieHeader(cookies);
+    if (!cookieHeader) {
+      return false;
+    }
+
+    try {
+      await this.rateLimiter.acquire(F95ZONE_BASE_URL);
+      const response = await axios.get(`${F95ZONE_BASE_URL}/account/`, {
+        timeout: 10000,
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Cookie': cookieHeader
+        },
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      return response.status === 200 &&
+        typeof response.data === 'string' &&
+        response.data.includes('data-logged-in="true"');
+    } catch (error) {
+      this.logger.warn(`Could not validate stored F95Zone session: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Cookie header with the unexpired F95Zone cookies, for requests made outside the browser
+  buildCookieHeader(cookies) {
+    const now = Date.now() / 1000;
+    return (cookies || [])
+      .filter(cookie => cookie.domain && cookie.domain.includes('f95zone.to'))
+      .filter(cookie => !cookie.expires || cookie.expires < 0 || cookie.expires > now)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  // Cookies from the live browser session, or from the saved session file when the browser is not running
+  async getSessionCookieHeader() {
+    try {
+      if (this.authPage) {
+        return this.buildCookieHeader(await this.authPage.cookies(F95ZONE_BASE_URL));
+      }
+
+      const session = await this.sessionStore.load();
+      if (!session || (session.username && session.username !== process.env.F95ZONE_USERNAME)) {
+        return '';
+      }
+      return this.buildCookieHeader(session.cookies);
+    } catch (error) {
+      this.logger.warn(`Could not read F95Zone session cookies: ${error.message}`);
+      return '';
+    }
+  }
+
+  getSessionInfo() {
+    if (!this.sessionSource) {
+      return null;
+    }
+
+    const createdAt = this.sessionCreatedAt;
+    const createdTime = createdAt ? Date.parse(createdAt) : NaN;
+    return {
+      source: this.sessionSource,
+      createdAt,
+      ageSeconds: isNaN(createdTime) ? null : Math.max(0, Math.round((Date.now() - createdTime) / 1000))
+    };
+  }
+  // Concurrent scrapes share a single in-flight login instead of each starting their own
+  async ensureAuthenticated() {
+    if (this.isAuthenticated) {
+      return true;
+    }
+
+    if (!this.authPromise) {
+      this.authPromise = this.authenticateF95Zone().finally(() => {
+        this.authPromise = null;
+      });
+    }
+    return await this.authPromise;
+  }
+
+  getPagePool() {
+    if (!this.pagePool || this.pagePool.closed) {
+      this.pagePool = new PagePool({
+        size: this.pagePoolSize,
+        acquireTimeout: process.env.PAGE_POOL_ACQUIRE_TIMEOUT,
+        createPage: async () => {
+          // Pages from the default browser context share the authenticated cookies
+          const browser = await this.initBrowser();
+          const page = await browser.newPage();
+          await this.preparePage(page);
+          return page;
+        }
+      });
+    }
+    return this.pagePool;
+  }
+
+  getPagePoolStats() {
+    return this.pagePool && !this.pagePool.closed ?
+      this.pagePool.getStats() :
+      { size: this.pagePoolSize, busy: 0, idle: 0, waiting: 0 };
+  }
     async scrapePage(url) {
     if (!url || typeof url !== 'string') {
       throw new Error('Invalid URL provided');
@@ -178,50 +522,51 @@ export class ScraperService {
 
     // Ensure F95Zone authentication if not already done
     if (!this.isAuthenticated) {
-      const authSuccess = await this.authenticateF95Zone();
+      const authSuccess = await this.ensureAuthenticated();
       if (!authSuccess) {
         this.logger.warn('Proceeding without F95Zone authentication - some content may be restricted');
       }
     }
 
+    const pagePool = this.getPagePool();
     let page;
+    let discardPage = false;
     
     try {
-      const browser = await this.initBrowser();
-      
-      // Use authenticated page if available, otherwise create new one
-      if (this.isAuthenticated && this.authPage) {
-        page = this.authPage;
+      await this.initBrowser();
+
+      // Every scrape gets its own tab so concurrent requests never share a DOM
+      page = await pagePool.acquire();
+      if (this.isAuthenticated) {
         this.logger.info('Using authenticated session for scraping');
-      } else {
-        page = await browser.newPage();
-          // Set user agent and headers for unauthenticated session
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        
-        await page.setExtraHTTPHeaders({
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'DNT': '1',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-        });
       }
 
       this.logger.info(`Navigating to URL: ${url} ${this.isAuthenticated ? '(authenticated)' : '(unauthenticated)'}`);
 
       // Navigate to the page with timeout and error handling
-      await page.goto(url, { 
+      await this.rateLimiter.acquire(url);
+      const response = await page.goto(url, { 
         waitUntil: 'networkidle2',
-        timeout: 30000 
+        timeout: this.timeout 
       });
 
+      if (response && response.status() === 404) {
+        throw new NotFoundError(`Thread not found: ${url}`);
+      }
+      if (response && response.status() === 429) {
+        throw new RateLimitedError(`F95Zone rate limited the request for ${url}`);
+      }
+
       // Wait for content to load
       await page.waitForSelector('body', { timeout: 10000 });
 
+      // Challenge, maintenance and age-gate pages must never reach the AI as thread content
+      await this.passBlockPages(page, url, response ? response.status() : null);
+
       // Check if we need to login (redirected to login page)
       const currentUrl = page.url();
       if (currentUrl.includes('/login/') && !this.isAuthenticated) {
-        throw new Error('Page requires authentication. Please configure F95ZONE_USERNAME and F95ZONE_PASSWORD in your .env file');
+        throw new AuthRequiredError('Page requires authentication. Please configure F95ZONE_USERNAME and F95ZONE_PASSWORD in your .env file');
       }
 
       // Extract page data with error handling
@@ -246,10 +591,37 @@ export class ScraperService {
                 title: img.title || ''
               });
             }
-          });          // Extract download links safely (enhanced for authenticated content)
+          });          // Text of the line a link sits on (posts separate lines with <br>), so sizes
+          // like "Win/Linux (850 MB): MEGA - PIXELDRAIN" stay with their links
+          const getLinkContext = (link, fallbackElement) => {
+            const isInline = node => node.nodeType !== Node.ELEMENT_NODE ||
+              window.getComputedStyle(node).display.startsWith('inline');
+            let node = link;
+            while (node.parentElement && isInline(node.parentElement) && node.parentElement.nodeName !== 'BODY') {
+              node = node.parentElement;
+            }
+
+            const parts = [node.textContent || ''];
+            for (let prev = node.previousSibling; prev && prev.nodeName !== 'BR' && isInline(prev); prev = prev.previousSibling) {
+              parts.unshift(prev.textContent || '');
+            }
+            for (let next = node.nextSibling; next && next.nodeName !== 'BR' && isInline(next); next = next.nextSibling) {
+              parts.push(next.textContent || '');
+            }
+
+            const line = parts.join('').replace(/\s+/g, ' ').trim();
+            const linkText = (link.textContent || '').trim();
+            if (line && line !== linkText) {
+              return line.substring(0, 200);
+            }
+            return fallbackElement ? fallbackElement.textContent.trim().substring(0, 200) : '';
+          };
+
+          // Extract download links safely (enhanced for authenticated content)
           const links = document.querySelectorAll('a');
           links.forEach(link => {
             if (link.href && (
+                link.href.includes('/masked/') ||
                 link.href.includes('mega.nz') || 
                 link.href.includes('drive.google.com') ||
                 link.href.includes('mediafire.com') ||
@@ -267,15 +639,11 @@ export class ScraperService {
                 link.textContent.toLowerCase().includes('mac') ||
                 link.textContent.toLowerCase().includes('android'))) {
               
-              // Get surrounding text for context (file size, version info)
-              const parent = link.parentElement;
-              const contextText = parent ? parent.textContent.trim() : '';
-              
               data.links.push({
                 href: link.href,
                 text: link.textContent ? link.textContent.trim() : '',
                 title: link.title || '',
-                context: contextText.substring(0, 200) // Include surrounding context
+                context: getLinkContext(link, link.parentElement) // Surrounding text (file size, version info)
               });
             }
           });
@@ -286,6 +654,7 @@ export class ScraperService {
             const spoilerLinks = spoiler.querySelectorAll('a');
             spoilerLinks.forEach(link => {
               if (link.href && (
+                  link.href.includes('/masked/') ||
                   link.href.includes('mega.nz') || 
                   link.href.includes('drive.google.com') ||
                   link.href.includes('mediafire.com') ||
@@ -298,7 +667,7 @@ export class ScraperService {
                   href: link.href,
                   text: link.textContent ? link.textContent.trim() : '',
                   title: link.title || '',
-                  context: spoiler.textContent.trim().substring(0, 200),
+                  context: getLinkContext(link, spoiler),
                   fromSpoiler: true
                 });
               }
@@ -315,14 +684,21 @@ export class ScraperService {
         throw new Error('Failed to extract meaningful content from page');
       }
 
+      // Swap masked links for their real destinations while the thread page is still open
+      pageData.links = await this.resolveMaskedLinks(pageData.links, page);
+      pageData.fetch_mode = 'browser';
+
       this.logger.info(`Successfully scraped page: ${url}`);
       return pageData;
 
     } catch (error) {
       this.logger.error(`Error scraping page ${url}:`, error);
+      discardPage = true;
       
-      if (error.name === 'TimeoutError') {
-        throw new Error(`Page load timeout: ${url} took too long to load`);
+      if (error instanceof AppError) {
+        throw error;
+      } else if (error.name === 'TimeoutError') {
+        throw new TimeoutError(`Page load timeout: ${url} took too long to load`, { cause: error });
       } else if (error.message.includes('net::ERR_NAME_NOT_RESOLVED')) {
         throw new Error(`DNS resolution failed: Cannot reach ${url}`);
       } else if (error.message.includes('net::ERR_INTERNET_DISCONNECTED')) {
@@ -330,18 +706,20 @@ export class ScraperService {
       } else {
         throw new Error(`Scraping failed: ${error.message}`);
       }    } finally {
-      // Only close page if it's not our authenticated session page
-      if (page && page !== this.authPage) {
+      // Return the tab to the pool; tabs that hit an error are replaced with fresh ones
+      if (page) {
         try {
-          await page.close();
+          await pagePool.release(page, { discard: discardPage });
         } catch (error) {
-          this.logger.warn('Error closing page:', error);
+          this.logger.warn('Error releasing page:', error);
         }
       }
     }
   }
 
-  async getDownloadSizes(downloadLinks) {
+  // options.pageLinks: links captured by scrapePage, whose context holds the size text next to each link
+  // options.fileSizeText: free-text size summary from AI extraction, used as a last resort
+  async getDownloadSizes(downloadLinks, { pageLinks = [], fileSizeText = null } = {}) {
     const sizeData = {
       total_size_bytes: 0,
       total_size_gb: '0.00',
@@ -354,8 +732,13 @@ export class ScraperService {
 
     for (const link of downloadLinks) {
       try {
-        const size = await this.getFileSizeFromUrl(link.url);
-        if (size > 0) {
+        let sizeInfo = await this.getFileSizeInfo(link.url);
+        if (!sizeInfo) {
+          sizeInfo = this.getSizeFromThreadText(link, pageLinks, fileSizeText);
+        }
+
+        if (sizeInfo) {
+          const size = sizeInfo.size;
           const sizeGB = (size / (1024 * 1024 * 1024)).toFixed(2);
           sizeData.total_size_bytes += size;
           sizeData.individual_sizes.push({
@@ -363,7 +746,9 @@ export class ScraperService {
             platform: link.platform,
             size_bytes: size,
             size_gb: sizeGB,
-            url: link.url
+            url: link.url,
+            source: sizeInfo.source,
+            source_detail: sizeInfo.detail || null
           });
         }
       } catch (error) {
@@ -374,21 +759,70 @@ export class ScraperService {
     sizeData.total_size_gb = (sizeData.total_size_bytes / (1024 * 1024 * 1024)).toFixed(2);
     return sizeData;
   }
-  async getFileSizeFromUrl(url) {
+
+  // Size written in the thread next to the link, e.g. "Win/Linux (850 MB): MEGA - PIXELDRAIN"
+  getSizeFromThreadText(link, pageLinks = [], fileSizeText = null) {
+    const normalize = href => (href || '').trim().replace(/\/+$/, '');
+    const target = normalize(link.url);
+    const pageLink = (pageLinks || []).find(candidate => normalize(candidate.href) === target);
+
+    if (pageLink && pageLink.context) {
+      const match = findSizeForPlatform(pageLink.context, link.platform);
+      if (match) {
+        return { size: match.bytes, source: 'thread_text', detail: match.text };
+      }
+    }
+
+    if (fileSizeText) {
+      const match = findSizeForPlatform(fileSizeText, link.platform);
+      if (match) {
+        return { size: match.bytes, source: 'ai_file_size', detail: match.text };
+      }
+    }
+
+    return null;
+  }
+
+  // Size reported by the host: its API first, then HTTP headers. Returns { size, source, detail } or null.
+  async getFileSizeInfo(url) {
     if (!url || typeof url !== 'string') {
       this.logger.warn('Invalid URL provided for size check');
-      return 0;
+      return null;
+    }
+
+    // File hosts serve HTML landing pages, so ask their APIs first
+    const resolved = await this.sizeResolvers.resolve(url);
+    if (resolved) {
+      return { size: resolved.size, source: 'host_api', detail: resolved.resolver };
     }
 
+    const size = await this.getFileSizeFromHeaders(url);
+    return size > 0 ? { size, source: 'http_headers' } : null;
+  }
+
+  async getFileSizeFromUrl(url) {
+    const sizeInfo = await this.getFileSizeInfo(url);
+    return sizeInfo ? sizeInfo.size : 0;
+  }
+
+  // Generic fallback: Content-Length from HEAD, then Content-Range from a 2-byte range request
+  async getFileSizeFromHeaders(url) {
     try {
       this.logger.debug(`Getting file size from: ${url}`);
       
-      const response = await axios.head(url, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        maxRedirects: 5
+      // Busy hosts (429/5xx) and dropped connections are retried with backoff
+      const response = await withRetry(async () => {
+        await this.rateLimiter.acquire(url);
+        return await axios.head(url, {
+          timeout: 10000,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+          },
+          maxRedirects: 5
+        });
+      }, {
+        policy: this.retryPolicy,
+        onRetry: (error, attempt, delay) => this.logger.debug(`HEAD ${url} failed (${error.message}), retrying in ${delay}ms`)
       });
 
       const contentLength = response.headers['content-length'];
@@ -403,6 +837,7 @@ export class ScraperService {
 
       // If HEAD doesn't work, try a range request
       try {
+        await this.rateLimiter.acquire(url);
         const rangeResponse = await axios.get(url, {
           timeout: 5000,
           headers: {
@@ -441,6 +876,14 @@ export class ScraperService {
     }
   }
 
+  getTwoStepInfo() {
+    return {
+      configured: !!process.env.F95ZONE_TOTP_SECRET,
+      status: this.twoStepStatus || 'unknown',
+      error: this.twoStepError
+    };
+  }
+
   async getAuthenticationStatus() {
     const username = process.env.F95ZONE_USERNAME;
     const password = process.env.F95ZONE_PASSWORD;
@@ -460,8 +903,12 @@ export class ScraperService {
         if (currentUrl && !currentUrl.includes('/login/')) {
           return {
             status: 'authenticated',
-            message: 'F95Zone authentication active',
-            authenticated: true
+            message: this.sessionSource === 'restored' ?
+              'F95Zone authentication active (restored session)' :
+              'F95Zone authentication active',
+            authenticated: true,
+            session: this.getSessionInfo(),
+            two_step: this.getTwoStepInfo()
           };
         } else {
           // Session may have expired
@@ -469,7 +916,9 @@ export class ScraperService {
           return {
             status: 'session_expired',
             message: 'F95Zone session expired',
-            authenticated: false
+            authenticated: false,
+            session: this.getSessionInfo(),
+            two_step: this.getTwoStepInfo()
           };
         }
       } catch (error) {
@@ -483,21 +932,39 @@ export class ScraperService {
       }
     }
 
+    if (this.twoStepStatus === 'required' || this.twoStepStatus === 'failed') {
+      return {
+        status: `two_step_${this.twoStepStatus}`,
+        message: this.twoStepError,
+        authenticated: false,
+        two_step: this.getTwoStepInfo()
+      };
+    }
+
     return {
       status: 'not_authenticated',
       message: 'F95Zone credentials configured but not authenticated',
-      authenticated: false
+      authenticated: false,
+      two_step: this.getTwoStepInfo()
     };
   }
 
   async close() {
     try {
-      // Close authenticated page first
+      // Close pooled scraping pages first
+      if (this.pagePool) {
+        await this.pagePool.close();
+        this.pagePool = null;
+      }
+
+      // Close authenticated page
       if (this.authPage) {
         this.logger.info('Closing authenticated session...');
         await this.authPage.close();
         this.authPage = null;
         this.isAuthenticated = false;
+        this.sessionSource = null;
+        this.sessionCreatedAt = null;
       }
       
       if (this.browser) {
@@ -510,6 +977,7 @@ export class ScraperService {
       this.logger.error('Error closing browser:', error);
       // Force null assignment even if close fails
       this.browser = null;
+      this.pagePool = null;
       this.authPage = null;
       this.isAuthenticated = false;
       throw new Error(`Failed to close browser: ${error.message}`);
@@ -521,6 +989,8 @@ export class ScraperService {
     
     // Reset authentication state
     this.isAuthenticated = false;
+    this.sessionSource = null;
+    this.sessionCreatedAt = null;
     
     if (this.authPage) {
       try {
@@ -530,32 +1000,369 @@ export class ScraperService {
       }
       this.authPage = null;
     }
+
+    // The saved session may be newer than ours (e.g. another process logged in),
+    // so only fall back to a full login when it no longer validates either
+    if (this.browser && await this.restoreSession()) {
+      return true;
+    }
     
     // Attempt re-authentication
     return await this.authenticateF95Zone();
   }
 
-  async scrapePageWithRetry(url, maxRetries = 2) {
+  // Replaces f95zone.to/masked/... hrefs with the real host URL, keeping the original as masked_url.
+  // Links that cannot be resolved stay masked.
+  async resolveMaskedLinks(links, page = null) {
+    if (!Array.isArray(links)) {
+      return [];
+    }
+
+    const maskedUrls = [...new Set(links.filter(link => link && isMaskedLink(link.href)).map(link => link.href))];
+    if (maskedUrls.length === 0) {
+      return links;
+    }
+
+    this.logger.info(`Resolving ${maskedUrls.length} masked download links`);
+    const resolved = new Map();
+
+    // One at a time - F95Zone throttles the unmask endpoint
+    for (const maskedUrl of maskedUrls) {
+      try {
+        resolved.set(maskedUrl, await this.resolveMaskedLink(maskedUrl, page));
+      } catch (error) {
+        this.logger.warn(`Could not resolve masked link ${maskedUrl}: ${error.message}`);
+        if (error.captcha) {
+          this.logger.warn('Captcha required, leaving the remaining masked links unresolved');
+          break;
+        }
+        if (error instanceof RateLimitedError) {
+          this.logger.warn('Rate limited, leaving the remaining masked links unresolved');
+          break;
+        }
+      }
+    }
+
+    return links.map(link => {
+      if (!link || !resolved.has(link.href)) {
+        return link;
+      }
+      return { ...link, href: resolved.get(link.href), masked_url: link.href };
+    });
+  }
+
+  // F95Zone's masked page unmasks itself with a POST of xhr=1&download=1 (no captcha for
+  // logged-in users). From a page the request runs in the browser session; otherwise the
+  // stored session cookies are sent with axios.
+  async resolveMaskedLink(maskedUrl, page = null) {
+    const body = 'xhr=1&download=1';
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+      'X-Requested-With': 'XMLHttpRequest'
+    };
+
+    await this.rateLimiter.acquire(maskedUrl);
+
+    let response;
+    if (page) {
+      response = await page.evaluate(async (url, requestBody, requestHeaders) => {
+        const res = await fetch(url, {
+          method: 'POST',
+          credentials: 'include',
+          headers: requestHeaders,
+          body: requestBody
+        });
+        return { status: res.status, body: await res.text() };
+      }, maskedUrl, body, headers);
+    } else {
+      const cookieHeader = await this.getSessionCookieHeader();
+      const axiosResponse = await axios.post(maskedUrl, body, {
+        timeout: 15000,
+        headers: {
+          ...headers,
+          'User-Agent': USER_AGENT,
+          ...(cookieHeader ? { 'Cookie': cookieHeader } : {})
+        },
+        maxRedirects: 0,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+      response = { status: axiosResponse.status, body: axiosResponse.data };
+    }
+
+    const realUrl = parseMaskedResponse(response.status, response.body);
+    this.logger.debug(`Masked link ${maskedUrl} -> ${realUrl}`);
+    return realUrl;
+  }
+
+  // options.mode: one of FETCH_MODES, defaults to SCRAPE_MODE
+  async fetchPageData(url, { mode } = {}) {
+    const selectedMode = mode || this.fetchMode;
+    if (!FETCH_MODES.includes(selectedMode)) {
+      throw new Error(`Unknown fetch mode: ${selectedMode}`);
+    }
+
+    const pageData = await this.fetchPageDataWithMode(url, selectedMode);
+    return await this.archivePageData(url, pageData);
+  }
+
+  // Keep what the scraper received so a wrong extraction can be checked against it later
+  async archivePageData(url, pageData) {
+    const snapshot = await this.snapshotStore.save(url, pageData);
+    if (snapshot) {
+      pageData.snapshot_id = `${snapshot.thread_id}/${snapshot.id}`;
+    }
+    return pageData;
+  }
+
+  // Builds pageData from thread HTML captured by the user's own browser (POST /api/ingest-html).
+  // Applies the checks an HTTP fetch would; only masked links are fetched.
+  async ingestPageHtml(url, html) {
+    const block = detectBlockPage({ html });
+    if (block) {
+      throw createBlockError(block, url);
+    }
+    if (!html.includes('bbWrapper')) {
+      throw new AppError('The HTML does not contain a thread post. Send the full page after it has loaded', {
+        code: ERROR_CODES.INVALID_REQUEST,
+        status: 422
+      });
+    }
+
+    // A capture of one thread posted under another thread's URL would overwrite the wrong game
+    const canonical = (html.match(/<link[^>]+rel=["']canonical["'][^>]*>/i) || [''])[0].match(/href=["']([^"']+)["']/i);
+    const canonicalId = canonical ? getThreadId(canonical[1]) : null;
+    if (canonicalId && canonicalId !== getThreadId(url)) {
+      throw new AppError(`The HTML is for thread ${canonicalId}, not ${getThreadId(url)}`, {
+        code: ERROR_CODES.INVALID_REQUEST,
+        status: 400
+      });
+    }
+
+    const pageData = buildPageDataFromHtml(html, url);
+    if (!pageData.content) {
+      throw new AppError('Failed to extract meaningful content from page', { code: ERROR_CODES.INVALID_REQUEST, status: 422 });
+    }
+    if (html.includes('data-logged-in="false"')) {
+      this.logger.warn(`Ingested page for ${url} was captured while logged out; download links may be hidden`);
+    }
+
+    pageData.links = await this.resolveMaskedLinks(pageData.links);
+    pageData.fetch_mode = 'ingest';
+
+    this.logger.info(`Ingested page HTML for ${url} (${Buffer.byteLength(html)} bytes)`);
+    return await this.archivePageData(url, pageData);
+  }
+
+  async fetchPageDataWithMode(url, selectedMode) {
+    if (selectedMode === 'browser') {
+      return await this.scrapePage(url);
+    }
+
+    try {
+      return await this.scrapePageHttp(url);
+    } catch (error) {
+      if (selectedMode === 'auto' && error.needsBrowser) {
+        this.logger.info(`HTTP fetch not enough for ${url} (${error.message}), falling back to the browser`);
+        return await this.scrapePage(url);
+      }
+      throw error;
+    }
+  }
+
+  // Fetches a thread with axios and builds pageData with cheerio, without starting Chromium
+  async scrapePageHttp(url) {
+    if (!url || typeof url !== 'string') {
+      throw new Error('Invalid URL provided');
+    }
+
+    const cookieHeader = await this.getSessionCookieHeader();
+    this.logger.info(`Fetching ${url} over HTTP ${cookieHeader ? '(with session cookies)' : '(no session)'}`);
+
+    let response;
+    try {
+      await this.rateLimiter.acquire(url);
+      response = await axios.get(url, {
+        timeout: this.timeout,
+        maxRedirects: 5,
+        responseType: 'text',
+        validateStatus: () => true,
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.5',
+          ...(cookieHeader ? { 'Cookie': cookieHeader } : {})
+        }
+      });
+    } catch (error) {
+      if (error.code === 'ECONNABORTED') {
+        throw new TimeoutError(`Page load timeout: ${url} took too long to load`, { cause: error });
+      } else if (error.code === 'ENOTFOUND') {
+        throw new Error(`DNS resolution failed: Cannot reach ${url}`);
+      }
+      throw new Error(`Scraping failed: ${error.message}`);
+    }
+
+    const html = typeof response.data === 'string' ? response.data : '';
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+
+    const blocker = this.detectHttpBlocker(response.status, finalUrl, html);
+    if (blocker) {
+      throw blocker;
+    }
+
+    if (response.status === 404) {
+      throw new NotFoundError(`Thread not found: ${url}`);
+    }
+    if (response.status === 429) {
+      throw new RateLimitedError(`F95Zone rate limited the request for ${url}`, { retryAfter: getRetryAfter({ response }) });
+    }
+    if (response.status >= 400) {
+      throw new Error(`Scraping failed: HTTP ${response.status} for ${url}`);
+    }
+
+    const pageData = buildPageDataFromHtml(html, finalUrl);
+    if (!pageData.content) {
+      const error = new Error('Failed to extract meaningful content from page');
+      error.needsBrowser = true;
+      throw error;
+    }
+
+    pageData.links = await this.resolveMaskedLinks(pageData.links);
+    pageData.fetch_mode = 'http';
+
+    this.logger.info(`Successfully fetched page over HTTP: ${url}`);
+    return pageData;
+  }
+
+  // Error explaining why a plain HTTP fetch cannot be used for this page, or null when it can.
+  // error.needsBrowser marks the ones the browser path may get past.
+  detectHttpBlocker(status, finalUrl, html) {
+    const block = detectBlockPage({ status, html });
+    if (block) {
+      const error = createBlockError(block, finalUrl);
+      // Challenges can be waited out and age gates accepted in the browser; maintenance can't
+      error.needsBrowser = block.type !== 'maintenance';
+      return error;
+    }
+
+    let error = null;
+    if (finalUrl.includes('/login/')) {
+      error = new AuthRequiredError('Page requires authentication');
+    } else if (status < 400 && !html.includes('bbWrapper')) {
+      error = new Error('Thread content is rendered with JavaScript');
+    } else if (process.env.F95ZONE_USERNAME && html.includes('data-logged-in="false"') &&
+        /(must be registered|log in or register) to see the links/i.test(html)) {
+      // Guests only see a notice instead of the download links; the browser path can log in
+      error = new AuthRequiredError('Download links are hidden from guests');
+    }
+    if (error) {
+      error.needsBrowser = true;
+    }
+    return error;
+  }
+
+  // Waits out challenge pages and accepts age gates according to blockPolicies.
+  // Throws a typed error when the page is still blocked afterwards.
+  async passBlockPages(page, url, status = null) {
+    const snapshot = await this.getPageSnapshot(page);
+    let block = snapshot ? detectBlockPage({ status, ...snapshot }) : null;
+    if (!block) {
+      return;
+    }
+
+    const policy = this.blockPolicies[block.type] || {};
+    this.logger.warn(`${block.reason} on ${url}`);
+
+    if (policy.accept && await this.acceptAgeGate(page)) {
+      block = await this.waitForBlockToClear(page, block, 5000);
+    } else if (policy.waitForClear) {
+      block = await this.waitForBlockToClear(page, block, policy.waitForClear);
+    }
+
+    if (block) {
+      const error = createBlockError(block, url);
+      error.retryable = !!policy.retryable;
+      throw error;
+    }
+    this.logger.info(`Block page cleared on ${url}`);
+  }
+
+  async getPageSnapshot(page) {
+    try {
+      return await page.evaluate(() => ({
+        title: document.title || '',
+        html: document.documentElement ? document.documentElement.outerHTML : '',
+        text: document.body ? document.body.innerText.substring(0, 5000) : ''
+      }));
+    } catch (error) {
+      // Challenges navigate away while being read; the next poll sees the new page
+      this.logger.debug(`Could not read page: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Polls the page until it is no longer blocked; returns the block still showing at the deadline, or null
+  async waitForBlockToClear(page, block, timeout) {
+    const deadline = Date.now() + timeout;
+    let current = block;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.blockPollInterval));
+      const snapshot = await this.getPageSnapshot(page);
+      if (snapshot) {
+        current = detectBlockPage(snapshot);
+        if (!current) {
+          return null;
+        }
+      }
+    }
+    return current;
+  }
+
+  // Clicks the confirm button of an age gate; false when there is none
+  async acceptAgeGate(page) {
+    try {
+      return await page.evaluate(() => {
+        const candidates = Array.from(document.querySelectorAll('button, a, input[type="submit"], input[type="button"]'));
+        const accept = candidates.find(element =>
+          /^(?:i am (?:over |at least )?18|i'm (?:over )?18|i am an adult|enter|i agree|yes)\b/i.test((element.textContent || element.value || '').trim()));
+        if (!accept) {
+          return false;
+        }
+        accept.click();
+        return true;
+      });
+    } catch (error) {
+      this.logger.warn(`Could not accept age gate: ${error.message}`);
+      return false;
+    }
+  }
+
+  // maxRetries is the total number of attempts (MAX_RETRIES by default)
+  async scrapePageWithRetry(url, maxRetries = this.retryPolicy.maxAttempts, options = {}) {
     let lastError;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         this.logger.info(`Scraping attempt ${attempt}/${maxRetries} for: ${url}`);
-        return await this.scrapePage(url);
+        return await this.fetchPageData(url, options);
       } catch (error) {
         lastError = error;
         this.logger.warn(`Scraping attempt ${attempt} failed:`, error.message);
         
-        // Check if it's an authentication-related error
-        if (error.message.includes('requires authentication') || 
-            error.message.includes('login') ||
-            error.message.includes('session expired')) {
+        // A missing thread will not appear on a retry, nor will an age gate we could not pass
+        if (error instanceof NotFoundError || error.retryable === false) {
+          throw error;
+        }
+
+        if (error instanceof AuthRequiredError) {
           
           this.logger.info('Authentication error detected, attempting to re-authenticate...');
           const reauth = await this.handleAuthenticationExpiry();
           
           if (!reauth && attempt === maxRetries) {
-            throw new Error(`Authentication failed after ${maxRetries} attempts. Please check your F95Zone credentials in the .env file.`);
+            throw new AuthRequiredError(`Authentication failed after ${maxRetries} attempts. Please check your F95Zone credentials in the .env file.`, { cause: error });
           }
         } else if (attempt === maxRetries) {
           // Not an auth error and final attempt
@@ -564,7 +1371,9 @@ export class ScraperService {
         
         // Wait before retry
         if (attempt < maxRetries) {
-          const delay = attempt * 2000; // Progressive delay
+          const delay = error instanceof RateLimitedError && error.retryAfter !== null ?
+            error.retryAfter :
+            computeBackoff(attempt, this.retryPolicy);
           this.logger.info(`Waiting ${delay}ms before retry...`);
           await new Promise(resolve => setTimeout(resolve, delay));
         }
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILE_VERSION = 1;
+
+// Stores the F95Zone cookie jar on disk, encrypted with AES-256-GCM.
+// The key is derived from SESSION_ENCRYPTION_KEY (or the F95Zone password as a fallback).
+export class SessionStore {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.filePath = options.filePath ||
+      process.env.F95ZONE_SESSION_FILE ||
+      path.join(__dirname, '..', '..', 'data', 'f95zone-session.enc');
+    this.secret = options.secret || process.env.SESSION_ENCRYPTION_KEY || process.env.F95ZONE_PASSWORD || null;
+  }
+
+  isConfigured() {
+    return !!this.secret;
+  }
+
+  deriveKey(salt) {
+    return crypto.scryptSync(this.secret, salt, 32);
+  }
+
+  encrypt(payload) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+      version: FILE_VERSION,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    });
+  }
+
+  decrypt(contents) {
+    const envelope = JSON.parse(contents);
+    if (envelope.version !== FILE_VERSION) {
+      throw new Error(`Unsupported session file version: ${envelope.version}`);
+    }
+
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this.deriveKey(Buffer.from(envelope.salt, 'base64')),
+      Buffer.from(envelope.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  }
+
+  async save(cookies, meta = {}) {
+    if (!this.isConfigured()) {
+      this.logger.warn('Session encryption key not configured - session will not be persisted');
+      return false;
+    }
+
+    if (!Array.isArray(cookies) || cookies.length === 0) {
+      this.logger.warn('No cookies to persist for F95Zone session');
+      return false;
+    }
+
+    try {
+      const payload = {
+        cookies,
+        username: meta.username || null,
+        createdAt: meta.createdAt || new Date().toISOString(),
+        savedAt: new Date().toISOString()
+      };
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      // Write to a temp file first so a crash never leaves a half-written session behind
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, this.encrypt(payload), { mode: 0o600 });
+      await fs.rename(tempPath, this.filePath);
+
+      this.logger.info(`F95Zone session saved (${cookies.length} cookies)`);
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to save F95Zone session:', error);
+      return false;
+    }
+  }
+
+  async load() {
+    if (!this.isConfigured()) {
+      return null;
+    }
+
+    let contents;
+    try {
+      contents = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Could not read stored F95Zone session: ${error.message}`);
+      }
+      return null;
+    }
+
+    try {
+      const session = this.decrypt(contents);
+      if (!session || !Array.isArray(session.cookies)) {
+        throw new Error('Session file has no cookies');
+      }
+      return session;
+    } catch (error) {
+      // Wrong key, tampered file or old format - treat it as no session at all
+      this.logger.warn(`Stored F95Zone session is unreadable, discarding it: ${error.message}`);
+      await this.clear();
+      return null;
+    }
+  }
+
+  async clear() {
+    try {
+      await fs.unlink(this.filePath);
+      this.logger.info('Stored F95Zone session removed');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Could not remove stored F95Zone session: ${error.message}`);
+      }
+    }
+  }
+}
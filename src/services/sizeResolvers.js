@@ -0,0 +1,269 @@
+import axios from 'axios';
+import { Logger } from '../utils/logger.js';
+import { getRateLimiter } from '../utils/rateLimiter.js';
+
+const DEFAULT_TIMEOUT = 10000;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// MEGA API errors meaning the file is gone: -9 ENOENT, -16 EBLOCKED (taken down)
+const MEGA_REMOVED_CODES = [-9, -16];
+
+// Registry of per-host file size resolvers, keyed by hostname.
+// A resolver returns the size in bytes, or null when the host gives no size.
+// Errors for files the host no longer has carry error.notFound = true.
+export class SizeResolverRegistry {
+  constructor() {
+    this.logger = new Logger();
+    this.resolvers = new Map();
+  }
+
+  register(resolver) {
+    if (!resolver || !Array.isArray(resolver.hosts) || typeof resolver.getSize !== 'function') {
+      throw new Error('Size resolver must define hosts and getSize()');
+    }
+
+    for (const host of resolver.hosts) {
+      this.resolvers.set(host.toLowerCase(), resolver);
+    }
+    return this;
+  }
+
+  findResolver(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return null;
+    }
+
+    // Match the host itself or any parent domain (e.g. eu.gofile.io -> gofile.io)
+    const labels = hostname.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      const resolver = this.resolvers.get(labels.slice(i).join('.'));
+      if (resolver) return resolver;
+    }
+    return null;
+  }
+
+  async resolve(url) {
+    const resolver = this.findResolver(url);
+    if (!resolver) {
+      return null;
+    }
+
+    try {
+      const size = await resolver.getSize(url);
+      if (typeof size === 'number' && isFinite(size) && size > 0) {
+        this.logger.debug(`${resolver.name} reported ${size} bytes for ${url}`);
+        return { size, resolver: resolver.name };
+      }
+    } catch (error) {
+      this.logger.warn(`${resolver.name} size lookup failed for ${url}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+function toBytes(value) {
+  const size = typeof value === 'string' ? parseInt(value, 10) : value;
+  return typeof size === 'number' && isFinite(size) && size > 0 ? size : null;
+}
+
+// MEGA public links: /file/<id>#key, /folder/<id>#key and the legacy #!id!key / #F!id!key forms
+export class MegaSizeResolver {
+  constructor({ apiBase = 'https://g.api.mega.co.nz', timeout = DEFAULT_TIMEOUT, rateLimiter = getRateLimiter() } = {}) {
+    this.name = 'MEGA';
+    this.hosts = ['mega.nz', 'mega.co.nz', 'mega.io'];
+    this.apiBase = apiBase;
+    this.timeout = timeout;
+    this.rateLimiter = rateLimiter;
+    this.sequence = Math.floor(Math.random() * 0x7fffffff);
+  }
+
+  parseUrl(url) {
+    const { pathname, hash } = new URL(url);
+    let match;
+
+    // A file inside a folder: /folder/<folderId>#key/file/<fileId>
+    if ((match = (pathname + hash).match(/\/folder\/([\w-]+)#[\w-]+\/file\/([\w-]+)/))) {
+      return { type: 'folder', id: match[1], fileId: match[2] };
+    }
+    if ((match = pathname.match(/\/file\/([\w-]+)/))) return { type: 'file', id: match[1] };
+    if ((match = pathname.match(/\/folder\/([\w-]+)/))) return { type: 'folder', id: match[1] };
+    if ((match = hash.match(/^#!([\w-]+)!/))) return { type: 'file', id: match[1] };
+    if ((match = hash.match(/^#F!([\w-]+)!/))) return { type: 'folder', id: match[1] };
+    return null;
+  }
+
+  async request(commands, query = {}) {
+    const params = new URLSearchParams({ id: String(this.sequence++), ...query });
+    await this.rateLimiter.acquire(this.apiBase);
+    const response = await axios.post(`${this.apiBase}/cs?${params}`, commands, {
+      timeout: this.timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    // MEGA answers with a bare negative number (or [number]) on errors, e.g. -9 = not found
+    const result = Array.isArray(response.data) ? response.data[0] : response.data;
+    if (typeof result === 'number') {
+      const error = new Error(`MEGA API error ${result}`);
+      error.notFound = MEGA_REMOVED_CODES.includes(result);
+      throw error;
+    }
+    return result;
+  }
+
+  async getSize(url) {
+    const link = this.parseUrl(url);
+    if (!link) return null;
+
+    if (link.type === 'file') {
+      const result = await this.request([{ a: 'g', p: link.id }]);
+      return toBytes(result && result.s);
+    }
+
+    const result = await this.request([{ a: 'f', c: 1, r: 1, ca: 1 }], { n: link.id });
+    const nodes = result && Array.isArray(result.f) ? result.f : [];
+    const files = nodes.filter(node => node.t === 0 && (!link.fileId || node.h === link.fileId));
+    return toBytes(files.reduce((total, node) => total + (node.s || 0), 0));
+  }
+}
+
+// GoFile: needs a guest account token for the content API
+export class GoFileSizeResolver {
+  constructor({
+    apiBase = 'https://api.gofile.io',
+    websiteToken = process.env.GOFILE_WEBSITE_TOKEN || '4fd6sg89d7s6',
+    timeout = DEFAULT_TIMEOUT,
+    rateLimiter = getRateLimiter()
+  } = {}) {
+    this.name = 'GoFile';
+    this.hosts = ['gofile.io'];
+    this.apiBase = apiBase;
+    this.websiteToken = websiteToken;
+    this.timeout = timeout;
+    this.rateLimiter = rateLimiter;
+    this.token = process.env.GOFILE_TOKEN || null;
+  }
+
+  async getToken() {
+    if (this.token) return this.token;
+
+    await this.rateLimiter.acquire(this.apiBase);
+    const response = await axios.post(`${this.apiBase}/accounts`, {}, { timeout: this.timeout });
+    if (!response.data || response.data.status !== 'ok' || !response.data.data || !response.data.data.token) {
+      throw new Error('Could not create GoFile guest account');
+    }
+    this.token = response.data.data.token;
+    return this.token;
+  }
+
+  async getSize(url) {
+    const match = new URL(url).pathname.match(/\/d\/([\w-]+)/);
+    if (!match) return null;
+
+    const token = await this.getToken();
+    await this.rateLimiter.acquire(this.apiBase);
+    const response = await axios.get(`${this.apiBase}/contents/${match[1]}`, {
+      timeout: this.timeout,
+      params: { wt: this.websiteToken },
+      headers: { 'Authorization': `Bearer ${token}` },
+      validateStatus: status => status < 500 // error details come back in the JSON body
+    });
+
+    const body = response.data;
+    if (!body || body.status !== 'ok' || !body.data) {
+      const error = new Error(`GoFile API status ${body ? body.status : 'unknown'}`);
+      error.notFound = !!body && body.status === 'error-notFound';
+      throw error;
+    }
+
+    const content = body.data;
+    if (content.type === 'file') {
+      return toBytes(content.size);
+    }
+
+    const children = Object.values(content.children || content.contents || {});
+    return toBytes(children
+      .filter(child => child.type === 'file')
+      .reduce((total, child) => total + (child.size || 0), 0));
+  }
+}
+
+// PixelDrain: /u/<id> single files and /l/<id> lists
+export class PixelDrainSizeResolver {
+  constructor({ apiBase = 'https://pixeldrain.com', timeout = DEFAULT_TIMEOUT, rateLimiter = getRateLimiter() } = {}) {
+    this.name = 'PixelDrain';
+    this.hosts = ['pixeldrain.com', 'pixeldra.in'];
+    this.apiBase = apiBase;
+    this.timeout = timeout;
+    this.rateLimiter = rateLimiter;
+  }
+
+  async getSize(url) {
+    const { pathname } = new URL(url);
+    let match;
+
+    if ((match = pathname.match(/\/(?:u|api\/file)\/([\w-]+)/))) {
+      await this.rateLimiter.acquire(this.apiBase);
+      const response = await axios.get(`${this.apiBase}/api/file/${match[1]}/info`, { timeout: this.timeout });
+      return toBytes(response.data && response.data.size);
+    }
+
+    if ((match = pathname.match(/\/l\/([\w-]+)/))) {
+      await this.rateLimiter.acquire(this.apiBase);
+      const response = await axios.get(`${this.apiBase}/api/list/${match[1]}`, { timeout: this.timeout });
+      const files = response.data && Array.isArray(response.data.files) ? response.data.files : [];
+      return toBytes(files.reduce((total, file) => total + (file.size || 0), 0));
+    }
+
+    return null;
+  }
+}
+
+// Google Drive: file metadata through the Drive v3 API (needs GOOGLE_DRIVE_API_KEY)
+export class GoogleDriveSizeResolver {
+  constructor({
+    apiBase = 'https://www.googleapis.com',
+    apiKey = process.env.GOOGLE_DRIVE_API_KEY,
+    timeout = DEFAULT_TIMEOUT,
+    rateLimiter = getRateLimiter()
+  } = {}) {
+    this.name = 'Google Drive';
+    this.hosts = ['drive.google.com', 'docs.google.com', 'drive.usercontent.google.com'];
+    this.apiBase = apiBase;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.rateLimiter = rateLimiter;
+  }
+
+  parseFileId(url) {
+    const parsed = new URL(url);
+    const match = parsed.pathname.match(/\/file\/d\/([\w-]+)/);
+    return match ? match[1] : parsed.searchParams.get('id');
+  }
+
+  async getSize(url) {
+    const fileId = this.parseFileId(url);
+    if (!fileId || !this.apiKey) return null;
+
+    await this.rateLimiter.acquire(this.apiBase);
+    const response = await axios.get(`${this.apiBase}/drive/v3/files/${fileId}`, {
+      timeout: this.timeout,
+      params: { fields: 'size,name', supportsAllDrives: true, key: this.apiKey },
+      headers: { 'User-Agent': USER_AGENT }
+    });
+    return toBytes(response.data && response.data.size);
+  }
+}
+
+// options: per-resolver overrides, e.g. { mega: { apiBase } } - used by tests to point at local servers.
+// options.rateLimiter replaces the shared per-host limiter for every resolver.
+export function createDefaultSizeResolvers(options = {}) {
+  const shared = { rateLimiter: options.rateLimiter };
+  return new SizeResolverRegistry()
+    .register(new MegaSizeResolver({ ...shared, ...options.mega }))
+    .register(new GoFileSizeResolver({ ...shared, ...options.gofile }))
+    .register(new PixelDrainSizeResolver({ ...shared, ...options.pixeldrain }))
+    .register(new GoogleDriveSizeResolver({ ...shared, ...options.googleDrive }));
+}
@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { Logger } from '../utils/logger.js';
+import { getThreadId } from '../utils/links.js';
+import { readJsonFile, writeFileAtomic, writeJsonFile } from '../utils/jsonStore.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const THREAD_ID_PATTERN = /^[\w-]+$/;
+const SNAPSHOT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(?:-\d+)?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseLimit(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Keeps what each scrape received (html, innerText, links, images) so a bad extraction
+// can be compared with the page it came from. Layout under data/snapshots:
+//   objects/ab/<sha256>.json.gz        gzipped page content, shared by identical captures
+//   threads/<threadId>/<timestamp>.json  one small record per scrape pointing at its object
+export class SnapshotStore {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.dir = options.dir ||
+      process.env.SNAPSHOT_DIR ||
+      path.join(__dirname, '..', '..', 'data', 'snapshots');
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.SNAPSHOTS_ENABLED !== 'false';
+    // 0 turns either limit off
+    this.retention = {
+      maxPerThread: parseLimit(options.maxPerThread ?? process.env.SNAPSHOT_MAX_PER_THREAD, 20),
+      maxAgeDays: parseLimit(options.maxAgeDays ?? process.env.SNAPSHOT_RETENTION_DAYS, 30)
+    };
+    this.queue = Promise.resolve(); // saves and prunes run one at a time so pruning never races a write
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Threads are keyed by their F95Zone ID; anything else gets a stable hash of the URL
+  getSnapshotKey(url) {
+    return getThreadId(url) || `url-${crypto.createHash('sha1').update(String(url)).digest('hex').substring(0, 12)}`;
+  }
+
+  objectPath(hash) {
+    return path.join(this.dir, 'objects', hash.substring(0, 2), `${hash}.json.gz`);
+  }
+
+  threadDir(threadId) {
+    return path.join(this.dir, 'threads', threadId);
+  }
+
+  // Returns the snapshot record, or null when archiving is off or fails. Never throws,
+  // so a full disk cannot break a scrape.
+  async save(url, pageData, { capturedAt = new Date() } = {}) {
+    if (!this.enabled || !pageData) {
+      return null;
+    }
+
+    try {
+      return await this.enqueue(async () => {
+        const content = JSON.stringify({
+          url,
+          final_url: pageData.url || url,
+          title: pageData.title || '',
+          fetch_mode: pageData.fetch_mode || null,
+          html: pageData.html || '',
+          text: pageData.content || '',
+          links: pageData.links || [],
+          images: pageData.images || []
+        });
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        const objectPath = this.objectPath(hash);
+
+        let compressedSize;
+        try {
+          compressedSize = (await fs.stat(objectPath)).size;
+        } catch {
+          const compressed = await gzip(content);
+          await writeFileAtomic(objectPath, compressed);
+          compressedSize = compressed.length;
+        }
+
+        const threadId = this.getSnapshotKey(url);
+        const baseId = capturedAt.toISOString().replace(/[:.]/g, '-');
+        let id = baseId;
+        for (let suffix = 1; await readJsonFile(path.join(this.threadDir(threadId), `${id}.json`)); suffix++) {
+          id = `${baseId}-${suffix}`;
+        }
+
+        const record = {
+          id,
+          thread_id: threadId,
+          url,
+          title: pageData.title || '',
+          fetch_mode: pageData.fetch_mode || null,
+          captured_at: capturedAt.toISOString(),
+          hash,
+          size: Buffer.byteLength(content),
+          compressed_size: compressedSize
+        };
+        await writeJsonFile(path.join(this.threadDir(threadId), `${id}.json`), record);
+        if (await this.applyRetention(threadId)) {
+          // Queued behind this save; collects the objects the dropped records used
+          this.prune().catch(error => this.logger.warn(`Snapshot pruning failed: ${error.message}`));
+        }
+
+        this.logger.info(`Saved page snapshot ${threadId}/${id} (${compressedSize} bytes)`);
+        return record;
+      });
+    } catch (error) {
+      this.logger.warn(`Could not save page snapshot for ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async listThreadIds() {
+    try {
+      const entries = await fs.readdir(path.join(this.dir, 'threads'), { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async readThreadRecords(threadId) {
+    let files;
+    try {
+      files = await fs.readdir(this.threadDir(threadId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const record = await readJsonFile(path.join(this.threadDir(threadId), file)).catch(() => null);
+      if (record) records.push(record);
+    }
+    return records.sort((a, b) => b.captured_at.localeCompare(a.captured_at) || b.id.localeCompare(a.id));
+  }
+
+  // Newest first, optionally for one thread
+  async list({ threadId = null, limit = 100 } = {}) {
+    if (threadId && !THREAD_ID_PATTERN.test(threadId)) {
+      return [];
+    }
+
+    const threadIds = threadId ? [threadId] : await this.listThreadIds();
+    const records = [];
+    for (const id of threadIds) {
+      records.push(...await this.readThreadRecords(id));
+    }
+    records.sort((a, b) => b.captured_at.localeCompare(a.captured_at));
+    return limit > 0 ? records.slice(0, limit) : records;
+  }
+
+  async getRecord(threadId, snapshotId) {
+    if (!THREAD_ID_PATTERN.test(String(threadId)) || !SNAPSHOT_ID_PATTERN.test(String(snapshotId))) {
+      throw new NotFoundError(`Snapshot ${threadId}/${snapshotId} not found`);
+    }
+    const record = await readJsonFile(path.join(this.threadDir(threadId), `${snapshotId}.json`));
+    if (!record) {
+      throw new NotFoundError(`Snapshot ${threadId}/${snapshotId} not found`);
+    }
+    return record;
+  }
+
+  // Gzipped JSON exactly as stored
+  async readCompressed(threadId, snapshotId) {
+    const record = await this.getRecord(threadId, snapshotId);
+    try {
+      return { record, data: await fs.readFile(this.objectPath(record.hash)) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Snapshot ${threadId}/${snapshotId} content is missing`);
+      }
+      throw error;
+    }
+  }
+
+  async read(threadId, snapshotId) {
+    const { record, data } = await this.readCompressed(threadId, snapshotId);
+    return { ...record, content: JSON.parse((await gunzip(data)).toString('utf8')) };
+  }
+
+  // Drops records beyond the per-thread count, then the thread's expired ones
+  async applyRetention(threadId, now = Date.now()) {
+    const { maxPerThread, maxAgeDays } = this.retention;
+    const records = await this.readThreadRecords(threadId);
+    const expired = records.filter((record, index) =>
+      (maxPerThread > 0 && index >= maxPerThread) ||
+      (maxAgeDays > 0 && now - Date.parse(record.captured_at) > maxAgeDays * DAY_MS)
+    );
+
+    for (const record of expired) {
+      await fs.rm(path.join(this.threadDir(threadId), `${record.id}.json`), { force: true });
+    }
+    if (expired.length === records.length) {
+      await fs.rm(this.threadDir(threadId), { recursive: true, force: true });
+    }
+    return expired.length;
+  }
+
+  // Applies retention to every thread and deletes objects no record points at any more
+  async prune({ now = Date.now() } = {}) {
+    return await this.enqueue(async () => {
+      let removed = 0;
+      const referenced = new Set();
+      for (const threadId of await this.listThreadIds()) {
+        removed += await this.applyRetention(threadId, now);
+        for (const record of await this.readThreadRecords(threadId)) {
+          referenced.add(record.hash);
+        }
+      }
+
+      let objectsRemoved = 0;
+      const objectsDir = path.join(this.dir, 'objects');
+      const buckets = await fs.readdir(objectsDir).catch(() => []);
+      for (const bucket of buckets) {
+        const files = await fs.readdir(path.join(objectsDir, bucket)).catch(() => []);
+        for (const file of files) {
+          if (!referenced.has(file.replace(/\.json\.gz$/, ''))) {
+            await fs.rm(path.join(objectsDir, bucket, file), { force: true });
+            objectsRemoved++;
+          }
+        }
+      }
+
+      if (removed || objectsRemoved) {
+        this.logger.info(`Pruned ${removed} page snapshots and ${objectsRemoved} unreferenced objects`);
+      }
+      return { removed, objectsRemoved };
+    });
+  }
+}
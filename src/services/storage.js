@@ -0,0 +1,18 @@
+import { GoogleSheetsService } from './googleSheetsService.js';
+import { LocalGameStore } from './localGameStore.js';
+
+export const STORAGE_BACKENDS = ['sheets', 'local'];
+
+// STORAGE_BACKEND picks where games are saved: 'sheets' (the default, a Google Sheet) or
+// 'local' (a JSON file under data/, no Google account needed)
+export function createGameStore({ backend = process.env.STORAGE_BACKEND, ...options } = {}) {
+  const name = String(backend || 'sheets').trim().toLowerCase();
+
+  if (name === 'sheets') {
+    return new GoogleSheetsService();
+  }
+  if (name === 'local') {
+    return new LocalGameStore(options);
+  }
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}", use one of ${STORAGE_BACKENDS.join(', ')}`);
+}
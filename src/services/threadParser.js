@@ -0,0 +1,307 @@
+import * as cheerio from 'cheerio';
+import { Logger } from '../utils/logger.js';
+
+// Known F95Zone title prefixes
+export const ENGINE_PREFIXES = [
+  'ADRIFT',
+  'Flash',
+  'HTML',
+  'Java',
+  'Others',
+  'QSP',
+  'RAGS',
+  'RPGM',
+  "Ren'Py",
+  'Tads',
+  'Unity',
+  'Unreal Engine',
+  'WebGL',
+  'Wolf RPG'
+];
+
+export const STATUS_PREFIXES = ['Completed', 'Abandoned', 'On Hold'];
+
+// Threads without a status prefix are still in development
+export const GAME_STATUSES = ['Ongoing', ...STATUS_PREFIXES];
+
+const ENGINE_ALIASES = {
+  'renpy': "Ren'Py",
+  'rpg maker': 'RPGM',
+  'rpgmaker': 'RPGM',
+  'unreal': 'Unreal Engine',
+  'ue4': 'Unreal Engine',
+  'ue5': 'Unreal Engine',
+  'other': 'Others',
+  'wolf': 'Wolf RPG',
+  'html5': 'HTML'
+};
+
+const STATUS_ALIASES = {
+  'complete': 'Completed',
+  'onhold': 'On Hold',
+  'on-hold': 'On Hold',
+  'in development': 'Ongoing'
+};
+
+// Labels of the overview block in the first post, mapped to our field names
+const OVERVIEW_LABELS = {
+  'thread updated': 'thread_updated',
+  'updated': 'thread_updated',
+  'release date': 'release_date',
+  'developer': 'developer',
+  'developer/publisher': 'developer',
+  'publisher': 'developer',
+  'censored': 'censored',
+  'censorship': 'censored',
+  'version': 'version',
+  'os': 'os',
+  'platform': 'os',
+  'language': 'language',
+  'languages': 'language',
+  'genre': 'genre',
+  'genres': 'genre'
+};
+
+const LIST_FIELDS = new Set(['os', 'language', 'genre']);
+
+// Elements that start a new line when rendered
+export const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figure', 'footer', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'header', 'hr', 'li', 'ol', 'p', 'pre', 'section', 'table', 'tr', 'ul'
+]);
+
+const SKIPPED_TAGS = new Set(['button', 'script', 'style', 'noscript', 'template']);
+
+function normalizeKey(value) {
+  return value.toLowerCase().replace(/[\s_]+/g, ' ').trim();
+}
+
+export function normalizeEngine(value) {
+  if (!value || typeof value !== 'string') return null;
+  const key = normalizeKey(value);
+  const match = ENGINE_PREFIXES.find(engine => normalizeKey(engine) === key);
+  return match || ENGINE_ALIASES[key] || null;
+}
+
+export function normalizeStatus(value) {
+  if (!value || typeof value !== 'string') return null;
+  const key = normalizeKey(value);
+  const match = GAME_STATUSES.find(status => normalizeKey(status) === key);
+  return match || STATUS_ALIASES[key] || null;
+}
+
+// Finds prefixes in a plain title string, either "[Ren'Py] [Completed] Name" or
+// the document.title form "Ren'Py - Completed - Name [v1.0] [Dev]"
+export function extractTitlePrefixes(title) {
+  const result = { engine: null, status: null };
+  if (!title || typeof title !== 'string') {
+    return result;
+  }
+
+  const candidates = [
+    ...Array.from(title.matchAll(/\[([^\]]+)\]/g), match => match[1]),
+    ...title.split(/\s+-\s+/).slice(0, 4)
+  ];
+
+  for (const candidate of candidates) {
+    result.engine = result.engine || normalizeEngine(candidate);
+    result.status = result.status || normalizeStatus(candidate);
+  }
+  return result;
+}
+
+// Deterministic parser for the XenForo first post of an F95Zone game thread.
+// Reads the title prefixes and the labelled overview block (Thread Updated, Version, ...).
+export class ThreadParser {
+  constructor() {
+    this.logger = new Logger();
+  }
+
+  parse(html) {
+    if (!html || typeof html !== 'string') {
+      return null;
+    }
+
+    try {
+      const $ = cheerio.load(html);
+      const titleData = this.parseTitle($);
+      const firstPost = this.findFirstPost($);
+
+      if (!titleData && !firstPost) {
+        return null;
+      }
+
+      const firstPostText = firstPost ? this.extractText($, firstPost) : '';
+      const fields = this.parseOverviewFields(firstPostText);
+
+      const overview = {
+        title: titleData ? titleData.name : null,
+        title_version: titleData ? titleData.version : null,
+        title_developer: titleData ? titleData.developer : null,
+        prefixes: titleData ? titleData.prefixes : [],
+        engine: null,
+        status: null,
+        thread_updated: fields.thread_updated || null,
+        release_date: fields.release_date || null,
+        developer: fields.developer || null,
+        censored: fields.censored || null,
+        version: fields.version || null,
+        os: fields.os || [],
+        language: fields.language || [],
+        genre: fields.genre || [],
+        first_post_text: firstPostText
+      };
+
+      for (const prefix of overview.prefixes) {
+        overview.engine = overview.engine || normalizeEngine(prefix);
+        overview.status = overview.status || normalizeStatus(prefix);
+      }
+
+      return overview;
+    } catch (error) {
+      this.logger.warn(`Failed to parse thread HTML: ${error.message}`);
+      return null;
+    }
+  }
+
+  parseTitle($) {
+    const titleElement = $('.p-title-value').first();
+    if (titleElement.length === 0) {
+      return null;
+    }
+
+    const prefixes = titleElement.find('.label')
+      .map((_, label) => $(label).text().trim())
+      .get()
+      .filter(Boolean);
+
+    const bare = titleElement.clone();
+    bare.find('.labelLink, .label, .label-append').remove();
+    const fullTitle = bare.text().replace(/\s+/g, ' ').trim();
+
+    // Titles look like "Game Name [v0.8] [Developer]"
+    const brackets = [];
+    let name = fullTitle;
+    let match;
+    while ((match = name.match(/\s*\[([^\]]*)\]\s*$/))) {
+      brackets.unshift(match[1].trim());
+      name = name.slice(0, match.index);
+    }
+    name = name.trim();
+
+    let version = null;
+    let developer = null;
+    for (const part of brackets) {
+      if (!version && /^(v|ver\b|version|ep\b|episode|ch\b|chapter|season|build|final|alpha|beta|r\d|\d)/i.test(part)) {
+        version = part;
+      } else {
+        developer = part;
+      }
+    }
+
+    return {
+      name: name || fullTitle || null,
+      version,
+      developer,
+      prefixes
+    };
+  }
+
+  findFirstPost($) {
+    const starter = $('.message-threadStarterPost .message-body .bbWrapper').first();
+    if (starter.length > 0) {
+      return starter;
+    }
+
+    const firstArticle = $('article.message--post .message-body .bbWrapper').first();
+    if (firstArticle.length > 0) {
+      return firstArticle;
+    }
+
+    const anyPost = $('.bbWrapper').first();
+    return anyPost.length > 0 ? anyPost : null;
+  }
+
+  // Text of an element with line breaks where the browser would render them
+  extractText($, element) {
+    const parts = [];
+    const walk = node => {
+      if (node.type === 'text') {
+        parts.push(node.data);
+      } else if (node.type === 'tag') {
+        if (node.name === 'br') {
+          parts.push('\n');
+          return;
+        }
+        if (SKIPPED_TAGS.has(node.name)) {
+          return;
+        }
+        const isBlock = BLOCK_TAGS.has(node.name);
+        if (isBlock) parts.push('\n');
+        (node.children || []).forEach(walk);
+        if (isBlock) parts.push('\n');
+      }
+    };
+    element.each((_, node) => walk(node));
+
+    return parts.join('')
+      .replace(/\u00a0/g, ' ')
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  parseOverviewFields(text) {
+    const fields = {};
+    if (!text) {
+      return fields;
+    }
+
+    const lines = text.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const labelMatch = lines[i].match(/^([A-Za-z][A-Za-z /]{1,24}?)\s*:\s*(.*)$/);
+      if (!labelMatch) continue;
+
+      const field = OVERVIEW_LABELS[normalizeKey(labelMatch[1])];
+      if (!field || fields[field] !== undefined) continue;
+
+      let value = labelMatch[2].trim();
+
+      // Genre (and sometimes other lists) sit in a spoiler on the following lines
+      if (!value) {
+        const continuation = [];
+        for (let j = i + 1; j < lines.length; j++) {
+          const next = lines[j].trim();
+          if (!next) {
+            if (continuation.length > 0) break;
+            continue;
+          }
+          if (this.isOverviewLabel(next)) break;
+          continuation.push(next);
+        }
+        value = continuation.join(', ');
+      }
+
+      if (!value) continue;
+
+      if (LIST_FIELDS.has(field)) {
+        const separator = field === 'genre' ? /,/ : /[,/]/;
+        fields[field] = value.split(separator).map(item => item.trim()).filter(Boolean);
+      } else if (field === 'developer') {
+        // "Dev Name - Patreon - Itch.io" -> "Dev Name"
+        fields[field] = value.split(/\s+-\s+/)[0].trim();
+      } else {
+        fields[field] = value;
+      }
+    }
+
+    return fields;
+  }
+
+  isOverviewLabel(line) {
+    const match = line.match(/^([A-Za-z][A-Za-z /]{1,24}?)\s*:/);
+    return !!(match && OVERVIEW_LABELS[normalizeKey(match[1])]);
+  }
+}
@@ -0,0 +1,71 @@
+import cron from 'node-cron';
+import { Logger } from '../utils/logger.js';
+
+const DEFAULT_SCHEDULE = '0 4 * * *';
+
+// Empties the Trash sheet of games deleted more than TRASH_RETENTION_DAYS ago, on the
+// TRASH_PURGE_SCHEDULE cron schedule. A retention of 0 keeps deleted games forever.
+export class TrashPurger {
+  constructor({
+    sheetsService,
+    schedule = process.env.TRASH_PURGE_SCHEDULE ?? DEFAULT_SCHEDULE,
+    retentionDays = process.env.TRASH_RETENTION_DAYS,
+    scheduler = cron
+  }) {
+    this.logger = new Logger();
+    this.sheetsService = sheetsService;
+    this.schedule = schedule ? String(schedule).trim() : null;
+    const days = parseInt(retentionDays, 10);
+    this.retentionDays = Number.isFinite(days) && days >= 0 ? days : 30;
+    this.scheduler = scheduler;
+    this.task = null;
+    this.lastRun = null;
+  }
+
+  // Returns false when purging is off (no schedule, retention 0) or the expression is invalid
+  start() {
+    if (!this.schedule || this.retentionDays === 0) {
+      this.logger.info('Trash is not purged automatically');
+      return false;
+    }
+    if (!this.scheduler.validate(this.schedule)) {
+      this.logger.error(`Invalid TRASH_PURGE_SCHEDULE "${this.schedule}", the trash is not purged automatically`);
+      return false;
+    }
+
+    this.task = this.scheduler.schedule(this.schedule, () => {
+      this.purge().catch(error => this.logger.error('Trash purge failed:', error));
+    });
+
+    this.logger.info(`Trash purged on schedule ${this.schedule}, keeping ${this.retentionDays} days`);
+    return true;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // olderThanDays defaults to the retention period
+  async purge({ olderThanDays = this.retentionDays } = {}) {
+    if (!this.sheetsService.isConfigured()) {
+      this.logger.warn('Skipping trash purge, game storage is not configured');
+      return { purged: 0, items: [] };
+    }
+
+    const result = await this.sheetsService.purgeTrash({ olderThanDays });
+    this.lastRun = { finished_at: new Date().toISOString(), older_than_days: olderThanDays, purged: result.purged };
+    return result;
+  }
+
+  getStatus() {
+    return {
+      scheduled: !!this.task,
+      schedule: this.schedule,
+      retention_days: this.retentionDays,
+      last_run: this.lastRun
+    };
+  }
+}
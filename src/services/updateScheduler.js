@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import cron from 'node-cron';
+import { Logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonStore.js';
+import { getErrorCode } from '../utils/errors.js';
+import { ThreadParser } from './threadParser.js';
+import { isTracked, normalizeVersion } from './gameStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function normalizeDate(value) {
+  return String(value || '').trim();
+}
+
+// Re-scrapes tracked games on a cron schedule (UPDATE_CHECK_SCHEDULE). The version and
+// Thread Updated date are read from the thread without the AI; only games where either
+// changed go through the full pipeline and get their row rewritten.
+export class UpdateScheduler {
+  constructor({
+    scraperService,
+    sheetsService,
+    gamePipeline,
+    schedule = process.env.UPDATE_CHECK_SCHEDULE,
+    timezone = process.env.UPDATE_CHECK_TIMEZONE,
+    historyFile = process.env.UPDATE_HISTORY_FILE || path.join(__dirname, '..', '..', 'data', 'update-runs.json'),
+    historyLimit = process.env.UPDATE_HISTORY_LIMIT,
+    scheduler = cron
+  }) {
+    this.logger = new Logger();
+    this.scraperService = scraperService;
+    this.sheetsService = sheetsService;
+    this.gamePipeline = gamePipeline;
+    this.threadParser = new ThreadParser();
+    this.schedule = schedule ? String(schedule).trim() : null;
+    this.timezone = timezone || null;
+    this.historyFile = historyFile;
+    this.historyLimit = Math.max(1, parseInt(historyLimit, 10) || 50);
+    this.scheduler = scheduler;
+    this.task = null;
+    this.currentRun = null;
+    this.runPromise = Promise.resolve(); // settles when the current run has been saved
+    this.history = null; // loaded on first use, newest first
+  }
+
+  // Starts the cron task. Returns false when no schedule is set or it is not a valid cron expression.
+  start() {
+    if (!this.schedule) {
+      this.logger.info('Update checks not scheduled (UPDATE_CHECK_SCHEDULE is empty)');
+      return false;
+    }
+    if (!this.scheduler.validate(this.schedule)) {
+      this.logger.error(`Invalid UPDATE_CHECK_SCHEDULE "${this.schedule}", update checks are off`);
+      return false;
+    }
+
+    this.task = this.scheduler.schedule(this.schedule, () => {
+      if (this.currentRun) {
+        this.logger.warn('Skipping scheduled update check, the previous one is still running');
+        return;
+      }
+      this.startRun({ trigger: 'schedule' });
+    }, this.timezone ? { timezone: this.timezone } : {});
+
+    this.logger.info(`Update checks scheduled: ${this.schedule}${this.timezone ? ` (${this.timezone})` : ''}`);
+    return true;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // Starts a check in the background over every tracked game (or the given game numbers)
+  startRun({ trigger = 'manual', gameNumbers = null } = {}) {
+    if (this.currentRun) {
+      throw new Error('An update check is already running');
+    }
+
+    const run = {
+      id: crypto.randomUUID(),
+      trigger,
+      status: 'running',
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      games_total: 0,
+      games_checked: 0,
+      untracked: 0,
+      unchanged: 0,
+      updated: [],
+      errors: []
+    };
+    this.currentRun = run;
+
+    this.runPromise = this.runChecks(run, gameNumbers)
+      .catch(error => {
+        this.logger.error('Update check failed:', error);
+        run.status = 'failed';
+        run.errors.push({ game_number: null, error: error.message, code: getErrorCode(error) });
+      })
+      .finally(async () => {
+        if (run.status === 'running') run.status = 'completed';
+        run.finished_at = new Date().toISOString();
+        this.currentRun = null;
+        await this.saveRun(run);
+      });
+
+    return run;
+  }
+
+  async runChecks(run, gameNumbers) {
+    const wanted = Array.isArray(gameNumbers) ? gameNumbers.map(n => parseInt(n, 10)) : null;
+    const games = (await this.sheetsService.getAllGames())
+      .filter(game => !wanted || wanted.includes(parseInt(game.game_number, 10)))
+      .filter(game => game.original_url);
+
+    const tracked = games.filter(game => isTracked(game));
+    run.untracked = games.length - tracked.length;
+    run.games_total = tracked.length;
+    this.logger.info(`Update check ${run.id}: ${tracked.length} tracked games`);
+
+    for (const game of tracked) {
+      try {
+        const result = await this.checkGame(game);
+        if (result.changed) {
+          run.updated.push(result);
+        } else {
+          run.unchanged++;
+        }
+      } catch (error) {
+        this.logger.warn(`Update check failed for game #${game.game_number}: ${error.message}`);
+        run.errors.push({ game_number: parseInt(game.game_number, 10), error: error.message, code: getErrorCode(error) });
+      }
+      run.games_checked++;
+    }
+
+    this.logger.info(`Update check ${run.id} finished: ${run.updated.length} updated, ${run.errors.length} failed`);
+  }
+
+  // Compares the live thread with the sheet row and runs the pipeline when it moved on
+  async checkGame(game) {
+    const url = game.original_url;
+    const pageData = await this.scraperService.scrapePageWithRetry(url, this.scraperService.retryPolicy.maxAttempts);
+    const overview = pageData.overview || this.threadParser.parse(pageData.html);
+    const version = overview ? overview.version || overview.title_version : null;
+    const threadUpdated = overview ? overview.thread_updated : null;
+
+    if (!version && !threadUpdated) {
+      throw new Error('Could not read the version or Thread Updated date from the thread');
+    }
+
+    const versionChanged = !!version && normalizeVersion(version) !== normalizeVersion(game.version);
+    const dateChanged = !!threadUpdated && !!game.thread_updated && normalizeDate(threadUpdated) !== normalizeDate(game.thread_updated);
+    const result = {
+      game_number: parseInt(game.game_number, 10),
+      game_name: game.game_name,
+      from_version: game.version || null,
+      to_version: version || game.version || null,
+      thread_updated: threadUpdated || null,
+      changed: versionChanged || dateChanged
+    };
+
+    if (!result.changed) {
+      // Rows saved before the column existed get the date now, so the next check can compare it
+      if (threadUpdated && !game.thread_updated) {
+        await this.sheetsService.updateThreadUpdated(game.game_number, threadUpdated);
+      }
+      return result;
+    }
+
+    this.logger.info(`Game #${game.game_number} changed: ${result.from_version} → ${result.to_version} (updated ${threadUpdated || 'unknown'})`);
+    const { data } = await this.gamePipeline.process(pageData, url);
+    result.to_version = data.version || result.to_version;
+    return result;
+  }
+
+  async loadHistory() {
+    if (!this.history) {
+      let saved = null;
+      try {
+        saved = this.historyFile ? await readJsonFile(this.historyFile, null) : null;
+      } catch (error) {
+        this.logger.warn(`Update check history is unreadable, starting a new one: ${error.message}`);
+      }
+      this.history = saved && Array.isArray(saved.runs) ? saved.runs : [];
+    }
+    return this.history;
+  }
+
+  // Never throws: it runs in startRun's finally, where an error would go unhandled
+  async saveRun(run) {
+    try {
+      const history = await this.loadHistory();
+      history.unshift(run);
+      history.splice(this.historyLimit);
+
+      if (this.historyFile) {
+        await writeJsonFile(this.historyFile, { runs: history });
+      }
+    } catch (error) {
+      this.logger.warn(`Could not save update check history: ${error.message}`);
+    }
+  }
+
+  async getHistory({ limit = 20 } = {}) {
+    const history = await this.loadHistory();
+    return limit > 0 ? history.slice(0, limit) : history;
+  }
+
+  async getRun(id) {
+    if (this.currentRun && this.currentRun.id === id) {
+      return this.currentRun;
+    }
+    return (await this.loadHistory()).find(run => run.id === id) || null;
+  }
+
+  async getStatus() {
+    const history = await this.loadHistory();
+    return {
+      scheduled: !!this.task,
+      schedule: this.schedule,
+      timezone: this.timezone,
+      running: !!this.currentRun,
+      current: this.currentRun,
+      last: history[0] || null
+    };
+  }
+}
@@ -0,0 +1,68 @@
+import {
+  AgeGateError,
+  CloudflareChallengeError,
+  DdosGuardChallengeError,
+  MaintenanceError
+} from './errors.js';
+
+// How a scrape reacts to each kind of block page. waitForClear: ms to let a JS challenge
+// finish in the browser before giving up. accept: try the age gate's confirm button.
+// retryable: whether scrapePageWithRetry should try again with backoff.
+export const BLOCK_POLICIES = {
+  cloudflare: { waitForClear: 15000, retryable: true },
+  'ddos-guard': { waitForClear: 15000, retryable: true },
+  maintenance: { waitForClear: 0, retryable: true },
+  'age-gate': { accept: true, retryable: false }
+};
+
+const CLOUDFLARE_TITLES = /^(just a moment|attention required|please wait)\b|\bcloudflare\b/i;
+const CLOUDFLARE_MARKERS = /_cf_chl_opt|cf-chl-|id="challenge-(?:form|running|stage)"|cf-browser-verification/i;
+const DDOS_GUARD_MARKERS = /ddos-guard/i;
+const MAINTENANCE_TEXT = /undergoing (?:scheduled )?maintenance|down for maintenance|(?:board|forum|site) is currently closed|be back (?:shortly|soon)/i;
+const AGE_GATE_MARKERS = /id="age-?gate"|class="[^"]*\bage-?(?:gate|verification)\b/i;
+const AGE_GATE_TEXT = /(?:you must be|are you|confirm (?:that )?you are) (?:at least |over )?18|age verification/i;
+
+function getTitle(html) {
+  const match = String(html || '').match(/<title[^>]*>([^<]*)<\/title>/i);
+  return match ? match[1].trim() : '';
+}
+
+// Classifies a loaded page as a challenge, maintenance or age-gate page, or returns null.
+// Thread pages always render their posts in .bbWrapper, which none of these pages have,
+// so a real thread that merely mentions "maintenance" or "18+" is never flagged.
+export function detectBlockPage({ status = null, title, html = '', text = '' } = {}) {
+  const pageTitle = title !== undefined ? String(title) : getTitle(html);
+  const source = String(html || '');
+  const body = String(text || '') || source.replace(/<[^>]+>/g, ' ');
+
+  if (source.includes('bbWrapper') && !AGE_GATE_MARKERS.test(source)) {
+    return null;
+  }
+
+  if (DDOS_GUARD_MARKERS.test(pageTitle) || DDOS_GUARD_MARKERS.test(source)) {
+    return { type: 'ddos-guard', reason: 'DDoS-Guard browser check' };
+  }
+  if (CLOUDFLARE_TITLES.test(pageTitle) || CLOUDFLARE_MARKERS.test(source) ||
+      ((status === 403 || status === 503) && /challenge-platform/i.test(source))) {
+    return { type: 'cloudflare', reason: 'Cloudflare challenge' };
+  }
+  if (MAINTENANCE_TEXT.test(pageTitle) || MAINTENANCE_TEXT.test(body) ||
+      (status === 503 && /maintenance/i.test(body))) {
+    return { type: 'maintenance', reason: 'F95Zone is down for maintenance' };
+  }
+  if (AGE_GATE_MARKERS.test(source) || AGE_GATE_TEXT.test(body)) {
+    return { type: 'age-gate', reason: 'Age confirmation required' };
+  }
+  return null;
+}
+
+// Typed error for a page that stayed blocked
+export function createBlockError(block, url) {
+  const message = `${block.reason} on ${url}`;
+  switch (block.type) {
+    case 'cloudflare': return new CloudflareChallengeError(message);
+    case 'ddos-guard': return new DdosGuardChallengeError(message);
+    case 'maintenance': return new MaintenanceError(message);
+    default: return new AgeGateError(message);
+  }
+}
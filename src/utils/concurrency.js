@@ -0,0 +1,17 @@
+// Runs fn over items with at most `limit` calls in flight. Results keep the input order.
+export async function mapWithConcurrency(items, limit, fn) {
+  const list = Array.isArray(items) ? items : [];
+  const results = new Array(list.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < list.length) {
+      const index = next++;
+      results[index] = await fn(list[index], index);
+    }
+  };
+
+  const workers = Math.min(Math.max(1, parseInt(limit, 10) || 1), list.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
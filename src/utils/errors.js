@@ -0,0 +1,108 @@
+// Typed errors shared by the scraper, AI and Sheets services. `code` is stable and
+// returned by the API so the frontend and scripts can react without parsing messages.
+
+export const ERROR_CODES = {
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  TIMEOUT: 'TIMEOUT',
+  NOT_FOUND: 'NOT_FOUND',
+  CLOUDFLARE_CHALLENGE: 'CLOUDFLARE_CHALLENGE',
+  DDOS_GUARD_CHALLENGE: 'DDOS_GUARD_CHALLENGE',
+  SITE_MAINTENANCE: 'SITE_MAINTENANCE',
+  AGE_GATE: 'AGE_GATE',
+  AI_INVALID_JSON: 'AI_INVALID_JSON',
+  SHEETS_PERMISSION: 'SHEETS_PERMISSION',
+  AI_EXTRACTION_FAILED: 'AI_EXTRACTION_FAILED',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  ORIGIN_NOT_ALLOWED: 'ORIGIN_NOT_ALLOWED',
+  CONFLICT: 'CONFLICT',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+export class AppError extends Error {
+  // status: HTTP status the API answers with when this error ends a request
+  constructor(message, { code = ERROR_CODES.INTERNAL_ERROR, status = 500, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export class AuthRequiredError extends AppError {
+  constructor(message = 'F95Zone authentication required', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.AUTH_REQUIRED, status: 401 });
+  }
+}
+
+export class RateLimitedError extends AppError {
+  // retryAfter: ms the remote host asked us to wait, when it said so
+  constructor(message = 'Rate limited by the remote service', { retryAfter = null, ...options } = {}) {
+    super(message, { ...options, code: ERROR_CODES.RATE_LIMITED, status: 429 });
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class TimeoutError extends AppError {
+  constructor(message = 'Request timed out', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.TIMEOUT, status: 504 });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.NOT_FOUND, status: 404 });
+  }
+}
+
+export class CloudflareChallengeError extends AppError {
+  constructor(message = 'Cloudflare challenge blocked the request', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.CLOUDFLARE_CHALLENGE, status: 503 });
+  }
+}
+
+export class DdosGuardChallengeError extends AppError {
+  constructor(message = 'DDoS-Guard check blocked the request', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.DDOS_GUARD_CHALLENGE, status: 503 });
+  }
+}
+
+export class MaintenanceError extends AppError {
+  constructor(message = 'F95Zone is down for maintenance', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.SITE_MAINTENANCE, status: 503 });
+  }
+}
+
+export class AgeGateError extends AppError {
+  constructor(message = 'Age confirmation page could not be passed', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.AGE_GATE, status: 403 });
+  }
+}
+
+export class AIInvalidJSONError extends AppError {
+  constructor(message = 'AI response was not valid JSON', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.AI_INVALID_JSON, status: 502 });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflicts with the current state', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.CONFLICT, status: 409 });
+  }
+}
+
+export class SheetsPermissionError extends AppError {
+  constructor(message = 'Permission denied: Service account may not have access to the spreadsheet', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.SHEETS_PERMISSION, status: 403 });
+  }
+}
+
+export function getErrorCode(error) {
+  return error instanceof AppError ? error.code : ERROR_CODES.INTERNAL_ERROR;
+}
+
+export function getErrorStatus(error, fallback = 500) {
+  return error instanceof AppError && error.code !== ERROR_CODES.INTERNAL_ERROR ? error.status : fallback;
+}
@@ -0,0 +1,89 @@
+import { SHEET_HEADERS, headerKey } from './gameSchema.js';
+import { normalizeVersion } from '../services/gameStore.js';
+
+// Fields compared by default: every sheet column except the number, the ID and the extraction time
+export const DIFF_FIELDS = SHEET_HEADERS
+  .map(headerKey)
+  .filter(field => !['game_number', 'game_id', 'extracted_date'].includes(field));
+
+// Values as the sheet stores them, so '12' and 12 or a missing and an empty cell compare equal
+function normalize(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value) || typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim();
+}
+
+// Field-level changes from current to proposed: [{ field, before, after }]
+export function diffGames(current, proposed, { fields = DIFF_FIELDS } = {}) {
+  const before = current || {};
+  const after = proposed || {};
+  return fields
+    .filter(field => normalize(before[field]) !== normalize(after[field]))
+    .map(field => ({
+      field,
+      before: before[field] ?? null,
+      after: after[field] ?? null
+    }));
+}
+
+// Fields summarizeUpdate reports in their own shape rather than in `fields`
+const SUMMARIZED_FIELDS = ['version', 'status', 'download_links', 'tags', 'total_size_gb', 'total_size_bytes', 'individual_sizes'];
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim()) return value.split(',').map(item => item.trim()).filter(Boolean);
+  return [];
+}
+
+// Items only in after (added) and only in before (removed), matched by key(item)
+function listChanges(before, after, key) {
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+  return {
+    added: after.filter(item => !beforeKeys.has(key(item))),
+    removed: before.filter(item => !afterKeys.has(key(item)))
+  };
+}
+
+// What an update did to a sheet row, for the scrape response and the result card:
+// version and status as { before, after } (null when unchanged), download links (matched
+// by URL) and tags as added/removed lists, the size as a byte delta, and the names of
+// any other fields that changed.
+export function summarizeUpdate(current, proposed) {
+  const before = current || {};
+  const after = proposed || {};
+
+  const valueChange = (field, same) => same(before[field], after[field])
+    ? null
+    : { before: before[field] ?? null, after: after[field] ?? null };
+
+  const version = valueChange('version', (a, b) => normalizeVersion(a) === normalizeVersion(b));
+  const status = valueChange('status', (a, b) => normalize(a) === normalize(b));
+  const links = listChanges(toList(before.download_links), toList(after.download_links), link => normalize(link && link.url));
+  const tags = listChanges(toList(before.tags), toList(after.tags), tag => normalize(tag).toLowerCase());
+
+  const beforeBytes = Number(before.total_size_bytes) || 0;
+  const afterBytes = Number(after.total_size_bytes) || 0;
+  const size = beforeBytes === afterBytes ? null : {
+    before_bytes: beforeBytes,
+    after_bytes: afterBytes,
+    delta_bytes: afterBytes - beforeBytes,
+    before_gb: before.total_size_gb ?? null,
+    after_gb: after.total_size_gb ?? null
+  };
+
+  const fields = diffGames(current, proposed)
+    .map(change => change.field)
+    .filter(field => !SUMMARIZED_FIELDS.includes(field));
+
+  return {
+    changed: !!(version || status || size || links.added.length || links.removed.length ||
+      tags.added.length || tags.removed.length || fields.length),
+    version,
+    status,
+    links,
+    tags,
+    size,
+    fields
+  };
+}
@@ -0,0 +1,42 @@
+// Shape of a game row, shared by the storage backends and anything that compares games.
+// Kept free of the Sheets client so callers don't load googleapis just to read the columns.
+
+// Column order of the games sheet. New columns are only ever appended so existing sheets keep working.
+export const SHEET_HEADERS = [
+  'Game Number',
+  'Game Name',
+  'Version',
+  'Developer',
+  'Release Date',
+  'Original URL',
+  'Cover Image',
+  'Description',
+  'Tags',
+  'Total Size (GB)',
+  'Total Size (Bytes)',
+  'Download Links',
+  'Individual Sizes',
+  'Extracted Date',
+  'Engine',
+  'Status',
+  'Thread Updated',
+  'Tracked',
+  'Game ID'
+];
+
+// Field name a header maps to on game objects, e.g. 'Total Size (GB)' -> 'total_size_gb'
+export function headerKey(header) {
+  return header.toLowerCase().replace(/\s+/g, '_').replace(/[()]/g, '');
+}
+
+// Spreadsheet column letter for a zero-based index: 0 -> 'A', 26 -> 'AA'
+export function columnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
@@ -0,0 +1,35 @@
+// Limits and origin rules for HTML posted to /api/ingest-html by a bookmarklet or userscript
+
+export const DEFAULT_INGEST_MAX_BYTES = 5 * 1024 * 1024; // a long thread page is ~1 MB
+const DEFAULT_ORIGINS = ['https://f95zone.to'];
+
+export function getIngestConfig(env = process.env) {
+  const maxBytes = parseInt(env.INGEST_MAX_HTML_BYTES, 10);
+  const extraOrigins = String(env.INGEST_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  return {
+    maxBytes: Number.isFinite(maxBytes) && maxBytes > 0 ? maxBytes : DEFAULT_INGEST_MAX_BYTES,
+    allowedOrigins: [...new Set([...DEFAULT_ORIGINS, ...extraOrigins])],
+    token: env.INGEST_TOKEN || null
+  };
+}
+
+// Request body limit for the ingest route, so an oversized page is refused while it is read.
+// JSON escaping can double the HTML (quotes, newlines), plus room for url and sessionId;
+// the HTML itself is checked against maxBytes once parsed.
+export function getIngestBodyLimit({ maxBytes }) {
+  return maxBytes * 2 + 64 * 1024;
+}
+
+// Browsers always send Origin on cross-site POSTs, so another site open in the same browser
+// cannot push pages in. Requests without one (curl, userscript managers) are let through;
+// set INGEST_TOKEN to require a shared secret from those too.
+export function isAllowedIngestOrigin(origin, { allowedOrigins = DEFAULT_ORIGINS, selfOrigin = null } = {}) {
+  if (origin === undefined || origin === null || origin === '') {
+    return true;
+  }
+  return origin === selfOrigin || allowedOrigins.includes(origin);
+}
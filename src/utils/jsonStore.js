@@ -0,0 +1,27 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Small file helpers shared by the on-disk stores under data/
+
+export async function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+// Write to a temp file first so a crash never leaves a half-written file behind
+export async function writeFileAtomic(filePath, contents, options = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, contents, options);
+  await fs.rename(tempPath, filePath);
+}
+
+export async function writeJsonFile(filePath, data, options = {}) {
+  await writeFileAtomic(filePath, JSON.stringify(data, null, 2), options);
+}
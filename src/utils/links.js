@@ -0,0 +1,90 @@
+import { RateLimitedError } from './errors.js';
+
+// F95Zone thread and download host URL helpers shared by scraping, AI extraction and link checks
+
+const PROVIDERS = [
+  ['mega.nz', 'MEGA'],
+  ['mega.co.nz', 'MEGA'],
+  ['drive.google.com', 'Google Drive'],
+  ['mediafire.com', 'MediaFire'],
+  ['gofile.io', 'GoFile'],
+  ['pixeldrain.com', 'PixelDrain'],
+  ['workupload.com', 'WorkUpload'],
+  ['uploadhaven.com', 'UploadHaven'],
+  ['rapidgator.net', 'Rapidgator'],
+  ['katfile.com', 'KatFile'],
+  ['mixdrop.co', 'MixDrop'],
+  ['anonfiles.com', 'AnonFiles']
+];
+
+// F95Zone hides outgoing download links behind /masked/<host>/<id>/<hash>
+const MASKED_PATH = /^\/masked\/([^/]+)\//i;
+
+// Thread URLs end in /threads/<slug>.<id>/ (or /threads/<id>/ for short links)
+const THREAD_PATH = /\/threads\/(?:[^/]*\.)?(\d+)(?:\/|$)/i;
+
+// Numeric F95Zone thread ID from a thread URL, or null
+export function getThreadId(url) {
+  try {
+    const match = new URL(url).pathname.match(THREAD_PATH);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+export function isMaskedLink(url) {
+  try {
+    const parsed = new URL(url);
+    return /(^|\.)f95zone\.to$/i.test(parsed.hostname) && MASKED_PATH.test(parsed.pathname);
+  } catch {
+    return false;
+  }
+}
+
+// Provider name for a download URL. Masked links name their host in the path.
+export function detectProvider(url) {
+  let hostname;
+  try {
+    const parsed = new URL(url);
+    const masked = isMaskedLink(url) ? parsed.pathname.match(MASKED_PATH) : null;
+    hostname = (masked ? masked[1] : parsed.hostname).toLowerCase();
+  } catch {
+    return 'Unknown';
+  }
+
+  const match = PROVIDERS.find(([host]) => hostname === host || hostname.endsWith(`.${host}`));
+  return match ? match[1] : 'Unknown';
+}
+
+// Reads F95Zone's answer to the unmask POST: {"status":"ok","msg":"<real url>"}
+export function parseMaskedResponse(httpStatus, body) {
+  if (httpStatus === 429) {
+    throw new RateLimitedError('F95Zone rate limited masked link requests');
+  }
+
+  let data = body;
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body);
+    } catch {
+      throw new Error(`Unexpected masked link response (HTTP ${httpStatus})`);
+    }
+  }
+
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Unexpected masked link response (HTTP ${httpStatus})`);
+  }
+
+  if (data.status === 'captcha') {
+    const error = new Error('F95Zone requires a captcha to unmask this link');
+    error.captcha = true;
+    throw error;
+  }
+
+  if (data.status !== 'ok' || typeof data.msg !== 'string' || !/^https?:\/\//i.test(data.msg.trim())) {
+    throw new Error(`Masked link not resolved: ${data.msg || data.status || 'no destination'}`);
+  }
+
+  return data.msg.trim();
+}
@@ -0,0 +1,99 @@
+import { Logger } from './logger.js';
+
+const DEFAULT_DELAY = 2000;
+
+// Bucket key for a request target: the hostname without "www.". Anything that is not a URL is used as-is.
+export function hostKey(target) {
+  try {
+    return new URL(target).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return String(target || 'unknown').toLowerCase();
+  }
+}
+
+function readDelay(value) {
+  const delay = parseInt(value, 10);
+  return Number.isFinite(delay) && delay >= 0 ? delay : DEFAULT_DELAY;
+}
+
+function readBurst(value) {
+  return Math.max(1, parseInt(value, 10) || 1);
+}
+
+// Per-host token bucket: a host gets `burst` requests straight away, then one every `delay` ms.
+// Requests waiting on the same host are let through in the order they asked.
+export class HostRateLimiter {
+  constructor({ delay = process.env.SCRAPE_DELAY, burst = 1, hosts = {} } = {}) {
+    this.logger = new Logger();
+    this.delay = readDelay(delay);
+    this.burst = readBurst(burst);
+    this.hosts = hosts; // overrides, e.g. { 'pixeldrain.com': { delay: 500, burst: 3 } }
+    this.buckets = new Map();
+  }
+
+  getLimits(key) {
+    const override = Object.entries(this.hosts).find(([host]) => key === host || key.endsWith(`.${host}`));
+    const limits = override ? override[1] : {};
+    return {
+      delay: limits.delay !== undefined ? readDelay(limits.delay) : this.delay,
+      burst: limits.burst !== undefined ? readBurst(limits.burst) : this.burst
+    };
+  }
+
+  getBucket(key) {
+    if (!this.buckets.has(key)) {
+      const { delay, burst } = this.getLimits(key);
+      this.buckets.set(key, { delay, burst, tokens: burst, updatedAt: Date.now(), tail: Promise.resolve() });
+    }
+    return this.buckets.get(key);
+  }
+
+  // Resolves with the time spent waiting once a request to the target's host may be sent
+  acquire(target) {
+    const key = hostKey(target);
+    const bucket = this.getBucket(key);
+    const turn = bucket.tail.then(() => this.takeToken(bucket, key));
+    bucket.tail = turn.catch(() => {});
+    return turn;
+  }
+
+  async takeToken(bucket, key) {
+    if (bucket.delay === 0) {
+      return 0;
+    }
+
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.updatedAt) / bucket.delay);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+
+    const wait = Math.ceil((1 - bucket.tokens) * bucket.delay);
+    this.logger.debug(`Waiting ${wait}ms before the next request to ${key}`);
+    await new Promise(resolve => setTimeout(resolve, wait));
+
+    // The token that refilled while waiting is the one this request uses
+    bucket.tokens = 0;
+    bucket.updatedAt = Date.now();
+    return wait;
+  }
+
+  async schedule(target, fn) {
+    await this.acquire(target);
+    return await fn();
+  }
+}
+
+let sharedLimiter = null;
+
+// Process-wide limiter so scrapes, size lookups, link checks and AI calls share one budget per host.
+// Created on first use so SCRAPE_DELAY is read after dotenv has loaded.
+export function getRateLimiter() {
+  if (!sharedLimiter) {
+    sharedLimiter = new HostRateLimiter();
+  }
+  return sharedLimiter;
+}
@@ -0,0 +1,88 @@
+// Retry policies shared by outbound requests. MAX_RETRIES is the total number of attempts.
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_ATTEMPTS = 3;
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Page load and request timeout from TIMEOUT, in ms
+export function getRequestTimeout() {
+  return parseInt(process.env.TIMEOUT, 10) || DEFAULT_TIMEOUT;
+}
+
+export function createRetryPolicy(overrides = {}) {
+  return {
+    maxAttempts: parseInt(process.env.MAX_RETRIES, 10) || DEFAULT_ATTEMPTS,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: 0.5, // up to this fraction is taken off each delay so parallel jobs don't retry in lockstep
+    ...overrides
+  };
+}
+
+// HTTP status from an axios error, a Gemini fetch error or anything with a status field
+function getErrorStatus(error) {
+  if (error && error.response && error.response.status) {
+    return error.response.status;
+  }
+  return error && typeof error.status === 'number' ? error.status : null;
+}
+
+export function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+
+  const status = getErrorStatus(error);
+  if (status) {
+    return RETRYABLE_STATUSES.includes(status);
+  }
+
+  return RETRYABLE_CODES.includes(error.code) ||
+    /timeout|timed out|socket hang up|network error/i.test(error.message || '');
+}
+
+// Retry-After header (seconds or an HTTP date) in ms, or null
+export function getRetryAfter(error) {
+  const headers = error && error.response && error.response.headers;
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Delay before retry number `attempt` (1 = after the first failure): exponential, capped, with jitter
+export function computeBackoff(attempt, policy = createRetryPolicy(), random = Math.random) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+  return Math.round(delay * (1 - policy.jitter * random()));
+}
+
+// Calls fn(attempt) until it succeeds, the error is not retryable or the policy runs out of attempts
+export async function withRetry(fn, { policy = createRetryPolicy(), shouldRetry = isRetryableError, onRetry = null } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const retryAfter = getRetryAfter(error);
+      const delay = retryAfter !== null ? Math.min(retryAfter, policy.maxDelay) : computeBackoff(attempt, policy);
+      if (onRetry) {
+        onRetry(error, attempt, delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
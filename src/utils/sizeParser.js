@@ -0,0 +1,103 @@
+// Parses human-written download sizes ("Size: 1.2 GB", "Win/Linux (850 MB)") into bytes.
+// Units are binary, matching the GB figures shown elsewhere (1 GB = 1024^3 bytes).
+
+const UNIT_MULTIPLIERS = {
+  bytes: 1,
+  kb: 1024,
+  kib: 1024,
+  mb: 1024 ** 2,
+  mib: 1024 ** 2,
+  meg: 1024 ** 2,
+  megs: 1024 ** 2,
+  gb: 1024 ** 3,
+  gib: 1024 ** 3,
+  gig: 1024 ** 3,
+  gigs: 1024 ** 3,
+  tb: 1024 ** 4,
+  tib: 1024 ** 4
+};
+
+const SIZE_PATTERN = /(\d{1,3}(?:[.,]\d{3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?)\s*(tib|tb|gib|gigs?|gb|mib|megs?|mb|kib|kb|bytes)\b/gi;
+
+const PLATFORM_PATTERNS = {
+  windows: /\b(?:win(?:dows)?(?:32|64)?|pc)\b/i,
+  linux: /\blinux\b/i,
+  mac: /\b(?:mac(?:os)?|osx|os x)\b/i,
+  android: /\b(?:android|apk)\b/i
+};
+
+// "1,234.5" / "1.234,5" / "1,2" / "1.2" -> number
+function parseNumber(value) {
+  const lastDot = value.lastIndexOf('.');
+  const lastComma = value.lastIndexOf(',');
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both separators: whichever comes last is the decimal point
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const thousands = decimal === '.' ? ',' : '.';
+    return parseFloat(value.split(thousands).join('').replace(decimal, '.'));
+  }
+
+  if (lastComma !== -1) {
+    // "1,200" is a thousands group, "1,2" a decimal comma
+    return /^\d{1,3}(?:,\d{3})+$/.test(value)
+      ? parseFloat(value.replace(/,/g, ''))
+      : parseFloat(value.replace(',', '.'));
+  }
+
+  if (/^\d{1,3}(?:\.\d{3}){2,}$/.test(value)) {
+    return parseFloat(value.replace(/\./g, ''));
+  }
+  return parseFloat(value);
+}
+
+// Platforms named in a piece of text, e.g. "Win/Linux" -> ['windows', 'linux']
+export function detectPlatforms(text) {
+  if (!text || typeof text !== 'string') return [];
+  return Object.keys(PLATFORM_PATTERNS).filter(platform => PLATFORM_PATTERNS[platform].test(text));
+}
+
+// Every size mentioned in the text, with the platforms named just before it
+export function parseSizes(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const sizes = [];
+  let segmentStart = 0;
+  for (const match of text.matchAll(SIZE_PATTERN)) {
+    const value = parseNumber(match[1]);
+    const multiplier = UNIT_MULTIPLIERS[match[2].toLowerCase()];
+    const segment = text.slice(segmentStart, match.index);
+    segmentStart = match.index + match[0].length;
+
+    if (!isFinite(value) || value <= 0 || !multiplier) continue;
+
+    sizes.push({
+      bytes: Math.round(value * multiplier),
+      text: match[0],
+      platforms: detectPlatforms(segment)
+    });
+  }
+  return sizes;
+}
+
+// First size in the text in bytes, or null
+export function parseSize(text) {
+  const sizes = parseSizes(text);
+  return sizes.length > 0 ? sizes[0].bytes : null;
+}
+
+// The size that belongs to a download for the given platform.
+// Prefers a size labelled with that platform, then an unlabelled one; null when only other platforms match.
+export function findSizeForPlatform(text, platform) {
+  const sizes = parseSizes(text);
+  if (sizes.length === 0) return null;
+
+  const wanted = detectPlatforms(platform);
+  const labelled = sizes.find(size => size.platforms.some(p => wanted.includes(p)));
+  if (labelled) return labelled;
+
+  const unlabelled = sizes.find(size => size.platforms.length === 0);
+  if (unlabelled) return unlabelled;
+
+  return wanted.length === 0 && sizes.length === 1 ? sizes[0] : null;
+}
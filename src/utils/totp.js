@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+
+// Time-based one-time passwords (RFC 6238) for XenForo's two-step login
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Accepts the secret as shown by authenticator setup pages: spaces, dashes, lower case and
+// padding are ignored. An otpauth:// URI from the QR code works too.
+export function parseTotpSecret(value) {
+  let secret = String(value || '').trim();
+  if (/^otpauth:\/\//i.test(secret)) {
+    try {
+      secret = new URL(secret).searchParams.get('secret') || '';
+    } catch {
+      secret = '';
+    }
+  }
+  return secret.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+}
+
+export function base32Decode(value) {
+  const secret = parseTotpSecret(value);
+  if (!secret) {
+    throw new Error('TOTP secret is empty');
+  }
+
+  let bits = 0;
+  let buffer = 0;
+  const bytes = [];
+  for (const char of secret) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid character "${char}" in TOTP secret`);
+    }
+    buffer = (buffer << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >>> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 4226 HOTP with dynamic truncation
+export function generateHotp(key, counter, { digits = 6, algorithm = 'sha1' } = {}) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+// secret: base32 string or raw key Buffer. time in ms.
+export function generateTotp(secret, { time = Date.now(), step = 30, digits = 6, algorithm = 'sha1' } = {}) {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const counter = Math.floor(time / 1000 / step);
+  return generateHotp(key, counter, { digits, algorithm });
+}
+
+// Seconds before the current code expires
+export function secondsRemaining({ time = Date.now(), step = 30 } = {}) {
+  return step - (Math.floor(time / 1000) % step);
+}
@@ -0,0 +1,218 @@
+/**
+ * Errors Test Suite
+ * Tests for the typed error classes and how the services raise them
+ */
+import {
+  AppError,
+  AuthRequiredError,
+  CloudflareChallengeError,
+  ERROR_CODES,
+  NotFoundError,
+  getErrorCode,
+  getErrorStatus
+} from '../src/utils/errors.js';
+import { ScraperService } from '../src/services/scraperService.js';
+import { AIService } from '../src/services/aiService.js';
+import { GoogleSheetsService } from '../src/services/googleSheetsService.js';
+import { createRetryPolicy } from '../src/utils/retry.js';
+
+export default async function runErrorsTests() {
+  const suite = {
+    name: 'Errors',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  try {
+    // Test 1: Codes and statuses
+    const classTest = testErrorClasses();
+    suite.tests.push(classTest);
+    updateSuiteStats(suite, classTest.status);
+
+    // Test 2: Retry decisions use error types, not messages
+    const retryTest = await testScraperClassification();
+    suite.tests.push(retryTest);
+    updateSuiteStats(suite, retryTest.status);
+
+    // Test 3: AI and Sheets failures carry codes
+    const serviceTest = await testServiceCodes();
+    suite.tests.push(serviceTest);
+    updateSuiteStats(suite, serviceTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ Errors test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  }
+
+  return suite;
+}
+
+function testErrorClasses() {
+  try {
+    console.log('   🏷️ Testing error codes and statuses...');
+
+    const cause = new Error('socket closed');
+    const auth = new AuthRequiredError('Log in first', { cause });
+    if (!(auth instanceof AppError) || !(auth instanceof Error) || auth.code !== 'AUTH_REQUIRED' || auth.status !== 401) {
+      throw new Error('AuthRequiredError should be an AppError with AUTH_REQUIRED/401');
+    }
+    if (auth.cause !== cause || auth.name !== 'AuthRequiredError') {
+      throw new Error('Cause and name should be kept');
+    }
+
+    const cloudflare = new CloudflareChallengeError();
+    if (getErrorCode(cloudflare) !== ERROR_CODES.CLOUDFLARE_CHALLENGE || getErrorStatus(cloudflare) !== 503) {
+      throw new Error('Cloudflare errors should map to CLOUDFLARE_CHALLENGE/503');
+    }
+    if (getErrorCode(new Error('boom')) !== 'INTERNAL_ERROR' || getErrorStatus(new Error('boom')) !== 500) {
+      throw new Error('Plain errors should map to INTERNAL_ERROR/500');
+    }
+
+    console.log('     ✅ Codes and statuses correct');
+    return {
+      name: 'Error Classes',
+      status: 'passed',
+      message: 'Stable codes and HTTP statuses'
+    };
+  } catch (error) {
+    console.log(`     ❌ Error classes failed: ${error.message}`);
+    return {
+      name: 'Error Classes',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testScraperClassification() {
+  try {
+    console.log('   🔐 Testing retry classification by error type...');
+
+    const service = new ScraperService();
+    service.retryPolicy = createRetryPolicy({ maxAttempts: 2, baseDelay: 1 });
+    let reauths = 0;
+    service.handleAuthenticationExpiry = async () => { reauths++; return true; };
+
+    // A game called "Login Quest" must not look like an auth failure
+    let calls = 0;
+    service.fetchPageData = async () => {
+      calls++;
+      if (calls === 1) throw new Error('Scraping failed: Login Quest [v0.3] page crashed');
+      return { title: 'Login Quest' };
+    };
+    await service.scrapePageWithRetry('https://f95zone.to/threads/login-quest.1/');
+    if (reauths !== 0 || calls !== 2) {
+      throw new Error('A plain error mentioning login should retry without re-authenticating');
+    }
+
+    calls = 0;
+    service.fetchPageData = async () => {
+      calls++;
+      if (calls === 1) throw new AuthRequiredError('Page requires authentication');
+      return { title: 'ok' };
+    };
+    await service.scrapePageWithRetry('https://f95zone.to/threads/locked.2/');
+    if (reauths !== 1) {
+      throw new Error('AuthRequiredError should trigger re-authentication');
+    }
+
+    calls = 0;
+    service.fetchPageData = async () => { calls++; throw new NotFoundError('Thread not found'); };
+    try {
+      await service.scrapePageWithRetry('https://f95zone.to/threads/gone.3/');
+      throw new Error('Should have failed');
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND' || calls !== 1) {
+        throw new Error('Missing threads should fail with NOT_FOUND without retrying');
+      }
+    }
+
+    const blocker = service.detectHttpBlocker(503, 'https://f95zone.to/threads/x.1/', '<title>Just a moment...</title>');
+    const login = service.detectHttpBlocker(200, 'https://f95zone.to/login/', '');
+    if (!(blocker instanceof CloudflareChallengeError) || !(login instanceof AuthRequiredError)) {
+      throw new Error('HTTP blockers should be typed');
+    }
+
+    console.log('     ✅ Retries classified by type');
+    return {
+      name: 'Scraper Classification',
+      status: 'passed',
+      message: 'Re-auth only on AuthRequiredError'
+    };
+  } catch (error) {
+    console.log(`     ❌ Scraper classification failed: ${error.message}`);
+    return {
+      name: 'Scraper Classification',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testServiceCodes() {
+  try {
+    console.log('   🧾 Testing AI and Sheets error codes...');
+
+    const ai = new AIService();
+    ai.genAI = {};
+    ai.model = {
+      generateContent: async () => ({ response: { text: () => 'Sorry, I cannot help with that.' } })
+    };
+    ai.fallbackExtraction = () => { throw new Error('no usable content'); };
+
+    try {
+      await ai.extractGameData({ title: 'Test', content: 'Test', html: '' }, 'https://f95zone.to/threads/test.1/');
+      throw new Error('Should have failed');
+    } catch (error) {
+      if (error.code !== 'AI_INVALID_JSON') {
+        throw new Error(`Expected AI_INVALID_JSON, got ${error.code} (${error.message})`);
+      }
+    }
+
+    const sheets = new GoogleSheetsService();
+    sheets.spreadsheetId = 'sheet-id';
+    sheets.sheets = {
+      spreadsheets: {
+        values: {
+          get: async () => { throw Object.assign(new Error('The caller does not have permission'), { code: 403 }); }
+        }
+      }
+    };
+
+    try {
+      await sheets.getAllGames();
+      throw new Error('Should have failed');
+    } catch (error) {
+      if (error.code !== 'SHEETS_PERMISSION' || error.status !== 403) {
+        throw new Error(`Expected SHEETS_PERMISSION, got ${error.code} (${error.message})`);
+      }
+    }
+
+    console.log('     ✅ AI and Sheets failures carry codes');
+    return {
+      name: 'Service Codes',
+      status: 'passed',
+      message: 'AI_INVALID_JSON and SHEETS_PERMISSION raised'
+    };
+  } catch (error) {
+    console.log(`     ❌ Service codes failed: ${error.message}`);
+    return {
+      name: 'Service Codes',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -0,0 +1,136 @@
+/**
+ * In-memory stand-in for the parts of the googleapis Sheets client the service uses:
+ * spreadsheets.get/batchUpdate (addSheet, deleteDimension) and values.get/update/append/clear.
+ * Ranges are A1 notation without quoted sheet names, e.g. Games!A2:R or History!A:T.
+ */
+
+function columnIndex(letters) {
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function parseRange(range) {
+  const [title, cells = ''] = range.split('!');
+  const [start, end] = cells.split(':');
+  const parseCell = cell => {
+    const match = (cell || '').match(/^([A-Z]*)(\d*)$/);
+    return {
+      column: match && match[1] ? columnIndex(match[1]) : null,
+      row: match && match[2] ? parseInt(match[2], 10) - 1 : null
+    };
+  };
+  const from = parseCell(start);
+  const to = end === undefined ? from : parseCell(end);
+  return {
+    title,
+    startColumn: from.column ?? 0,
+    startRow: from.row ?? 0,
+    endColumn: to.column ?? Infinity,
+    endRow: to.row ?? Infinity
+  };
+}
+
+// Google drops trailing empty cells and rows from what it returns
+function trimRows(rows) {
+  const trimmed = rows.map(row => {
+    const copy = [...row];
+    while (copy.length > 0 && (copy[copy.length - 1] === '' || copy[copy.length - 1] === undefined)) copy.pop();
+    return copy;
+  });
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) trimmed.pop();
+  return trimmed;
+}
+
+export function createFakeSheetsApi(tabs = {}) {
+  let nextSheetId = 1;
+  const sheets = new Map();
+  const addTab = (title, rows = []) => {
+    sheets.set(title, { sheetId: nextSheetId++, rows: rows.map(row => row.map(value => String(value))) });
+  };
+  Object.entries(tabs).forEach(([title, rows]) => addTab(title, rows));
+
+  const tab = title => {
+    if (!sheets.has(title)) {
+      const error = new Error(`Unable to parse range: ${title}`);
+      error.code = 400;
+      throw error;
+    }
+    return sheets.get(title);
+  };
+
+  const api = {
+    calls: [],
+    tabs: sheets,
+    // Rows of a tab as stored, header included
+    rows: title => trimRows(tab(title).rows),
+
+    spreadsheets: {
+      get: async () => ({
+        data: { sheets: [...sheets.entries()].map(([title, sheet]) => ({ properties: { sheetId: sheet.sheetId, title } })) }
+      }),
+
+      batchUpdate: async ({ resource }) => {
+        for (const request of resource.requests) {
+          if (request.addSheet) {
+            api.calls.push(['addSheet', request.addSheet.properties.title]);
+            addTab(request.addSheet.properties.title);
+          } else if (request.deleteDimension) {
+            const { sheetId, dimension, startIndex, endIndex } = request.deleteDimension.range;
+            const sheet = [...sheets.values()].find(candidate => candidate.sheetId === sheetId);
+            if (!sheet || dimension !== 'ROWS') throw new Error('Unsupported deleteDimension request');
+            api.calls.push(['deleteRows', sheetId, startIndex, endIndex]);
+            sheet.rows.splice(startIndex, endIndex - startIndex);
+          } else {
+            throw new Error(`Unsupported request: ${Object.keys(request).join(', ')}`);
+          }
+        }
+        return { data: {} };
+      },
+
+      values: {
+        get: async ({ range }) => {
+          const { title, startRow, endRow, startColumn, endColumn } = parseRange(range);
+          const rows = trimRows(tab(title).rows)
+            .slice(startRow, endRow + 1)
+            .map(row => row.slice(startColumn, endColumn + 1));
+          const values = trimRows(rows);
+          return { data: values.length > 0 ? { range, values } : { range } };
+        },
+
+        update: async ({ range, resource }) => {
+          api.calls.push(['update', range]);
+          const { title, startRow, startColumn } = parseRange(range);
+          const sheet = tab(title);
+          resource.values.forEach((values, offset) => {
+            const row = sheet.rows[startRow + offset] || (sheet.rows[startRow + offset] = []);
+            values.forEach((value, column) => {
+              row[startColumn + column] = value === null || value === undefined ? '' : String(value);
+            });
+          });
+          for (let i = 0; i < sheet.rows.length; i++) sheet.rows[i] = sheet.rows[i] || [];
+          return { data: { updatedRange: range } };
+        },
+
+        append: async ({ range, resource }) => {
+          api.calls.push(['append', range]);
+          const sheet = tab(parseRange(range).title);
+          sheet.rows = trimRows(sheet.rows);
+          resource.values.forEach(values => sheet.rows.push(values.map(value => value === null || value === undefined ? '' : String(value))));
+          return { data: { updates: { updatedRows: resource.values.length } } };
+        },
+
+        clear: async ({ range }) => {
+          api.calls.push(['clear', range]);
+          const { title, startRow, endRow, startColumn, endColumn } = parseRange(range);
+          const sheet = tab(title);
+          sheet.rows.forEach((row, index) => {
+            if (index < startRow || index > endRow) return;
+            for (let column = startColumn; column < row.length && column <= endColumn; column++) row[column] = '';
+          });
+          return { data: {} };
+        }
+      }
+    }
+  };
+
+  return api;
+}
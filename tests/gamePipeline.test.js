@@ -0,0 +1,429 @@
+/**
+ * GamePipeline Test Suite
+ * Tests for the post-scrape pipeline, re-extraction from snapshots and field diffs
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { GamePipeline } from '../src/services/gamePipeline.js';
+import { SnapshotStore } from '../src/services/snapshotStore.js';
+import { GoogleSheetsService } from '../src/services/googleSheetsService.js';
+import { diffGames, summarizeUpdate } from '../src/utils/gameDiff.js';
+import { AIInvalidJSONError } from '../src/utils/errors.js';
+
+const THREAD_URL = 'https://f95zone.to/threads/example-game.12345/';
+const OTHER_URL = 'https://f95zone.to/threads/other-game.777/';
+
+function sheetRow(overrides = {}) {
+  return {
+    game_number: '1',
+    game_name: 'Example Game',
+    version: 'v0.4',
+    developer: 'Studio',
+    release_date: '2026-01-01',
+    original_url: THREAD_URL,
+    cover_image: '',
+    description: 'A game',
+    tags: ['3DCG'],
+    total_size_gb: '1.20',
+    total_size_bytes: '1288490188',
+    download_links: [{ url: 'https://mega.nz/file/abc', platform: 'Windows' }],
+    individual_sizes: [],
+    extracted_date: '2026-01-01T00:00:00.000Z',
+    engine: "Ren'Py",
+    status: 'Ongoing',
+    ...overrides
+  };
+}
+
+// In-memory stand-ins for the services the pipeline drives
+function createPipeline(dir, { games = [sheetRow()], extract } = {}) {
+  const sheets = {
+    games,
+    writes: [],
+    isConfigured: () => true,
+    getAllGames: async () => sheets.games,
+    getGame: async number => sheets.games.find(game => parseInt(game.game_number, 10) === parseInt(number, 10)) || null,
+    checkGameExists: async url => {
+      const game = sheets.games.find(row => row.original_url === url);
+      return game ? { ...game, matchType: 'url' } : null;
+    },
+    mergeGameData: GoogleSheetsService.prototype.mergeGameData,
+    updateGameData: async (existing, data) => {
+      sheets.writes.push({ type: 'update', game_number: existing.game_number, data });
+      return parseInt(existing.game_number, 10);
+    },
+    addGameData: async data => {
+      sheets.writes.push({ type: 'add', data });
+      return sheets.games.length + 1;
+    }
+  };
+
+  const ai = {
+    calls: 0,
+    extractGameData: async (pageData, url) => {
+      ai.calls++;
+      if (extract) return extract(pageData, url);
+      return {
+        game_name: 'Example Game',
+        version: pageData.title.match(/\[(v[\d.]+)\]/)[1],
+        developer: 'Studio',
+        original_url: url,
+        tags: ['3DCG'],
+        download_links: [{ url: 'https://mega.nz/file/abc', platform: 'Windows' }]
+      };
+    }
+  };
+
+  const scraper = {
+    getDownloadSizes: async () => ({ total_size_gb: '1.20', total_size_bytes: 1288490188, individual_sizes: [] })
+  };
+
+  const snapshotStore = new SnapshotStore({ dir, enabled: true, maxAgeDays: 0 });
+  const pipeline = new GamePipeline({ scraperService: scraper, aiService: ai, sheetsService: sheets, snapshotStore });
+  return { pipeline, sheets, ai, snapshotStore };
+}
+
+function page(title) {
+  return { title, url: THREAD_URL, content: title, html: `<html><title>${title}</title></html>`, links: [], images: [] };
+}
+
+export default async function runGamePipelineTests() {
+  const suite = {
+    name: 'GamePipeline',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'f95-pipeline-'));
+
+  try {
+    // Test 1: Field diffs
+    const diffTest = testDiff();
+    suite.tests.push(diffTest);
+    updateSuiteStats(suite, diffTest.status);
+
+    // Test 2: Update summaries
+    const summaryTest = testUpdateSummary();
+    suite.tests.push(summaryTest);
+    updateSuiteStats(suite, summaryTest.status);
+
+    // Test 3: Re-extract one game
+    const reextractTest = await testReextract(path.join(tempDir, 'single'));
+    suite.tests.push(reextractTest);
+    updateSuiteStats(suite, reextractTest.status);
+
+    // Test 4: Re-extract all games
+    const allTest = await testReextractAll(path.join(tempDir, 'all'));
+    suite.tests.push(allTest);
+    updateSuiteStats(suite, allTest.status);
+
+    // Test 5: Scrape pipeline stages
+    const stageTest = await testProcessStages(path.join(tempDir, 'stages'));
+    suite.tests.push(stageTest);
+    updateSuiteStats(suite, stageTest.status);
+
+    // Test 6: Concurrent scrapes of one thread
+    const concurrentTest = await testConcurrentSaves(path.join(tempDir, 'concurrent'));
+    suite.tests.push(concurrentTest);
+    updateSuiteStats(suite, concurrentTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ GamePipeline test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return suite;
+}
+
+function testDiff() {
+  try {
+    console.log('   🔍 Testing field-level diffs...');
+
+    const current = sheetRow();
+    const same = diffGames(current, { ...current, total_size_bytes: 1288490188, extracted_date: new Date().toISOString() });
+    if (same.length !== 0) {
+      throw new Error(`Equal values stored differently should not differ: ${JSON.stringify(same)}`);
+    }
+
+    const changes = diffGames(current, { ...current, version: 'v0.5', tags: ['3DCG', 'Sandbox'], cover_image: null });
+    const fields = changes.map(change => change.field);
+    if (fields.join(',') !== 'version,tags' || changes[0].before !== 'v0.4' || changes[0].after !== 'v0.5') {
+      throw new Error(`Unexpected diff: ${JSON.stringify(changes)}`);
+    }
+
+    console.log('     ✅ Diffs compare values as stored');
+    return {
+      name: 'Field Diff',
+      status: 'passed',
+      message: 'Changed fields listed with before and after'
+    };
+  } catch (error) {
+    console.log(`     ❌ Field diff failed: ${error.message}`);
+    return {
+      name: 'Field Diff',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function testUpdateSummary() {
+  try {
+    console.log('   🧾 Testing update summaries...');
+
+    const current = sheetRow();
+    const unchanged = summarizeUpdate(current, { ...current, version: '0.4', tags: ['3dcg'], total_size_bytes: 1288490188 });
+    if (unchanged.changed || unchanged.version || unchanged.tags.added.length || unchanged.size) {
+      throw new Error(`Equivalent values should not be reported: ${JSON.stringify(unchanged)}`);
+    }
+
+    const summary = summarizeUpdate(current, {
+      ...current,
+      version: 'v0.5',
+      status: 'Completed',
+      tags: ['3DCG', 'Sandbox'],
+      total_size_gb: '1.50',
+      total_size_bytes: 1610612736,
+      download_links: [
+        { url: 'https://mega.nz/file/abc', platform: 'Windows' },
+        { url: 'https://pixeldrain.com/u/xyz', platform: 'Android' }
+      ],
+      developer: 'New Studio'
+    });
+    if (!summary.changed || summary.version.before !== 'v0.4' || summary.version.after !== 'v0.5' ||
+        summary.status.after !== 'Completed') {
+      throw new Error(`Version/status not summarized: ${JSON.stringify(summary)}`);
+    }
+    if (summary.links.added.length !== 1 || summary.links.added[0].platform !== 'Android' || summary.links.removed.length !== 0 ||
+        summary.tags.added.join(',') !== 'Sandbox' || summary.tags.removed.length !== 0) {
+      throw new Error(`Links/tags not summarized: ${JSON.stringify(summary)}`);
+    }
+    if (summary.size.delta_bytes !== 322122548 || summary.size.before_gb !== '1.20' || summary.size.after_gb !== '1.50') {
+      throw new Error(`Size delta wrong: ${JSON.stringify(summary.size)}`);
+    }
+    if (summary.fields.join(',') !== 'developer') {
+      throw new Error(`Other fields should be listed by name, got ${summary.fields.join(',')}`);
+    }
+
+    console.log('     ✅ Update summarized per field');
+    return {
+      name: 'Update Summary',
+      status: 'passed',
+      message: 'Version, links, tags and size delta reported'
+    };
+  } catch (error) {
+    console.log(`     ❌ Update summary failed: ${error.message}`);
+    return {
+      name: 'Update Summary',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testReextract(dir) {
+  try {
+    console.log('   ♻️ Testing re-extraction from a snapshot...');
+
+    const { pipeline, sheets, snapshotStore } = createPipeline(dir);
+    await snapshotStore.save(THREAD_URL, page('Example Game [v0.4]'), { capturedAt: new Date('2026-01-01T00:00:00.000Z') });
+    const latest = await snapshotStore.save(THREAD_URL, page('Example Game [v0.5]'), { capturedAt: new Date('2026-02-01T00:00:00.000Z') });
+
+    // By game number: newest snapshot, preview only
+    const preview = await pipeline.reextract({ gameNumber: 1 });
+    if (preview.snapshot_id !== `12345/${latest.id}` || preview.applied || sheets.writes.length !== 0) {
+      throw new Error('Preview should use the newest snapshot without writing');
+    }
+    if (preview.changes.length !== 1 || preview.changes[0].field !== 'version' || preview.changes[0].after !== 'v0.5') {
+      throw new Error(`Expected a version change, got ${JSON.stringify(preview.changes)}`);
+    }
+
+    // By snapshot ID: the older capture matches the sheet, so nothing is written
+    const [older] = (await snapshotStore.list({ threadId: '12345' })).slice(-1);
+    const unchanged = await pipeline.reextract({ snapshotId: `12345/${older.id}` }, { apply: true });
+    if (unchanged.changes.length !== 0 || unchanged.applied || sheets.writes.length !== 0 || unchanged.game_number !== 1) {
+      throw new Error('Unchanged re-extraction should not write');
+    }
+
+    const applied = await pipeline.reextract({ gameNumber: 1 }, { apply: true });
+    if (!applied.applied || sheets.writes.length !== 1 || sheets.writes[0].type !== 'update' || sheets.writes[0].data.version !== 'v0.5') {
+      throw new Error('apply should update the existing row');
+    }
+
+    for (const target of [{ gameNumber: 99 }, { snapshotId: '12345/nope' }]) {
+      try {
+        await pipeline.reextract(target);
+        throw new Error(`${JSON.stringify(target)} should fail`);
+      } catch (error) {
+        if (error.code !== 'NOT_FOUND') throw error;
+      }
+    }
+
+    console.log('     ✅ Snapshot re-extracted and diffed');
+    return {
+      name: 'Re-extract',
+      status: 'passed',
+      message: 'Preview, no-op apply and apply'
+    };
+  } catch (error) {
+    console.log(`     ❌ Re-extract failed: ${error.message}`);
+    return {
+      name: 'Re-extract',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testReextractAll(dir) {
+  try {
+    console.log('   📚 Testing re-extraction of all games...');
+
+    const games = [
+      sheetRow(),
+      sheetRow({ game_number: '2', game_name: 'Other Game', original_url: OTHER_URL }),
+      sheetRow({ game_number: '3', game_name: 'Unarchived', original_url: 'https://f95zone.to/threads/unarchived.555/' })
+    ];
+    const { pipeline, sheets, snapshotStore } = createPipeline(dir, {
+      games,
+      extract: (pageData, url) => {
+        if (url === OTHER_URL) throw new AIInvalidJSONError('Model answered with prose');
+        return { game_name: 'Example Game', version: 'v0.6', original_url: url };
+      }
+    });
+    await snapshotStore.save(THREAD_URL, page('Example Game [v0.6]'));
+    await snapshotStore.save(OTHER_URL, { ...page('Other Game'), url: OTHER_URL });
+
+    const progress = [];
+    const summary = await pipeline.reextractAll({ apply: true, onProgress: (step, total) => progress.push(`${step}/${total}`) });
+    if (summary.results.length !== 1 || summary.changed !== 1 || summary.applied !== 1 || sheets.writes.length !== 1) {
+      throw new Error(`Expected one applied change, got ${JSON.stringify(summary)}`);
+    }
+    if (summary.failed.length !== 1 || summary.failed[0].code !== 'AI_INVALID_JSON' || summary.skipped[0].game_number !== 3) {
+      throw new Error('Failures and games without snapshots should be reported');
+    }
+    if (progress.join(' ') !== '1/3 2/3 3/3') {
+      throw new Error(`Unexpected progress: ${progress.join(' ')}`);
+    }
+
+    console.log('     ✅ All games re-extracted');
+    return {
+      name: 'Re-extract All',
+      status: 'passed',
+      message: 'Changes applied, failures and missing snapshots reported'
+    };
+  } catch (error) {
+    console.log(`     ❌ Re-extract all failed: ${error.message}`);
+    return {
+      name: 'Re-extract All',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testProcessStages(dir) {
+  try {
+    console.log('   🧩 Testing scrape pipeline stages...');
+
+    const { pipeline, sheets } = createPipeline(dir);
+    const steps = [];
+    const result = await pipeline.process(page('Example Game [v0.5]'), THREAD_URL, { onProgress: step => steps.push(step) });
+    if (!result.isUpdate || result.gameNumber !== 1 || result.data.total_size_gb !== '1.20' || !result.data.extracted_date) {
+      throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+    }
+    if (!result.changes || result.changes.version.after !== 'v0.5' || result.changes.links.added.length !== 0) {
+      throw new Error(`Updates should summarize what changed: ${JSON.stringify(result.changes)}`);
+    }
+    if ([...new Set(steps)].join(',') !== '2,3,4,5,6') {
+      throw new Error(`Progress should cover steps 2-6, got ${steps.join(',')}`);
+    }
+
+    sheets.updateGameData = async () => { throw new Error('quota'); };
+    try {
+      await pipeline.process(page('Example Game [v0.5]'), THREAD_URL);
+      throw new Error('Should have failed');
+    } catch (error) {
+      if (error.stage !== 'save' || error.extractedData.version !== 'v0.5') {
+        throw new Error('Sheet failures should be tagged with the save stage and keep the data');
+      }
+    }
+
+    const failing = createPipeline(dir, { extract: () => { throw new AIInvalidJSONError(); } });
+    try {
+      await failing.pipeline.process(page('Example Game [v0.5]'), THREAD_URL);
+      throw new Error('Should have failed');
+    } catch (error) {
+      if (error.stage !== 'extract' || error.code !== 'AI_INVALID_JSON' || failing.sheets.writes.length !== 0) {
+        throw new Error('AI failures should be tagged with the extract stage');
+      }
+    }
+
+    console.log('     ✅ Stages reported');
+    return {
+      name: 'Process Stages',
+      status: 'passed',
+      message: 'Steps 2-6 run in order, failures tagged by stage'
+    };
+  } catch (error) {
+    console.log(`     ❌ Process stages failed: ${error.message}`);
+    return {
+      name: 'Process Stages',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testConcurrentSaves(dir) {
+  try {
+    console.log('   🔀 Testing concurrent scrapes of one thread...');
+
+    const { pipeline, sheets } = createPipeline(dir, { games: [] });
+    sheets.addGameData = async data => {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      sheets.writes.push({ type: 'add', data });
+      sheets.games.push({ ...data, game_number: String(sheets.games.length + 1) });
+      return sheets.games.length;
+    };
+
+    const results = await Promise.all([
+      pipeline.process(page('Example Game [v0.5]'), THREAD_URL),
+      pipeline.process(page('Example Game [v0.5]'), THREAD_URL)
+    ]);
+    if (sheets.games.length !== 1 || results.map(result => result.isUpdate).join(',') !== 'false,true' ||
+        results.some(result => result.gameNumber !== 1) || results[0].changes !== null || results[1].changes.changed) {
+      throw new Error(`Expected one add and one update, got ${JSON.stringify(sheets.writes.map(write => write.type))}`);
+    }
+
+    console.log('     ✅ Second save updated the row the first one added');
+    return {
+      name: 'Concurrent Saves',
+      status: 'passed',
+      message: 'Sheet writes serialized, existing game looked up again'
+    };
+  } catch (error) {
+    console.log(`     ❌ Concurrent saves failed: ${error.message}`);
+    return {
+      name: 'Concurrent Saves',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -2,7 +2,11 @@
  * GoogleSheetsService Test Suite
  * Tests for Google Sheets integration functionality
  */
-import { GoogleSheetsService } from '../src/services/googleSheetsService.js';
+import { GoogleSheetsService, HISTORY_HEADERS, TRASH_HEADERS } from '../src/services/googleSheetsService.js';
+import { SHEET_HEADERS, columnLetter } from '../src/utils/gameSchema.js';
+import { isTracked } from '../src/services/gameStore.js';
+import { TrashPurger } from '../src/services/trashPurger.js';
+import { createFakeSheetsApi } from './fixtures/fakeSheetsApi.js';
 
 export default async function runGoogleSheetsServiceTests() {
   const suite = {
@@ -56,6 +60,26 @@ export default async function runGoogleSheetsServiceTests() {
       const errorTest = await testErrorHandling(googleSheetsService);
       suite.tests.push(errorTest);
       updateSuiteStats(suite, errorTest.status);
+
+      // Test 9: Row Layout and Filters
+      const layoutTest = await testRowLayoutAndFilters(googleSheetsService);
+      suite.tests.push(layoutTest);
+      updateSuiteStats(suite, layoutTest.status);
+
+      // Test 10: Version history
+      const historyTest = await testVersionHistory();
+      suite.tests.push(historyTest);
+      updateSuiteStats(suite, historyTest.status);
+
+      // Test 11: Stable game IDs
+      const idTest = await testStableIds();
+      suite.tests.push(idTest);
+      updateSuiteStats(suite, idTest.status);
+
+      // Test 12: Trash and restore
+      const trashTest = await testTrash();
+      suite.tests.push(trashTest);
+      updateSuiteStats(suite, trashTest.status);
     }
 
   } catch (error) {
@@ -417,6 +441,374 @@ async function testErrorHandling(googleSheetsService) {
   }
 }
 
+async function testRowLayoutAndFilters(googleSheetsService) {
+  try {
+    console.log('   🧱 Testing row layout and filters...');
+
+    const row = googleSheetsService.buildRow(7, {
+      game_name: 'Layout Game',
+      version: '1.0',
+      tags: ['3DCG', 'Sandbox'],
+      extracted_date: '2024-01-15T10:30:00.000Z',
+      engine: 'Unity',
+      status: 'Abandoned',
+      thread_updated: '2024-01-14',
+      tracked: false
+    });
+
+    if (row.length !== SHEET_HEADERS.length) {
+      throw new Error(`Row has ${row.length} values for ${SHEET_HEADERS.length} headers`);
+    }
+
+    if (row[SHEET_HEADERS.indexOf('Engine')] !== 'Unity' || row[SHEET_HEADERS.indexOf('Status')] !== 'Abandoned') {
+      throw new Error('Engine/Status values are not in their header columns');
+    }
+
+    if (row[SHEET_HEADERS.indexOf('Thread Updated')] !== '2024-01-14' || row[SHEET_HEADERS.indexOf('Tracked')] !== 'No') {
+      throw new Error('Thread Updated/Tracked values are not in their header columns');
+    }
+
+    // Blank cells (rows from before the column existed) count as tracked
+    if (!isTracked({ tracked: '' }) || !isTracked({}) || isTracked({ tracked: 'No' }) || isTracked({ tracked: 'FALSE' }) ||
+        googleSheetsService.buildRow(8, { game_name: 'x' })[SHEET_HEADERS.indexOf('Tracked')] !== '') {
+      throw new Error('Tracked flag parsed incorrectly');
+    }
+
+    const merged = googleSheetsService.mergeGameData({ tracked: 'No', thread_updated: '2024-01-01' }, { thread_updated: '2024-02-01' });
+    if (merged.tracked !== 'No' || merged.thread_updated !== '2024-02-01') {
+      throw new Error('Updates should keep the Tracked flag and take the new Thread Updated date');
+    }
+
+    if (columnLetter(0) !== 'A' || columnLetter(15) !== 'P' || columnLetter(26) !== 'AA') {
+      throw new Error('Column letters computed incorrectly');
+    }
+
+    const game = { engine: 'Unity', status: 'Abandoned' };
+    if (!googleSheetsService.matchesFilters(game, { status: 'abandoned,On Hold' }) ||
+        googleSheetsService.matchesFilters(game, { engine: "Ren'Py" }) ||
+        !googleSheetsService.matchesFilters(game, {})) {
+      throw new Error('Engine/status filters matched incorrectly');
+    }
+
+    console.log('     ✅ Row layout and filters working');
+    return {
+      name: 'Row Layout and Filters',
+      status: 'passed',
+      message: 'Columns aligned with headers'
+    };
+  } catch (error) {
+    console.log(`     ❌ Row layout test failed: ${error.message}`);
+    return {
+      name: 'Row Layout and Filters',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+// A service wired to an in-memory spreadsheet with one game in it
+function createServiceWithGames(rows) {
+  const service = new GoogleSheetsService();
+  service.spreadsheetId = 'test-sheet';
+  service.sheetName = 'Games';
+  service.sheets = createFakeSheetsApi({
+    Games: [SHEET_HEADERS, ...rows.map(([number, data]) => service.buildRow(number, data))]
+  });
+  return service;
+}
+
+async function testVersionHistory() {
+  try {
+    console.log('   🕰️ Testing version history...');
+
+    const service = createServiceWithGames([[1, {
+      game_name: 'History Game',
+      version: 'v0.7',
+      original_url: 'https://f95zone.to/threads/history-game.4242/',
+      total_size_gb: '1.00',
+      total_size_bytes: 1073741824,
+      download_links: [{ provider: 'MEGA', url: 'https://mega.nz/file/old' }],
+      extracted_date: '2024-01-01T00:00:00.000Z',
+      status: 'Ongoing'
+    }]]);
+
+    const update = {
+      version: 'v0.8',
+      total_size_gb: '1.50',
+      total_size_bytes: 1610612736,
+      download_links: [{ provider: 'MEGA', url: 'https://mega.nz/file/new' }]
+    };
+    await service.updateGameData(await service.getGame(1), update);
+
+    const history = service.sheets.rows('History');
+    if (history[0].join('|') !== HISTORY_HEADERS.join('|') || history.length !== 2) {
+      throw new Error(`Expected a History sheet with one row, got ${JSON.stringify(history)}`);
+    }
+    const stored = Object.fromEntries(HISTORY_HEADERS.map((header, index) => [header, history[1][index]]));
+    if (stored['Game ID'] !== '4242' || stored['Game Number'] !== '1' || !stored['Recorded At'] ||
+        stored.Version !== 'v0.7' || !stored['Download Links'].includes('file/old')) {
+      throw new Error(`History row should hold the replaced row: ${JSON.stringify(stored)}`);
+    }
+
+    // Scraping the same data again only changes the extraction date
+    await service.updateGameData(await service.getGame(1), update);
+    if (service.sheets.rows('History').length !== 2) {
+      throw new Error('Unchanged rewrites should not add history');
+    }
+
+    const { game_id: gameId, timeline } = await service.getGameHistory(1);
+    if (gameId !== '4242' || timeline.length !== 2 ||
+        timeline[0].version !== 'v0.7' || timeline[0].total_size_bytes !== 1073741824 || !timeline[0].replaced_at ||
+        timeline[1].version !== 'v0.8' || timeline[1].replaced_at !== null || timeline[1].download_links[0].url !== 'https://mega.nz/file/new') {
+      throw new Error(`Unexpected timeline: ${JSON.stringify(timeline)}`);
+    }
+
+    console.log('     ✅ Replaced rows kept in the History sheet');
+    return {
+      name: 'Version History',
+      status: 'passed',
+      message: 'Previous rows appended by game ID, timeline oldest first'
+    };
+  } catch (error) {
+    console.log(`     ❌ Version history failed: ${error.message}`);
+    return {
+      name: 'Version History',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testStableIds() {
+  try {
+    console.log('   🪪 Testing stable game IDs and deletes...');
+
+    const thread = id => `https://f95zone.to/threads/game-${id}.${id}/`;
+    const service = createServiceWithGames([
+      [1, { game_name: 'First', version: '1', original_url: thread(101) }],
+      [2, { game_name: 'Second', version: '1', original_url: thread(202) }],
+      [3, { game_name: 'Third', version: '1', original_url: thread(303) }]
+    ]);
+
+    const result = await service.deleteGame(2);
+    const rows = service.sheets.rows('Games');
+    const idColumn = SHEET_HEADERS.indexOf('Game ID');
+    if (result.gameId !== '202' || rows.length !== 3 || rows[1][0] !== '1' || rows[2][0] !== '3' ||
+        rows.map(row => row[idColumn]).slice(1).join(',') !== '101,303') {
+      throw new Error(`Only the deleted row should change: ${JSON.stringify(rows.map(row => [row[0], row[idColumn]]))}`);
+    }
+    if (service.sheets.calls.some(([type, range]) => (type === 'clear' || type === 'update') && range.startsWith('Games'))) {
+      throw new Error('Deletes should not rewrite the sheet');
+    }
+
+    const gameNumber = await service.addGameData({ game_name: 'Fourth', version: '1', original_url: thread(404) });
+    const added = await service.getGame(gameNumber);
+    if (gameNumber !== 4 || added.game_id !== '404') {
+      throw new Error(`New games should take the next number and their thread ID, got #${gameNumber} ${added.game_id}`);
+    }
+
+    // Writes running at the same time each find their own row, not one shifted by another delete
+    const busy = createServiceWithGames([1, 2, 3, 4, 5].map(n => [n, { game_name: `Game ${n}`, version: '1', original_url: thread(n * 111) }]));
+    await Promise.all([busy.deleteGame(2), busy.deleteGame(4), busy.setTracked(5, false)]);
+    const left = busy.sheets.rows('Games').slice(1);
+    const trashed = busy.sheets.rows('Trash').slice(1).map(row => row[3]).sort();
+    if (left.map(row => row[idColumn]).join(',') !== '111,333,555' || trashed.join(',') !== '2,4' ||
+        (await busy.getGame(5)).tracked !== 'No') {
+      throw new Error(`Concurrent deletes hit the wrong rows: ${JSON.stringify(left.map(row => [row[0], row[idColumn]]))}, trash ${trashed}`);
+    }
+
+    // No number is guessed when the trash can't be read: the add fails instead
+    const flaky = createServiceWithGames([[1, { game_name: 'First', version: '1', original_url: thread(101) }]]);
+    const get = flaky.sheets.spreadsheets.values.get;
+    flaky.sheets.spreadsheets.values.get = async request => {
+      if (request.range.startsWith('Trash!D')) {
+        throw Object.assign(new Error('Quota exceeded'), { code: 429 });
+      }
+      return get(request);
+    };
+    let quotaError = null;
+    try {
+      await flaky.addGameData({ game_name: 'Second', version: '1', original_url: thread(202) });
+    } catch (error) {
+      quotaError = error;
+    }
+    if (!quotaError || quotaError.code !== 'RATE_LIMITED' || flaky.sheets.rows('Games').length !== 2) {
+      throw new Error(`A failed number lookup should fail the add: ${quotaError && quotaError.message}`);
+    }
+
+    // Routes take a Game ID where they take a game number
+    if ((await service.resolveGameNumber('id:303')) !== 3 || (await service.resolveGameNumber('3')) !== 3 ||
+        (await service.resolveGameNumber('id:')) !== null) {
+      throw new Error('Game IDs should resolve to game numbers');
+    }
+    let unknown = null;
+    try {
+      await service.resolveGameNumber('id:999');
+    } catch (error) {
+      unknown = error;
+    }
+    if (!unknown || unknown.code !== 'NOT_FOUND') {
+      throw new Error('Unknown Game IDs should be not found');
+    }
+
+    // Another URL form of the same thread is the same game
+    const match = await service.checkGameExists('https://f95zone.to/threads/303/', 'Renamed');
+    if (!match || match.game_number !== '3' || match.matchType !== 'id') {
+      throw new Error('Games should be matched by thread ID');
+    }
+
+    // Sheets from before the column existed get IDs when the header is added
+    const legacy = new GoogleSheetsService();
+    legacy.spreadsheetId = 'test-sheet';
+    legacy.sheetName = 'Games';
+    const oldHeaders = SHEET_HEADERS.slice(0, idColumn);
+    legacy.sheets = createFakeSheetsApi({
+      Games: [oldHeaders, legacy.buildRow(1, { game_name: 'Old', original_url: thread(505) }).slice(0, idColumn)]
+    });
+    await legacy.ensureHeaders();
+    const migrated = legacy.sheets.rows('Games');
+    if (migrated[0][idColumn] !== 'Game ID' || migrated[1][idColumn] !== '505') {
+      throw new Error(`Existing rows should get their IDs: ${JSON.stringify(migrated)}`);
+    }
+
+    console.log('     ✅ IDs kept across deletes');
+    return {
+      name: 'Stable Game IDs',
+      status: 'passed',
+      message: 'Thread IDs stored, deletes remove one row'
+    };
+  } catch (error) {
+    console.log(`     ❌ Stable game IDs failed: ${error.message}`);
+    return {
+      name: 'Stable Game IDs',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testTrash() {
+  try {
+    console.log('   🗑️ Testing trash and restore...');
+
+    const thread = id => `https://f95zone.to/threads/game-${id}.${id}/`;
+    const service = createServiceWithGames([
+      [1, { game_name: 'First', version: '1', original_url: thread(101) }],
+      [2, { game_name: 'Second', version: '2', original_url: thread(202) }]
+    ]);
+
+    const { trashId } = await service.deleteGame(2, { reason: 'duplicate' });
+    const trash = service.sheets.rows('Trash');
+    if (trash[0].join('|') !== TRASH_HEADERS.join('|') || trash.length !== 2 ||
+        trash[1][0] !== trashId || trash[1][2] !== 'duplicate' || trash[1][3] !== '2' ||
+        service.sheets.rows('Games').length !== 2) {
+      throw new Error(`Deleted row should move to the Trash sheet: ${JSON.stringify(trash)}`);
+    }
+
+    const [item] = await service.listTrash();
+    if (item.trash_id !== trashId || item.game.game_name !== 'Second' || item.game.game_id !== '202') {
+      throw new Error(`Unexpected trash listing: ${JSON.stringify(item)}`);
+    }
+
+    // The old number is still free, so the game gets it back
+    const restored = await service.restoreFromTrash(trashId);
+    const game = await service.getGame(2);
+    if (restored.gameNumber !== 2 || game.game_id !== '202' || game.version !== '2' ||
+        service.sheets.rows('Trash').length !== 1) {
+      throw new Error(`Game should be back as #2: ${JSON.stringify(restored)}`);
+    }
+
+    // Re-added after the delete: restoring would duplicate it
+    const { trashId: secondId } = await service.deleteGame(2);
+    if ((await service.addGameData({ game_name: 'Second', version: '3', original_url: thread(202) })) !== 3) {
+      throw new Error('Numbers of games in the trash should not be given out again');
+    }
+    let conflict = null;
+    try {
+      await service.restoreFromTrash(secondId);
+    } catch (error) {
+      conflict = error;
+    }
+    if (!conflict || conflict.code !== 'CONFLICT') {
+      throw new Error('Restoring a game that is in the sheet again should be a conflict');
+    }
+    let missing = null;
+    try {
+      await service.restoreFromTrash('no-such-id');
+    } catch (error) {
+      missing = error;
+    }
+    if (!missing || missing.code !== 'NOT_FOUND') {
+      throw new Error('Unknown trash IDs should be not found');
+    }
+
+    // Number reused by hand in the meantime: restored under the next free one
+    const { trashId: thirdId } = await service.deleteGame(1);
+    service.sheets.tabs.get('Games').rows.push(service.buildRow(1, { game_name: 'Other', version: '1', original_url: thread(303) }));
+    const renumbered = await service.restoreFromTrash(thirdId);
+    if (renumbered.gameNumber !== 4) {
+      throw new Error(`Expected the next free number, got #${renumbered.gameNumber}`);
+    }
+
+    // Only entries older than the retention period are purged
+    const rows = service.sheets.tabs.get('Trash').rows;
+    rows[1][1] = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+    await service.deleteGame(3);
+    const tasks = [];
+    const purger = new TrashPurger({
+      sheetsService: service,
+      schedule: '0 4 * * *',
+      retentionDays: 30,
+      scheduler: { validate: () => true, schedule: (expression, callback) => { tasks.push(callback); return { stop() {} }; } }
+    });
+    if (!purger.start() || new TrashPurger({ sheetsService: service, retentionDays: 0 }).start()) {
+      throw new Error('Purging should be scheduled unless retention is 0');
+    }
+    const purged = await purger.purge();
+    if (purged.purged !== 1 || service.sheets.rows('Trash').length !== 2 || purger.getStatus().last_run.purged !== 1) {
+      throw new Error(`Expected one expired entry purged, got ${JSON.stringify(purged)}`);
+    }
+
+    // Purging the highest number does not free it either
+    await service.deleteGame(4);
+    service.sheets.tabs.get('Trash').rows.slice(1).forEach(row => { row[1] = new Date(0).toISOString(); });
+    await service.purgeTrash({ olderThanDays: 30 });
+    const meta = service.sheets.rows('Meta');
+    if (meta[1].join('|') !== 'Last Game Number|4' ||
+        (await service.addGameData({ game_name: 'Fifth', version: '1', original_url: thread(505) })) !== 5) {
+      throw new Error(`Purged numbers should not be given out again: ${JSON.stringify(meta)}`);
+    }
+
+    // A purge running next to a restore removes only the expired rows
+    const busy = createServiceWithGames([1, 2, 3].map(n => [n, { game_name: `Game ${n}`, version: '1', original_url: thread(n * 111) }]));
+    await busy.deleteGame(1);
+    const { trashId: keptId } = await busy.deleteGame(2);
+    await busy.deleteGame(3);
+    busy.sheets.tabs.get('Trash').rows.slice(1)
+      .filter(row => row[0] !== keptId)
+      .forEach(row => { row[1] = new Date(0).toISOString(); });
+    const [overlapping] = await Promise.all([busy.purgeTrash({ olderThanDays: 30 }), busy.restoreFromTrash(keptId)]);
+    if (overlapping.purged !== 2 || busy.sheets.rows('Trash').length !== 1 ||
+        busy.sheets.rows('Games').slice(1).map(row => row[0]).join(',') !== '2') {
+      throw new Error(`Purge and restore hit the wrong rows: ${JSON.stringify(busy.sheets.rows('Trash').map(row => row[3]))}`);
+    }
+
+    console.log('     ✅ Deleted games kept in the trash and restored');
+    return {
+      name: 'Trash',
+      status: 'passed',
+      message: 'Deletes moved to Trash, restore and purge by age'
+    };
+  } catch (error) {
+    console.log(`     ❌ Trash failed: ${error.message}`);
+    return {
+      name: 'Trash',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
 function updateSuiteStats(suite, status) {
   if (status === 'passed') suite.passed++;
   else if (status === 'failed') suite.failed++;
@@ -0,0 +1,210 @@
+/**
+ * Ingest Test Suite
+ * Tests for HTML captured in the user's browser and posted to /api/ingest-html
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ScraperService } from '../src/services/scraperService.js';
+import { SnapshotStore } from '../src/services/snapshotStore.js';
+import { DEFAULT_INGEST_MAX_BYTES, getIngestBodyLimit, getIngestConfig, isAllowedIngestOrigin } from '../src/utils/ingest.js';
+import { getErrorStatus } from '../src/utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const THREAD_URL = 'https://f95zone.to/threads/summer-nights.3000001/';
+
+export default async function runIngestTests() {
+  const suite = {
+    name: 'Ingest',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'f95-ingest-'));
+
+  try {
+    // Test 1: Size limit and origin rules
+    const configTest = testConfig();
+    suite.tests.push(configTest);
+    updateSuiteStats(suite, configTest.status);
+
+    // Test 2: Page data from submitted HTML
+    const ingestTest = await testIngestPage(tempDir);
+    suite.tests.push(ingestTest);
+    updateSuiteStats(suite, ingestTest.status);
+
+    // Test 3: Pages that must not reach the AI
+    const rejectTest = await testRejectedPages();
+    suite.tests.push(rejectTest);
+    updateSuiteStats(suite, rejectTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ Ingest test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return suite;
+}
+
+function testConfig() {
+  try {
+    console.log('   🛂 Testing ingest limits and origins...');
+
+    const defaults = getIngestConfig({});
+    if (defaults.maxBytes !== DEFAULT_INGEST_MAX_BYTES || defaults.token !== null ||
+        defaults.allowedOrigins.join(',') !== 'https://f95zone.to') {
+      throw new Error(`Unexpected defaults: ${JSON.stringify(defaults)}`);
+    }
+
+    const config = getIngestConfig({
+      INGEST_MAX_HTML_BYTES: '1000',
+      INGEST_ALLOWED_ORIGINS: 'https://mirror.example/, https://f95zone.to',
+      INGEST_TOKEN: 'secret'
+    });
+    if (config.maxBytes !== 1000 || config.token !== 'secret' || config.allowedOrigins.length !== 2 ||
+        !config.allowedOrigins.includes('https://mirror.example')) {
+      throw new Error(`Environment not applied: ${JSON.stringify(config)}`);
+    }
+    if (getIngestConfig({ INGEST_MAX_HTML_BYTES: 'lots' }).maxBytes !== DEFAULT_INGEST_MAX_BYTES) {
+      throw new Error('Invalid limits should fall back to the default');
+    }
+
+    // The body limit follows INGEST_MAX_HTML_BYTES, with room for a page full of escaped quotes
+    const quoted = JSON.stringify({ url: 'https://f95zone.to/threads/a.1/', html: '"'.repeat(1000), sessionId: 'x' });
+    if (Buffer.byteLength(quoted) > getIngestBodyLimit(config) || getIngestBodyLimit(defaults) >= 50 * 1024 * 1024) {
+      throw new Error(`Unexpected body limit ${getIngestBodyLimit(config)}`);
+    }
+
+    const options = { ...config, selfOrigin: 'http://localhost:3000' };
+    const cases = [
+      ['https://f95zone.to', true],
+      ['https://mirror.example', true],
+      ['http://localhost:3000', true],
+      [undefined, true],
+      ['https://evil.example', false],
+      ['https://f95zone.to.evil.example', false],
+      ['null', false]
+    ];
+    for (const [origin, expected] of cases) {
+      if (isAllowedIngestOrigin(origin, options) !== expected) {
+        throw new Error(`Origin ${origin} should be ${expected ? 'allowed' : 'rejected'}`);
+      }
+    }
+
+    console.log('     ✅ Limits and origins applied');
+    return {
+      name: 'Ingest Config',
+      status: 'passed',
+      message: 'Defaults, environment overrides and origin checks'
+    };
+  } catch (error) {
+    console.log(`     ❌ Ingest config failed: ${error.message}`);
+    return {
+      name: 'Ingest Config',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testIngestPage(dir) {
+  try {
+    console.log('   📥 Testing page data from submitted HTML...');
+
+    const html = await fs.readFile(path.join(__dirname, 'fixtures', 'threads', 'renpy-completed.html'), 'utf8');
+    const service = new ScraperService();
+    service.snapshotStore = new SnapshotStore({ dir, enabled: true });
+    const resolved = [];
+    service.resolveMaskedLinks = async links => {
+      resolved.push(...links.filter(link => link.href.includes('/masked/')));
+      return links;
+    };
+
+    const pageData = await service.ingestPageHtml(THREAD_URL, html);
+    if (pageData.fetch_mode !== 'ingest' || !pageData.title.startsWith('Summer Nights') || !pageData.content) {
+      throw new Error(`Unexpected page data: ${JSON.stringify({ title: pageData.title, fetch_mode: pageData.fetch_mode })}`);
+    }
+    if (!pageData.content.includes('Version: 1.0.2') || pageData.links.length === 0) {
+      throw new Error('Post content and links should be extracted');
+    }
+    if (resolved.length === 0) {
+      throw new Error('Masked links should be resolved');
+    }
+
+    const [record] = await service.snapshotStore.list();
+    if (!record || pageData.snapshot_id !== `3000001/${record.id}` || record.fetch_mode !== 'ingest') {
+      throw new Error('Ingested pages should be archived like scraped ones');
+    }
+
+    console.log('     ✅ Submitted page parsed and archived');
+    return {
+      name: 'Ingest Page',
+      status: 'passed',
+      message: 'Same pageData as a fetch, fetch_mode ingest, snapshot saved'
+    };
+  } catch (error) {
+    console.log(`     ❌ Ingest page failed: ${error.message}`);
+    return {
+      name: 'Ingest Page',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testRejectedPages() {
+  try {
+    console.log('   🚫 Testing rejected submissions...');
+
+    const service = new ScraperService();
+    service.resolveMaskedLinks = async links => links;
+    const thread = '<html><head><title>Game</title><link rel="canonical" href="https://f95zone.to/threads/other-game.42/" /></head>' +
+      '<body><article class="message-body"><div class="bbWrapper">Overview: text</div></article></body></html>';
+
+    const cases = [
+      ['challenge', '<html><head><title>Just a moment...</title></head><body><div id="challenge-running">Checking your browser before accessing f95zone.to.</div></body></html>', 'CLOUDFLARE_CHALLENGE'],
+      ['no post', '<html><head><title>Forum</title></head><body><p>Nothing here</p></body></html>', 'INVALID_REQUEST', 422],
+      ['other thread', thread, 'INVALID_REQUEST', 400]
+    ];
+    for (const [label, html, code, status] of cases) {
+      try {
+        await service.ingestPageHtml(THREAD_URL, html);
+        throw new Error(`${label} page should be rejected`);
+      } catch (error) {
+        if (error.code !== code || (status && getErrorStatus(error) !== status)) {
+          throw new Error(`${label}: expected ${code}, got ${error.code} (${error.message})`);
+        }
+      }
+    }
+
+    console.log('     ✅ Challenge, empty and mismatched pages rejected');
+    return {
+      name: 'Rejected Pages',
+      status: 'passed',
+      message: 'Block pages, pages without a post and canonical mismatches'
+    };
+  } catch (error) {
+    console.log(`     ❌ Rejected pages failed: ${error.message}`);
+    return {
+      name: 'Rejected Pages',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -0,0 +1,373 @@
+/**
+ * JobQueue Test Suite
+ * Tests for batch scrape jobs: concurrency, per-URL results, retries and restarts
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobQueue } from '../src/services/jobQueue.js';
+import { NotFoundError, RateLimitedError } from '../src/utils/errors.js';
+
+// Resolves once check() holds, polling on the event loop
+async function waitFor(check, timeout = 2000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for the queue');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// A runner whose calls finish only when the test releases them
+function createControlledRunner() {
+  const runner = {
+    calls: [],
+    inFlight: 0,
+    maxInFlight: 0,
+    run: (url, options) => new Promise((resolve, reject) => {
+      runner.inFlight++;
+      runner.maxInFlight = Math.max(runner.maxInFlight, runner.inFlight);
+      runner.calls.push({
+        url,
+        options,
+        resolve: value => { runner.inFlight--; resolve(value); },
+        reject: error => { runner.inFlight--; reject(error); }
+      });
+    })
+  };
+  return runner;
+}
+
+export default async function runJobQueueTests() {
+  const suite = {
+    name: 'JobQueue',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'f95-jobs-'));
+
+  try {
+    // Test 1: Concurrency and order
+    const concurrencyTest = await testConcurrency();
+    suite.tests.push(concurrencyTest);
+    updateSuiteStats(suite, concurrencyTest.status);
+
+    // Test 2: Per-URL results and errors
+    const resultsTest = await testResults();
+    suite.tests.push(resultsTest);
+    updateSuiteStats(suite, resultsTest.status);
+
+    // Test 3: Cancellation and history
+    const cancelTest = await testCancelAndHistory();
+    suite.tests.push(cancelTest);
+    updateSuiteStats(suite, cancelTest.status);
+
+    // Test 4: Backoff and dead letters
+    const retryTest = await testRetriesAndDeadLetters();
+    suite.tests.push(retryTest);
+    updateSuiteStats(suite, retryTest.status);
+
+    // Test 5: Restart recovery
+    const restartTest = await testRestart(path.join(tempDir, 'jobs.json'));
+    suite.tests.push(restartTest);
+    updateSuiteStats(suite, restartTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ JobQueue test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return suite;
+}
+
+async function testConcurrency() {
+  try {
+    console.log('   🚦 Testing job concurrency...');
+
+    const runner = createControlledRunner();
+    const queue = new JobQueue({ runner: runner.run, filePath: null, concurrency: 2 });
+    const first = queue.create(['a', 'b', 'c'], { mode: 'http' });
+    const second = queue.create(['d']);
+
+    await waitFor(() => runner.calls.length === 2);
+    if (runner.maxInFlight !== 2 || queue.getJob(first.id).status !== 'running' || queue.getJob(second.id).status !== 'queued') {
+      throw new Error('Only two URLs should start');
+    }
+
+    while (runner.calls.some(call => !call.done)) {
+      const call = runner.calls.find(entry => !entry.done);
+      call.done = true;
+      call.resolve({ url: call.url });
+      await waitFor(() => runner.calls.length === Math.min(4, runner.calls.filter(entry => entry.done).length + 2));
+    }
+
+    if (runner.calls.map(call => call.url).join('') !== 'abcd' || runner.maxInFlight !== 2) {
+      throw new Error(`URLs should run in order two at a time, got ${runner.calls.map(call => call.url).join('')}`);
+    }
+    if (runner.calls[0].options.mode !== 'http') {
+      throw new Error('Job options should reach the runner');
+    }
+    await waitFor(() => queue.getJob(second.id).status === 'completed');
+
+    console.log('     ✅ Concurrency limit respected across jobs');
+    return {
+      name: 'Concurrency',
+      status: 'passed',
+      message: 'Shared FIFO queue, at most JOB_CONCURRENCY URLs at once'
+    };
+  } catch (error) {
+    console.log(`     ❌ Concurrency failed: ${error.message}`);
+    return {
+      name: 'Concurrency',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testResults() {
+  try {
+    console.log('   📋 Testing per-URL results...');
+
+    const queue = new JobQueue({
+      filePath: null,
+      concurrency: 3,
+      runner: async url => {
+        if (url.includes('bad')) throw new NotFoundError('Thread not found');
+        return { game_number: 7, url };
+      }
+    });
+    const { id } = queue.create(['https://f95zone.to/threads/good.1/', 'https://f95zone.to/threads/bad.2/']);
+    await waitFor(() => queue.getJob(id).finished_at);
+
+    const job = queue.getJob(id);
+    const [good, bad] = job.items;
+    if (job.status !== 'completed' || job.counts.succeeded !== 1 || job.counts.failed !== 1 || job.total !== 2) {
+      throw new Error(`Unexpected job: ${JSON.stringify(job)}`);
+    }
+    if (good.result.game_number !== 7 || good.error || !good.finished_at) {
+      throw new Error('Successful URLs should keep the runner result');
+    }
+    if (bad.status !== 'failed' || bad.code !== 'NOT_FOUND' || bad.error !== 'Thread not found' || bad.attempts !== 1) {
+      throw new Error('Permanent failures should keep the error and its code without retrying');
+    }
+
+    try {
+      queue.getJob('missing');
+      throw new Error('Unknown jobs should not be found');
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') throw error;
+    }
+
+    console.log('     ✅ Results and errors recorded per URL');
+    return {
+      name: 'Results',
+      status: 'passed',
+      message: 'Results, error messages and codes per URL'
+    };
+  } catch (error) {
+    console.log(`     ❌ Results failed: ${error.message}`);
+    return {
+      name: 'Results',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testCancelAndHistory() {
+  try {
+    console.log('   🛑 Testing cancellation and job history...');
+
+    const runner = createControlledRunner();
+    const queue = new JobQueue({ runner: runner.run, filePath: null, concurrency: 1, historyLimit: 1 });
+    const { id } = queue.create(['a', 'b', 'c']);
+    await waitFor(() => runner.calls.length === 1);
+
+    const cancelled = queue.cancel(id);
+    if (cancelled.counts.cancelled !== 2 || cancelled.counts.running !== 1 || cancelled.finished_at) {
+      throw new Error('Queued URLs should be cancelled and the running one left alone');
+    }
+
+    runner.calls[0].resolve({});
+    await waitFor(() => queue.getJob(id).finished_at);
+    if (queue.getJob(id).status !== 'cancelled' || runner.calls.length !== 1) {
+      throw new Error('Cancelled URLs should not run');
+    }
+
+    const next = queue.create(['d']);
+    await waitFor(() => runner.calls.length === 2);
+    runner.calls[1].resolve({});
+    await waitFor(() => queue.getJob(next.id).finished_at);
+    queue.create(['e']);
+    await waitFor(() => runner.calls.length === 3);
+
+    const listed = queue.listJobs();
+    if (listed.some(job => job.id === id) || listed[0].items || listed.length !== 2) {
+      throw new Error(`Only the newest finished job should be kept, got ${listed.length}`);
+    }
+    runner.calls[2].resolve({});
+
+    console.log('     ✅ Cancellation and history applied');
+    return {
+      name: 'Cancel and History',
+      status: 'passed',
+      message: 'Queued URLs cancelled, old jobs dropped'
+    };
+  } catch (error) {
+    console.log(`     ❌ Cancel and history failed: ${error.message}`);
+    return {
+      name: 'Cancel and History',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testRetriesAndDeadLetters() {
+  try {
+    console.log('   🔁 Testing retries and the dead-letter list...');
+
+    let healthy = false;
+    const attempts = {};
+    const queue = new JobQueue({
+      filePath: null,
+      concurrency: 2,
+      maxAttempts: 3,
+      retryDelay: 5,
+      runner: async url => {
+        attempts[url] = (attempts[url] || 0) + 1;
+        if (url === 'flaky' && attempts[url] === 1) throw new RateLimitedError('Slow down');
+        if (url === 'down' && !healthy) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+        return { url };
+      }
+    });
+
+    const { id } = queue.create(['flaky', 'down']);
+    await waitFor(() => queue.getJob(id).finished_at);
+
+    const [flaky, down] = queue.getJob(id).items;
+    if (flaky.status !== 'succeeded' || flaky.attempts !== 2) {
+      throw new Error(`A retryable failure should be retried, got ${flaky.status} after ${flaky.attempts}`);
+    }
+    if (down.status !== 'dead' || down.attempts !== 3 || down.code !== 'INTERNAL_ERROR' || down.error !== 'socket hang up') {
+      throw new Error(`An item out of attempts should be dead, got ${JSON.stringify(down)}`);
+    }
+
+    const [letter] = queue.listDeadLetters();
+    if (queue.listDeadLetters().length !== 1 || letter.job_id !== id || letter.index !== 1 || letter.reason !== 'Failed 3 times') {
+      throw new Error(`Unexpected dead letters: ${JSON.stringify(queue.listDeadLetters())}`);
+    }
+
+    try {
+      queue.requeueDeadLetters([{ jobId: id, index: 0 }]);
+      throw new Error('Only dead items can be requeued');
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') throw error;
+    }
+
+    healthy = true;
+    const requeued = queue.requeueDeadLetters([{ jobId: id, index: 1 }]);
+    if (requeued.length !== 1 || queue.getJob(id).finished_at) {
+      throw new Error('Requeueing should reopen the job');
+    }
+    await waitFor(() => queue.getJob(id).finished_at);
+    if (queue.getJob(id).items[1].status !== 'succeeded' || queue.listDeadLetters().length !== 0) {
+      throw new Error('Requeued item should run again with fresh attempts');
+    }
+
+    healthy = false;
+    const other = queue.create(['down']);
+    await waitFor(() => queue.getJob(other.id).finished_at);
+    if (queue.discardDeadLetters().length !== 1 || queue.getJob(other.id).items[0].status !== 'failed') {
+      throw new Error('Discarded dead letters should stay in the job as failed');
+    }
+
+    console.log('     ✅ Retries backed off, dead letters requeued');
+    return {
+      name: 'Retries and Dead Letters',
+      status: 'passed',
+      message: 'Retryable errors retried, exhausted items dead, requeue and discard'
+    };
+  } catch (error) {
+    console.log(`     ❌ Retries and dead letters failed: ${error.message}`);
+    return {
+      name: 'Retries and Dead Letters',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testRestart(filePath) {
+  try {
+    console.log('   💾 Testing recovery after a restart...');
+
+    // A process that dies while "a" is running
+    const crashed = createControlledRunner();
+    const first = new JobQueue({ runner: crashed.run, filePath, concurrency: 1, maxAttempts: 2 });
+    const { id } = first.create(['a', 'b']);
+    await waitFor(() => crashed.calls.length === 1);
+    await first.persist();
+
+    const runner = createControlledRunner();
+    const second = new JobQueue({ runner: runner.run, filePath, concurrency: 1, maxAttempts: 2 });
+    await second.load();
+    await waitFor(() => runner.calls.length === 1);
+    if (runner.calls[0].url !== 'a' || second.getJob(id).items[0].attempts !== 2) {
+      throw new Error('The interrupted item should resume first and count the lost attempt');
+    }
+
+    // It kills the process again: out of attempts, so it is not run a third time
+    await second.persist();
+    const third = new JobQueue({ runner: runner.run, filePath, concurrency: 1, maxAttempts: 2 });
+    await third.load();
+    const [a] = third.getJob(id).items;
+    if (a.status !== 'dead' || a.dead_reason !== 'Interrupted 2 times') {
+      throw new Error(`A crash-looping item should be dead, got ${JSON.stringify(a)}`);
+    }
+    await waitFor(() => runner.calls.length === 2);
+    if (runner.calls[1].url !== 'b') {
+      throw new Error('The rest of the job should continue');
+    }
+
+    // A normal shutdown gives the running item its attempt back
+    await third.shutdown();
+    const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const b = saved.jobs[0].items[1];
+    if (b.status !== 'queued' || b.attempts !== 0) {
+      throw new Error(`Shutdown should requeue running items, got ${JSON.stringify(b)}`);
+    }
+
+    console.log('     ✅ Jobs restored and crash loops stopped');
+    return {
+      name: 'Restart Recovery',
+      status: 'passed',
+      message: 'Interrupted items resumed, crash loops dead-lettered'
+    };
+  } catch (error) {
+    console.log(`     ❌ Restart recovery failed: ${error.message}`);
+    return {
+      name: 'Restart Recovery',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -0,0 +1,333 @@
+/**
+ * LinkHealth Test Suite
+ * Tests for the dead-link checker against a local fixture server
+ */
+import http from 'http';
+import { GameStore } from '../src/services/gameStore.js';
+import { LinkHealthService, summarizeLinks } from '../src/services/linkHealthService.js';
+import { createDefaultSizeResolvers } from '../src/services/sizeResolvers.js';
+import { mapWithConcurrency } from '../src/utils/concurrency.js';
+
+export default async function runLinkHealthTests() {
+  const suite = {
+    name: 'LinkHealth',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  let fixture = null;
+
+  try {
+    fixture = await startFixtureServer();
+
+    // Test 1: Concurrency bound and link summaries
+    const concurrencyTest = await testConcurrencyAndSummary();
+    suite.tests.push(concurrencyTest);
+    updateSuiteStats(suite, concurrencyTest.status);
+
+    // Test 2: Host API checks
+    const apiTest = await testHostApiChecks(fixture);
+    suite.tests.push(apiTest);
+    updateSuiteStats(suite, apiTest.status);
+
+    // Test 3: Page signatures and HTTP statuses
+    const pageTest = await testPageChecks(fixture);
+    suite.tests.push(pageTest);
+    updateSuiteStats(suite, pageTest.status);
+
+    // Test 4: Bulk run records health on every game
+    const bulkTest = await testBulkRun(fixture);
+    suite.tests.push(bulkTest);
+    updateSuiteStats(suite, bulkTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ LinkHealth test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    if (fixture) {
+      await new Promise(resolve => fixture.server.close(resolve));
+    }
+  }
+
+  return suite;
+}
+
+function startFixtureServer() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, data, type = 'application/json') => {
+        res.writeHead(status, { 'Content-Type': type });
+        res.end(type === 'application/json' ? JSON.stringify(data) : data);
+      };
+
+      // Host APIs
+      if (req.method === 'POST' && url.pathname === '/cs') {
+        const [command] = JSON.parse(body || '[]');
+        return send(200, command.p === 'megaAlive' ? [{ s: 1000 }] : [-9]);
+      }
+      if (url.pathname === '/api/file/pixelAlive/info') return send(200, { size: 500 });
+      if (url.pathname.startsWith('/api/file/')) return send(404, { success: false, value: 'not_found' });
+      if (req.method === 'POST' && url.pathname === '/accounts') return send(200, { status: 'ok', data: { token: 't' } });
+      if (url.pathname === '/contents/goGone') return send(404, { status: 'error-notFound', data: {} });
+
+      // Plain host pages
+      if (url.pathname === '/ok') return send(200, '<html><body>Download game.zip</body></html>', 'text/html');
+      if (url.pathname === '/removed') return send(200, '<html><body><h1>File has been removed</h1></body></html>', 'text/html');
+      if (url.pathname === '/redirect') {
+        res.writeHead(302, { Location: '/error.php?errno=320' });
+        return res.end();
+      }
+      if (url.pathname === '/error.php') return send(200, '<html><body>Oops</body></html>', 'text/html');
+      if (url.pathname === '/gone') return send(410, 'Gone', 'text/plain');
+      if (url.pathname === '/busy') return send(503, 'Try later', 'text/plain');
+      if (url.pathname === '/file.bin') {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': '4096' });
+        return res.end(Buffer.alloc(4096));
+      }
+
+      send(404, 'Not found', 'text/plain');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function createService(fixture, options = {}) {
+  return new LinkHealthService({
+    sizeResolvers: createDefaultSizeResolvers({
+      mega: { apiBase: fixture.baseUrl },
+      gofile: { apiBase: fixture.baseUrl },
+      pixeldrain: { apiBase: fixture.baseUrl }
+    }),
+    // Treat the fixture server like a file host with a "removed" notice
+    rules: [{
+      name: 'Fixture Host',
+      hosts: ['127.0.0.1'],
+      signatures: [/file has been removed/i],
+      deadUrls: [/\/error\.php/i]
+    }],
+    concurrency: 2,
+    timeout: 5000,
+    ...options
+  });
+}
+
+async function testConcurrencyAndSummary() {
+  try {
+    console.log('   🚦 Testing bounded concurrency and summaries...');
+
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async value => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return value * 10;
+    });
+
+    if (maxInFlight !== 2 || results.join(',') !== '10,20,30,40,50,60') {
+      throw new Error(`Expected 2 in flight and ordered results, got ${maxInFlight} and ${results.join(',')}`);
+    }
+
+    const summary = summarizeLinks([
+      { url: 'a', health_status: 'dead', last_checked: '2024-01-01T00:00:00.000Z' },
+      { url: 'b', health_status: 'dead', last_checked: '2024-02-01T00:00:00.000Z' }
+    ]);
+    if (!summary.all_dead || summary.dead !== 2 || summary.last_checked !== '2024-02-01T00:00:00.000Z') {
+      throw new Error(`Unexpected summary: ${JSON.stringify(summary)}`);
+    }
+
+    const mixed = summarizeLinks([{ url: 'a', health_status: 'dead' }, { url: 'b' }]);
+    if (mixed.all_dead || mixed.unchecked !== 1 || summarizeLinks([]).all_dead) {
+      throw new Error('Games with unchecked or no links should not be flagged');
+    }
+
+    console.log('     ✅ Concurrency bounded and summaries correct');
+    return {
+      name: 'Concurrency And Summary',
+      status: 'passed',
+      message: 'Limit respected and dead games flagged'
+    };
+  } catch (error) {
+    console.log(`     ❌ Concurrency and summary failed: ${error.message}`);
+    return {
+      name: 'Concurrency And Summary',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testHostApiChecks(fixture) {
+  try {
+    console.log('   🔌 Testing host API checks...');
+
+    const service = createService(fixture);
+    const expectations = {
+      'https://mega.nz/file/megaAlive#key': 'alive',
+      'https://mega.nz/file/megaGone#key': 'dead',
+      'https://pixeldrain.com/u/pixelAlive': 'alive',
+      'https://pixeldrain.com/u/pixelGone': 'dead',
+      'https://gofile.io/d/goGone': 'dead',
+      'not-a-url': 'unknown'
+    };
+
+    for (const [url, expected] of Object.entries(expectations)) {
+      const result = await service.checkUrl(url);
+      if (result.status !== expected) {
+        throw new Error(`${url} should be ${expected}, got ${result.status} (${result.reason})`);
+      }
+    }
+
+    console.log('     ✅ Host API responses classified');
+    return {
+      name: 'Host API Checks',
+      status: 'passed',
+      message: 'MEGA, PixelDrain and GoFile takedowns detected'
+    };
+  } catch (error) {
+    console.log(`     ❌ Host API checks failed: ${error.message}`);
+    return {
+      name: 'Host API Checks',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testPageChecks(fixture) {
+  try {
+    console.log('   📄 Testing page signatures and statuses...');
+
+    const service = createService(fixture);
+    const expectations = {
+      '/ok': 'alive',
+      '/removed': 'dead',
+      '/redirect': 'dead',
+      '/gone': 'dead',
+      '/busy': 'unknown',
+      '/file.bin': 'alive'
+    };
+
+    for (const [path, expected] of Object.entries(expectations)) {
+      const result = await service.checkUrl(`${fixture.baseUrl}${path}`);
+      if (result.status !== expected) {
+        throw new Error(`${path} should be ${expected}, got ${result.status} (${result.reason})`);
+      }
+    }
+
+    console.log('     ✅ Removed-file pages detected');
+    return {
+      name: 'Page Checks',
+      status: 'passed',
+      message: 'Signatures, redirects and statuses classified'
+    };
+  } catch (error) {
+    console.log(`     ❌ Page checks failed: ${error.message}`);
+    return {
+      name: 'Page Checks',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testBulkRun(fixture) {
+  try {
+    console.log('   📋 Testing bulk link health run...');
+
+    // In-memory stand-in for GoogleSheetsService; GameStore brings getGame and saveLinkHealth
+    const sheetsService = Object.assign(new GameStore(), {
+      games: [
+        { game_number: '1', game_name: 'Dead Game', download_links: [
+          { provider: 'Fixture', url: `${fixture.baseUrl}/removed` },
+          { provider: 'Fixture', url: `${fixture.baseUrl}/gone` }
+        ] },
+        { game_number: '2', game_name: 'Live Game', download_links: [
+          { provider: 'Fixture', url: `${fixture.baseUrl}/ok` },
+          { provider: 'Fixture', url: `${fixture.baseUrl}/gone` }
+        ] },
+        { game_number: '3', game_name: 'No Links', download_links: [] }
+      ],
+      updates: {},
+      async getAllGames() { return structuredClone(this.games); },
+      async updateDownloadLinks(gameNumber, links) { this.updates[gameNumber] = links; }
+    });
+
+    const service = createService(fixture, { sheetsService });
+    service.startBulkCheck();
+
+    // A scrape replaces a link while the run is checking the old ones
+    sheetsService.games[1].download_links = [
+      { provider: 'Fixture', url: `${fixture.baseUrl}/ok` },
+      { provider: 'Fixture', url: `${fixture.baseUrl}/new` }
+    ];
+
+    try {
+      service.startBulkCheck();
+      throw new Error('Should not start a second run while one is running');
+    } catch (error) {
+      if (error.message.includes('Should not')) {
+        throw error;
+      }
+    }
+
+    const deadline = Date.now() + 10000;
+    while (service.getStatus().running && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    const run = service.getStatus().last;
+    // Counts are of the saved links, so game 2's replaced dead link is not one of them
+    if (!run || run.status !== 'completed' || run.games_checked !== 2 || run.dead_links !== 2) {
+      throw new Error(`Unexpected run result: ${JSON.stringify(run)}`);
+    }
+    if (run.all_dead_games.join(',') !== '1') {
+      throw new Error(`Expected game 1 flagged as all dead, got ${run.all_dead_games.join(',')}`);
+    }
+
+    const saved = sheetsService.updates['1'];
+    if (!saved || saved.some(link => link.health_status !== 'dead' || !link.last_checked || !link.provider)) {
+      throw new Error('Link health was not recorded on the stored links');
+    }
+    const rescraped = sheetsService.updates['2'];
+    if (!rescraped || rescraped.map(link => `${link.url.split('/').pop()}:${link.health_status || '-'}`).join(',') !== 'ok:alive,new:-') {
+      throw new Error(`Results should only go onto links that are still there: ${JSON.stringify(rescraped)}`);
+    }
+
+    console.log('     ✅ Bulk run recorded link health');
+    return {
+      name: 'Bulk Run',
+      status: 'passed',
+      message: 'Status and last-checked saved per link'
+    };
+  } catch (error) {
+    console.log(`     ❌ Bulk run failed: ${error.message}`);
+    return {
+      name: 'Bulk Run',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
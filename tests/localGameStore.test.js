@@ -0,0 +1,382 @@
+/**
+ * LocalGameStore Test Suite
+ * Tests for the file-based storage backend: games, history, trash, backend selection and an
+ * offline scrape through the pipeline
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LocalGameStore } from '../src/services/localGameStore.js';
+import { GoogleSheetsService } from '../src/services/googleSheetsService.js';
+import { SHEET_HEADERS } from '../src/utils/gameSchema.js';
+import { GamePipeline } from '../src/services/gamePipeline.js';
+import { createGameStore } from '../src/services/storage.js';
+import { createFakeSheetsApi } from './fixtures/fakeSheetsApi.js';
+
+const thread = id => `https://f95zone.to/threads/game-${id}.${id}/`;
+
+function game(id, overrides = {}) {
+  return {
+    game_name: `Game ${id}`,
+    version: 'v0.1',
+    developer: 'Studio',
+    original_url: thread(id),
+    tags: ['3DCG', 'Sandbox'],
+    total_size_gb: '1.50',
+    total_size_bytes: 1610612736,
+    download_links: [{ provider: 'MEGA', url: `https://mega.nz/file/${id}` }],
+    extracted_date: '2024-01-01T00:00:00.000Z',
+    engine: "Ren'Py",
+    status: 'Ongoing',
+    ...overrides
+  };
+}
+
+export default async function runLocalGameStoreTests() {
+  const suite = {
+    name: 'LocalGameStore',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'f95-store-'));
+
+  try {
+    // Test 1: Games and lookups
+    const gamesTest = await testGames(path.join(tempDir, 'games.json'));
+    suite.tests.push(gamesTest);
+    updateSuiteStats(suite, gamesTest.status);
+
+    // Test 2: Updates and history
+    const historyTest = await testUpdatesAndHistory(path.join(tempDir, 'history.json'));
+    suite.tests.push(historyTest);
+    updateSuiteStats(suite, historyTest.status);
+
+    // Test 3: Trash
+    const trashTest = await testTrash(path.join(tempDir, 'trash.json'));
+    suite.tests.push(trashTest);
+    updateSuiteStats(suite, trashTest.status);
+
+    // Test 4: Backend selection
+    const backendTest = testBackendSelection(path.join(tempDir, 'backend.json'));
+    suite.tests.push(backendTest);
+    updateSuiteStats(suite, backendTest.status);
+
+    // Test 5: Offline scrape
+    const pipelineTest = await testOfflinePipeline(path.join(tempDir, 'pipeline.json'));
+    suite.tests.push(pipelineTest);
+    updateSuiteStats(suite, pipelineTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ LocalGameStore test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return suite;
+}
+
+async function testGames(file) {
+  try {
+    console.log('   💾 Testing games in the local store...');
+
+    const store = new LocalGameStore({ file });
+    const first = await store.addGameData(game(101));
+    const second = await store.addGameData(game(202, { engine: 'Unity', status: 'Completed' }));
+    if (first !== 1 || second !== 2) {
+      throw new Error(`Games should be numbered in order, got ${first}, ${second}`);
+    }
+
+    // Games read back exactly as the Sheets adapter returns them
+    const sheets = new GoogleSheetsService();
+    sheets.spreadsheetId = 'test-sheet';
+    sheets.sheetName = 'Games';
+    sheets.sheets = createFakeSheetsApi({ Games: [SHEET_HEADERS] });
+    await sheets.addGameData(game(101));
+    const [fromSheets] = await sheets.getAllGames();
+    const [fromFile] = await store.getAllGames();
+    if (JSON.stringify(fromFile) !== JSON.stringify(fromSheets)) {
+      throw new Error(`Records differ from Sheets rows:\n${JSON.stringify(fromFile)}\n${JSON.stringify(fromSheets)}`);
+    }
+
+    const unity = await store.getAllGames({ engine: 'unity' });
+    if (unity.length !== 1 || unity[0].game_number !== '2') {
+      throw new Error('Engine filter not applied');
+    }
+    const match = await store.checkGameExists('https://f95zone.to/threads/202/');
+    if (!match || match.game_number !== '2' || match.matchType !== 'id') {
+      throw new Error('Games should be matched by thread ID');
+    }
+
+    // Callers get copies; the store only changes through its methods
+    fromFile.game_name = 'Changed';
+    const reloaded = new LocalGameStore({ file });
+    const saved = await reloaded.getAllGames();
+    if (saved.length !== 2 || saved[0].game_name !== 'Game 101' || (await reloaded.getLastGameNumber()) !== 2) {
+      throw new Error(`Games not saved to the file: ${JSON.stringify(saved)}`);
+    }
+
+    // A change whose write fails is not kept; a failed add does not use up its number
+    const blocker = `${file}.blocker`;
+    await fs.writeFile(blocker, '');
+    reloaded.file = path.join(blocker, 'games.json'); // a file where the directory should be
+    for (const failing of [() => reloaded.addGameData(game(303)), () => reloaded.deleteGame(1), () => reloaded.setTracked(2, false)]) {
+      let writeError = null;
+      try {
+        await failing();
+      } catch (error) {
+        writeError = error;
+      }
+      if (!writeError) {
+        throw new Error('A failed write should fail the change');
+      }
+    }
+    const unchanged = await reloaded.getAllGames();
+    if (unchanged.length !== 2 || unchanged[1].tracked !== '' || (await reloaded.listTrash()).length !== 0) {
+      throw new Error(`Failed writes should leave the store as it was: ${JSON.stringify(unchanged)}`);
+    }
+    reloaded.file = file;
+    if ((await reloaded.addGameData(game(303))) !== 3) {
+      throw new Error('A failed add should not use up a number');
+    }
+
+    console.log('     ✅ Games saved and read back like Sheets rows');
+    return {
+      name: 'Games',
+      status: 'passed',
+      message: 'Numbering, filters, lookups and persistence'
+    };
+  } catch (error) {
+    console.log(`     ❌ Games failed: ${error.message}`);
+    return {
+      name: 'Games',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testUpdatesAndHistory(file) {
+  try {
+    console.log('   🕰️ Testing updates and history in the local store...');
+
+    const store = new LocalGameStore({ file });
+    const events = [];
+    store.on('gameChanged', change => events.push(change));
+
+    await store.addGameData(game(303));
+    await store.updateGameData(await store.getGame(1), { version: 'v0.2' });
+    await store.updateGameData(await store.getGame(1), { version: 'v0.2' }); // only the extraction date moves
+    await store.setTracked(1, false);
+    await store.updateThreadUpdated(1, '2024-03-10');
+
+    const current = await store.getGame(1);
+    if (current.version !== 'v0.2' || current.tracked !== 'No' || current.thread_updated !== '2024-03-10' || current.game_id !== '303') {
+      throw new Error(`Unexpected game after updates: ${JSON.stringify(current)}`);
+    }
+    if (events.length !== 1 || events[0].changes.join(',') !== 'version' || events[0].previous.version !== 'v0.1') {
+      throw new Error(`Expected one version change event, got ${JSON.stringify(events)}`);
+    }
+
+    const { game_id: gameId, timeline } = await store.getGameHistory(1);
+    if (gameId !== '303' || timeline.length !== 2 || timeline[0].version !== 'v0.1' || !timeline[0].replaced_at ||
+        timeline[1].version !== 'v0.2' || timeline[1].replaced_at !== null) {
+      throw new Error(`Unexpected timeline: ${JSON.stringify(timeline)}`);
+    }
+
+    let missing = null;
+    try {
+      await store.updateGameData({ game_number: '9' }, { version: 'v1' });
+    } catch (error) {
+      missing = error;
+    }
+    if (!missing || missing.code !== 'NOT_FOUND') {
+      throw new Error('Updating an unknown game should be not found');
+    }
+
+    console.log('     ✅ Replaced versions kept');
+    return {
+      name: 'Updates and History',
+      status: 'passed',
+      message: 'Merged updates, history entries and gameChanged events'
+    };
+  } catch (error) {
+    console.log(`     ❌ Updates and history failed: ${error.message}`);
+    return {
+      name: 'Updates and History',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testTrash(file) {
+  try {
+    console.log('   🗑️ Testing the trash in the local store...');
+
+    const store = new LocalGameStore({ file });
+    await store.addGameData(game(404));
+    await store.addGameData(game(505));
+
+    const { trashId } = await store.deleteGame(1, { reason: 'duplicate' });
+    const [item] = await store.listTrash();
+    if (item.trash_id !== trashId || item.reason !== 'duplicate' || item.game.game_id !== '404' ||
+        (await store.getAllGames()).length !== 1) {
+      throw new Error(`Deleted game should be in the trash: ${JSON.stringify(item)}`);
+    }
+
+    const restored = await store.restoreFromTrash(trashId);
+    if (restored.gameNumber !== 1 || (await store.getGame(1)).game_id !== '404' || (await store.listTrash()).length !== 0) {
+      throw new Error(`Game should be back as #1: ${JSON.stringify(restored)}`);
+    }
+
+    // The deleted game still holds #1, so the new copy gets the next number
+    const { trashId: againId } = await store.deleteGame(1);
+    if ((await store.addGameData(game(404))) !== 3) {
+      throw new Error('Numbers of games in the trash should not be given out again');
+    }
+    let conflict = null;
+    try {
+      await store.restoreFromTrash(againId);
+    } catch (error) {
+      conflict = error;
+    }
+    if (!conflict || conflict.code !== 'CONFLICT') {
+      throw new Error('Restoring a game that was added again should be a conflict');
+    }
+
+    const data = await store.load();
+    data.trash[0].deleted_at = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+    await store.deleteGame(2);
+    const purged = await store.purgeTrash({ olderThanDays: 30 });
+    const left = await new LocalGameStore({ file }).listTrash();
+    if (purged.purged !== 1 || purged.items[0].trash_id !== againId || left.length !== 1) {
+      throw new Error(`Expected one expired entry purged, got ${JSON.stringify(purged)}`);
+    }
+
+    // Purging the highest number does not free it either
+    await store.deleteGame(3);
+    data.trash.forEach(entry => { entry.deleted_at = new Date(0).toISOString(); });
+    await store.purgeTrash({ olderThanDays: 30 });
+    if ((await new LocalGameStore({ file }).addGameData(game(606))) !== 4) {
+      throw new Error('Purged numbers should not be given out again');
+    }
+
+    console.log('     ✅ Deleted games restored and purged');
+    return {
+      name: 'Trash',
+      status: 'passed',
+      message: 'Delete, restore, conflicts and purge by age'
+    };
+  } catch (error) {
+    console.log(`     ❌ Trash failed: ${error.message}`);
+    return {
+      name: 'Trash',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function testBackendSelection(file) {
+  try {
+    console.log('   🔀 Testing storage backend selection...');
+
+    const local = createGameStore({ backend: 'local', file });
+    if (!(local instanceof LocalGameStore) || local.backend !== 'local' || !local.isConfigured() || local.file !== file) {
+      throw new Error('STORAGE_BACKEND=local should create a local store');
+    }
+    const sheets = createGameStore({ backend: '' });
+    if (!(sheets instanceof GoogleSheetsService) || sheets.backend !== 'sheets') {
+      throw new Error('Sheets should be the default backend');
+    }
+
+    let threw = false;
+    try {
+      createGameStore({ backend: 'sqlite' });
+    } catch {
+      threw = true;
+    }
+    if (!threw) {
+      throw new Error('Unknown backends should be rejected');
+    }
+
+    console.log('     ✅ Backend chosen by STORAGE_BACKEND');
+    return {
+      name: 'Backend Selection',
+      status: 'passed',
+      message: 'sheets by default, local on request, others rejected'
+    };
+  } catch (error) {
+    console.log(`     ❌ Backend selection failed: ${error.message}`);
+    return {
+      name: 'Backend Selection',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testOfflinePipeline(file) {
+  try {
+    console.log('   🔌 Testing an offline scrape into the local store...');
+
+    const store = new LocalGameStore({ file });
+    const ai = {
+      extractGameData: async (pageData, url) => ({
+        game_name: 'Offline Game',
+        version: pageData.title.match(/\[(v[\d.]+)\]/)[1],
+        original_url: url,
+        tags: ['2DCG'],
+        download_links: [{ url: 'https://mega.nz/file/offline', platform: 'Windows' }]
+      })
+    };
+    const scraper = {
+      getDownloadSizes: async () => ({ total_size_gb: '0.50', total_size_bytes: 536870912, individual_sizes: [] })
+    };
+    const snapshotStore = { enabled: false };
+    const pipeline = new GamePipeline({ scraperService: scraper, aiService: ai, sheetsService: store, snapshotStore });
+
+    const url = thread(606);
+    const page = title => ({ title, url, content: title, html: '', links: [], images: [] });
+    const added = await pipeline.process(page('Offline Game [v0.1]'), url);
+    const updated = await pipeline.process(page('Offline Game [v0.2]'), url);
+
+    if (added.isUpdate || added.gameNumber !== 1 || !updated.isUpdate || updated.gameNumber !== '1' ||
+        updated.changes.version.after !== 'v0.2') {
+      throw new Error(`Unexpected results: ${JSON.stringify({ added, updated })}`);
+    }
+    const games = await new LocalGameStore({ file }).getAllGames();
+    if (games.length !== 1 || games[0].version !== 'v0.2' || games[0].total_size_gb !== '0.50') {
+      throw new Error(`Expected one updated game on disk, got ${JSON.stringify(games)}`);
+    }
+
+    console.log('     ✅ Scrapes saved without Google Sheets');
+    return {
+      name: 'Offline Pipeline',
+      status: 'passed',
+      message: 'New game added, rescrape updated in place'
+    };
+  } catch (error) {
+    console.log(`     ❌ Offline pipeline failed: ${error.message}`);
+    return {
+      name: 'Offline Pipeline',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
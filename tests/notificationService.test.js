@@ -0,0 +1,288 @@
+/**
+ * NotificationService Test Suite
+ * Tests for version change webhooks: target parsing, payload formats, retries and the delivery log
+ */
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import {
+  NotificationService,
+  buildWebhookPayload,
+  maskWebhookUrl,
+  parseWebhookTargets
+} from '../src/services/notificationService.js';
+import { GoogleSheetsService } from '../src/services/googleSheetsService.js';
+
+// Local webhook receiver. statuses[n] is the answer to the nth request (200 once they run out).
+async function startReceiver(statuses = []) {
+  const receiver = { requests: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ path: req.url, body: JSON.parse(body) });
+      res.statusCode = statuses[receiver.requests.length - 1] || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}`;
+  receiver.close = () => new Promise(resolve => receiver.server.close(resolve));
+  return receiver;
+}
+
+function change(overrides = {}) {
+  return {
+    game_number: 12,
+    game_name: 'Summer Nights',
+    original_url: 'https://f95zone.to/threads/summer-nights.12/',
+    cover_image: 'https://attachments.f95zone.to/cover.jpg',
+    previous: { version: 'v0.7', status: 'Ongoing' },
+    current: { version: 'v0.8', status: 'Ongoing' },
+    changes: ['version'],
+    changed_at: '2024-03-10T12:00:00.000Z',
+    ...overrides
+  };
+}
+
+export default async function runNotificationServiceTests() {
+  const suite = {
+    name: 'NotificationService',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'f95-notify-'));
+
+  try {
+    // Test 1: Targets and payloads
+    const payloadTest = testTargetsAndPayloads();
+    suite.tests.push(payloadTest);
+    updateSuiteStats(suite, payloadTest.status);
+
+    // Test 2: Delivery to a local receiver
+    const deliveryTest = await testDelivery(path.join(tempDir, 'delivery.json'));
+    suite.tests.push(deliveryTest);
+    updateSuiteStats(suite, deliveryTest.status);
+
+    // Test 3: Retries and the delivery log
+    const retryTest = await testRetriesAndLog(path.join(tempDir, 'retries.json'));
+    suite.tests.push(retryTest);
+    updateSuiteStats(suite, retryTest.status);
+
+    // Test 4: Sheet updates raise events
+    const eventTest = await testSheetEvents(path.join(tempDir, 'events.json'));
+    suite.tests.push(eventTest);
+    updateSuiteStats(suite, eventTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ NotificationService test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return suite;
+}
+
+function testTargetsAndPayloads() {
+  try {
+    console.log('   🔔 Testing webhook targets and payloads...');
+
+    const targets = parseWebhookTargets('https://discord.com/api/webhooks/1/secret, json:https://discord.com/api/webhooks/2/x, http://localhost:9000/hook');
+    if (targets.map(target => target.format).join(',') !== 'discord,json,json' || targets[2].id !== 3) {
+      throw new Error(`Formats detected incorrectly: ${JSON.stringify(targets)}`);
+    }
+    for (const bad of ['ftp://example.com/hook', 'slack:https://example.com/hook', 'not a url']) {
+      let threw = false;
+      try {
+        parseWebhookTargets(bad);
+      } catch {
+        threw = true;
+      }
+      if (!threw) throw new Error(`"${bad}" should be rejected`);
+    }
+    if (maskWebhookUrl('https://discord.com/api/webhooks/1/secret').includes('secret')) {
+      throw new Error('Webhook secrets should be masked');
+    }
+
+    const event = { type: 'game.updated', id: 'e1', created_at: '2024-03-10T12:00:00.000Z', data: change({ changes: ['version', 'status'], current: { version: 'v0.8', status: 'Completed' } }) };
+    const json = buildWebhookPayload('json', event);
+    if (json.event !== 'game.updated' || json.data.previous.version !== 'v0.7' || json.data.current.version !== 'v0.8') {
+      throw new Error('JSON payload should carry the event and both versions');
+    }
+
+    const [embed] = buildWebhookPayload('discord', event).embeds;
+    if (embed.title !== 'Summer Nights v0.8' || embed.url !== event.data.original_url ||
+        embed.thumbnail.url !== event.data.cover_image ||
+        embed.fields.map(field => `${field.name}: ${field.value}`).join('; ') !== 'Version: v0.7 → v0.8; Status: Ongoing → Completed') {
+      throw new Error(`Unexpected Discord embed: ${JSON.stringify(embed)}`);
+    }
+    const noCover = buildWebhookPayload('discord', { ...event, data: change({ cover_image: 'covers/12.jpg' }) });
+    if (noCover.embeds[0].thumbnail) {
+      throw new Error('Local cover paths cannot be shown by Discord');
+    }
+
+    console.log('     ✅ Targets parsed and payloads built');
+    return {
+      name: 'Targets and Payloads',
+      status: 'passed',
+      message: 'Generic JSON and Discord embed formats'
+    };
+  } catch (error) {
+    console.log(`     ❌ Targets and payloads failed: ${error.message}`);
+    return {
+      name: 'Targets and Payloads',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testDelivery(logFile) {
+  const receiver = await startReceiver();
+  try {
+    console.log('   📮 Testing webhook delivery...');
+
+    const service = new NotificationService({
+      targets: `${receiver.url}/generic, discord:${receiver.url}/discord`,
+      logFile
+    });
+    const deliveries = await service.notify('game.updated', change());
+
+    if (deliveries.length !== 2 || deliveries.some(entry => entry.status !== 'delivered' || entry.status_code !== 200)) {
+      throw new Error(`Expected two deliveries, got ${JSON.stringify(deliveries)}`);
+    }
+    const generic = receiver.requests.find(request => request.path === '/generic');
+    const discord = receiver.requests.find(request => request.path === '/discord');
+    if (!generic || generic.body.data.game_number !== 12 || !discord || discord.body.embeds[0].title !== 'Summer Nights v0.8') {
+      throw new Error('Each target should get its own format');
+    }
+
+    const disabled = new NotificationService({ targets: '', logFile: null });
+    if (disabled.isEnabled() || (await disabled.notify('game.updated', change())).length !== 0) {
+      throw new Error('Without targets nothing should be sent');
+    }
+
+    console.log('     ✅ Both formats delivered');
+    return {
+      name: 'Delivery',
+      status: 'passed',
+      message: 'Events posted to every configured target'
+    };
+  } catch (error) {
+    console.log(`     ❌ Delivery failed: ${error.message}`);
+    return {
+      name: 'Delivery',
+      status: 'failed',
+      message: error.message
+    };
+  } finally {
+    await receiver.close();
+  }
+}
+
+async function testRetriesAndLog(logFile) {
+  // The first target fails twice then succeeds; the second answers 400, which is not retried
+  const flaky = await startReceiver([500, 503]);
+  const broken = await startReceiver([400]);
+  try {
+    console.log('   🔁 Testing retries and the delivery log...');
+
+    const service = new NotificationService({
+      targets: `${flaky.url}/hook, ${broken.url}/hook`,
+      logFile,
+      maxAttempts: 3,
+      retryDelay: 1
+    });
+    const [delivered, failed] = await service.notify('game.updated', change());
+
+    if (delivered.status !== 'delivered' || delivered.attempts !== 3 || flaky.requests.length !== 3) {
+      throw new Error(`5xx answers should be retried, got ${JSON.stringify(delivered)}`);
+    }
+    if (failed.status !== 'failed' || failed.attempts !== 1 || failed.status_code !== 400 || !failed.error) {
+      throw new Error(`4xx answers should fail at once, got ${JSON.stringify(failed)}`);
+    }
+
+    // A restarted server reads the saved log
+    const restarted = new NotificationService({ targets: '', logFile });
+    const log = await restarted.getDeliveries();
+    const failures = await restarted.getDeliveries({ status: 'failed' });
+    if (log.length !== 2 || failures.length !== 1 || failures[0].id !== failed.id || log.some(entry => entry.target.includes('hook'))) {
+      throw new Error(`Delivery log not saved: ${JSON.stringify(log)}`);
+    }
+
+    console.log('     ✅ Retried and logged');
+    return {
+      name: 'Retries and Delivery Log',
+      status: 'passed',
+      message: 'Retryable failures retried, outcomes saved'
+    };
+  } catch (error) {
+    console.log(`     ❌ Retries and delivery log failed: ${error.message}`);
+    return {
+      name: 'Retries and Delivery Log',
+      status: 'failed',
+      message: error.message
+    };
+  } finally {
+    await flaky.close();
+    await broken.close();
+  }
+}
+
+async function testSheetEvents(logFile) {
+  const receiver = await startReceiver();
+  try {
+    console.log('   📣 Testing notifications for sheet updates...');
+
+    const sheets = new GoogleSheetsService();
+    const service = new NotificationService({ targets: receiver.url, logFile });
+    service.attach(sheets);
+
+    const existing = { version: 'v0.7', status: 'Ongoing' };
+    sheets.emitGameChanged('12', existing, { game_name: 'Summer Nights', version: '0.7', status: 'Ongoing' });
+    await service.flush();
+    if (receiver.requests.length !== 0) {
+      throw new Error('Rewriting a row with the same version and status should not notify');
+    }
+
+    sheets.emitGameChanged('12', existing, { game_name: 'Summer Nights', version: 'v0.8', status: 'Completed' });
+    await service.flush();
+    const [request] = receiver.requests;
+    if (!request || request.body.event !== 'game.updated' || request.body.data.game_number !== 12 ||
+        request.body.data.changes.join(',') !== 'version,status') {
+      throw new Error(`Expected one game.updated event, got ${JSON.stringify(receiver.requests)}`);
+    }
+
+    console.log('     ✅ Version and status changes notified');
+    return {
+      name: 'Sheet Events',
+      status: 'passed',
+      message: 'gameChanged fires only for version or status changes'
+    };
+  } catch (error) {
+    console.log(`     ❌ Sheet events failed: ${error.message}`);
+    return {
+      name: 'Sheet Events',
+      status: 'failed',
+      message: error.message
+    };
+  } finally {
+    await receiver.close();
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -0,0 +1,261 @@
+/**
+ * PageDataParser Test Suite
+ * Tests for the HTTP + cheerio fetch mode and its Puppeteer fallback
+ */
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildPageDataFromHtml } from '../src/services/pageDataParser.js';
+import { ScraperService } from '../src/services/scraperService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const threadHtml = fs.readFileSync(path.join(__dirname, 'fixtures', 'threads', 'renpy-completed.html'), 'utf8');
+
+export default async function runPageDataParserTests() {
+  const suite = {
+    name: 'PageDataParser',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  let fixture = null;
+
+  try {
+    fixture = await startFixtureServer();
+
+    // Test 1: pageData built from saved thread HTML
+    const shapeTest = testPageDataShape();
+    suite.tests.push(shapeTest);
+    updateSuiteStats(suite, shapeTest.status);
+
+    // Test 2: HTTP fetch with session cookies
+    const httpTest = await testHttpFetch(fixture);
+    suite.tests.push(httpTest);
+    updateSuiteStats(suite, httpTest.status);
+
+    // Test 3: Mode selection and browser fallback
+    const fallbackTest = await testModeFallback(fixture);
+    suite.tests.push(fallbackTest);
+    updateSuiteStats(suite, fallbackTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ PageDataParser test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    if (fixture) {
+      await new Promise(resolve => fixture.server.close(resolve));
+    }
+  }
+
+  return suite;
+}
+
+function startFixtureServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, cookie: req.headers.cookie || null });
+
+    if (req.url === '/threads/summer-nights.1/') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(threadHtml);
+    }
+    if (req.url === '/threads/app-shell.2/') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<html><head><title>Loading</title></head><body><div id="app"></div><script>render()</script></body></html>');
+    }
+    if (req.url === '/threads/challenge.3/') {
+      res.writeHead(503, { 'Content-Type': 'text/html' });
+      return res.end('<html><head><title>Just a moment...</title></head><body><script src="/cdn-cgi/challenge-platform/h/b/orchestrate"></script></body></html>');
+    }
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('<html><body>Not found</body></html>');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function testPageDataShape() {
+  try {
+    console.log('   🧱 Testing pageData built from HTML...');
+
+    const pageData = buildPageDataFromHtml(threadHtml, 'https://f95zone.to/threads/summer-nights.1/');
+
+    for (const key of ['title', 'url', 'content', 'html', 'images', 'links']) {
+      if (!(key in pageData)) {
+        throw new Error(`pageData is missing ${key}`);
+      }
+    }
+
+    if (pageData.title !== 'Summer Nights [v1.0.2] [Moonlit Studio] | F95zone') {
+      throw new Error(`Unexpected title: ${pageData.title}`);
+    }
+    if (!pageData.content.includes('Version: 1.0.2') || pageData.content.includes('Spoiler\n3DCG')) {
+      throw new Error('Content should be the rendered text of the page');
+    }
+    if (!pageData.images.some(image => image.src === 'https://attachments.f95zone.to/2023/05/thumb/2611111_cover.png')) {
+      throw new Error('Cover image not captured');
+    }
+
+    const hrefs = pageData.links.map(link => link.href);
+    const expected = [
+      'https://mega.nz/file/AbCdEf12#key',
+      'https://gofile.io/d/Xy12Zq',
+      'https://pixeldrain.com/u/pD9aB3cd',
+      'https://mega.nz/file/GhIjKl34#key',
+      'https://f95zone.to/masked/mega.nz/3000001/1700000000/0123456789abcdef'
+    ];
+    for (const href of expected) {
+      if (!hrefs.includes(href)) {
+        throw new Error(`Download link missing: ${href}`);
+      }
+    }
+    if (hrefs.some(href => href.includes('patreon.com'))) {
+      throw new Error('Non-download links should be skipped');
+    }
+
+    const megaLink = pageData.links.find(link => link.href === expected[0]);
+    if (megaLink.context !== 'Win/Linux: MEGA - GOFILE - PIXELDRAIN (1.2 GB)') {
+      throw new Error(`Unexpected link context: "${megaLink.context}"`);
+    }
+
+    console.log('     ✅ pageData matches the browser shape');
+    return {
+      name: 'Page Data Shape',
+      status: 'passed',
+      message: 'Title, content, images and links extracted'
+    };
+  } catch (error) {
+    console.log(`     ❌ Page data shape failed: ${error.message}`);
+    return {
+      name: 'Page Data Shape',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testHttpFetch(fixture) {
+  try {
+    console.log('   🌐 Testing HTTP fetch mode...');
+
+    const service = new ScraperService();
+    service.getSessionCookieHeader = async () => 'xf_user=123%2Cabc; xf_session=def';
+    service.resolveMaskedLink = async () => 'https://mega.nz/file/Real123#key';
+
+    const pageData = await service.scrapePageHttp(`${fixture.baseUrl}/threads/summer-nights.1/`);
+
+    if (pageData.fetch_mode !== 'http') {
+      throw new Error(`Expected fetch_mode http, got ${pageData.fetch_mode}`);
+    }
+
+    const request = fixture.requests.find(entry => entry.url === '/threads/summer-nights.1/');
+    if (!request || request.cookie !== 'xf_user=123%2Cabc; xf_session=def') {
+      throw new Error('Session cookies were not sent');
+    }
+
+    const unmasked = pageData.links.find(link => link.masked_url);
+    if (!unmasked || unmasked.href !== 'https://mega.nz/file/Real123#key') {
+      throw new Error('Masked links were not resolved in HTTP mode');
+    }
+
+    console.log('     ✅ HTTP fetch produced pageData with session cookies');
+    return {
+      name: 'HTTP Fetch',
+      status: 'passed',
+      message: 'Fetched without a browser'
+    };
+  } catch (error) {
+    console.log(`     ❌ HTTP fetch failed: ${error.message}`);
+    return {
+      name: 'HTTP Fetch',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testModeFallback(fixture) {
+  try {
+    console.log('   🔀 Testing fetch mode selection and fallback...');
+
+    const service = new ScraperService();
+    service.getSessionCookieHeader = async () => '';
+    const browserCalls = [];
+    service.scrapePage = async url => {
+      browserCalls.push(url);
+      return { url, fetch_mode: 'browser' };
+    };
+
+    const shell = await service.fetchPageData(`${fixture.baseUrl}/threads/app-shell.2/`, { mode: 'auto' });
+    const challenge = await service.fetchPageData(`${fixture.baseUrl}/threads/challenge.3/`);
+    if (shell.fetch_mode !== 'browser' || challenge.fetch_mode !== 'browser' || browserCalls.length !== 2) {
+      throw new Error('Auto mode should fall back to the browser for JS pages and challenges');
+    }
+
+    try {
+      await service.fetchPageData(`${fixture.baseUrl}/threads/app-shell.2/`, { mode: 'http' });
+      throw new Error('Should have failed in HTTP-only mode');
+    } catch (error) {
+      if (!error.needsBrowser) {
+        throw error;
+      }
+    }
+
+    try {
+      await service.fetchPageData(`${fixture.baseUrl}/threads/missing.4/`, { mode: 'auto' });
+      throw new Error('Should have failed for a missing thread');
+    } catch (error) {
+      if (error.message.includes('Should have') || browserCalls.length !== 2) {
+        throw new Error('A 404 should fail without trying the browser');
+      }
+    }
+
+    await service.fetchPageData(`${fixture.baseUrl}/threads/summer-nights.1/`, { mode: 'browser' });
+    if (browserCalls.length !== 3) {
+      throw new Error('Browser mode should go straight to Puppeteer');
+    }
+
+    try {
+      await service.fetchPageData(`${fixture.baseUrl}/threads/summer-nights.1/`, { mode: 'curl' });
+      throw new Error('Should have rejected an unknown mode');
+    } catch (error) {
+      if (!error.message.includes('Unknown fetch mode')) {
+        throw error;
+      }
+    }
+
+    console.log('     ✅ Modes selected and fallback applied');
+    return {
+      name: 'Mode Fallback',
+      status: 'passed',
+      message: 'Browser used only when the page needs it'
+    };
+  } catch (error) {
+    console.log(`     ❌ Mode fallback failed: ${error.message}`);
+    return {
+      name: 'Mode Fallback',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -0,0 +1,269 @@
+/**
+ * PagePool Test Suite
+ * Tests for the bounded browser page pool used by concurrent scrapes
+ */
+import { PagePool } from '../src/services/pagePool.js';
+
+export default async function runPagePoolTests() {
+  const suite = {
+    name: 'PagePool',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  try {
+    // Test 1: Pool never exceeds its size
+    const boundTest = await testPoolBound();
+    suite.tests.push(boundTest);
+    updateSuiteStats(suite, boundTest.status);
+
+    // Test 2: Waiters are served in order when pages are released
+    const queueTest = await testQueueing();
+    suite.tests.push(queueTest);
+    updateSuiteStats(suite, queueTest.status);
+
+    // Test 3: Released pages are cleaned up and discarded pages replaced
+    const cleanupTest = await testPageCleanup();
+    suite.tests.push(cleanupTest);
+    updateSuiteStats(suite, cleanupTest.status);
+
+    // Test 4: Acquire timeout and pool shutdown
+    const shutdownTest = await testTimeoutAndClose();
+    suite.tests.push(shutdownTest);
+    updateSuiteStats(suite, shutdownTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ PagePool test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  }
+
+  return suite;
+}
+
+// Minimal stand-in for a Puppeteer page
+function createFakePageFactory() {
+  const created = [];
+  const createPage = async () => {
+    const page = {
+      id: created.length + 1,
+      closed: false,
+      visited: [],
+      async goto(url) { this.visited.push(url); },
+      isClosed() { return this.closed; },
+      async close() { this.closed = true; }
+    };
+    created.push(page);
+    return page;
+  };
+  return { created, createPage };
+}
+
+async function testPoolBound() {
+  try {
+    console.log('   📏 Testing page pool size bound...');
+
+    const { created, createPage } = createFakePageFactory();
+    const pool = new PagePool({ createPage, size: 2, acquireTimeout: 1000 });
+
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    let thirdResolved = false;
+    const third = pool.acquire().then(page => { thirdResolved = true; return page; });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    if (thirdResolved || created.length !== 2) {
+      throw new Error(`Pool created ${created.length} pages for a size of 2`);
+    }
+
+    await pool.release(first);
+    const reused = await third;
+    if (reused !== first) {
+      throw new Error('Released page was not handed to the waiting request');
+    }
+
+    await pool.release(second);
+    await pool.release(reused);
+    await pool.close();
+
+    // A page being reset still holds its slot, so an acquire meanwhile waits for it
+    const slow = createFakePageFactory();
+    const single = new PagePool({ createPage: slow.createPage, size: 1, acquireTimeout: 1000 });
+    const page = await single.acquire();
+    let finishReset;
+    page.goto = () => new Promise(resolve => { finishReset = resolve; });
+    const releasing = single.release(page);
+    const next = single.acquire();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    if (slow.created.length !== 1 || single.getStats().busy !== 0) {
+      throw new Error(`Pool of 1 opened ${slow.created.length} pages while a page was resetting`);
+    }
+    finishReset();
+    await releasing;
+    if ((await next) !== page || single.getStats().busy !== 1) {
+      throw new Error(`Reset page should go to the waiting request: ${JSON.stringify(single.getStats())}`);
+    }
+    await single.close();
+
+    console.log('     ✅ Pool stays within its size');
+    return {
+      name: 'Pool Size Bound',
+      status: 'passed',
+      message: 'Never more pages than configured'
+    };
+  } catch (error) {
+    console.log(`     ❌ Pool size bound failed: ${error.message}`);
+    return {
+      name: 'Pool Size Bound',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testQueueing() {
+  try {
+    console.log('   🚦 Testing page pool queueing...');
+
+    const { createPage } = createFakePageFactory();
+    const pool = new PagePool({ createPage, size: 1, acquireTimeout: 1000 });
+    const order = [];
+
+    const holder = await pool.acquire();
+    const waiters = [1, 2, 3].map(n => pool.acquire().then(async page => {
+      order.push(n);
+      await pool.release(page);
+    }));
+
+    if (pool.getStats().waiting !== 3) {
+      throw new Error(`Expected 3 waiting requests, got ${pool.getStats().waiting}`);
+    }
+
+    await pool.release(holder);
+    await Promise.all(waiters);
+
+    if (order.join(',') !== '1,2,3') {
+      throw new Error(`Waiters served out of order: ${order.join(',')}`);
+    }
+
+    await pool.close();
+
+    console.log('     ✅ Waiting requests served first-in first-out');
+    return {
+      name: 'Pool Queueing',
+      status: 'passed',
+      message: 'Queued requests served in order'
+    };
+  } catch (error) {
+    console.log(`     ❌ Pool queueing failed: ${error.message}`);
+    return {
+      name: 'Pool Queueing',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testPageCleanup() {
+  try {
+    console.log('   🧽 Testing per-page cleanup...');
+
+    const { created, createPage } = createFakePageFactory();
+    const pool = new PagePool({ createPage, size: 1, acquireTimeout: 1000 });
+
+    const page = await pool.acquire();
+    await pool.release(page);
+    if (page.visited[page.visited.length - 1] !== 'about:blank') {
+      throw new Error('Released page was not reset to about:blank');
+    }
+
+    const again = await pool.acquire();
+    await pool.release(again, { discard: true });
+    if (!again.closed) {
+      throw new Error('Discarded page was not closed');
+    }
+
+    const replacement = await pool.acquire();
+    if (replacement === again || created.length !== 2) {
+      throw new Error('Discarded page was not replaced with a fresh one');
+    }
+
+    await pool.release(replacement);
+    await pool.close();
+
+    console.log('     ✅ Pages reset on release and replaced when discarded');
+    return {
+      name: 'Per-Page Cleanup',
+      status: 'passed',
+      message: 'Pages reset and replaced correctly'
+    };
+  } catch (error) {
+    console.log(`     ❌ Per-page cleanup failed: ${error.message}`);
+    return {
+      name: 'Per-Page Cleanup',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testTimeoutAndClose() {
+  try {
+    console.log('   ⏳ Testing acquire timeout and pool shutdown...');
+
+    const { createPage } = createFakePageFactory();
+    const pool = new PagePool({ createPage, size: 1, acquireTimeout: 50 });
+    const page = await pool.acquire();
+
+    try {
+      await pool.acquire();
+      throw new Error('Should have timed out waiting for a page');
+    } catch (error) {
+      if (error.message.includes('Should have')) {
+        throw error;
+      }
+    }
+
+    const pendingWaiter = pool.acquire();
+    await pool.close();
+
+    try {
+      await pendingWaiter;
+      throw new Error('Should have rejected the waiter on close');
+    } catch (error) {
+      if (error.message.includes('Should have')) {
+        throw error;
+      }
+    }
+
+    if (!page.closed) {
+      throw new Error('Busy page was not closed on shutdown');
+    }
+
+    console.log('     ✅ Timeout and shutdown handled');
+    return {
+      name: 'Timeout And Shutdown',
+      status: 'passed',
+      message: 'Waiters time out and are rejected on close'
+    };
+  } catch (error) {
+    console.log(`     ❌ Timeout and shutdown failed: ${error.message}`);
+    return {
+      name: 'Timeout And Shutdown',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -0,0 +1,228 @@
+/**
+ * RateLimiter Test Suite
+ * Tests for the per-host politeness limiter and retry policies
+ */
+import http from 'http';
+import { HostRateLimiter, hostKey } from '../src/utils/rateLimiter.js';
+import { computeBackoff, createRetryPolicy, getRetryAfter, withRetry } from '../src/utils/retry.js';
+import { ScraperService } from '../src/services/scraperService.js';
+
+export default async function runRateLimiterTests() {
+  const suite = {
+    name: 'RateLimiter',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  try {
+    // Test 1: Token bucket spacing per host
+    const bucketTest = await testTokenBucket();
+    suite.tests.push(bucketTest);
+    updateSuiteStats(suite, bucketTest.status);
+
+    // Test 2: Backoff with jitter and retry decisions
+    const retryTest = await testRetryPolicy();
+    suite.tests.push(retryTest);
+    updateSuiteStats(suite, retryTest.status);
+
+    // Test 3: Scraper settings and throttled size lookups
+    const scraperTest = await testScraperSettings();
+    suite.tests.push(scraperTest);
+    updateSuiteStats(suite, scraperTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ RateLimiter test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  }
+
+  return suite;
+}
+
+async function testTokenBucket() {
+  try {
+    console.log('   🪣 Testing per-host token buckets...');
+
+    const limiter = new HostRateLimiter({ delay: 100, burst: 2, hosts: { 'fast.test': { delay: 0 } } });
+    const start = Date.now();
+    const finished = {};
+    const track = (name, target) => limiter.acquire(target).then(() => { finished[name] = Date.now() - start; });
+
+    await Promise.all([
+      track('a1', 'https://www.slow.test/a'),
+      track('a2', 'https://slow.test/b'),
+      track('a3', 'https://slow.test/c'),
+      track('a4', 'https://slow.test/d'),
+      track('other', 'https://other.test/'),
+      track('fast', 'https://cdn.fast.test/file')
+    ]);
+
+    if (finished.a1 > 50 || finished.a2 > 50) {
+      throw new Error(`Burst requests should not wait (${finished.a1}ms, ${finished.a2}ms)`);
+    }
+    if (finished.a3 < 90 || finished.a4 < 190 || finished.a4 > 400) {
+      throw new Error(`Requests beyond the burst should be spaced by the delay (${finished.a3}ms, ${finished.a4}ms)`);
+    }
+    if (finished.other > 50 || finished.fast > 50) {
+      throw new Error('Other hosts should not wait on a busy host');
+    }
+    if (hostKey('https://WWW.F95Zone.to/threads/1/') !== 'f95zone.to' || hostKey('gemini') !== 'gemini') {
+      throw new Error('Unexpected host keys');
+    }
+
+    console.log('     ✅ Requests spaced per host');
+    return {
+      name: 'Token Bucket',
+      status: 'passed',
+      message: 'Burst, spacing and host overrides respected'
+    };
+  } catch (error) {
+    console.log(`     ❌ Token bucket failed: ${error.message}`);
+    return {
+      name: 'Token Bucket',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testRetryPolicy() {
+  try {
+    console.log('   🔁 Testing retry policies...');
+
+    const policy = createRetryPolicy({ maxAttempts: 3, baseDelay: 1000, maxDelay: 3000, jitter: 0.5 });
+    const noJitter = [1, 2, 3].map(attempt => computeBackoff(attempt, policy, () => 0));
+    if (noJitter.join(',') !== '1000,2000,3000') {
+      throw new Error(`Unexpected backoff: ${noJitter.join(',')}`);
+    }
+    if (computeBackoff(2, policy, () => 1) !== 1000) {
+      throw new Error('Jitter should take up to half of the delay off');
+    }
+
+    const fastPolicy = createRetryPolicy({ maxAttempts: 3, baseDelay: 1 });
+    const busy = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, headers: {} } });
+    const missing = Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, headers: {} } });
+
+    let calls = 0;
+    const result = await withRetry(async attempt => {
+      calls++;
+      if (attempt < 3) throw busy;
+      return 'ok';
+    }, { policy: fastPolicy });
+    if (result !== 'ok' || calls !== 3) {
+      throw new Error(`Expected success on the third attempt, got ${calls} calls`);
+    }
+
+    calls = 0;
+    try {
+      await withRetry(async () => { calls++; throw missing; }, { policy: fastPolicy });
+    } catch (error) {
+      if (error !== missing || calls !== 1) {
+        throw new Error('A 404 should not be retried');
+      }
+    }
+
+    calls = 0;
+    try {
+      await withRetry(async () => { calls++; throw busy; }, { policy: fastPolicy });
+    } catch (error) {
+      if (error !== busy || calls !== 3) {
+        throw new Error('Retries should stop after maxAttempts');
+      }
+    }
+
+    const limited = { response: { status: 429, headers: { 'retry-after': '2' } } };
+    if (getRetryAfter(limited) !== 2000 || getRetryAfter(busy) !== null) {
+      throw new Error('Retry-After header not read');
+    }
+
+    console.log('     ✅ Backoff and retry decisions correct');
+    return {
+      name: 'Retry Policy',
+      status: 'passed',
+      message: 'Exponential backoff with jitter, transient errors only'
+    };
+  } catch (error) {
+    console.log(`     ❌ Retry policy failed: ${error.message}`);
+    return {
+      name: 'Retry Policy',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testScraperSettings() {
+  const saved = { TIMEOUT: process.env.TIMEOUT, MAX_RETRIES: process.env.MAX_RETRIES };
+  let server = null;
+
+  try {
+    console.log('   ⚙️ Testing scraper settings and throttled requests...');
+
+    process.env.TIMEOUT = '12345';
+    process.env.MAX_RETRIES = '4';
+    const service = new ScraperService();
+    if (service.timeout !== 12345 || service.retryPolicy.maxAttempts !== 4) {
+      throw new Error('TIMEOUT and MAX_RETRIES were not applied');
+    }
+
+    // A host that is busy on the first request
+    let heads = 0;
+    server = http.createServer((req, res) => {
+      if (req.method === 'HEAD' && ++heads === 1) {
+        res.writeHead(503);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Length': '2048' });
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const acquired = [];
+    const limiter = new HostRateLimiter({ delay: 0 });
+    service.rateLimiter = { acquire: target => { acquired.push(hostKey(target)); return limiter.acquire(target); } };
+    service.retryPolicy = createRetryPolicy({ maxAttempts: 3, baseDelay: 1 });
+
+    const size = await service.getFileSizeFromHeaders(`http://127.0.0.1:${server.address().port}/game.zip`);
+    if (size !== 2048 || heads !== 2) {
+      throw new Error(`Expected a retried HEAD to report 2048 bytes, got ${size} after ${heads} requests`);
+    }
+    if (acquired.length !== 2 || acquired.some(key => key !== '127.0.0.1')) {
+      throw new Error('Every attempt should go through the rate limiter');
+    }
+
+    console.log('     ✅ Settings applied and requests throttled');
+    return {
+      name: 'Scraper Settings',
+      status: 'passed',
+      message: 'TIMEOUT, MAX_RETRIES and the limiter are used'
+    };
+  } catch (error) {
+    console.log(`     ❌ Scraper settings failed: ${error.message}`);
+    return {
+      name: 'Scraper Settings',
+      status: 'failed',
+      message: error.message
+    };
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
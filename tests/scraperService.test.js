@@ -2,7 +2,9 @@
  * ScraperService Test Suite
  * Tests for web scraping functionality and F95Zone authentication
  */
+import http from 'http';
 import { ScraperService } from '../src/services/scraperService.js';
+import { isMaskedLink, detectProvider } from '../src/utils/links.js';
 
 export default async function runScraperServiceTests() {
   const suite = {
@@ -52,7 +54,12 @@ export default async function runScraperServiceTests() {
       suite.tests.push(errorTest);
       updateSuiteStats(suite, errorTest.status);
 
-      // Test 8: Cleanup
+      // Test 8: Masked link resolution
+      const maskedTest = await testMaskedLinks();
+      suite.tests.push(maskedTest);
+      updateSuiteStats(suite, maskedTest.status);
+
+      // Test 9: Cleanup
       const cleanupTest = await testCleanup(scraperService);
       suite.tests.push(cleanupTest);
       updateSuiteStats(suite, cleanupTest.status);
@@ -348,6 +355,100 @@ async function testErrorHandling(scraperService) {
   }
 }
 
+async function testMaskedLinks() {
+  // Stand-in for F95Zone's unmask endpoint
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (req.url.includes('/captcha/')) {
+        return res.end(JSON.stringify({ status: 'captcha' }));
+      }
+      res.end(JSON.stringify({ status: 'ok', msg: 'https://mega.nz/file/abc#key' }));
+    });
+  });
+
+  try {
+    console.log('   🎭 Testing masked link resolution...');
+
+    if (!isMaskedLink('https://f95zone.to/masked/mega.nz/2/abc/def') || isMaskedLink('https://mega.nz/file/abc')) {
+      throw new Error('Masked link detection is wrong');
+    }
+    if (detectProvider('https://f95zone.to/masked/pixeldrain.com/2/abc/def') !== 'PixelDrain') {
+      throw new Error('Provider should be read from the masked path');
+    }
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const service = new ScraperService();
+
+    const realUrl = await service.resolveMaskedLink(`${baseUrl}/masked/mega.nz/2/abc/def`);
+    if (realUrl !== 'https://mega.nz/file/abc#key') {
+      throw new Error(`Unexpected destination: ${realUrl}`);
+    }
+    if (requests[0].method !== 'POST' || requests[0].body !== 'xhr=1&download=1') {
+      throw new Error(`Unmask request was ${requests[0].method} "${requests[0].body}"`);
+    }
+
+    try {
+      await service.resolveMaskedLink(`${baseUrl}/masked/captcha/2/abc/def`);
+      throw new Error('Should have reported the captcha');
+    } catch (error) {
+      if (!error.captcha) {
+        throw error;
+      }
+    }
+
+    // Batch resolution keeps the masked URL and stops at the first captcha
+    const attempted = [];
+    service.resolveMaskedLink = async url => {
+      attempted.push(url);
+      if (url.endsWith('/2')) {
+        const error = new Error('captcha');
+        error.captcha = true;
+        throw error;
+      }
+      return 'https://gofile.io/d/real';
+    };
+    const links = await service.resolveMaskedLinks([
+      { href: 'https://f95zone.to/masked/gofile.io/1', text: 'GOFILE' },
+      { href: 'https://f95zone.to/masked/gofile.io/1', text: 'GOFILE (mirror)' },
+      { href: 'https://f95zone.to/masked/gofile.io/2', text: 'GOFILE' },
+      { href: 'https://f95zone.to/masked/gofile.io/3', text: 'GOFILE' },
+      { href: 'https://pixeldrain.com/u/plain', text: 'PIXELDRAIN' }
+    ]);
+
+    if (attempted.length !== 2) {
+      throw new Error(`Expected 2 unmask attempts, got ${attempted.length}`);
+    }
+    if (links[0].href !== 'https://gofile.io/d/real' || links[0].masked_url !== 'https://f95zone.to/masked/gofile.io/1' || links[1].href !== links[0].href) {
+      throw new Error('Resolved link did not keep its masked URL');
+    }
+    if (links[2].masked_url || links[3].href !== 'https://f95zone.to/masked/gofile.io/3' || links[4].masked_url) {
+      throw new Error('Unresolved and plain links should be left as they were');
+    }
+
+    console.log('     ✅ Masked links resolved');
+    return {
+      name: 'Masked Links',
+      status: 'passed',
+      message: 'Real URLs resolved with masked provenance'
+    };
+  } catch (error) {
+    console.log(`     ❌ Masked link resolution failed: ${error.message}`);
+    return {
+      name: 'Masked Links',
+      status: 'failed',
+      message: error.message
+    };
+  } finally {
+    server.close();
+  }
+}
+
 async function testCleanup(scraperService) {
   try {
     console.log('   🧹 Testing service cleanup...');
@@ -0,0 +1,203 @@
+/**
+ * SessionStore Test Suite
+ * Tests for encrypted F95Zone session persistence
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SessionStore } from '../src/services/sessionStore.js';
+
+const SAMPLE_COOKIES = [
+  { name: 'xf_user', value: '12345%2Cabcdef', domain: '.f95zone.to', path: '/', expires: -1 },
+  { name: 'xf_session', value: 'session-value', domain: '.f95zone.to', path: '/', expires: -1 }
+];
+
+export default async function runSessionStoreTests() {
+  const suite = {
+    name: 'SessionStore',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'f95-session-'));
+
+  try {
+    // Test 1: Save and load round trip
+    const roundTripTest = await testRoundTrip(tempDir);
+    suite.tests.push(roundTripTest);
+    updateSuiteStats(suite, roundTripTest.status);
+
+    // Test 2: File contents are encrypted
+    const encryptionTest = await testFileIsEncrypted(tempDir);
+    suite.tests.push(encryptionTest);
+    updateSuiteStats(suite, encryptionTest.status);
+
+    // Test 3: Wrong key discards the session
+    const wrongKeyTest = await testWrongKey(tempDir);
+    suite.tests.push(wrongKeyTest);
+    updateSuiteStats(suite, wrongKeyTest.status);
+
+    // Test 4: Missing file and unconfigured store
+    const missingTest = await testMissingSession(tempDir);
+    suite.tests.push(missingTest);
+    updateSuiteStats(suite, missingTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ SessionStore test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return suite;
+}
+
+async function testRoundTrip(tempDir) {
+  try {
+    console.log('   💾 Testing session save/load round trip...');
+
+    const store = new SessionStore({ filePath: path.join(tempDir, 'roundtrip.enc'), secret: 'test-secret' });
+    const createdAt = '2024-01-15T10:30:00.000Z';
+
+    const saved = await store.save(SAMPLE_COOKIES, { username: 'tester', createdAt });
+    if (!saved) {
+      throw new Error('save() returned false');
+    }
+
+    const session = await store.load();
+    if (!session) {
+      throw new Error('load() returned no session');
+    }
+
+    if (session.cookies.length !== SAMPLE_COOKIES.length || session.cookies[0].value !== SAMPLE_COOKIES[0].value) {
+      throw new Error('Cookies did not survive the round trip');
+    }
+
+    if (session.username !== 'tester' || session.createdAt !== createdAt || !session.savedAt) {
+      throw new Error('Session metadata did not survive the round trip');
+    }
+
+    console.log('     ✅ Session round trip working');
+    return {
+      name: 'Session Round Trip',
+      status: 'passed',
+      message: 'Cookies and metadata restored'
+    };
+  } catch (error) {
+    console.log(`     ❌ Session round trip failed: ${error.message}`);
+    return {
+      name: 'Session Round Trip',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testFileIsEncrypted(tempDir) {
+  try {
+    console.log('   🔒 Testing session file encryption...');
+
+    const filePath = path.join(tempDir, 'encrypted.enc');
+    const store = new SessionStore({ filePath, secret: 'test-secret' });
+    await store.save(SAMPLE_COOKIES, { username: 'tester' });
+
+    const contents = await fs.readFile(filePath, 'utf8');
+    if (contents.includes('xf_user') || contents.includes('session-value') || contents.includes('tester')) {
+      throw new Error('Session file contains plaintext cookie data');
+    }
+
+    console.log('     ✅ Session file is encrypted');
+    return {
+      name: 'Session Encryption',
+      status: 'passed',
+      message: 'No plaintext cookie data on disk'
+    };
+  } catch (error) {
+    console.log(`     ❌ Session encryption check failed: ${error.message}`);
+    return {
+      name: 'Session Encryption',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testWrongKey(tempDir) {
+  try {
+    console.log('   🔑 Testing session load with wrong key...');
+
+    const filePath = path.join(tempDir, 'wrong-key.enc');
+    await new SessionStore({ filePath, secret: 'right-secret' }).save(SAMPLE_COOKIES);
+
+    const session = await new SessionStore({ filePath, secret: 'wrong-secret' }).load();
+    if (session !== null) {
+      throw new Error('Session decrypted with the wrong key');
+    }
+
+    const stillExists = await fs.access(filePath).then(() => true).catch(() => false);
+    if (stillExists) {
+      throw new Error('Unreadable session file was not discarded');
+    }
+
+    console.log('     ✅ Wrong key rejected and file discarded');
+    return {
+      name: 'Wrong Key Handling',
+      status: 'passed',
+      message: 'Unreadable session discarded'
+    };
+  } catch (error) {
+    console.log(`     ❌ Wrong key handling failed: ${error.message}`);
+    return {
+      name: 'Wrong Key Handling',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testMissingSession(tempDir) {
+  try {
+    console.log('   📭 Testing missing and unconfigured sessions...');
+
+    const missing = await new SessionStore({ filePath: path.join(tempDir, 'missing.enc'), secret: 'test-secret' }).load();
+    if (missing !== null) {
+      throw new Error('Missing session file should load as null');
+    }
+
+    const unconfigured = new SessionStore({ filePath: path.join(tempDir, 'unconfigured.enc') });
+    unconfigured.secret = null;
+    if (unconfigured.isConfigured()) {
+      throw new Error('Store without a secret should not be configured');
+    }
+    if (await unconfigured.save(SAMPLE_COOKIES)) {
+      throw new Error('Store without a secret should not save');
+    }
+
+    console.log('     ✅ Missing and unconfigured sessions handled');
+    return {
+      name: 'Missing Session Handling',
+      status: 'passed',
+      message: 'Handled without errors'
+    };
+  } catch (error) {
+    console.log(`     ❌ Missing session handling failed: ${error.message}`);
+    return {
+      name: 'Missing Session Handling',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
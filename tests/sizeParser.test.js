@@ -0,0 +1,214 @@
+/**
+ * SizeParser Test Suite
+ * Tests for parsing download sizes written in thread text and the size source fallback order
+ */
+import http from 'http';
+import { parseSize, parseSizes, findSizeForPlatform } from '../src/utils/sizeParser.js';
+import { SizeResolverRegistry } from '../src/services/sizeResolvers.js';
+import { ScraperService } from '../src/services/scraperService.js';
+
+const MB = 1024 ** 2;
+const GB = 1024 ** 3;
+
+export default async function runSizeParserTests() {
+  const suite = {
+    name: 'SizeParser',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  try {
+    // Test 1: Units, decimal commas and thousands separators
+    const unitsTest = testUnitsAndNumbers();
+    suite.tests.push(unitsTest);
+    updateSuiteStats(suite, unitsTest.status);
+
+    // Test 2: Per-platform sizes
+    const platformTest = testPlatformSizes();
+    suite.tests.push(platformTest);
+    updateSuiteStats(suite, platformTest.status);
+
+    // Test 3: getDownloadSizes records where each size came from
+    const sourceTest = await testSizeSources();
+    suite.tests.push(sourceTest);
+    updateSuiteStats(suite, sourceTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ SizeParser test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  }
+
+  return suite;
+}
+
+function testUnitsAndNumbers() {
+  try {
+    console.log('   📐 Testing size units and number formats...');
+
+    const cases = [
+      ['Size: 1.2 GB', Math.round(1.2 * GB)],
+      ['(850MB)', 850 * MB],
+      ['1,5 GB', Math.round(1.5 * GB)],
+      ['1,200 MB', 1200 * MB],
+      ['2.048,5 MB', Math.round(2048.5 * MB)],
+      ['700 KB', 700 * 1024],
+      ['2 GiB', 2 * GB],
+      ['3 gigs', 3 * GB],
+      ['1 TB', 1024 * GB]
+    ];
+
+    for (const [text, expected] of cases) {
+      const actual = parseSize(text);
+      if (actual !== expected) {
+        throw new Error(`"${text}" should be ${expected} bytes, got ${actual}`);
+      }
+    }
+
+    if (parseSize('Version 1.2 for Windows') !== null || parseSize(null) !== null) {
+      throw new Error('Text without a size should return null');
+    }
+
+    console.log('     ✅ Units and number formats parsed');
+    return {
+      name: 'Units And Numbers',
+      status: 'passed',
+      message: 'Units, commas and separators handled'
+    };
+  } catch (error) {
+    console.log(`     ❌ Units and numbers failed: ${error.message}`);
+    return {
+      name: 'Units And Numbers',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function testPlatformSizes() {
+  try {
+    console.log('   🖥️ Testing per-platform sizes...');
+
+    const line = 'Win/Linux (850 MB): MEGA - PIXELDRAIN | Mac (900 MB): MEGA | Android (1,1 GB): GOFILE';
+    const sizes = parseSizes(line);
+    if (sizes.length !== 3) {
+      throw new Error(`Expected 3 sizes, got ${sizes.length}`);
+    }
+
+    const expectations = [
+      ['PC', 850 * MB],
+      ['Linux', 850 * MB],
+      ['Mac', 900 * MB],
+      ['Android', Math.round(1.1 * GB)]
+    ];
+    for (const [platform, expected] of expectations) {
+      const match = findSizeForPlatform(line, platform);
+      if (!match || match.bytes !== expected) {
+        throw new Error(`${platform} should be ${expected} bytes, got ${match ? match.bytes : null}`);
+      }
+    }
+
+    if (findSizeForPlatform('Windows (2 GB)', 'Mac') !== null) {
+      throw new Error('A size labelled for another platform should not be used');
+    }
+
+    const generic = findSizeForPlatform('Size: 4.5 GB - Download: MEGA', 'Mac');
+    if (!generic || generic.bytes !== Math.round(4.5 * GB)) {
+      throw new Error('An unlabelled size should apply to any platform');
+    }
+
+    console.log('     ✅ Sizes matched to platforms');
+    return {
+      name: 'Platform Sizes',
+      status: 'passed',
+      message: 'Sizes assigned to the right platforms'
+    };
+  } catch (error) {
+    console.log(`     ❌ Platform sizes failed: ${error.message}`);
+    return {
+      name: 'Platform Sizes',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testSizeSources() {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/direct.zip') {
+      res.writeHead(200, { 'Content-Length': '2048' });
+      return res.end(req.method === 'HEAD' ? undefined : Buffer.alloc(2048));
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  try {
+    console.log('   🧾 Testing size sources in getDownloadSizes...');
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const scraper = new ScraperService();
+    scraper.sizeResolvers = new SizeResolverRegistry();
+
+    const downloadLinks = [
+      { provider: 'Direct', platform: 'PC', url: `${baseUrl}/direct.zip` },
+      { provider: 'MEGA', platform: 'PC', url: `${baseUrl}/mega-pc` },
+      { provider: 'MEGA', platform: 'Mac', url: `${baseUrl}/mega-mac` },
+      { provider: 'GoFile', platform: 'Android', url: `${baseUrl}/gofile-android` }
+    ];
+    const pageLinks = [
+      { href: `${baseUrl}/mega-pc`, context: 'Win/Linux (850 MB): MEGA - PIXELDRAIN' },
+      { href: `${baseUrl}/mega-mac/`, context: 'Mac: MEGA' }
+    ];
+
+    const sizeData = await scraper.getDownloadSizes(downloadLinks, {
+      pageLinks,
+      fileSizeText: 'Mac 900 MB'
+    });
+
+    const sources = sizeData.individual_sizes.map(entry => `${entry.provider}/${entry.platform}:${entry.source}`);
+    const expected = ['Direct/PC:http_headers', 'MEGA/PC:thread_text', 'MEGA/Mac:ai_file_size'];
+    if (JSON.stringify(sources) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected sources: ${sources.join(', ')}`);
+    }
+
+    const threadEntry = sizeData.individual_sizes[1];
+    if (threadEntry.size_bytes !== 850 * MB || threadEntry.source_detail !== '850 MB') {
+      throw new Error(`Thread text entry recorded ${threadEntry.size_bytes} bytes from "${threadEntry.source_detail}"`);
+    }
+
+    if (sizeData.total_size_bytes !== 2048 + 850 * MB + 900 * MB) {
+      throw new Error(`Unexpected total of ${sizeData.total_size_bytes} bytes`);
+    }
+
+    console.log('     ✅ Size sources recorded');
+    return {
+      name: 'Size Sources',
+      status: 'passed',
+      message: 'Headers, thread text and AI summary used in order'
+    };
+  } catch (error) {
+    console.log(`     ❌ Size sources failed: ${error.message}`);
+    return {
+      name: 'Size Sources',
+      status: 'failed',
+      message: error.message
+    };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -0,0 +1,362 @@
+/**
+ * SizeResolvers Test Suite
+ * Tests for the host API size resolvers against a local fixture server
+ */
+import http from 'http';
+import {
+  SizeResolverRegistry,
+  MegaSizeResolver,
+  GoFileSizeResolver,
+  PixelDrainSizeResolver,
+  GoogleDriveSizeResolver,
+  createDefaultSizeResolvers
+} from '../src/services/sizeResolvers.js';
+import { ScraperService } from '../src/services/scraperService.js';
+
+export default async function runSizeResolversTests() {
+  const suite = {
+    name: 'SizeResolvers',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  let fixture = null;
+
+  try {
+    fixture = await startFixtureServer();
+
+    // Test 1: Registry host lookup
+    const registryTest = testRegistryLookup();
+    suite.tests.push(registryTest);
+    updateSuiteStats(suite, registryTest.status);
+
+    // Test 2: MEGA file and folder links
+    const megaTest = await testMegaResolver(fixture);
+    suite.tests.push(megaTest);
+    updateSuiteStats(suite, megaTest.status);
+
+    // Test 3: GoFile guest token and folder contents
+    const goFileTest = await testGoFileResolver(fixture);
+    suite.tests.push(goFileTest);
+    updateSuiteStats(suite, goFileTest.status);
+
+    // Test 4: PixelDrain and Google Drive metadata
+    const metadataTest = await testPixelDrainAndDrive(fixture);
+    suite.tests.push(metadataTest);
+    updateSuiteStats(suite, metadataTest.status);
+
+    // Test 5: ScraperService prefers resolvers and falls back to HEAD
+    const fallbackTest = await testScraperFallback(fixture);
+    suite.tests.push(fallbackTest);
+    updateSuiteStats(suite, fallbackTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ SizeResolvers test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    if (fixture) {
+      await new Promise(resolve => fixture.server.close(resolve));
+    }
+  }
+
+  return suite;
+}
+
+// Local stand-in for the MEGA, GoFile, PixelDrain and Drive APIs
+function startFixtureServer() {
+  const calls = { accounts: 0 };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      // MEGA
+      if (req.method === 'POST' && url.pathname === '/cs') {
+        const [command] = JSON.parse(body || '[]');
+        if (command.a === 'g') {
+          return send(200, command.p === 'megaFile1' ? [{ s: 1048576, at: 'encrypted' }] : [-9]);
+        }
+        if (command.a === 'f' && url.searchParams.get('n') === 'megaFolder1') {
+          return send(200, [{ f: [
+            { h: 'megaFolder1', t: 1 },
+            { h: 'part1', t: 0, s: 3000 },
+            { h: 'part2', t: 0, s: 2000 }
+          ] }]);
+        }
+        return send(200, -9);
+      }
+
+      // GoFile
+      if (req.method === 'POST' && url.pathname === '/accounts') {
+        calls.accounts++;
+        return send(200, { status: 'ok', data: { token: 'guest-token' } });
+      }
+      if (req.method === 'GET' && url.pathname === '/contents/goFolder1') {
+        if (req.headers.authorization !== 'Bearer guest-token' || !url.searchParams.get('wt')) {
+          return send(401, { status: 'error-notPremium' });
+        }
+        return send(200, { status: 'ok', data: {
+          type: 'folder',
+          children: {
+            a: { type: 'file', name: 'game-pc.zip', size: 700 },
+            b: { type: 'file', name: 'game-mac.zip', size: 300 },
+            c: { type: 'folder', name: 'extras' }
+          }
+        } });
+      }
+
+      // PixelDrain
+      if (url.pathname === '/api/file/pixelFile1/info') {
+        return send(200, { id: 'pixelFile1', size: 5000 });
+      }
+      if (url.pathname === '/api/list/pixelList1') {
+        return send(200, { files: [{ size: 10 }, { size: 20 }] });
+      }
+
+      // Google Drive
+      if (url.pathname === '/drive/v3/files/driveFile1') {
+        if (url.searchParams.get('key') !== 'test-key') {
+          return send(403, { error: { code: 403 } });
+        }
+        return send(200, { name: 'game.zip', size: '123456' });
+      }
+
+      // Plain download for the HEAD fallback
+      if (url.pathname === '/download.bin') {
+        res.writeHead(200, { 'Content-Length': '4096' });
+        return res.end(req.method === 'HEAD' ? undefined : Buffer.alloc(4096));
+      }
+
+      send(404, { error: 'not found' });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, calls, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function testRegistryLookup() {
+  try {
+    console.log('   🗂️ Testing resolver registry lookup...');
+
+    const registry = createDefaultSizeResolvers();
+    const expectations = {
+      'https://mega.nz/file/abc#key': 'MEGA',
+      'https://www.mega.nz/#!abc!key': 'MEGA',
+      'https://gofile.io/d/abc': 'GoFile',
+      'https://store-eu.gofile.io/d/abc': 'GoFile',
+      'https://pixeldrain.com/u/abc': 'PixelDrain',
+      'https://drive.google.com/file/d/abc/view': 'Google Drive'
+    };
+
+    for (const [url, name] of Object.entries(expectations)) {
+      const resolver = registry.findResolver(url);
+      if (!resolver || resolver.name !== name) {
+        throw new Error(`${url} should use ${name}, got ${resolver ? resolver.name : 'none'}`);
+      }
+    }
+
+    if (registry.findResolver('https://example.com/file.zip') || registry.findResolver('not a url')) {
+      throw new Error('Unknown hosts should have no resolver');
+    }
+
+    try {
+      new SizeResolverRegistry().register({ name: 'Broken' });
+      throw new Error('Should have rejected an invalid resolver');
+    } catch (error) {
+      if (error.message.includes('Should have')) {
+        throw error;
+      }
+    }
+
+    console.log('     ✅ Resolvers matched by host');
+    return {
+      name: 'Registry Lookup',
+      status: 'passed',
+      message: 'Hosts and subdomains mapped to resolvers'
+    };
+  } catch (error) {
+    console.log(`     ❌ Registry lookup failed: ${error.message}`);
+    return {
+      name: 'Registry Lookup',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testMegaResolver(fixture) {
+  try {
+    console.log('   📦 Testing MEGA resolver...');
+
+    const mega = new MegaSizeResolver({ apiBase: fixture.baseUrl });
+
+    const fileSize = await mega.getSize('https://mega.nz/file/megaFile1#secretKey');
+    if (fileSize !== 1048576) {
+      throw new Error(`Expected 1048576 bytes for a file link, got ${fileSize}`);
+    }
+
+    const legacySize = await mega.getSize('https://mega.nz/#!megaFile1!secretKey');
+    if (legacySize !== 1048576) {
+      throw new Error(`Expected 1048576 bytes for a legacy link, got ${legacySize}`);
+    }
+
+    const folderSize = await mega.getSize('https://mega.nz/folder/megaFolder1#secretKey');
+    if (folderSize !== 5000) {
+      throw new Error(`Expected folder total of 5000 bytes, got ${folderSize}`);
+    }
+
+    const nestedSize = await mega.getSize('https://mega.nz/folder/megaFolder1#secretKey/file/part2');
+    if (nestedSize !== 2000) {
+      throw new Error(`Expected 2000 bytes for a file inside a folder, got ${nestedSize}`);
+    }
+
+    const registry = new SizeResolverRegistry().register(mega);
+    if (await registry.resolve('https://mega.nz/file/removed#key') !== null) {
+      throw new Error('MEGA API errors should resolve to null');
+    }
+
+    console.log('     ✅ MEGA sizes resolved');
+    return {
+      name: 'MEGA Resolver',
+      status: 'passed',
+      message: 'File, folder and error responses handled'
+    };
+  } catch (error) {
+    console.log(`     ❌ MEGA resolver failed: ${error.message}`);
+    return {
+      name: 'MEGA Resolver',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testGoFileResolver(fixture) {
+  try {
+    console.log('   📦 Testing GoFile resolver...');
+
+    const goFile = new GoFileSizeResolver({ apiBase: fixture.baseUrl });
+    goFile.token = null; // ignore any GOFILE_TOKEN from the environment
+
+    const first = await goFile.getSize('https://gofile.io/d/goFolder1');
+    const second = await goFile.getSize('https://gofile.io/d/goFolder1');
+    if (first !== 1000 || second !== 1000) {
+      throw new Error(`Expected folder total of 1000 bytes, got ${first} and ${second}`);
+    }
+
+    if (fixture.calls.accounts !== 1) {
+      throw new Error(`Guest token should be created once, was created ${fixture.calls.accounts} times`);
+    }
+
+    console.log('     ✅ GoFile sizes resolved with a cached guest token');
+    return {
+      name: 'GoFile Resolver',
+      status: 'passed',
+      message: 'Guest token reused across lookups'
+    };
+  } catch (error) {
+    console.log(`     ❌ GoFile resolver failed: ${error.message}`);
+    return {
+      name: 'GoFile Resolver',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testPixelDrainAndDrive(fixture) {
+  try {
+    console.log('   📦 Testing PixelDrain and Google Drive resolvers...');
+
+    const pixelDrain = new PixelDrainSizeResolver({ apiBase: fixture.baseUrl });
+    const fileSize = await pixelDrain.getSize('https://pixeldrain.com/u/pixelFile1');
+    const listSize = await pixelDrain.getSize('https://pixeldrain.com/l/pixelList1');
+    if (fileSize !== 5000 || listSize !== 30) {
+      throw new Error(`Unexpected PixelDrain sizes: ${fileSize}, ${listSize}`);
+    }
+
+    const drive = new GoogleDriveSizeResolver({ apiBase: fixture.baseUrl, apiKey: 'test-key' });
+    const driveSize = await drive.getSize('https://drive.google.com/file/d/driveFile1/view?usp=sharing');
+    const openSize = await drive.getSize('https://drive.google.com/open?id=driveFile1');
+    if (driveSize !== 123456 || openSize !== 123456) {
+      throw new Error(`Unexpected Drive sizes: ${driveSize}, ${openSize}`);
+    }
+
+    const keyless = new GoogleDriveSizeResolver({ apiBase: fixture.baseUrl, apiKey: null });
+    if (await keyless.getSize('https://drive.google.com/file/d/driveFile1/view') !== null) {
+      throw new Error('Drive lookups without an API key should be skipped');
+    }
+
+    console.log('     ✅ PixelDrain and Drive sizes resolved');
+    return {
+      name: 'PixelDrain And Drive Resolvers',
+      status: 'passed',
+      message: 'File info, lists and Drive metadata handled'
+    };
+  } catch (error) {
+    console.log(`     ❌ PixelDrain and Drive resolvers failed: ${error.message}`);
+    return {
+      name: 'PixelDrain And Drive Resolvers',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testScraperFallback(fixture) {
+  try {
+    console.log('   🔁 Testing ScraperService size lookup order...');
+
+    const scraper = new ScraperService();
+    scraper.sizeResolvers = createDefaultSizeResolvers({
+      pixeldrain: { apiBase: fixture.baseUrl }
+    });
+
+    const resolved = await scraper.getFileSizeFromUrl('https://pixeldrain.com/u/pixelFile1');
+    if (resolved !== 5000) {
+      throw new Error(`Expected resolver size of 5000 bytes, got ${resolved}`);
+    }
+
+    const fallback = await scraper.getFileSizeFromUrl(`${fixture.baseUrl}/download.bin`);
+    if (fallback !== 4096) {
+      throw new Error(`Expected HEAD fallback size of 4096 bytes, got ${fallback}`);
+    }
+
+    console.log('     ✅ Resolvers used first, HEAD fallback kept');
+    return {
+      name: 'Scraper Size Fallback',
+      status: 'passed',
+      message: 'Host APIs preferred over HEAD requests'
+    };
+  } catch (error) {
+    console.log(`     ❌ Scraper size fallback failed: ${error.message}`);
+    return {
+      name: 'Scraper Size Fallback',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -0,0 +1,230 @@
+/**
+ * SnapshotStore Test Suite
+ * Tests for the compressed, content-addressed archive of scraped pages
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { SnapshotStore } from '../src/services/snapshotStore.js';
+import { ScraperService } from '../src/services/scraperService.js';
+import { getThreadId } from '../src/utils/links.js';
+
+const THREAD_URL = 'https://f95zone.to/threads/example-game-v0-5-studio.12345/';
+
+function samplePage(title = 'Example Game [v0.5] [Studio]') {
+  return {
+    title,
+    url: THREAD_URL,
+    content: `${title}\nOverview: a test thread`,
+    html: `<html><head><title>${title}</title></head><body><div class="bbWrapper">Overview</div></body></html>`,
+    images: [{ src: 'https://attachments.f95zone.to/cover.png', alt: 'cover', title: '' }],
+    links: [{ href: 'https://mega.nz/file/abc', text: 'MEGA', title: '', context: 'Win: 1.2 GB' }],
+    fetch_mode: 'http'
+  };
+}
+
+async function countObjects(dir) {
+  let count = 0;
+  for (const bucket of await fs.readdir(path.join(dir, 'objects')).catch(() => [])) {
+    count += (await fs.readdir(path.join(dir, 'objects', bucket))).length;
+  }
+  return count;
+}
+
+export default async function runSnapshotStoreTests() {
+  const suite = {
+    name: 'SnapshotStore',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'f95-snapshots-'));
+
+  try {
+    // Test 1: Save, list and read back
+    const roundTripTest = await testRoundTrip(path.join(tempDir, 'roundtrip'));
+    suite.tests.push(roundTripTest);
+    updateSuiteStats(suite, roundTripTest.status);
+
+    // Test 2: Retention and object cleanup
+    const retentionTest = await testRetention(path.join(tempDir, 'retention'));
+    suite.tests.push(retentionTest);
+    updateSuiteStats(suite, retentionTest.status);
+
+    // Test 3: Scraper archives every fetch
+    const scraperTest = await testScraperArchives(path.join(tempDir, 'scraper'));
+    suite.tests.push(scraperTest);
+    updateSuiteStats(suite, scraperTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ SnapshotStore test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return suite;
+}
+
+async function testRoundTrip(dir) {
+  try {
+    console.log('   🗄️ Testing snapshot save and read...');
+
+    if (getThreadId(THREAD_URL) !== '12345' || getThreadId('https://f95zone.to/threads/98765/') !== '98765' ||
+        getThreadId('https://f95zone.to/forums/games.2/') !== null) {
+      throw new Error('Thread IDs not parsed from URLs');
+    }
+
+    const store = new SnapshotStore({ dir, enabled: true, maxAgeDays: 0 });
+    const first = await store.save(THREAD_URL, samplePage(), { capturedAt: new Date('2026-01-01T10:00:00.000Z') });
+    const second = await store.save(THREAD_URL, samplePage(), { capturedAt: new Date('2026-01-02T10:00:00.000Z') });
+    if (!first || first.thread_id !== '12345' || first.id !== '2026-01-01T10-00-00-000Z') {
+      throw new Error(`Unexpected record: ${JSON.stringify(first)}`);
+    }
+
+    // Same content, same object
+    if (first.hash !== second.hash || await countObjects(dir) !== 1) {
+      throw new Error('Identical captures should share one compressed object');
+    }
+
+    const listed = await store.list({ threadId: '12345' });
+    if (listed.length !== 2 || listed[0].id !== second.id) {
+      throw new Error('Snapshots should be listed newest first');
+    }
+
+    const snapshot = await store.read('12345', first.id);
+    if (snapshot.content.html !== samplePage().html || snapshot.content.links[0].href !== 'https://mega.nz/file/abc' ||
+        snapshot.content.text !== samplePage().content || snapshot.content.images.length !== 1) {
+      throw new Error('Snapshot content did not survive the round trip');
+    }
+
+    const { data } = await store.readCompressed('12345', first.id);
+    if (data[0] !== 0x1f || data[1] !== 0x8b || JSON.parse(zlib.gunzipSync(data)).title !== samplePage().title) {
+      throw new Error('Stored objects should be gzipped JSON');
+    }
+
+    for (const [threadId, snapshotId] of [['12345', '../../etc/passwd'], ['..', first.id], ['12345', '2020-01-01T00-00-00-000Z']]) {
+      try {
+        await store.read(threadId, snapshotId);
+        throw new Error(`Read of ${threadId}/${snapshotId} should fail`);
+      } catch (error) {
+        if (error.code !== 'NOT_FOUND') throw error;
+      }
+    }
+
+    const disabled = new SnapshotStore({ dir, enabled: false });
+    if (await disabled.save(THREAD_URL, samplePage()) !== null) {
+      throw new Error('Disabled store should not save');
+    }
+
+    console.log('     ✅ Snapshots saved, deduplicated and read back');
+    return {
+      name: 'Round Trip',
+      status: 'passed',
+      message: 'Gzipped, content-addressed, keyed by thread ID and time'
+    };
+  } catch (error) {
+    console.log(`     ❌ Round trip failed: ${error.message}`);
+    return {
+      name: 'Round Trip',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testRetention(dir) {
+  try {
+    console.log('   🧹 Testing snapshot retention...');
+
+    const store = new SnapshotStore({ dir, enabled: true, maxPerThread: 2, maxAgeDays: 30 });
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    for (let version = 1; version <= 3; version++) {
+      await store.save(THREAD_URL, samplePage(`Example Game [v0.${version}]`), { capturedAt: daysAgo(10 - version) });
+    }
+    await store.prune();
+
+    const kept = await store.list({ threadId: '12345' });
+    if (kept.length !== 2 || kept.some(record => record.title.includes('v0.1'))) {
+      throw new Error(`Expected the two newest snapshots, got ${kept.map(record => record.title).join(', ')}`);
+    }
+    if (await countObjects(dir) !== 2) {
+      throw new Error('Objects of dropped snapshots should be removed');
+    }
+
+    // Captures age out when prune runs later
+    await store.save('https://f95zone.to/threads/old-game.777/', samplePage('Old Game'), { capturedAt: daysAgo(20) });
+    const result = await store.prune({ now: Date.now() + 15 * 24 * 60 * 60 * 1000 });
+    if (result.removed !== 1 || (await store.list({ threadId: '777' })).length !== 0 || (await store.list()).length !== 2) {
+      throw new Error(`Expired snapshots should be pruned, got ${JSON.stringify(result)}`);
+    }
+    if (await countObjects(dir) !== 2) {
+      throw new Error('Objects of expired snapshots should be removed');
+    }
+
+    console.log('     ✅ Retention applied');
+    return {
+      name: 'Retention',
+      status: 'passed',
+      message: 'Per-thread count and age limits, unreferenced objects removed'
+    };
+  } catch (error) {
+    console.log(`     ❌ Retention failed: ${error.message}`);
+    return {
+      name: 'Retention',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testScraperArchives(dir) {
+  try {
+    console.log('   📸 Testing scraper snapshot archiving...');
+
+    const service = new ScraperService();
+    service.snapshotStore = new SnapshotStore({ dir, enabled: true });
+    service.fetchPageDataWithMode = async () => samplePage();
+
+    const pageData = await service.fetchPageData(THREAD_URL, { mode: 'http' });
+    const [record] = await service.snapshotStore.list();
+    if (!record || pageData.snapshot_id !== `12345/${record.id}`) {
+      throw new Error(`Expected snapshot_id on pageData, got ${pageData.snapshot_id}`);
+    }
+
+    // A broken archive must not break the scrape
+    service.snapshotStore = new SnapshotStore({ dir: path.join(dir, 'missing', '\0bad'), enabled: true });
+    const unarchived = await service.fetchPageData(THREAD_URL, { mode: 'http' });
+    if (unarchived.snapshot_id || unarchived.title !== samplePage().title) {
+      throw new Error('Scrape should succeed without a snapshot when archiving fails');
+    }
+
+    console.log('     ✅ Fetches archived');
+    return {
+      name: 'Scraper Archiving',
+      status: 'passed',
+      message: 'snapshot_id attached, archive failures ignored'
+    };
+  } catch (error) {
+    console.log(`     ❌ Scraper archiving failed: ${error.message}`);
+    return {
+      name: 'Scraper Archiving',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -4,13 +4,36 @@
  */
 import dotenv from 'dotenv';
 import runAIServiceTests from './aiService.test.js';
+import runThreadParserTests from './threadParser.test.js';
 import runScraperServiceTests from './scraperService.test.js';
+import runPageDataParserTests from './pageDataParser.test.js';
+import runSessionStoreTests from './sessionStore.test.js';
+import runPagePoolTests from './pagePool.test.js';
+import runSizeResolversTests from './sizeResolvers.test.js';
+import runSizeParserTests from './sizeParser.test.js';
+import runLinkHealthTests from './linkHealth.test.js';
+import runRateLimiterTests from './rateLimiter.test.js';
+import runErrorsTests from './errors.test.js';
+import runBlockPagesTests from './blockPages.test.js';
+import runTotpTests from './totp.test.js';
+import runSnapshotStoreTests from './snapshotStore.test.js';
+import runGamePipelineTests from './gamePipeline.test.js';
+import runIngestTests from './ingest.test.js';
+import runJobQueueTests from './jobQueue.test.js';
+import runUpdateSchedulerTests from './updateScheduler.test.js';
+import runNotificationServiceTests from './notificationService.test.js';
+import runLocalGameStoreTests from './localGameStore.test.js';
 import runGoogleSheetsServiceTests from './googleSheetsService.test.js';
 import runIntegrationTests from './integration.test.js';
 
 // Load environment variables
 dotenv.config();
 
+// Suites talk to local fixture servers, so skip the politeness delay between requests
+process.env.SCRAPE_DELAY = '0';
+// Scrapes of fixture pages should not end up in data/snapshots; the Snapshots suite uses a temp dir
+process.env.SNAPSHOTS_ENABLED = 'false';
+
 async function runAllTests() {
   console.log('🧪 F95Zone Scraper - Comprehensive Test Suite\n');
   console.log('=' .repeat(60));
@@ -31,7 +54,25 @@ async function runAllTests() {
     await performEnvironmentCheck();    // Run all test suites
     const testSuites = [
       { name: 'AIService', runner: runAIServiceTests },
+      { name: 'ThreadParser', runner: runThreadParserTests },
       { name: 'ScraperService', runner: runScraperServiceTests },
+      { name: 'PageDataParser', runner: runPageDataParserTests },
+      { name: 'SessionStore', runner: runSessionStoreTests },
+      { name: 'PagePool', runner: runPagePoolTests },
+      { name: 'SizeResolvers', runner: runSizeResolversTests },
+      { name: 'SizeParser', runner: runSizeParserTests },
+      { name: 'LinkHealth', runner: runLinkHealthTests },
+      { name: 'RateLimiter', runner: runRateLimiterTests },
+      { name: 'Errors', runner: runErrorsTests },
+      { name: 'BlockPages', runner: runBlockPagesTests },
+      { name: 'Totp', runner: runTotpTests },
+      { name: 'SnapshotStore', runner: runSnapshotStoreTests },
+      { name: 'GamePipeline', runner: runGamePipelineTests },
+      { name: 'Ingest', runner: runIngestTests },
+      { name: 'JobQueue', runner: runJobQueueTests },
+      { name: 'UpdateScheduler', runner: runUpdateSchedulerTests },
+      { name: 'NotificationService', runner: runNotificationServiceTests },
+      { name: 'LocalGameStore', runner: runLocalGameStoreTests },
       { name: 'GoogleSheetsService', runner: runGoogleSheetsServiceTests },
       { name: 'Integration', runner: runIntegrationTests }
     ];
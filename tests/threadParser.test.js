@@ -0,0 +1,272 @@
+/**
+ * ThreadParser Test Suite
+ * Tests for the deterministic XenForo first-post parser against saved thread HTML
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ThreadParser, normalizeEngine, normalizeStatus } from '../src/services/threadParser.js';
+import { AIService } from '../src/services/aiService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'threads', name), 'utf8');
+}
+
+export default async function runThreadParserTests() {
+  const suite = {
+    name: 'ThreadParser',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  try {
+    const parser = new ThreadParser();
+
+    // Test 1: Standard overview block with genre in a spoiler
+    const standardTest = testStandardOverview(parser);
+    suite.tests.push(standardTest);
+    updateSuiteStats(suite, standardTest.status);
+
+    // Test 2: Alternate label formatting
+    const alternateTest = testAlternateFormatting(parser);
+    suite.tests.push(alternateTest);
+    updateSuiteStats(suite, alternateTest.status);
+
+    // Test 3: Threads without an overview and invalid input
+    const noOverviewTest = testNoOverview(parser);
+    suite.tests.push(noOverviewTest);
+    updateSuiteStats(suite, noOverviewTest.status);
+
+    // Test 4: Prefix vocabulary
+    const prefixTest = testPrefixNormalization();
+    suite.tests.push(prefixTest);
+    updateSuiteStats(suite, prefixTest.status);
+
+    // Test 5: Parsed fields override AI output
+    const groundTruthTest = testGroundTruthMerge(parser);
+    suite.tests.push(groundTruthTest);
+    updateSuiteStats(suite, groundTruthTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ ThreadParser test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  }
+
+  return suite;
+}
+
+function expectEqual(actual, expected, field) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${field}: expected ${e}, got ${a}`);
+  }
+}
+
+function testStandardOverview(parser) {
+  try {
+    console.log('   📄 Testing standard overview block...');
+
+    const overview = parser.parse(loadFixture('renpy-completed.html'));
+    if (!overview) {
+      throw new Error('Parser returned null');
+    }
+
+    expectEqual(overview.title, 'Summer Nights', 'title');
+    expectEqual(overview.title_version, 'v1.0.2', 'title_version');
+    expectEqual(overview.prefixes, ["Ren'Py", 'Completed'], 'prefixes');
+    expectEqual(overview.engine, "Ren'Py", 'engine');
+    expectEqual(overview.status, 'Completed', 'status');
+    expectEqual(overview.thread_updated, '2024-03-10', 'thread_updated');
+    expectEqual(overview.release_date, '2024-03-09', 'release_date');
+    expectEqual(overview.developer, 'Moonlit Studio', 'developer');
+    expectEqual(overview.censored, 'No', 'censored');
+    expectEqual(overview.version, '1.0.2', 'version');
+    expectEqual(overview.os, ['Windows', 'Linux', 'Mac', 'Android'], 'os');
+    expectEqual(overview.language, ['English'], 'language');
+    expectEqual(overview.genre, ['3DCG', 'Animated', 'Romance', 'Male protagonist', 'Dating sim', 'Vaginal sex'], 'genre');
+
+    if (overview.first_post_text.includes('must be ignored')) {
+      throw new Error('Replies leaked into the first post text');
+    }
+
+    console.log('     ✅ Standard overview parsed');
+    return {
+      name: 'Standard Overview',
+      status: 'passed',
+      message: 'All labelled fields extracted'
+    };
+  } catch (error) {
+    console.log(`     ❌ Standard overview failed: ${error.message}`);
+    return {
+      name: 'Standard Overview',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function testAlternateFormatting(parser) {
+  try {
+    console.log('   📄 Testing alternate label formatting...');
+
+    const overview = parser.parse(loadFixture('unity-ongoing.html'));
+    if (!overview) {
+      throw new Error('Parser returned null');
+    }
+
+    expectEqual(overview.title, 'Neon Drift - Episode 3', 'title');
+    expectEqual(overview.title_developer, 'Pixel Forge', 'title_developer');
+    expectEqual(overview.engine, 'Unity', 'engine');
+    expectEqual(overview.status, null, 'status');
+    expectEqual(overview.developer, 'Pixel Forge', 'developer');
+    expectEqual(overview.censored, 'Yes - Mosaic', 'censored');
+    expectEqual(overview.version, 'Ep. 3 Part 2', 'version');
+    expectEqual(overview.os, ['Win', 'Linux'], 'os');
+    expectEqual(overview.language, ['English', 'German'], 'language');
+    expectEqual(overview.genre, ['3DCG', 'Futa/trans', 'Sci-fi', 'Sandbox'], 'genre');
+
+    console.log('     ✅ Alternate formatting parsed');
+    return {
+      name: 'Alternate Formatting',
+      status: 'passed',
+      message: 'Colon-inside-bold labels handled'
+    };
+  } catch (error) {
+    console.log(`     ❌ Alternate formatting failed: ${error.message}`);
+    return {
+      name: 'Alternate Formatting',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function testNoOverview(parser) {
+  try {
+    console.log('   📄 Testing thread without overview...');
+
+    const overview = parser.parse(loadFixture('no-overview.html'));
+    if (!overview) {
+      throw new Error('Parser returned null for a valid thread page');
+    }
+
+    expectEqual(overview.prefixes, [], 'prefixes');
+    expectEqual(overview.version, null, 'version');
+    expectEqual(overview.developer, null, 'developer');
+    expectEqual(overview.genre, [], 'genre');
+
+    if (parser.parse('') !== null || parser.parse(null) !== null) {
+      throw new Error('Empty input should return null');
+    }
+
+    console.log('     ✅ Missing overview handled');
+    return {
+      name: 'Missing Overview',
+      status: 'passed',
+      message: 'No fields invented'
+    };
+  } catch (error) {
+    console.log(`     ❌ Missing overview failed: ${error.message}`);
+    return {
+      name: 'Missing Overview',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function testPrefixNormalization() {
+  try {
+    console.log('   🏷️ Testing prefix normalization...');
+
+    expectEqual(normalizeEngine('renpy'), "Ren'Py", 'renpy');
+    expectEqual(normalizeEngine('RPGM'), 'RPGM', 'RPGM');
+    expectEqual(normalizeEngine('Unreal'), 'Unreal Engine', 'Unreal');
+    expectEqual(normalizeEngine('Completed'), null, 'Completed as engine');
+    expectEqual(normalizeStatus('on hold'), 'On Hold', 'on hold');
+    expectEqual(normalizeStatus('Abandoned'), 'Abandoned', 'Abandoned');
+    expectEqual(normalizeStatus('VN'), null, 'VN as status');
+
+    console.log('     ✅ Prefix normalization working');
+    return {
+      name: 'Prefix Normalization',
+      status: 'passed',
+      message: 'Engine and status vocabularies applied'
+    };
+  } catch (error) {
+    console.log(`     ❌ Prefix normalization failed: ${error.message}`);
+    return {
+      name: 'Prefix Normalization',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function testGroundTruthMerge(parser) {
+  try {
+    console.log('   🤝 Testing parsed fields as AI ground truth...');
+
+    const aiService = new AIService();
+    const overview = parser.parse(loadFixture('renpy-completed.html'));
+    const aiOutput = {
+      game_name: 'Summer Nights v1.0.2',
+      version: 'v1.0',
+      developer: 'Unknown',
+      tags: ['romance'],
+      description: 'A summer story'
+    };
+
+    const merged = aiService.applyThreadOverview(aiOutput, overview);
+    expectEqual(merged.game_name, 'Summer Nights', 'game_name');
+    expectEqual(merged.version, '1.0.2', 'version');
+    expectEqual(merged.developer, 'Moonlit Studio', 'developer');
+    expectEqual(merged.release_date, '2024-03-09', 'release_date');
+    expectEqual(merged.tags.length, 6, 'tags');
+    expectEqual(merged.description, 'A summer story', 'description');
+
+    // The thread's last update is not a release date
+    const undated = aiService.applyThreadOverview(
+      { release_date: '2023-12-01' },
+      { ...overview, release_date: null, thread_updated: '2024-03-10' }
+    );
+    expectEqual(undated.release_date, '2023-12-01', 'release_date without a Release Date');
+    expectEqual(undated.thread_updated, '2024-03-10', 'thread_updated');
+
+    const trusted = aiService.getTrustedFields(overview);
+    if (!trusted || trusted.first_post_text !== undefined) {
+      throw new Error('Trusted fields should exclude the raw first post text');
+    }
+
+    console.log('     ✅ Parsed fields override AI output');
+    return {
+      name: 'Ground Truth Merge',
+      status: 'passed',
+      message: 'AI output corrected by parsed fields'
+    };
+  } catch (error) {
+    console.log(`     ❌ Ground truth merge failed: ${error.message}`);
+    return {
+      name: 'Ground Truth Merge',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}
@@ -0,0 +1,268 @@
+/**
+ * UpdateScheduler Test Suite
+ * Tests for the scheduled update check: change detection, tracking flag, schedule and history
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { UpdateScheduler } from '../src/services/updateScheduler.js';
+import { NotFoundError } from '../src/utils/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// The fixture thread is at v1.0.2, updated 2024-03-10
+function game(number, overrides = {}) {
+  return {
+    game_number: String(number),
+    game_name: `Game ${number}`,
+    version: 'v1.0.2',
+    original_url: `https://f95zone.to/threads/game-${number}.${number}/`,
+    thread_updated: '2024-03-10',
+    tracked: '',
+    ...overrides
+  };
+}
+
+async function createScheduler(historyFile, games, options = {}) {
+  const html = await fs.readFile(path.join(__dirname, 'fixtures', 'threads', 'renpy-completed.html'), 'utf8');
+
+  const scraper = {
+    scraped: [],
+    retryPolicy: { maxAttempts: 1 },
+    scrapePageWithRetry: async url => {
+      scraper.scraped.push(url);
+      if (url.includes('gone')) throw new NotFoundError('Thread not found');
+      return { title: 'Summer Nights', url, html, content: '', links: [] };
+    }
+  };
+  const sheets = {
+    dates: [],
+    getAllGames: async () => games,
+    updateThreadUpdated: async (gameNumber, date) => sheets.dates.push({ gameNumber, date })
+  };
+  const pipeline = {
+    processed: [],
+    process: async (pageData, url) => {
+      pipeline.processed.push(url);
+      return { gameNumber: 1, data: { version: 'v1.0.2' }, isUpdate: true };
+    }
+  };
+
+  const scheduler = new UpdateScheduler({
+    scraperService: scraper,
+    sheetsService: sheets,
+    gamePipeline: pipeline,
+    historyFile,
+    ...options
+  });
+  return { scheduler, scraper, sheets, pipeline };
+}
+
+export default async function runUpdateSchedulerTests() {
+  const suite = {
+    name: 'UpdateScheduler',
+    tests: [],
+    passed: 0,
+    failed: 0,
+    skipped: 0
+  };
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'f95-updates-'));
+
+  try {
+    // Test 1: Change detection
+    const detectionTest = await testChangeDetection(path.join(tempDir, 'detection.json'));
+    suite.tests.push(detectionTest);
+    updateSuiteStats(suite, detectionTest.status);
+
+    // Test 2: Cron schedule
+    const scheduleTest = await testSchedule(path.join(tempDir, 'schedule.json'));
+    suite.tests.push(scheduleTest);
+    updateSuiteStats(suite, scheduleTest.status);
+
+    // Test 3: Run history
+    const historyTest = await testHistory(path.join(tempDir, 'history.json'));
+    suite.tests.push(historyTest);
+    updateSuiteStats(suite, historyTest.status);
+
+  } catch (error) {
+    console.log(`   ❌ UpdateScheduler test suite failed: ${error.message}`);
+    suite.tests.push({
+      name: 'Test Suite Execution',
+      status: 'failed',
+      message: error.message
+    });
+    suite.failed++;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  return suite;
+}
+
+async function testChangeDetection(historyFile) {
+  try {
+    console.log('   🔎 Testing update detection...');
+
+    const games = [
+      game(1),
+      game(2, { version: 'v1.0.1' }),
+      game(3, { version: 'v1.0.1', tracked: 'No' }),
+      game(4, { thread_updated: '' }),
+      game(5, { original_url: 'https://f95zone.to/threads/gone.5/' }),
+      game(6, { version: '1.0.2', thread_updated: '2024-03-01' })
+    ];
+    const { scheduler, scraper, sheets, pipeline } = await createScheduler(historyFile, games);
+
+    const run = scheduler.startRun();
+    await scheduler.runPromise;
+
+    if (scraper.scraped.some(url => url.includes('game-3'))) {
+      throw new Error('Untracked games should not be scraped');
+    }
+    if (pipeline.processed.length !== 2 || !pipeline.processed[0].includes('game-2') || !pipeline.processed[1].includes('game-6')) {
+      throw new Error(`Only changed games should be re-extracted, got ${pipeline.processed.join(', ')}`);
+    }
+    if (run.status !== 'completed' || run.games_total !== 5 || run.untracked !== 1 || run.unchanged !== 2 ||
+        run.updated.map(entry => entry.game_number).join(',') !== '2,6') {
+      throw new Error(`Unexpected run: ${JSON.stringify(run)}`);
+    }
+    if (run.updated[0].from_version !== 'v1.0.1' || run.updated[0].to_version !== 'v1.0.2') {
+      throw new Error('Version change not recorded');
+    }
+    if (run.errors.length !== 1 || run.errors[0].game_number !== 5 || run.errors[0].code !== 'NOT_FOUND') {
+      throw new Error('Scrape failures should be recorded per game');
+    }
+    if (sheets.dates.length !== 1 || sheets.dates[0].gameNumber !== '4' || sheets.dates[0].date !== '2024-03-10') {
+      throw new Error('A missing Thread Updated date should be filled in without the AI');
+    }
+
+    console.log('     ✅ Only changed games updated');
+    return {
+      name: 'Change Detection',
+      status: 'passed',
+      message: 'Version and Thread Updated compared, untracked games skipped'
+    };
+  } catch (error) {
+    console.log(`     ❌ Change detection failed: ${error.message}`);
+    return {
+      name: 'Change Detection',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testSchedule(historyFile) {
+  try {
+    console.log('   ⏰ Testing the cron schedule...');
+
+    const tasks = [];
+    const fakeCron = {
+      validate: expression => expression.split(' ').length === 5,
+      schedule: (expression, callback, options) => {
+        const task = { expression, callback, options, stopped: false, stop: () => { task.stopped = true; } };
+        tasks.push(task);
+        return task;
+      }
+    };
+
+    const off = await createScheduler(historyFile, [], { schedule: '', scheduler: fakeCron });
+    const invalid = await createScheduler(historyFile, [], { schedule: 'every day', scheduler: fakeCron });
+    if (off.scheduler.start() || invalid.scheduler.start() || tasks.length !== 0) {
+      throw new Error('Empty or invalid schedules should not start a task');
+    }
+
+    const { scheduler, scraper } = await createScheduler(historyFile, [game(1)], {
+      schedule: '0 */6 * * *',
+      timezone: 'Europe/Berlin',
+      scheduler: fakeCron
+    });
+    if (!scheduler.start() || tasks[0].expression !== '0 */6 * * *' || tasks[0].options.timezone !== 'Europe/Berlin') {
+      throw new Error('Schedule not registered');
+    }
+
+    tasks[0].callback();
+    tasks[0].callback(); // still running: skipped
+    await scheduler.runPromise;
+    if (scraper.scraped.length !== 1 || (await scheduler.getStatus()).last.trigger !== 'schedule') {
+      throw new Error('Cron ticks should start one run at a time');
+    }
+
+    scheduler.stop();
+    if (!tasks[0].stopped || (await scheduler.getStatus()).scheduled) {
+      throw new Error('stop() should stop the task');
+    }
+
+    console.log('     ✅ Schedule registered and overlapping ticks skipped');
+    return {
+      name: 'Schedule',
+      status: 'passed',
+      message: 'Cron expression validated, one run at a time'
+    };
+  } catch (error) {
+    console.log(`     ❌ Schedule failed: ${error.message}`);
+    return {
+      name: 'Schedule',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+async function testHistory(historyFile) {
+  try {
+    console.log('   🗂️ Testing update check history...');
+
+    const { scheduler } = await createScheduler(historyFile, [game(1)], { historyLimit: 2 });
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      ids.push(scheduler.startRun().id);
+      await scheduler.runPromise;
+    }
+
+    // A restarted server reads the saved history
+    const { scheduler: restarted } = await createScheduler(historyFile, []);
+    const runs = await restarted.getHistory();
+    if (runs.length !== 2 || runs[0].id !== ids[2] || runs[1].id !== ids[1]) {
+      throw new Error(`Expected the two newest runs, got ${runs.map(run => run.id).join(', ')}`);
+    }
+    if (!(await restarted.getRun(ids[2])) || await restarted.getRun(ids[0]) !== null) {
+      throw new Error('Runs should be found by ID until they drop out of the history');
+    }
+
+    // A corrupt history file is replaced, not a failed status or run
+    await fs.writeFile(historyFile, '{"runs": [');
+    const { scheduler: corrupt } = await createScheduler(historyFile, [game(1)]);
+    if ((await corrupt.getStatus()).last !== null) {
+      throw new Error('An unreadable history should read as empty');
+    }
+    const runId = corrupt.startRun().id;
+    await corrupt.runPromise;
+    const saved = JSON.parse(await fs.readFile(historyFile, 'utf8'));
+    if (saved.runs.length !== 1 || saved.runs[0].id !== runId) {
+      throw new Error(`Expected a new history with the run, got ${JSON.stringify(saved)}`);
+    }
+
+    console.log('     ✅ History saved and trimmed');
+    return {
+      name: 'History',
+      status: 'passed',
+      message: 'Runs saved newest first, limited to UPDATE_HISTORY_LIMIT'
+    };
+  } catch (error) {
+    console.log(`     ❌ History failed: ${error.message}`);
+    return {
+      name: 'History',
+      status: 'failed',
+      message: error.message
+    };
+  }
+}
+
+function updateSuiteStats(suite, status) {
+  if (status === 'passed') suite.passed++;
+  else if (status === 'failed') suite.failed++;
+  else suite.skipped++;
+}